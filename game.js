@@ -16,7 +16,7 @@
  * - Border information for rendering
  * - Adjacency to other territories
  */
-var AreaData = function(){
+var AreaData = function( area_max ){
 	this.size=0;		// Size of area (0 = not present, >0 = number of cells)
 	this.cpos=0;		// Center cell position (used for dice placement)
 	this.arm=0;		    // Player/army affiliation (color)
@@ -37,7 +37,8 @@ var AreaData = function(){
 	
 	// Adjacency array - indices of areas that share a border with this area
 	// Used for determining valid attack targets and territory groups
-	this.join = [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0];	// 32 possible adjacent territories
+	this.join = new Array( area_max || 32 );	// One flag per possible adjacent territory (32 by default)
+	for( var i=0; i<this.join.length; i++ ) this.join[i] = 0;
 }
 
 /**
@@ -78,6 +79,14 @@ var HistoryData = function(){
 	this.from=0;	// Source area (for attack or reinforcement)
 	this.to=0;		// Target area (for attack) or 0 for reinforcement
 	this.res=0;		// Result: 0=attack failed, 1=attack succeeded
+	
+	// Details, null when not recorded
+	this.player=null;		// Acting player
+	this.turn=null;			// Turn number (0 = first turn of the game)
+	this.rolls=null;		// Attack: [attacker dice values, defender dice values]
+	this.from_dice=null;	// Dice on the source area: [before, after]
+	this.to_dice=null;		// Attack: dice on the target area: [before, after]
+	this.supply=null;		// Reinforcement: { earned, placed, stock } for the player's whole batch
 }
 
 /**
@@ -166,7 +175,7 @@ var Game = function(){
 	// Territory (area) data
 	this.AREA_MAX = 32;	        // Maximum number of distinct territories
 	this.adat = new Array();    // Array of territory data
-	for( i=0; i<32; i++ ) this.adat[i] = new AreaData();
+	for( i=0; i<this.AREA_MAX; i++ ) this.adat[i] = new AreaData( this.AREA_MAX );
 	
 	//=============================================
 	// MAP GENERATION VARIABLES
@@ -182,6 +191,7 @@ var Game = function(){
 	this.alist = new Array(this.AREA_MAX);	// Working list of areas
 	this.chk = new Array(this.AREA_MAX);	// Used for territory border drawing
 	this.tc = new Array(this.AREA_MAX);		// Used for counting connected territories
+	this.mapOptions = {};	// Map generation options (territorySizeVariance, waterPercentage, allowIslands)
 	
 	//=============================================
 	// GAME STATE VARIABLES
@@ -190,21 +200,38 @@ var Game = function(){
 	// Game configuration
 	this.pmax=7;		        // Number of players (default: 7)
 	this.user=0;		        // Human player index (default: 0)
+	this.humans=[0];	        // Human player indexes (several for hot-seat games)
 	this.put_dice=3;	        // Average number of dice per territory
 	
 	// Turn tracking
 	this.jun = [0,1,2,3,4,5,6,7]; // Player order array
 	this.ban = 0;			      // Current turn index (current player = jun[ban])
+	this.turn_c = 0;			  // Turn number (0 = first turn; recorded in the history)
 	
 	// Battle state
 	this.area_from=0;	          // Attack source territory
 	this.area_to=0;		          // Attack target territory
 	this.defeat=0;		          // Attack result (0=failed, 1=succeeded)
+	this.battle_deck = {};        // Outcome decks for the 'balanced' battle mode
+	
+	// Random source - every random draw of the game goes through rng() (see setSeed)
+	this.seed = null;             // Seed of the current random source (null = unseeded)
+	this.rng = Math.random;       // Random source for map generation, turn order, dice and AI
 	
 	// Player state
 	this.player = new Array(8);   // Player data objects
 	this.STOCK_MAX=64;	          // Maximum dice reinforcements a player can have
 	
+	// Game rules (replaced by the configured rules once the ES6 modules load; see src/utils/config.js)
+	this.rules = {
+		maxDice: 8,                    // Maximum dice per territory
+		stockMax: 64,                  // Maximum reinforcement dice a player can keep in stock
+		minAttackDice: 2,              // Dice a territory needs to attack
+		reinforcement: 'largestGroup', // Reinforcement formula
+		regionBonus: 1,                // Dice per region for the 'regionBonus' formula
+		battle: 'sum'                  // Battle resolution mode
+	};
+	
 	// AI helper arrays (used by computer players to track possible moves)
 	this.list_from = new Array(this.AREA_MAX*this.AREA_MAX);  // Potential attacking territories
 	this.list_to = new Array(this.AREA_MAX*this.AREA_MAX);    // Potential target territories
@@ -216,11 +243,36 @@ var Game = function(){
 	// Game action history
 	this.his = new Array();       // Array of game actions (attacks/reinforcements)
 	this.his_c = 0;               // Current history entry count
+	this.undos = new Array();     // Attacks taken back in practice games
 	
 	// Initial game state for replay
 	this.his_arm = new Array(this.AREA_MAX);   // Initial territory ownership
 	this.his_dice = new Array(this.AREA_MAX);  // Initial dice counts
 	
+	/**
+	 * Seed the Random Source
+	 * 
+	 * Replaces the random source with the seeded generator of the ES6 modules
+	 * (window.createRandom, see src/utils/random.js) so that a whole game can be
+	 * reproduced. Passing null restores Math.random.
+	 * 
+	 * @param {number|string|null} seed - Seed value, or null for unseeded play
+	 * @returns {Game} This game instance for chaining
+	 */
+	this.setSeed = function( seed ){
+		this.seed = ( seed === undefined ) ? null : seed;
+		this.rng = Math.random;
+		if( this.seed === null ) return this;
+		
+		if( typeof createRandom === 'function' ){
+			this.rng = createRandom( this.seed );
+		}else{
+			console.warn('Seeded games need the ES6 modules, playing unseeded');
+			this.seed = null;
+		}
+		return this;
+	}
+	
 	/**
 	 * Initialize Game
 	 * 
@@ -269,10 +321,11 @@ var Game = function(){
 		// Initialize and randomize player turn order
 		for( i=0; i<8; i++ ) this.jun[i] = i;  // Start with sequential ordering
 		for( i=0; i<this.pmax; i++ ){          // Shuffle the first pmax elements
-			var r = Math.floor(Math.random()*this.pmax);
+			var r = Math.floor(this.rng()*this.pmax);
 			var tmp=this.jun[i]; this.jun[i]=this.jun[r]; this.jun[r]=tmp;
 		}
 		this.ban = 0;  // Set current turn to first player in the order
+		this.turn_c = 0;  // First turn of the game
 		
 		// Initialize player data objects
 		for( i=0; i<8; i++ ) this.player[i] = new PlayerData();
@@ -282,6 +335,8 @@ var Game = function(){
 		
 		// Initialize history for replay
 		this.his_c = 0;  // Reset history counter
+		this.undos = new Array();  // No attacks taken back yet
+		this.battle_deck = {};  // Fresh outcome decks for the new game
 		// Record initial state of each territory
 		for( i=0; i<this.AREA_MAX; i++ ){
 			this.his_arm[i] = this.adat[i].arm;   // Initial ownership
@@ -379,13 +434,19 @@ var Game = function(){
 	this.make_map = function(){
 		var i,j,k,c,an;
 		
+		// Use the ES6 map generator when loaded: it follows the configured map options
+		if( typeof makeMap === 'function' ){
+			makeMap( this, this.mapOptions );
+			return;
+		}
+		
 		//--------------------------------------------------------
 		// RANDOMIZATION AND INITIALIZATION
 		//--------------------------------------------------------
 		
 		// Randomize cell order for territory generation
 		for( i=0; i<this.cel_max; i++ ){
-			var r = Math.floor(Math.random()*this.cel_max);
+			var r = Math.floor(this.rng()*this.cel_max);
 			var tmp=this.num[i]; this.num[i]=this.num[r]; this.num[r]=tmp;
 		}
 		
@@ -399,7 +460,7 @@ var Game = function(){
 		var an = 1;	                   // Territory ID counter
 		
 		// Pick a random starting cell and mark it available for territory growth
-		this.rcel[Math.floor(Math.random()*this.cel_max)] = 1;
+		this.rcel[Math.floor(this.rng()*this.cel_max)] = 1;
 		
 		while( 1 ){
 			// Determine penetration start cell
@@ -434,7 +495,7 @@ var Game = function(){
 			if( f==0 ) this.cel[i] = a;
 		}
 		// Initialize area data
-		for( i=0; i<this.AREA_MAX; i++ ) this.adat[i] = new AreaData();
+		for( i=0; i<this.AREA_MAX; i++ ) this.adat[i] = new AreaData( this.AREA_MAX );
 
 		// Area size
 		for( i=0; i<this.cel_max; i++ ){
@@ -521,7 +582,7 @@ var Game = function(){
 				c++;
 			}
 			if( c==0 ) break;
-			var an = alist[Math.floor(Math.random()%c)];
+			var an = alist[Math.floor(this.rng()%c)];
 			this.adat[an].arm = arm;
 			arm++; if( arm>=this.pmax ) arm=0;
 		}
@@ -558,12 +619,12 @@ var Game = function(){
 			for( j=1; j<this.AREA_MAX; j++ ){
 				if( this.adat[j].size == 0 ) continue;
 				if( this.adat[j].arm != p ) continue;
-				if( this.adat[j].dice >= 8 ) continue;
+				if( this.adat[j].dice >= this.rules.maxDice ) continue;
 				list[c] = j;
 				c++;
 			}
 			if( c==0 ) break;
-			var an = list[Math.floor(Math.random()*c)];
+			var an = list[Math.floor(this.rng()*c)];
 			this.adat[an].dice++;
 			p++; if( p>=this.pmax ) p=0;
 		}
@@ -689,14 +750,11 @@ var Game = function(){
 	}
 
 	/**
-	 * Execute Computer Player Move
+	 * Get the AI Function of the Current Player
 	 * 
-	 * Delegates to the appropriate AI strategy function for the current player.
-	 * Each AI function receives the game state and returns its move decision.
-	 * 
-	 * @returns {number} Return value from the AI (0 to end turn, non-zero to continue)
+	 * @returns {Function|null} The player's AI, ai_default as a fallback, or null when there is none
 	 */
-	this.com_thinking = function() {
+	this.com_ai = function() {
 		// Get the current player number
 		var currentPlayer = this.jun[this.ban];
 		
@@ -723,29 +781,53 @@ var Game = function(){
 			} else {
 				// If no fallback available, end the turn
 				console.error('No fallback AI available, ending turn');
-				return 0;
+				return null;
 			}
 		}
 		
+		return ai_function;
+	}
+
+	/**
+	 * Execute Computer Player Move
+	 * 
+	 * Delegates to the appropriate AI strategy function for the current player.
+	 * Each AI function receives the game state and returns its move decision.
+	 * main.js asks window.requestAIMove instead where the ES6 modules are loaded,
+	 * so the decision can be made in a Web Worker.
+	 * 
+	 * @returns {number} Return value from the AI (0 to end turn, non-zero to continue)
+	 */
+	this.com_thinking = function() {
+		var ai_function = this.com_ai();
+		
 		// Call the AI function, passing the game state
-		return ai_function(this);
+		return ai_function ? ai_function(this) : 0;
 	}
 
 	/**
 	 * Record Action in History
 	 * 
 	 * Adds an entry to the game history for replay purposes.
+	 * The acting player and turn default to the current ones.
 	 * 
 	 * @param {number} from - Source territory index
 	 * @param {number} to - Target territory (or 0 for reinforcement)
 	 * @param {number} res - Result (0=attack failed, 1=attack succeeded)
+	 * @param {Object} [details] - Other HistoryData fields (rolls, from_dice, to_dice, supply)
 	 */
-	this.set_his = function( from, to, res ){
+	this.set_his = function( from, to, res, details ){
 		// Create a new history entry
-		this.his[this.his_c] = new HistoryData();
-		this.his[this.his_c].from = from;
-		this.his[this.his_c].to = to;
-		this.his[this.his_c].res = res;
+		var h = new HistoryData();
+		h.player = this.jun[this.ban];
+		h.turn = this.turn_c;
+		if( details ){
+			for( var key in details ) h[key] = details[key];
+		}
+		h.from = from;
+		h.to = to;
+		h.res = res;
+		this.his[this.his_c] = h;
 		
 		// Increment history counter
 		this.his_c++;
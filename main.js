@@ -8,6 +8,9 @@ var click_func = new Function();	click_func = null;      // Called on mouse down
 var move_func = new Function();		move_func = null;       // Called on mouse move
 var release_func = new Function();	release_func = null;   // Called on mouse up
 var waitcount=0;          // Counter for timing/animation delays
+var com_move=null;        // AI decision { endTurn, from, to } (null while the AI is thinking)
+var com_started=0;        // When the AI started thinking (0 once its decision is handled)
+var com_request=0;        // Counter of AI decisions asked for, so late answers are ignored
 var stat=0;               // General state variable used in state machines
 
 // Main game object - contains all game logic and state
@@ -31,6 +34,8 @@ var nume = 1;        // Numerator for scaling ratio (scales up)
 var deno = 1;        // Denominator for scaling ratio (scales down)
 var view_w,view_h;   // Actual display dimensions after scaling
 var cel_w,cel_h;	 // Cell size after scaling (hexagonal grid cells)
+var board_scale = 1; // Cell size relative to the classic 28x32 board (see layout_board)
+var dice_scale = 1;	 // Dice size relative to the classic board (only scaled down)
 var ypos_mes;		 // Y-position for messages and battle dice display
 var ypos_arm;		 // Y-position for player status indicators
 var dot;			 // Size of 1 dot after scaling (for line thickness)
@@ -47,6 +52,7 @@ var sn_area = 0;       // Area shapes (territories)
 var sn_from = 0;       // Highlight for attacking territory
 var sn_to = 0;         // Highlight for defending territory
 var sn_dice = 0;       // Dice display for each territory
+var sn_odds = 0;       // Attack odds overlay
 var sn_info = 0;       // First sprite index after map elements (UI elements start here)
 var sn_ban = 0;        // Current player indicator
 var sn_player = 0;     // Player status indicators
@@ -61,6 +67,9 @@ var sn_mes = 0;        // Message display
 var sn_btn = 0;        // Button sprites
 var sn_max = 0;        // Total number of sprites
 
+// Territories the board has sprites for (the largest territoriesCount the configuration allows)
+var area_max = 128;
+
 // Area ordering and mapping arrays
 var prio = new Array();		// Display order of area dice (for proper z-ordering)
 var an2sn = new Array();	// Maps area numbers to sprite indices for quick lookup
@@ -82,12 +91,29 @@ var Battle = function(){
 }
 var battle = new Array();   // Array holding Battle instances for attacker and defender
 var bturn = 0;	            // Battle animation turn (0 for attacker, 1 for defender)
+var battle_result = null;   // Dice and outcome from the configured battle mode, if available
 
 // History replay system
 var replay_c = 0;           // Current step in history replay
+var replay = null;          // Replay controller (seeking, pause and speed), if available
+var supply_his = 0;         // First history entry of the current reinforcement batch
+var supply_earned = 0;      // Dice earned in the current reinforcement batch
+
+// Map editor
+var editor = null;          // Map editor for the board on screen, if available
+var editor_tool = 0;        // Selected tool (0:paint 1:erase 2:owner 3:dice)
+var editor_brush = -1;      // Territory painted by the current stroke (0 erases, -1 when not drawing)
 
 // Game mode flags
 var spectate_mode = false;  // Flag for spectator mode (AI vs AI)
+var last_human = null;      // Human player who had the device last (hot-seat games)
+var net_client = null;      // Connection to the game server (network games)
+var turn_clock = null;      // Clock for human turns, if turns are timed
+var practice = null;        // Undo for the attacks of the turn (practice games)
+var game_live = false;      // Whether the game on screen reports its events (see game_event)
+var clock_used = null;      // Clock data of the turn that ended (for TURN_END)
+var sel_from = null;        // Selected areas last reported to the event system
+var sel_to = null;
 
 // Sound system
 var soundon = true;         // Flag for sound enabled/disabled
@@ -147,8 +173,6 @@ function init() {
 	view_h = Math.floor(org.view_h*nume/deno);
 	stage.canvas.width = view_w;
 	stage.canvas.height = view_h;
-	cel_w = org.cel_w*nume/deno;
-	cel_h = org.cel_h*nume/deno;
 	ypos_mes = org.ypos_mes*nume/deno;
 	ypos_arm = org.ypos_arm*nume/deno;
 	dot = 1*nume/deno;
@@ -159,31 +183,21 @@ function init() {
 	// Current sprite index counter for initialization
 	var sn = 0;
 
-	// Calculate pixel positions for each hexagonal cell in the grid
-	c=0;
-	for( i=0; i<game.YMAX; i++ ){
-		for( j=0; j<game.XMAX; j++ ){
-			cpos_x[c] = j*cel_w;
-			// Offset every other row to create hexagonal grid pattern
-			if( i%2 ) cpos_x[c] += cel_w/2;
-			cpos_y[c] = i*cel_h;
-			c++;
-		}
-	}
+	// Sprites for as many territories as any configured map can have
+	if( typeof MAP_LIMITS !== 'undefined' ) area_max = MAP_LIMITS.maxTerritories;
+	area_max = Math.max( area_max, game.AREA_MAX );
 	
 	// Create territory shape sprites - includes normal territories plus attack highlights
+	// (positioned for the game's grid by layout_board)
 	sn_area = sn;  // Store starting index of area shapes
-	for( i=0; i<game.AREA_MAX+2; i++ ){
+	for( i=0; i<area_max+2; i++ ){
 		spr[sn] = new createjs.Shape();
-		// Position the map in the center of the screen
-		spr[sn].x = view_w/2-game.XMAX*cel_w/2-cel_w/4;
-		spr[sn].y = 50*nume/deno;  // Top margin
 		stage.addChild(spr[sn]);
 		sn++;
 	}
 	// Set indices for the attack highlight shapes (source and target)
-	sn_from = sn_area + game.AREA_MAX;	// Sprite for highlighting attacking territory
-	sn_to = sn_area + game.AREA_MAX+1;	// Sprite for highlighting defending territory
+	sn_from = sn_area + area_max;	// Sprite for highlighting attacking territory
+	sn_to = sn_area + area_max+1;	// Sprite for highlighting defending territory
 	
 	// Create dice sprites for each territory
 	sn_dice = sn;  // Store starting index of dice sprites
@@ -196,14 +210,23 @@ function init() {
 	var spritesheet = builder.build();
 	
 	// Create sprites for each territory's dice
-	for( i=0; i<game.AREA_MAX; i++ ){
+	for( i=0; i<area_max; i++ ){
 		spr[sn] = new createjs.Sprite(spritesheet);
 		stage.addChild(spr[sn]);
 		sn++;
 	}
 	
+	// Attack odds overlay, drawn over the map in the same coordinates as the areas
+	sn_odds = sn;
+	spr[sn] = new createjs.Container();
+	stage.addChild(spr[sn]);
+	sn++;
+	
+	// Cell positions and map placement for the game's grid
+	layout_board();
+	
 	// Initialize area display order array (for proper z-ordering of dice)
-	for( i=0; i<game.AREA_MAX; i++ ){
+	for( i=0; i<area_max; i++ ){
 		prio[i] = new Object();
 		prio[i].an = i;  // Area number
 		prio[i].cpos = 0;  // Center position (will be set later during map generation)
@@ -246,6 +269,23 @@ function init() {
 		txt2.y = 28;
 		spr[sn].addChildAt(txt2,2);
 		
+		// Add player label (hot-seat games), outlined so light colors stay readable
+		var txt3 = new createjs.Text("", "18px Anton", "Black")
+		txt3.textAlign = "center";
+		txt3.textBaseline = "middle";
+		txt3.x = -10;
+		txt3.y = -30;
+		txt3.shadow = new createjs.Shadow("#000000",1,1,0);
+		spr[sn].addChildAt(txt3,3);
+		
+		// Add time left on the turn clock
+		var txt4 = new createjs.Text("", "16px Anton", "Black")
+		txt4.textAlign = "center";
+		txt4.textBaseline = "middle";
+		txt4.x = -10;
+		txt4.y = 48;
+		spr[sn].addChildAt(txt4,4);
+		
 		// Add to stage and apply scaling
 		stage.addChild(spr[sn]);
 		spr[sn].scaleX = nume/deno;
@@ -301,7 +341,7 @@ function init() {
 	spr[sn].scaleX = spr[sn].scaleY = nume/deno;
 	
 	// Create sprites for each possible reinforcement die
-	for( i=0; i<game.STOCK_MAX; i++ ){
+	for( i=0; i<game.rules.stockMax; i++ ){
 		var sd = new lib.mc();  // Dice sprite
 		var w = 40;             // Base spacing unit
 		
@@ -389,7 +429,7 @@ function init() {
 	sn++;
 	
 	// Create game buttons
-	var btxt = ["START","AI vs AI","YES","NO","END TURN","TITLE","HISTORY","SPECTATE"];
+	var btxt = ["START","AI vs AI","YES","NO","END TURN","TITLE","HISTORY","SPECTATE","SAVE","RESUME","SHARE","<<","<","PAUSE",">",">>","1x","EDIT","PAINT","ERASE","OWNER","DICE","NEW","EXPORT","IMPORT","PLAY","READY","UNDO"];
 	bmax = btxt.length;  // Store total number of buttons
 	sn_btn = sn;         // Store starting index of button sprites
 	
@@ -409,10 +449,10 @@ function init() {
 		txt.textBaseline = "middle";
 		spr[sn].addChildAt(txt,1);
 		
-		// Add to stage and apply scaling
+		// Add to stage and apply scaling (replay and editor controls are smaller to fit in one row)
 		stage.addChild(spr[sn]);
-		spr[sn].scaleX = nume/deno;
-		spr[sn].scaleY = nume/deno;
+		spr[sn].scaleX = nume/deno * ( i>=11 && i<=25 ? 0.55 : 1 );
+		spr[sn].scaleY = nume/deno * ( i>=11 && i<=25 ? 0.55 : 1 );
 		spr[sn].visible = true;
 		sn++;
 		
@@ -601,7 +641,7 @@ function fake_loading(){
 	waitcount--;
 	if( waitcount<=0 ){
 		timer_func = null;
-		start_title();
+		if( !open_shared_replay() && !join_network_game() ) start_title();
 	}
 }
 
@@ -612,6 +652,15 @@ function fake_loading(){
 function start_title(){
         var i;
 
+        // A game left for the title screen ends here
+        if( game_live ) end_game("abandoned");
+
+        // Leave the network game, if any
+        if( net_client ){
+                net_client.close();
+                net_client = null;
+        }
+
         for( i=0; i<sn_max; i++ ) spr[i].visible = false;
 
         // Initialize game speed variables and update spectator mode from config
@@ -655,6 +704,14 @@ function start_title(){
 	spr[sn_btn+1].y = resize(490);
 	spr[sn_btn+1].visible = true;
 	btn_func[1] = toppage;
+	
+	// Offer to resume a saved game
+	if( typeof hasSavedGame === 'function' && hasSavedGame() ){
+		spr[sn_btn+9].x = resize(640);
+		spr[sn_btn+9].y = resize(590);
+		spr[sn_btn+9].visible = true;
+		btn_func[9] = resume_game;
+	}
 
 	stage.update();
 
@@ -706,12 +763,96 @@ function make_map(){
 	
 	for( i=0; i<sn_max; i++ ) spr[i].visible = false;
 
+	// Make the map on the configured grid with the configured map options
+	if( typeof applyMapConfig === 'function' ) applyMapConfig(game);
+	// Seed before the board is drawn, so a seeded game reproduces its map too
+	if( typeof getConfig === 'function' && typeof game.setSeed === 'function' ) game.setSeed(getConfig().seed);
 	game.make_map();
+	draw_board();
+
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = "Play this board?";
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "left";
+	spr[sn_mes].x = view_w*0.1;
+	spr[sn_mes].y = ypos_mes;
+
+	// Button
+	spr[sn_btn+2].x = resize(500);
+	spr[sn_btn+2].y = ypos_mes;
+	spr[sn_btn+2].visible = true;
+	btn_func[2] = start_game;
+	spr[sn_btn+3].x = resize(650);
+	spr[sn_btn+3].y = ypos_mes;
+	spr[sn_btn+3].visible = true;
+	btn_func[3] = make_map;
+	
+	// Offer to edit the board
+	if( typeof MapEditor === 'function' ){
+		spr[sn_btn+17].x = resize(780);
+		spr[sn_btn+17].y = ypos_mes;
+		spr[sn_btn+17].visible = true;
+		btn_func[17] = start_editor;
+	}
+	
+	stage.update();	
+	
+	timer_func = null;
+	click_func = null;
+	move_func = null;
+	releaese_func = null;	
+}
+
+// Fit the board to the map area of the screen for the game's grid size
+function layout_board(){
+	var i,j,c;
+	
+	// The classic 28x32 grid fills the map area; other grids are scaled to fit it
+	board_scale = Math.min( 28.5/(game.XMAX+0.5), 32/game.YMAX, 1.5 );
+	dice_scale = Math.min( board_scale, 1 );
+	cel_w = org.cel_w*board_scale*nume/deno;
+	cel_h = org.cel_h*board_scale*nume/deno;
+	
+	// Calculate pixel positions for each hexagonal cell in the grid
+	c=0;
+	for( i=0; i<game.YMAX; i++ ){
+		for( j=0; j<game.XMAX; j++ ){
+			cpos_x[c] = j*cel_w;
+			// Offset every other row to create hexagonal grid pattern
+			if( i%2 ) cpos_x[c] += cel_w/2;
+			cpos_y[c] = i*cel_h;
+			c++;
+		}
+	}
+	
+	// Center the map in the map area, below the top margin
+	for( i=0; i<area_max+2; i++ ){
+		spr[sn_area+i].x = view_w/2-game.XMAX*cel_w/2-cel_w/4;
+		spr[sn_area+i].y = (50+(32-game.YMAX*board_scale)*org.cel_h/2)*nume/deno;
+	}
+	spr[sn_odds].x = spr[sn_area].x;
+	spr[sn_odds].y = spr[sn_area].y;
+	
+	for( i=0; i<area_max; i++ ){
+		spr[sn_dice+i].scaleX = spr[sn_dice+i].scaleY = dice_scale;
+	}
+}
+
+// Draw the areas and dice of the current map
+function draw_board(){
+	var i,j,n;
+	
+	// The grid may have changed since the last board (configuration, loaded maps)
+	layout_board();
+	for( i=game.AREA_MAX; i<area_max; i++ ){
+		spr[sn_area+i].visible = false;
+		spr[sn_dice+i].visible = false;
+	}
 	
 	// Dice display order
 	for( i=0; i<game.AREA_MAX; i++ ){
-		n = prio[i].an;
-		prio[i].cpos = game.adat[n].cpos;
+		prio[i].an = i;
+		prio[i].cpos = game.adat[i].cpos;
 	}
 	for( i=0; i<game.AREA_MAX-1; i++ ){
 		for( j=i; j<game.AREA_MAX; j++ ){
@@ -735,33 +876,9 @@ function make_map(){
 	for( i=0; i<game.AREA_MAX; i++ ){
 		draw_areadice(sn_dice+i,prio[i].an);
 	}
-
-	spr[sn_mes].visible = true;
-	spr[sn_mes].text = "Play this board?";
-	spr[sn_mes].color = "#000000";
-	spr[sn_mes].textAlign = "left";
-	spr[sn_mes].x = view_w*0.1;
-	spr[sn_mes].y = ypos_mes;
-
-	// Button
-	spr[sn_btn+2].x = resize(500);
-	spr[sn_btn+2].y = ypos_mes;
-	spr[sn_btn+2].visible = true;
-	btn_func[2] = start_game;
-	spr[sn_btn+3].x = resize(650);
-	spr[sn_btn+3].y = ypos_mes;
-	spr[sn_btn+3].visible = true;
-	btn_func[3] = make_map;
-	
-	stage.update();	
-	
-	timer_func = null;
-	click_func = null;
-	move_func = null;
-	releaese_func = null;	
+	map_updated(null);
 }
 
-
 function draw_areashape( sn, area, paint_mode ){
 	var i,j;
 
@@ -776,7 +893,7 @@ function draw_areashape( sn, area, paint_mode ){
 	var d = game.adat[area].line_dir[cnt];
 	var ax = [cel_w/2,cel_w,cel_w,cel_w/2,0,0,cel_w/2];
 	var ax_left = [cel_w/2,cel_w,cel_w,cel_w/2,-cel_w/2,-cel_w/2,cel_w/2];
-	var s = 3*nume/deno;
+	var s = 3*board_scale*nume/deno;
 	var ay = [-s,s,cel_h-s,cel_h+s,cel_h-s,s,-s];
 	var ay_top = [-cel_h/2,-cel_h/2,cel_h-s,cel_h+s,cel_h-s,-cel_h/2,-cel_h/2];
 	var line_color = "#222244";
@@ -785,11 +902,11 @@ function draw_areashape( sn, area, paint_mode ){
 	var armcolor = ["#b37ffe","#b3ff01","#009302","#ff7ffe","#ff7f01","#b3fffe","#ffff01","#ff5858"];
 	var color = armcolor[game.adat[area].arm];
 	if( paint_mode ) color = "#000000";
-	spr[sn].graphics.setStrokeStyle(4*nume/deno,"round","round").beginFill(color);
+	spr[sn].graphics.setStrokeStyle(4*dice_scale*nume/deno,"round","round").beginFill(color);
 	var px=ax[d];
 	var py=ay[d];
 	spr[sn].graphics.moveTo( cpos_x[c]+px, cpos_y[c]+py );
-	for( var i=0; i<100; i++ ){
+	for( var i=0; i<game.adat[area].line_cel.length; i++ ){
 		// Draw the line first
 		var px=ax[d+1];
 		var py=ay[d+1];
@@ -808,10 +925,182 @@ function draw_areadice(sn,area){
 		return;
 	}
 	spr[sn].visible = true;
+	// Dice keep their place on the cell when cells and dice are scaled
 	var n = game.adat[area].cpos;
-	spr[sn].x = Math.floor(cpos_x[n] + 6*nume/deno);
-	spr[sn].y = Math.floor(cpos_y[n] - 10*nume/deno);
-	spr[sn].gotoAndStop(game.adat[area].arm*10+game.adat[area].dice-1);
+	var d = dice_scale*nume/deno;
+	spr[sn].x = Math.floor(cpos_x[n] + (cel_w-org.cel_w*d)/2 + 6*d);
+	spr[sn].y = Math.floor(cpos_y[n] + (cel_h-org.cel_h*d)/2 - 10*d);
+	spr[sn].gotoAndStop(game.adat[area].arm*10+Math.min(game.adat[area].dice,8)-1);	// Dice art goes up to 8
+}
+
+////////////////////////////////////////////////////
+// Map editor
+////////////////////////////////////////////////////
+
+// Edit the board on screen: paint territories, erase to sea, set owners and dice
+function start_editor(){
+	var i;
+	
+	for( i=0; i<sn_max; i++ ) spr[i].visible = false;
+	editor = new MapEditor(game);
+	
+	// Title button in the top-left corner
+	spr[sn_btn+5].x = resize(60);
+	spr[sn_btn+5].y = resize(25);
+	spr[sn_btn+5].visible = true;
+	btn_func[5] = close_editor;
+	
+	// Tools and actions in one row
+	var funcs = [editor_tool_func(0),editor_tool_func(1),editor_tool_func(2),editor_tool_func(3),editor_new,editor_export,editor_import,editor_play];
+	for( i=0; i<funcs.length; i++ ){
+		spr[sn_btn+18+i].x = view_w/2 + resize(95)*(i-3.5);
+		spr[sn_btn+18+i].y = view_h*0.88;
+		spr[sn_btn+18+i].visible = true;
+		btn_func[18+i] = funcs[i];
+	}
+	
+	set_editor_tool(editor_tool);
+	editor_redraw();
+	
+	timer_func = null;
+	click_func = editor_press;
+	move_func = editor_drag;
+	release_func = editor_release;
+}
+
+function close_editor(){
+	editor = null;
+	release_func = null;
+	start_title();
+}
+
+function editor_tool_func(tool){
+	return function(){ set_editor_tool(tool); };
+}
+
+// Select a tool and mark its button
+function set_editor_tool(tool){
+	editor_tool = tool;
+	for( var i=0; i<4; i++ ){
+		spr[sn_btn+18+i].getChildAt(1).color = (i==tool)?"#aa0000":"Black";
+	}
+	stage.update();
+}
+
+// Cell under the mouse, or -1 off the grid
+function editor_cell(){
+	var pt = spr[sn_area].globalToLocal(stage.mouseX, stage.mouseY);
+	var y = Math.floor(pt.y/cel_h);
+	var x = Math.floor((pt.x-(y%2)*cel_w/2)/cel_w);
+	return editor.cellAt(x,y);
+}
+
+function editor_press(){
+	if( activebutton>=0 ) return;	// Clicking a button, not the map
+	var c = editor_cell();
+	if( c<0 ) return;
+	var an = editor.cel[c];
+	
+	if( editor_tool==0 ){
+		// Paint the territory the stroke starts in, or a new one when starting at sea
+		editor_brush = (an>0) ? an : editor.nextArea();
+		if( editor_brush<0 ){
+			show_editor_status("Every territory is in use");
+			return;
+		}
+		editor_drag();
+		return;
+	}
+	if( editor_tool==1 ){
+		editor_brush = 0;
+		editor_drag();
+		return;
+	}
+	if( an==0 ) return;
+	if( editor_tool==2 ){
+		editor.setOwner(an,(editor.arm[an]+1)%editor.pmax);
+	}else{
+		editor.setDice(an,(editor.dice[an]>=game.rules.maxDice)?1:editor.dice[an]+1);
+	}
+	playSound("snd_click");
+	editor_redraw();
+}
+
+function editor_drag(){
+	if( editor_brush<0 ) return;
+	var c = editor_cell();
+	if( c<0 || editor.cel[c]==editor_brush ) return;
+	if( editor_brush>0 ) editor.paint(c,editor_brush); else editor.erase(c);
+	editor_redraw();
+}
+
+function editor_release(){
+	editor_brush = -1;
+}
+
+// Start again from an empty sea
+function editor_new(){
+	editor = new MapEditor(game,{blank:true});
+	editor_redraw();
+}
+
+function editor_export(){
+	var json = JSON.stringify(editor.toJSON());
+	
+	if( navigator.clipboard && navigator.clipboard.writeText ){
+		navigator.clipboard.writeText(json).then(function(){
+			show_editor_status("Map copied.");
+		}, function(){
+			window.prompt("Map", json);
+		});
+	}else{
+		window.prompt("Map", json);
+	}
+}
+
+function editor_import(){
+	var json = window.prompt("Paste a map", "");
+	if( !json ) return;
+	
+	try{
+		editor = MapEditor.fromMap(game, json);
+	}catch(e){
+		console.warn('Failed to import map', e);
+		show_editor_status(e.message);
+		return;
+	}
+	editor_redraw();
+}
+
+// Play the board if it is valid
+function editor_play(){
+	var problems = editor.validate();
+	if( problems.length ){
+		show_editor_status(problems[0]);
+		return;
+	}
+	editor.apply();
+	editor = null;
+	release_func = null;
+	start_game();
+}
+
+// Redraw the board and show whether it is playable
+function editor_redraw(){
+	editor.preview();
+	draw_board();
+	var problems = editor.validate();
+	show_editor_status( problems.length ? problems[0] : "Ready to play" );
+}
+
+function show_editor_status(text){
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = text;
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "center";
+	spr[sn_mes].x = view_w/2;
+	spr[sn_mes].y = ypos_mes;
+	stage.update();
 }
 
 ////////////////////////////////////////////////////
@@ -822,12 +1111,22 @@ async function start_game(){
         // Apply configuration from modern modules if available
         if (typeof applyGameConfig === 'function') {
                 try {
-                        await applyGameConfig(game);
+                        // The board is already made (generated, edited or loaded): keep its grid,
+                        // and the random source seeded in make_map where the board left it
+                        await applyGameConfig(game, Object.assign(getConfig(), {
+                                mapWidth: game.XMAX,
+                                mapHeight: game.YMAX,
+                                territoriesCount: game.AREA_MAX,
+                                seed: null
+                        }));
                 } catch (error) {
                         console.error('Failed to apply game configuration:', error);
                 }
         }
 
+        // The dice art and the battle display have room for 8 dice per territory
+        if (game.rules.maxDice > 8) game.rules.maxDice = 8;
+
         // Determine active configuration
         var cfg = typeof getConfig === 'function'
                 ? getConfig()
@@ -836,6 +1135,7 @@ async function start_game(){
         if (cfg.humanPlayerIndex === null) {
                 // AI vs AI mode
                 game.user = null;
+                game.humans = [];
                 spectate_mode = true;
 
                 if (typeof cfg.spectatorSpeedMultiplier === 'number') {
@@ -844,10 +1144,20 @@ async function start_game(){
         } else {
                 // Normal mode with human player
                 game.user = cfg.humanPlayerIndex || 0;
+                // applyGameConfig sets every human seat (several for hot-seat games)
+                if (!game.humans || game.humans.length == 0) game.humans = [game.user];
                 spectate_mode = false;
         }
+        last_human = null;
+        turn_clock = ( !spectate_mode && typeof createTurnClock === 'function' )
+                ? createTurnClock(cfg.turnClock, { players: game.humans })
+                : null;
+        practice = ( !spectate_mode && typeof createPracticeUndo === 'function' )
+                ? createPracticeUndo(game, cfg.practice)
+                : null;
 	
 	game.start_game();
+	begin_game(false);
 	start_player();
 }
 
@@ -881,6 +1191,13 @@ function draw_player_data(){
 		spr[sn].getChildAt(2).text = "";
 		if( game.player[p].stock>0 ) spr[sn].getChildAt(2).text = ""+game.player[p].stock;
 		
+		// Player label in the player's color (hot-seat games)
+		spr[sn].getChildAt(3).text = ( typeof getPlayerLabel === 'function' ) ? getPlayerLabel(game,p) : "";
+		spr[sn].getChildAt(3).color = ( typeof getPlayerColor === 'function' ) ? getPlayerColor(p) : "Black";
+		
+		// Time left on the turn clock
+		spr[sn].getChildAt(4).text = turn_clock ? turn_clock.getText(p) : "";
+		
 		// Show current player marker
 		if( i==game.ban ){
 			spr[sn_ban].x = ox;
@@ -902,12 +1219,71 @@ function draw_player_data(){
 	}
 }
 
+////////////////////////////////////////////////////
+// Game events
+////////////////////////////////////////////////////
+
+// Report the game to the ES6 event system (see "Game Events" in src/README.md),
+// e.g. game_event("emitTurnEnd",{ reinforcements: 3 }). Only a game played here
+// reports: network games get the server's events, and a lost game that is
+// spectated to its end has already ended.
+function game_event(name){
+	if( !game_live || typeof window[name] !== 'function' ) return;
+	var args = [game];
+	for( var i=1; i<arguments.length; i++ ) args.push(arguments[i]);
+	window[name].apply(null,args);
+}
+
+// A new or resumed game starts with the current player's turn
+function begin_game(resumed){
+	game_live = true;
+	game_event("emitGameStart",{ resumed: resumed });
+	begin_turn();
+}
+
+// The current player's turn starts
+function begin_turn(){
+	var pn = game.jun[game.ban];
+	game_event("emitTurnStart",{ clock: turn_clock && turn_clock.isTimed(pn) ? turn_clock.getData(pn) : null });
+}
+
+// The game is over: "victory" when one player is left, "eliminated" when every
+// human player has lost, or the reason given
+function end_game(reason){
+	var winner = null;
+	var c = 0;
+	for( var i=0; i<game.pmax; i++ ){
+		if( game.player[i].area_tc==0 ) continue;
+		winner = i;
+		c++;
+	}
+	if( c==1 ) game_event("emitPlayerVictory",winner);
+	game_event("emitGameEnd",( c==1 ) ? winner : null,reason || (( c==1 ) ? "victory" : "eliminated"));
+	game_live = false;
+}
+
+// Areas on screen changed (null: the whole board)
+function map_updated(areas){
+	if( typeof emitMapUpdated === 'function' ) emitMapUpdated(game,areas);
+}
+
+// Areas selected for an attack (null: none)
+function set_selection(from,to){
+	if( from===sel_from && to===sel_to ) return;
+	sel_from = from;
+	sel_to = to;
+	if( typeof emitSelectionChanged === 'function' ) emitSelectionChanged(game,from,to);
+}
+
 ////////////////////////////////////////////////////
 // Turn started
 ////////////////////////////////////////////////////
 
 function start_player(){
 	
+	// Attacks can only be taken back in the turn they were made
+	if( practice ) practice.clear();
+	
 	for( var i=sn_info; i<sn_max; i++ ){
 		spr[i].visible = false;
 	}
@@ -925,19 +1301,83 @@ function start_player(){
 		draw_player_data();
 	}
 	
-	if( game.jun[game.ban] == game.user && !spectate_mode ){
-		start_man();
+	if( is_human_turn() ){
+		// Hot-seat games hand the device over between different human players
+		if( typeof needsHandoff === 'function' && needsHandoff(game,game.jun[game.ban],last_human) ){
+			start_handoff();
+		}else{
+			start_man();
+		}
 	} else {
 		start_com();
 	}
 }
 
+// Whether the current player is played by a person at this device
+function is_human_turn(){
+	if( spectate_mode ) return false;
+	var pn = game.jun[game.ban];
+	if( game.humans ) return game.humans.indexOf(pn) >= 0;
+	return pn == game.user;
+}
+
+// Whether any human player still has territories
+function human_alive(){
+	var humans = game.humans || [game.user];
+	for( var i=0; i<humans.length; i++ ){
+		if( humans[i] !== null && game.player[humans[i]].area_tc>0 ) return true;
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////
+// Pass the device to the next human player (hot-seat games)
+////////////////////////////////////////////////////
+
+function start_handoff(){
+	var pn = game.jun[game.ban];
+	
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = "Pass the device to "+getPlayerName(pn)+", then press READY.";
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "left";
+	spr[sn_mes].x = view_w*0.05;
+	spr[sn_mes].y = ypos_mes;
+	
+	// Button
+	activebutton = -1;
+	spr[sn_btn+26].x = view_w-100*nume/deno;
+	spr[sn_btn+26].y = ypos_mes;
+	spr[sn_btn+26].visible = true;
+	btn_func[26] = end_handoff;
+	
+	spr[sn_from].visible = false;
+	spr[sn_to].visible = false;
+	hide_odds();
+	stage.update();
+	
+	timer_func = null;
+	click_func = null;
+	move_func = null;
+	releaese_func = null;
+}
+
+function end_handoff(){
+	spr[sn_btn+26].visible = false;
+	start_man();
+}
+
 ////////////////////////////////////////////////////
 // Start player action
 ////////////////////////////////////////////////////
 
 function start_man(){
 	
+	last_human = game.jun[game.ban];
+	
+	// The clock runs from the first time the player can move until the turn ends
+	if( turn_clock && !turn_clock.running ) turn_clock.start(game.jun[game.ban]);
+	
 	spr[sn_mes].visible = true;
 	spr[sn_mes].text = "1. Click your area. 2. Click neighbor to attack.";
 	spr[sn_mes].color = "#000000";
@@ -952,16 +1392,70 @@ function start_man(){
 	spr[sn_btn+4].visible = true;
 	btn_func[4] = end_turn;
 	
+	// Save button (only when the save system is available; the server keeps network games)
+	if( typeof saveGame === 'function' && !net_client ){
+		spr[sn_btn+8].x = view_w-100*nume/deno;
+		spr[sn_btn+8].y = resize(25);
+		spr[sn_btn+8].visible = true;
+		btn_func[8] = save_game;
+	}
+	
+	// Undo button (practice games, after an attack)
+	spr[sn_btn+27].visible = false;
+	if( practice && practice.canUndo ){
+		spr[sn_btn+27].x = view_w-100*nume/deno-resize(190);
+		spr[sn_btn+27].y = resize(25);
+		spr[sn_btn+27].visible = true;
+		btn_func[27] = undo_attack;
+	}
+	
 	spr[sn_from].visible = false;
 	spr[sn_to].visible = false;
+	set_selection(null,null);
+	hide_odds();
 	stage.update();
 	
-	timer_func = null;
+	timer_func = turn_clock ? tick_clock : null;
 	click_func = first_click;
-	move_func = null;
+	move_func = hover_from;
 	releaese_func = null;	
 }
 
+// Count down the turn clock, and end the turn when time runs out
+function tick_clock(){
+	if( !turn_clock.running ) return;
+	if( turn_clock.expired ){
+		end_turn();
+		return;
+	}
+	var t = spr[sn_player+game.ban].getChildAt(4);
+	var text = turn_clock.getText(game.jun[game.ban]);
+	if( t.text==text ) return;
+	t.text = text;
+	stage.update();
+}
+
+// Take back the last attack of the turn (practice games)
+function undo_attack(){
+	var undone = practice.undo();
+	if( !undone ) return;
+	
+	battle_result = null;
+	spr[sn_battle].visible = false;
+	draw_areashape(sn_area+undone.to,undone.to,0);
+	draw_areadice(an2sn[undone.from],undone.from);
+	draw_areadice(an2sn[undone.to],undone.to);
+	map_updated([undone.from,undone.to]);
+	draw_player_data();
+	playSound("snd_click");
+	start_man();
+}
+
+// Stop the clock of a turn that ends
+function stop_clock(){
+	if( turn_clock && turn_clock.running ) clock_used = turn_clock.stop();
+}
+
 // Get clicked area
 function clicked_area(){
 	var i,sn;
@@ -984,21 +1478,25 @@ function clicked_area(){
 
 // First click
 function first_click(){
+	if( activebutton>=0 ) return;	// Clicking a button, not an area
 	var p = game.jun[game.ban];
 	var an = clicked_area();
 	if( an<0 ) return;
 	if( game.adat[an].arm != p ) return;
-	if( game.adat[an].dice<=1 ) return;
+	if( game.adat[an].dice < game.rules.minAttackDice ) return;
 
 	spr[sn_mes].visible = false;
 		
 	game.area_from = an;
 	draw_areashape(sn_from,an,1);
+	set_selection(an,null);
+	show_odds(an);
 
 	playSound("snd_click");
 
 	stage.update();
 	click_func = second_click;
+	move_func = hover_to;
 }
 
 // Second click
@@ -1017,27 +1515,164 @@ function second_click(){
 	
 	game.area_to = an;
 	draw_areashape(sn_to,an,1);
+	set_selection(game.area_from,an);
+	hide_odds();
+	spr[sn_mes].visible = false;
+	move_func = null;
 	stage.update();
 	playSound("snd_click");
+	if( net_client ){
+		// The server plays the attack and sends the result
+		click_func = null;
+		net_client.attack(game.area_from,game.area_to);
+		return;
+	}
+	if( practice ) practice.push();
 	start_battle();
 }
 
+////////////////////////////////////////////////////
+// Attack odds overlay
+////////////////////////////////////////////////////
+
+var odds_area = -1;         // Area whose attack odds are shown
+var odds_preview = null;    // Attack preview for that area
+
+// Whether the odds overlay is available and turned on in the configuration
+function odds_enabled(){
+	if( typeof getAttackPreview !== 'function' || typeof createOddsOverlay !== 'function' ) return false;
+	return typeof getConfig !== 'function' || getConfig().showProbabilities !== false;
+}
+
+// Label position for an area: just below its dice
+function odds_position(an){
+	var c = game.adat[an].cpos;
+	return { x: cpos_x[c]+cel_w/2, y: cpos_y[c]+cel_h*1.5 };
+}
+
+// Show the odds of every attack from an area, and the risk of leaving it with one die
+function show_odds(an){
+	if( an==odds_area && spr[sn_odds].visible ) return;
+	hide_odds();
+	if( !odds_enabled() ) return;
+	var preview = getAttackPreview(game,an);
+	if( !preview || preview.targets.length==0 ) return;
+	
+	var positions = {};
+	positions[an] = odds_position(an);
+	for( var i=0; i<preview.targets.length; i++ ){
+		positions[preview.targets[i].to] = odds_position(preview.targets[i].to);
+	}
+	spr[sn_odds].addChild(createOddsOverlay(preview,positions,nume/deno));
+	spr[sn_odds].visible = true;
+	odds_area = an;
+	odds_preview = preview;
+}
+
+function hide_odds(){
+	spr[sn_odds].removeAllChildren();
+	spr[sn_odds].visible = false;
+	odds_area = -1;
+	odds_preview = null;
+}
+
+// Before choosing an area: preview the odds of the area under the mouse
+function hover_from(){
+	var p = game.jun[game.ban];
+	var an = clicked_area();
+	var shown = odds_area;
+	if( an>=0 && game.adat[an].arm==p && game.adat[an].dice>=game.rules.minAttackDice ){
+		show_odds(an);
+	}else{
+		hide_odds();
+	}
+	if( odds_area!=shown ) stage.update();
+}
+
+// After choosing an area: describe the attack on the neighbor under the mouse
+function hover_to(){
+	var an = clicked_area();
+	var target = null;
+	for( var i=0; odds_preview && i<odds_preview.targets.length; i++ ){
+		if( odds_preview.targets[i].to==an ) target = odds_preview.targets[i];
+	}
+	var text = target ? formatAttackPreview(target) : "";
+	if( text==spr[sn_mes].text && spr[sn_mes].visible==(target!=null) ) return;
+	spr[sn_mes].text = text;
+	spr[sn_mes].visible = (target!=null);
+	stage.update();
+}
+
 // End action
 function end_turn(){
 
 	spr[sn_btn+4].visible = false;
+	spr[sn_btn+8].visible = false;
+	spr[sn_btn+27].visible = false;
 	spr[sn_from].visible = false;
 	spr[sn_to].visible = false;
+	set_selection(null,null);
+	hide_odds();
 	spr[sn_mes].visible = false;
 	
 	timer_func = null;
 	click_func = null;
 	move_func = null;
 	releaese_func = null;
+	stop_clock();
 
+	if( net_client ){
+		// The server hands out the dice and plays the next turns
+		net_client.endTurn();
+		return;
+	}
 	start_supply();
 }
 
+// Save the game in progress
+function save_game(){
+	var saved = saveGame(game);
+	
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = saved ? "Game saved." : "Could not save the game.";
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "left";
+	spr[sn_mes].x = view_w*0.05;
+	spr[sn_mes].y = ypos_mes;
+	stage.update();
+}
+
+// Resume the saved game from the title screen
+async function resume_game(){
+	// AI assignments come from the configuration, not the save
+	if (typeof applyGameConfig === 'function') {
+		try {
+			await applyGameConfig(game);
+		} catch (error) {
+			console.error('Failed to apply game configuration:', error);
+		}
+	}
+	
+	if( !loadSavedGame(game) ){
+		start_title();
+		return;
+	}
+	spectate_mode = (game.user === null);
+	last_human = null;
+	// Clocks start over: saves do not keep the time left
+	turn_clock = ( !spectate_mode && typeof createTurnClock === 'function' && typeof getConfig === 'function' )
+		? createTurnClock(getConfig().turnClock, { players: game.humans || [game.user] })
+		: null;
+	practice = ( !spectate_mode && typeof createPracticeUndo === 'function' && typeof getConfig === 'function' )
+		? createPracticeUndo(game, getConfig().practice)
+		: null;
+	
+	for( var i=0; i<sn_max; i++ ) spr[i].visible = false;
+	draw_board();
+	begin_game(true);
+	start_player();
+}
+
 ////////////////////////////////////////////////////
 // COM thinking
 ////////////////////////////////////////////////////
@@ -1059,10 +1694,21 @@ function start_com(){
 		draw_player_data();
 	}
 	
-	var ret = game.com_thinking();
-	if( ret==0 ){
-		start_supply();
-		return;
+	game_event("emitAIThinkingStart");
+	com_started = Date.now();
+	com_move = null;
+	var request = ++com_request;
+	if( typeof window.requestAIMove === 'function' ){
+		// The ES6 modules decide, in a Web Worker where possible; com_from waits for the answer
+		window.requestAIMove(game).then(function(decision){
+			if( request==com_request ) com_move = decision;
+		}, function(e){
+			console.error('AI move failed, ending turn:', e);
+			if( request==com_request ) com_move = {endTurn:true, from:null, to:null};
+		});
+	}else{
+		var ret = game.com_thinking();
+		com_move = {endTurn:ret==0, from:game.area_from, to:game.area_to};
 	}
 	stage.update();
 	
@@ -1080,9 +1726,28 @@ function com_from(){
 	var speedMultiplier = spectate_mode ? (window.gameSpeedMultiplier ?? 1) : 1;
 	waitcount -= speedMultiplier;
 	
+	// Still thinking
+	if( com_move==null ) return;
+	
+	if( com_started ){
+		game_event("emitAIThinkingEnd",Date.now()-com_started);
+		com_started = 0;
+		var ret = com_move.endTurn ? 0 : 1;
+		if( ret ){
+			game.area_from = com_move.from;
+			game.area_to = com_move.to;
+		}
+		game_event("emitAIDecision",ret,com_move.error ?? null);
+		if( ret==0 ){
+			start_supply();
+			return;
+		}
+	}
+	
 	if( waitcount>0 ) return;
 	
 	draw_areashape(sn_from,game.area_from,1);
+	set_selection(game.area_from,null);
 	
 	// Make sure title button stays visible and properly positioned in spectator mode
 	if (spectate_mode) {
@@ -1109,6 +1774,7 @@ function com_to(){
 	if( waitcount>0 ) return;
 
 	draw_areashape(sn_to,game.area_to,1);
+	set_selection(game.area_from,game.area_to);
 	
 	// Make sure title button stays visible and properly positioned in spectator mode
 	if (spectate_mode) {
@@ -1134,6 +1800,8 @@ function start_battle(){
 	var i,j;
 	
 	spr[sn_btn+4].visible = false;	// Hide END TURN button
+	spr[sn_btn+8].visible = false;	// Hide SAVE button
+	spr[sn_btn+27].visible = false;	// Hide UNDO button
 	spr[sn_ban].visible = false;
 	for( i=0; i<8; i++ ){
 		spr[sn_player+i].visible = false;
@@ -1168,6 +1836,21 @@ function start_battle(){
 			battle[i].fin[j] = false;
 		}
 	}
+	
+	// Use the configured battle mode's dice when the ES6 modules are loaded
+	battle_result = (typeof rollBattle === 'function') ? rollBattle(game,battle[0].dmax,battle[1].dmax) : null;
+	if( battle_result ){
+		var rolls = [battle_result.attackerRoll,battle_result.defenderRoll];
+		for( i=0; i<2; i++ ){
+			for( j=0; j<8; j++ ){
+				if( battle[i].usedice[j]<battle[i].dmax ) battle[i].deme[j] = rolls[i].values[battle[i].usedice[j]]-1;
+			}
+			battle[i].sum = rolls[i].total;
+		}
+	}
+	game_event("emitTerritoryAttack",game.area_from,game.area_to);
+	game_event("emitDiceRolled",game.area_from,battle_values(battle[0]),battle[0].sum,"attack");
+	game_event("emitDiceRolled",game.area_to,battle_values(battle[1]),battle[1].sum,"defend");
 	spr[sn_battle].visible = true;
 	
 	for( i=0; i<2; i++ ){
@@ -1297,6 +1980,15 @@ function battle_dice(){
 	stage.update();
 }
 
+// Values of the dice one side rolled
+function battle_values(b){
+	var values = [];
+	for( var j=0; j<8; j++ ){
+		if( b.usedice[j]<b.dmax ) values.push(b.deme[j]+1);
+	}
+	return values;
+}
+
 function after_battle(){
 	// Apply speed multiplier in spectator mode
 	var speedMultiplier = (spectate_mode && window.gameSpeedMultiplier) ? window.gameSpeedMultiplier : 1;
@@ -1306,6 +1998,7 @@ function after_battle(){
 	spr[sn_battle].visible = false;
 	spr[sn_from].visible = false;
 	spr[sn_to].visible = false;
+	set_selection(null,null);
 	
 	// Show player indicators and turn marker based on game mode
 	if (!spectate_mode) {
@@ -1321,7 +2014,10 @@ function after_battle(){
 	
 	var arm0 = game.adat[game.area_from].arm;
 	var arm1 = game.adat[game.area_to].arm;
+	var dice0 = game.adat[game.area_from].dice;
+	var dice1 = game.adat[game.area_to].dice;
 	var defeat = ( battle[0].sum>battle[1].sum ) ? 1 : 0;
+	if( battle_result ) defeat = battle_result.success ? 1 : 0;
 	if( defeat>0 ){
 		game.adat[game.area_to].dice = game.adat[game.area_from].dice-1;
 		game.adat[game.area_from].dice = 1;
@@ -1329,20 +2025,29 @@ function after_battle(){
 		game.set_area_tc(arm0);
 		game.set_area_tc(arm1);
 		playSound("snd_success");
+		game_event("emitTerritoryCapture",game.area_to,arm1,arm0);
+		if( game.player[arm1].area_tc==0 ) game_event("emitPlayerEliminated",arm1,arm0);
 	}else{
 		game.adat[game.area_from].dice = 1;
 		playSound("snd_fail");
+		game_event("emitTerritoryDefend",game.area_to,game.area_from);
 	}
 	
 	draw_areashape(sn_area+game.area_to,game.area_to,0);
 	draw_areadice(an2sn[game.area_from],game.area_from);
 	draw_areadice(an2sn[game.area_to],game.area_to);
+	map_updated([game.area_from,game.area_to]);
 	
 	// History
-	game.set_his(game.area_from,game.area_to,defeat);
-
-	// Check if human player has lost (only in non-spectator mode)
-	if(!spectate_mode && game.user !== null && game.player[game.user].area_tc==0){
+	game.set_his(game.area_from,game.area_to,defeat,{
+		player: arm0,
+		rolls: [battle_values(battle[0]),battle_values(battle[1])],
+		from_dice: [dice0,game.adat[game.area_from].dice],
+		to_dice: [dice1,game.adat[game.area_to].dice]
+	});
+
+	// Check if every human player has lost (only in non-spectator mode)
+	if(!spectate_mode && !human_alive()){
 		draw_player_data();
 		start_gameover();
 	}else{
@@ -1387,13 +2092,18 @@ function start_supply(){
 	var pn = game.jun[game.ban];
 //	game.player[pn].stock = 64;
 	game.set_area_tc(pn);
-	game.player[pn].stock += game.player[pn].area_tc;
-	if( game.player[pn].stock > game.STOCK_MAX ){
-		game.player[pn].stock = game.STOCK_MAX;
+	// Reinforcements follow the game rules once the ES6 modules are loaded
+	supply_earned = ( typeof calculateReinforcements === 'function' ) ? calculateReinforcements(game,pn) : game.player[pn].area_tc;
+	game.player[pn].stock += supply_earned;
+	supply_his = game.his_c;
+	if( game.player[pn].stock > game.rules.stockMax ){
+		game.player[pn].stock = game.rules.stockMax;
 	}
+	game_event("emitDiceAdded",pn,supply_earned);
 	
+	// Stock display (shows as many dice as there are sprites for)
 	spr[sn_supply].visible = true;
-	for( var i=0; i<game.STOCK_MAX; i++ ){
+	for( var i=0; i<spr[sn_supply].numChildren; i++ ){
 		if( i<game.player[pn].stock ){
 			spr[sn_supply].getChildAt(i).visible = true;
 			spr[sn_supply].getChildAt(i).gotoAndStop("d"+pn+"3");
@@ -1449,21 +2159,26 @@ function supply_dice(){
 	for( var i=0; i<game.AREA_MAX; i++ ){
 		if( game.adat[i].size == 0 ) continue;
 		if( game.adat[i].arm != pn ) continue;
-		if( game.adat[i].dice >= 8 ) continue;
+		if( game.adat[i].dice >= game.rules.maxDice ) continue;
 		list[c] = i;
 		c++;
 	}
 	if( c==0 || game.player[pn].stock<=0 ){
+		// Every entry of the batch shares the summary of the whole reinforcement
+		var supply = { earned: supply_earned, placed: game.his_c-supply_his, stock: game.player[pn].stock };
+		for( i=supply_his; i<game.his_c; i++ ) game.his[i].supply = supply;
 		next_player();
 		return;
 	}
 	
 	game.player[pn].stock--;
-	var an = list[Math.floor(Math.random()*c)];
+	var an = list[Math.floor(game.rng()*c)];
 	game.adat[an].dice++;
 	draw_areadice(an2sn[an],an);
+	game_event("emitTerritoryReinforced",an,1);
+	map_updated([an]);
 	
-	for( i=0; i<game.STOCK_MAX; i++ ){
+	for( i=0; i<spr[sn_supply].numChildren; i++ ){
 		if( i<game.player[pn].stock ){
 			spr[sn_supply].getChildAt(i).visible = true;
 		}else{
@@ -1471,7 +2186,7 @@ function supply_dice(){
 		}
 	}
 	// History
-	game.set_his(an,0,0);
+	game.set_his(an,0,0,{ from_dice: [game.adat[an].dice-1,game.adat[an].dice] });
 
 	// Make sure title button stays visible and properly positioned in spectator mode
 	if (spectate_mode) {
@@ -1504,13 +2219,18 @@ function next_player(){
 		btn_func[5] = start_title;
 	}
 	
+	game_event("emitTurnEnd",{ reinforcements: supply_earned, clock: clock_used });
+	clock_used = null;
+	
 	for( var i=0; i<game.pmax; i++ ){
 		game.ban++;
 		if( game.ban >= game.pmax ) game.ban = 0;
 		var pn = game.jun[game.ban];
 		if( game.player[pn].area_tc ) break;
 	}
-	if( game.jun[game.ban] == game.user && !spectate_mode ) playSound("snd_myturn");
+	game.turn_c++;
+	begin_turn();
+	if( is_human_turn() ) playSound("snd_myturn");
 
 	start_player();
 }
@@ -1520,6 +2240,11 @@ function next_player(){
 ////////////////////////////////////////////////////
 
 function start_gameover(){
+	stop_clock();
+	end_game();
+	// A finished game can no longer be resumed
+	if( !spectate_mode && !net_client && typeof deleteSavedGame === 'function' ) deleteSavedGame();
+	
 	// Clear any existing UI elements
 	for( var i=0; i<sn_max; i++ ) {
 		if (i !== sn_gameover) {
@@ -1572,7 +2297,7 @@ function gameover(){
 			spr[sn_btn+6].y = view_h/2 + resize(70);
 			spr[sn_btn+6].visible = true;
 			btn_func[6] = start_history;
-			if ( !spectate_mode ) {
+			if ( !spectate_mode && !net_client ) {
 				spr[sn_btn+7].x = view_w/2 + resize(200);
 				spr[sn_btn+7].y = view_h/2 + resize(70);
 				spr[sn_btn+7].visible = true;
@@ -1591,10 +2316,28 @@ function gameover(){
 ////////////////////////////////////////////////////
 
 function start_win(){
+	stop_clock();
+	end_game();
+	// A finished game can no longer be resumed
+	if( !net_client && typeof deleteSavedGame === 'function' ) deleteSavedGame();
+	
 	spr[sn_win].visible = false;
 	spr[sn_win].x = view_w/2;
 	spr[sn_win].y = view_h/2 - resize(70);
 	spr[sn_win].gotoAndStop("win");
+	
+	// Name the winner when several people played
+	if( game.humans && game.humans.length>1 && typeof getPlayerName === 'function' ){
+		for( var i=0; i<game.pmax; i++ ){
+			if( game.player[i].area_tc==0 ) continue;
+			spr[sn_mes].visible = true;
+			spr[sn_mes].text = getPlayerName(i)+" wins!";
+			spr[sn_mes].color = "#000000";
+			spr[sn_mes].textAlign = "center";
+			spr[sn_mes].x = view_w/2;
+			spr[sn_mes].y = ypos_mes;
+		}
+	}
 	waitcount = 0;
 	timer_func = win;
 	click_func = null;
@@ -1637,25 +2380,46 @@ function start_history(){
 	for( i=0; i<8; i++ ) spr[sn_player+i].visible = false;
 	for( i=0; i<bmax; i++ ) spr[sn_btn+i].visible = false;
 
-	for( i=0; i<game.AREA_MAX; i++ ){
-		if( game.adat[i].size==0 ) continue;
-		game.adat[i].dice = game.his_dice[i];
-		game.adat[i].arm = game.his_arm[i];
-		draw_areashape(sn_area+i,i,0);
-	}
-	for( i=0; i<game.AREA_MAX; i++ ){
-		draw_areadice(sn_dice+i,prio[i].an);
+	// The controller (from the ES6 modules) adds seeking, pause and speed
+	if( typeof ReplayController === 'function' ){
+		replay = new ReplayController(game);
+	}else{
+		replay = null;
+		for( i=0; i<game.AREA_MAX; i++ ){
+			if( game.adat[i].size==0 ) continue;
+			game.adat[i].dice = game.his_dice[i];
+			game.adat[i].arm = game.his_arm[i];
+		}
 	}
+	draw_replay_board();
 	
 	// Button
-	spr[sn_btn+5].x = view_w/2 - resize(100);
+	spr[sn_btn+5].x = view_w/2 - resize(200);
 	spr[sn_btn+5].y = view_h*0.88;
 	spr[sn_btn+5].visible = true;
 	btn_func[5] = start_title;
-	spr[sn_btn+1].x = view_w/2 + resize(100);
+	spr[sn_btn+1].x = view_w/2 + resize(200);
 	spr[sn_btn+1].y = view_h*0.88;
 	spr[sn_btn+1].visible = true;
 	btn_func[1] = toppage;
+	if( typeof exportReplay === 'function' ){
+		spr[sn_btn+10].x = view_w/2;
+		spr[sn_btn+10].y = view_h*0.88;
+		spr[sn_btn+10].visible = true;
+		btn_func[10] = share_replay;
+	}
+	
+	// Replay controls: previous turn, step back, pause, step forward, next turn, speed
+	if( replay ){
+		var funcs = [replay_prev_turn,replay_step_back,replay_pause,replay_step_forward,replay_next_turn,replay_speed];
+		for( i=0; i<funcs.length; i++ ){
+			spr[sn_btn+11+i].x = view_w/2 + resize(110)*(i-2.5);
+			spr[sn_btn+11+i].y = ypos_mes;
+			spr[sn_btn+11+i].visible = true;
+			btn_func[11+i] = funcs[i];
+		}
+	}
+	update_replay_controls();
 	
 	stage.update();
 	replay_c = 0;
@@ -1667,26 +2431,146 @@ function start_history(){
 	releaese_func = null;	
 }
 
+// Draw every area and its dice as they are at the current replay position
+function draw_replay_board(){
+	var i;
+	spr[sn_from].visible = false;
+	spr[sn_to].visible = false;
+	for( i=0; i<game.AREA_MAX; i++ ){
+		if( game.adat[i].size==0 ) continue;
+		draw_areashape(sn_area+i,i,0);
+	}
+	for( i=0; i<game.AREA_MAX; i++ ){
+		draw_areadice(sn_dice+i,prio[i].an);
+	}
+}
+
+// Show the replay position and the state of the PAUSE and speed buttons
+function update_replay_controls(){
+	if( !replay ) return;
+	spr[sn_btn+13].getChildAt(1).text = replay.playing ? "PAUSE" : "PLAY";
+	spr[sn_btn+16].getChildAt(1).text = replay.speed + "x";
+	
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = "Turn " + (replay.getTurn()+1) + "   " + replay.position + " / " + replay.length;
+	
+	// Practice games: flag that attacks were taken back, and where
+	if( game.undos && game.undos.length>0 ){
+		var here = 0;
+		for( var i=0; i<game.undos.length; i++ ){
+			if( game.undos[i].at==replay.position ) here++;
+		}
+		spr[sn_mes].text += "   PRACTICE: " + game.undos.length + " undone" + ( here>0 ? " (undo here)" : "" );
+	}
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "center";
+	spr[sn_mes].x = view_w/2;
+	spr[sn_mes].y = ypos_mes - resize(45);
+}
+
+// Move the replay to a new position, abandoning the action being animated
+function replay_seek(){
+	replay_c = replay.position;
+	stat = 0;
+	waitcount = 0;
+	draw_replay_board();
+	update_replay_controls();
+	stage.update();
+}
+
+function replay_prev_turn(){
+	replay.pause().previousTurn();
+	replay_seek();
+}
+
+function replay_step_back(){
+	// Going back from the middle of an attack returns to its start
+	replay.pause();
+	if( stat==0 ) replay.stepBack();
+	replay_seek();
+}
+
+function replay_step_forward(){
+	replay.pause().stepForward();
+	replay_seek();
+}
+
+function replay_next_turn(){
+	replay.pause().nextTurn();
+	replay_seek();
+}
+
+function replay_pause(){
+	var restart = replay.atEnd;
+	replay.togglePause();
+	if( restart ){
+		replay_seek();
+	}else{
+		update_replay_controls();
+		stage.update();
+	}
+}
+
+function replay_speed(){
+	replay.cycleSpeed();
+	update_replay_controls();
+	stage.update();
+}
+
+// Apply the action at replay_c to the board
+function apply_history(){
+	if( replay ){
+		replay.stepForward();
+		update_replay_controls();
+		return;
+	}
+	var h = game.his[replay_c];
+	var an0 = h.from;
+	var an1 = h.to;
+	if( an1==0 ){
+		game.adat[an0].dice++;
+	}else if( h.res>0 ){
+		game.adat[an1].dice = game.adat[an0].dice-1;
+		game.adat[an0].dice = 1;
+		game.adat[an1].arm = game.adat[an0].arm;
+	}else{
+		game.adat[an0].dice = 1;
+	}
+	// Recorded dice counts, when available
+	if( h.from_dice ) game.adat[an0].dice = h.from_dice[1];
+	if( h.to_dice ) game.adat[an1].dice = h.to_dice[1];
+}
+
+// Start animating the action at replay_c, or stop at the end of the history
+function next_history(){
+	if( replay_c < game.his_c ){
+		stat = ( game.his[replay_c].to==0 ) ? 1 : 2;
+		waitcount = 0;
+	}else if( replay ){
+		// Stay on the last position so the controls can still be used
+		replay.pause();
+		update_replay_controls();
+		stage.update();
+	}else{
+		timer_func = null;	// End
+	}
+}
+
 function play_history(){
 
 	var an;
+	if( replay && !replay.playing ) return;
 	if( stat==0 ){
-		if( replay_c >= game.his_c ){
-			timer_func = null;	// End
-		}else{
-			stat = ( game.his[replay_c].to==0 ) ? 1 : 2;
-		}
+		next_history();
 	}else if( stat==1 ){
 		// Supply
-		an = game.his[replay_c].from;
-		game.adat[an].dice++;
-		draw_areadice(an2sn[an],an);
-		stage.update();
-		replay_c++;
-		if( replay_c >= game.his_c ){
-			timer_func = null;	// End
-		}else{
-			stat = ( game.his[replay_c].to==0 ) ? 1 : 2;
+		if( waitcount>=1 ){
+			an = game.his[replay_c].from;
+			apply_history();
+			draw_areadice(an2sn[an],an);
+			stage.update();
+			replay_c++;
+			next_history();
 		}
 	}else if( stat==2 ){
 		// Attack source
@@ -1709,15 +2593,8 @@ function play_history(){
 		if( waitcount>10 ){
 			var an0 = game.his[replay_c].from;
 			var an1 = game.his[replay_c].to;
-			if( game.his[replay_c].res>0 ){
-				game.adat[an1].dice = game.adat[an0].dice-1;
-				game.adat[an0].dice = 1;
-				game.adat[an1].arm = game.adat[an0].arm;
-				playSound("snd_success");
-			}else{
-				game.adat[an0].dice = 1;
-				playSound("snd_fail");
-			}
+			playSound( game.his[replay_c].res>0 ? "snd_success" : "snd_fail" );
+			apply_history();
 			spr[sn_from].visible = false;
 			spr[sn_to].visible = false;
 			draw_areadice(an2sn[an0],an0);
@@ -1728,7 +2605,201 @@ function play_history(){
 			replay_c++;
 		}
 	}
-	waitcount++;
+	// Faster replays count down the waits in bigger steps
+	waitcount += replay ? replay.speed : 1;
+}
+
+// Share a link to the replay of this game
+function share_replay(){
+	var url = location.href.split("#")[0] + "#replay=" + exportReplay(game);
+	
+	if( navigator.clipboard && navigator.clipboard.writeText ){
+		navigator.clipboard.writeText(url).then(function(){
+			show_replay_message("Replay link copied.");
+		}, function(){
+			window.prompt("Replay link", url);
+		});
+	}else{
+		window.prompt("Replay link", url);
+	}
+}
+
+function show_replay_message(text){
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = text;
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "center";
+	spr[sn_mes].x = view_w/2;
+	spr[sn_mes].y = ypos_mes - resize(45);	// Above the replay controls
+	stage.update();
+}
+
+// Play the replay in a shared link (#replay=<code>), if any
+function open_shared_replay(){
+	var match = /[#&]replay=([A-Za-z0-9_.-]+)/.exec(location.hash);
+	if( !match || typeof importReplay !== 'function' ) return false;
+	
+	try{
+		importReplay(game, match[1]);
+	}catch(e){
+		console.warn('Failed to load shared replay', e);
+		return false;
+	}
+	
+	for( var i=0; i<sn_max; i++ ) spr[i].visible = false;
+	draw_board();
+	start_history();
+	return true;
+}
+
+////////////////////////////////////////////////////
+// Network games
+////////////////////////////////////////////////////
+
+// Join the game server named in the URL (#server=ws://192.168.1.5:8787&name=Ann)
+function join_network_game(){
+	var match = /[#&]server=([^&]+)/.exec(location.hash);
+	if( !match || typeof GameClient !== 'function' ) return false;
+	var name = /[#&]name=([^&]+)/.exec(location.hash);
+	
+	spectate_mode = false;
+	turn_clock = null;
+	practice = null;
+	net_client = new GameClient(game,{
+		url: decodeURIComponent(match[1]),
+		name: name ? decodeURIComponent(name[1]) : "Player",
+		onLobby: net_lobby,
+		onState: net_state,
+		onUpdate: net_update,
+		onGameOver: net_game_over,
+		onError: net_error,
+		onDisconnect: net_disconnect
+	});
+	
+	for( var i=0; i<sn_max; i++ ) spr[i].visible = false;
+	net_message("Connecting to "+net_client.url+"...");
+	net_client.connect();
+	return true;
+}
+
+function net_message(text){
+	spr[sn_mes].visible = true;
+	spr[sn_mes].text = text;
+	spr[sn_mes].color = "#000000";
+	spr[sn_mes].textAlign = "left";
+	spr[sn_mes].x = view_w*0.05;
+	spr[sn_mes].y = ypos_mes;
+	stage.update();
+}
+
+// Lobby: who has joined, and the START button for the host
+function net_lobby(lobby){
+	if( lobby.started ) return;
+	var names = [];
+	for( var i=0; i<lobby.seats.length; i++ ){
+		if( lobby.seats[i].connected ) names.push(lobby.seats[i].name);
+	}
+	var host = net_client.seat!==null && net_client.seat==lobby.host;
+	net_message("Players: "+names.join(", ")+" ("+names.length+"/"+lobby.seats.length+")"+( host ? "" : ". Waiting for the host..." ));
+	
+	spr[sn_btn+0].visible = false;
+	if( host ){
+		activebutton = -1;
+		spr[sn_btn+0].x = view_w-100*nume/deno;
+		spr[sn_btn+0].y = ypos_mes;
+		spr[sn_btn+0].visible = true;
+		btn_func[0] = net_start;
+	}
+	stage.update();
+}
+
+function net_start(){
+	spr[sn_btn+0].visible = false;
+	net_client.start();
+}
+
+// The whole game arrived (start, reconnection): draw it and carry on
+function net_state(){
+	spectate_mode = net_client.seat===null;
+	for( var i=0; i<sn_max; i++ ) spr[i].visible = false;
+	draw_board();
+	net_turn();
+}
+
+// The server played a move: redraw what changed
+function net_update(g,diff){
+	var changed = [];
+	for( var id in diff.areas ){
+		var an = Number(id);
+		draw_areashape(sn_area+an,an,0);
+		draw_areadice(an2sn[an],an);
+		changed.push(an);
+	}
+	if( changed.length ) map_updated(changed);
+	
+	var last = diff.history.length>0 ? diff.history[diff.history.length-1] : null;
+	if( last && last.to>0 ) playSound(last.res ? "snd_success" : "snd_fail");
+	if( diff.turn && net_client.isMyTurn ) playSound("snd_myturn");
+	net_turn();
+}
+
+// Play our own turns, wait for everyone else's
+function net_turn(){
+	spr[sn_from].visible = false;
+	spr[sn_to].visible = false;
+	set_selection(null,null);
+	hide_odds();
+	draw_player_data();
+	if( net_client.finished ) return;
+	
+	if( net_client.isMyTurn ){
+		start_man();
+		return;
+	}
+	
+	var pn = game.jun[game.ban];
+	var seat = net_client.lobby ? net_client.lobby.seats[pn] : null;
+	spr[sn_btn+4].visible = false;
+	net_message("Waiting for "+( seat && seat.connected ? seat.name : "the computer" )+"...");
+	
+	timer_func = null;
+	click_func = null;
+	move_func = null;
+	releaese_func = null;
+}
+
+// The server refused a move
+function net_error(error){
+	if( net_client.isMyTurn ) start_man();
+	net_message(error.message);
+}
+
+function net_game_over(winner){
+	draw_player_data();
+	if( net_client.seat!==null && winner===net_client.seat ){
+		start_win();
+	}else{
+		start_gameover();
+	}
+}
+
+function net_disconnect(gave_up){
+	timer_func = null;
+	click_func = null;
+	move_func = null;
+	releaese_func = null;
+	spr[sn_btn+4].visible = false;
+	if( !gave_up ){
+		net_message("Connection lost. Reconnecting...");
+		return;
+	}
+	
+	net_message("Could not reach the server.");
+	spr[sn_btn+5].x = view_w-100*nume/deno;
+	spr[sn_btn+5].y = ypos_mes;
+	spr[sn_btn+5].visible = true;
+	btn_func[5] = start_title;
+	stage.update();
 }
 
 ////////////////////////////////////////////////////
@@ -0,0 +1,27 @@
+/**
+ * Module Hooks for Running the Source in Node
+ *
+ * Resolves the path aliases of webpack.common.js (and the Jest
+ * moduleNameMapper) and loads the files under src/ as ES modules, so Node can
+ * run them without a build. Registered by scripts/server.mjs.
+ */
+
+const SRC = new URL('../src/', import.meta.url).href;
+
+const ALIASES = {
+  '@utils/': 'utils/',
+  '@ai/': 'ai/',
+  '@models/': 'models/',
+  '@mechanics/': 'mechanics/',
+  '@state/': 'state/',
+};
+
+export const resolve = (specifier, context, nextResolve) => {
+  const alias = Object.keys(ALIASES).find(prefix => specifier.startsWith(prefix));
+  if (!alias) return nextResolve(specifier, context);
+
+  return nextResolve(`${SRC}${ALIASES[alias]}${specifier.slice(alias.length)}`, context);
+};
+
+export const load = (url, context, nextLoad) =>
+  nextLoad(url, url.startsWith(SRC) ? { ...context, format: 'module' } : context);
@@ -0,0 +1,45 @@
+/**
+ * LAN Game Server
+ *
+ * Starts a GameServer over WebSocket (src/network/websocketServer.js) for
+ * players on the local network.
+ *
+ * Run with: npm run server
+ * Environment variables:
+ * - SERVER_PORT: port to listen on (8787)
+ * - SERVER_HOST: address to listen on (all addresses)
+ * - SERVER_PLAYERS: seats, human or AI (4)
+ * - SERVER_SEED: seed of the game (a new game every time)
+ */
+
+import { register } from 'node:module';
+import { networkInterfaces } from 'node:os';
+
+register('./alias-hooks.mjs', import.meta.url);
+
+const { DEFAULT_PORT, startGameServer } = await import('../src/network/websocketServer.js');
+
+const { SERVER_PORT, SERVER_HOST, SERVER_PLAYERS, SERVER_SEED } = process.env;
+const port = SERVER_PORT ? Number(SERVER_PORT) : DEFAULT_PORT;
+const options = { port, host: SERVER_HOST };
+if (SERVER_PLAYERS) options.playerCount = Number(SERVER_PLAYERS);
+if (SERVER_SEED) options.seed = SERVER_SEED;
+
+const { close } = await startGameServer(options);
+
+// Addresses other machines on the LAN can join with
+const addresses = Object.values(networkInterfaces())
+  .flat()
+  .filter(address => address.family === 'IPv4' && !address.internal)
+  .map(address => address.address);
+
+console.log(`Dice Wars server listening on port ${port}`);
+addresses.forEach(address => {
+  console.log(`  Join with #server=ws://${address}:${port}&name=<your name>`);
+});
+console.log('Press Ctrl+C to stop');
+
+process.once('SIGINT', async () => {
+  await close();
+  process.exit(0);
+});
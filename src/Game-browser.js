@@ -12,12 +12,22 @@ import {
   // Battle resolution
   executeAttack,
   distributeReinforcements,
+  calculateReinforcements,
   setPlayerTerritoryData,
   // AI handling
   executeAIMove,
   AI_REGISTRY,
+  // Game events
+  emitGameStart,
+  emitMapUpdated,
 } from './mechanics/index.js';
-import { getConfig } from './utils/config.js';
+import { applyMapConfig, getConfig, normalizeRules } from './utils/config.js';
+import { getHumanPlayers } from './utils/hotSeat.js';
+import { createRandom, defaultRandom } from './utils/random.js';
+import { serializeGame, deserializeGame } from './utils/saveGame.js';
+import { exportReplay, importReplay } from './utils/replay.js';
+import { exportMap, loadMap } from './utils/mapLoader.js';
+import { loadScenario } from './utils/scenarios.js';
 import { loadSoundsByPriority } from './utils/soundStrategy.js';
 import { loadSound, getAllSoundIds } from './utils/sound.js';
 
@@ -92,6 +102,7 @@ export class Game {
   alist = new Array(this.AREA_MAX); // Working list of areas
   chk = new Array(this.AREA_MAX); // Used for territory border drawing
   tc = new Array(this.AREA_MAX); // Used for counting connected territories
+  mapOptions = {}; // Map generation options (see makeMap)
 
   /*
    * =============================================
@@ -102,20 +113,28 @@ export class Game {
   // Game configuration
   pmax = 7; // Number of players (default: 7)
   user = 0; // Human player index (default: 0)
+  humans = [0]; // Human player indexes (several for hot-seat games)
   put_dice = 3; // Average number of dice per territory
 
+  // Random source - every random draw in the game goes through rng()
+  seed = null; // Seed of the current random source (null = unseeded)
+  rng = defaultRandom; // Random source used by map generation, turn order, dice and AI
+
   // Turn tracking
   jun = [0, 1, 2, 3, 4, 5, 6, 7]; // Player order array
   ban = 0; // Current turn index (current player = jun[ban])
+  turn_c = 0; // Turn number (0 = first turn; recorded in the history)
 
   // Battle state
   area_from = 0; // Attack source territory
   area_to = 0; // Attack target territory
   defeat = 0; // Attack result (0=failed, 1=succeeded)
+  battle_deck = {}; // Outcome decks for the 'balanced' battle mode
 
   // Player state
   player = new Array(8); // Player data objects
   STOCK_MAX = 64; // Maximum dice reinforcements a player can have
+  rules = normalizeRules(); // Game rules: dice limits, reinforcements, attacks (see DEFAULT_RULES)
 
   // AI helper arrays (used by computer players to track possible moves)
   list_from = new Array(this.AREA_MAX * this.AREA_MAX); // Potential attacking territories
@@ -130,6 +149,7 @@ export class Game {
   // Game action history
   his = []; // Array of game actions (attacks/reinforcements)
   his_c = 0; // Current history entry count
+  undos = []; // Attacks taken back in practice games ({ at, player, turn, from, to, res })
 
   // Initial game state for replay
   his_arm = new Array(this.AREA_MAX); // Initial territory ownership
@@ -234,11 +254,28 @@ export class Game {
    * Generate Game Map
    *
    * Creates a procedurally generated map with territories.
-   * Delegates to the mapGenerator module.
+   * Delegates to the mapGenerator module, then emits MAP_UPDATED.
    */
   make_map() {
     // Call the extracted makeMap function with the current game state
-    makeMap(this);
+    makeMap(this, this.mapOptions);
+    emitMapUpdated(this);
+  }
+
+  /**
+   * Seed the Random Source
+   *
+   * Replaces the game's random source with a deterministic generator so that
+   * map generation, turn order, dice rolls and AI choices can be reproduced.
+   * Passing null restores the unseeded default source.
+   *
+   * @param {number|string|null} seed - Seed value, or null for unseeded play
+   * @returns {Game} This game instance for chaining
+   */
+  setSeed(seed) {
+    this.seed = seed ?? null;
+    this.rng = this.seed === null ? defaultRandom : createRandom(this.seed);
+    return this;
   }
 
   /**
@@ -248,6 +285,7 @@ export class Game {
    * - Randomizes player turn order
    * - Initializes player data
    * - Sets up history tracking for replay
+   * - Emits GAME_START
    *
    * Note: Must be called after make_map() has generated the map.
    */
@@ -257,11 +295,12 @@ export class Game {
 
     // Shuffle the first pmax elements using modern array shuffle
     for (let i = 0; i < this.pmax; i++) {
-      const r = Math.floor(Math.random() * this.pmax);
+      const r = Math.floor(this.rng() * this.pmax);
       [this.jun[i], this.jun[r]] = [this.jun[r], this.jun[i]]; // ES6 destructuring swap
     }
 
     this.ban = 0; // Set current turn to first player in the order
+    this.turn_c = 0; // First turn of the game
 
     // Initialize player data objects
     for (let i = 0; i < 8; i++) {
@@ -275,12 +314,16 @@ export class Game {
 
     // Initialize history for replay
     this.his_c = 0; // Reset history counter
+    this.undos = []; // No attacks taken back yet
+    this.battle_deck = {}; // Fresh outcome decks for the new game
 
     // Record initial state of each territory using array methods
     for (let i = 0; i < this.AREA_MAX; i++) {
       this.his_arm[i] = this.adat[i].arm; // Initial ownership
       this.his_dice[i] = this.adat[i].dice; // Initial dice count
     }
+
+    emitGameStart(this);
   }
 
   /**
@@ -308,9 +351,9 @@ export class Game {
    *
    * Delegates to the appropriate AI strategy function for the current player.
    *
-   * @returns {number} Return value from the AI (0 to end turn, non-zero to continue)
+   * @returns {Promise<number>} 0 to end the turn, 1 to attack from area_from to area_to
    */
-  com_thinking() {
+  async com_thinking() {
     return executeAIMove(this);
   }
 
@@ -318,17 +361,21 @@ export class Game {
    * Record Action in History
    *
    * Adds an entry to the game history for replay purposes.
+   * The acting player and turn default to the current ones.
    *
    * @param {number} from - Source territory index
    * @param {number} to - Target territory (or 0 for reinforcement)
    * @param {number} res - Result (0=attack failed, 1=attack succeeded)
+   * @param {Object} [details] - Other HistoryData fields (rolls, from_dice, to_dice, supply)
    */
-  set_his(from, to, res) {
+  set_his(from, to, res, details = {}) {
     // Create a new history entry
-    this.his[this.his_c] = new HistoryData();
-    this.his[this.his_c].from = from;
-    this.his[this.his_c].to = to;
-    this.his[this.his_c].res = res;
+    this.his[this.his_c] = Object.assign(
+      new HistoryData(),
+      { player: this.jun[this.ban], turn: this.turn_c },
+      details,
+      { from, to, res }
+    );
 
     // Increment history counter
     this.his_c++;
@@ -361,6 +408,111 @@ export class Game {
     return distributeReinforcements(this, playerIndex);
   }
 
+  /**
+   * Calculate Reinforcements
+   *
+   * Counts the dice a player earns at the end of a turn under the game's
+   * reinforcement formula, without changing the game.
+   *
+   * @param {number} playerIndex - Player to calculate reinforcements for
+   * @returns {number} Reinforcement dice earned
+   */
+  calculateReinforcements(playerIndex) {
+    return calculateReinforcements(this, playerIndex);
+  }
+
+  /**
+   * Serialize Game
+   *
+   * Creates a versioned JSON snapshot of the whole game (map, territories,
+   * players, turn order, history and random source) for saving.
+   *
+   * @returns {Object} JSON-compatible snapshot
+   */
+  serialize() {
+    return serializeGame(this);
+  }
+
+  /**
+   * Deserialize Game
+   *
+   * Restores the game from a snapshot created by serialize(). Older
+   * snapshot versions are migrated to the current format first.
+   *
+   * @param {Object|string} snapshot - Snapshot object or its JSON string
+   * @returns {Game} This game instance for chaining
+   */
+  deserialize(snapshot) {
+    return deserializeGame(this, snapshot);
+  }
+
+  /**
+   * Export Replay
+   *
+   * Encodes the map, initial territories and history as a compact,
+   * URL-safe replay code that can be shared and watched later.
+   *
+   * @param {Object} [options] - Replay options (e.g. recorded dice `rolls`)
+   * @returns {string} Replay code
+   */
+  exportReplay(options) {
+    return exportReplay(this, options);
+  }
+
+  /**
+   * Import Replay
+   *
+   * Loads a replay code so the game can be played back from the start.
+   *
+   * @param {string} code - Replay code from exportReplay()
+   * @returns {Game} This game instance for chaining
+   */
+  importReplay(code) {
+    return importReplay(this, code);
+  }
+
+  /**
+   * Export Map
+   *
+   * Creates a JSON map definition of the board: cells, owners and dice.
+   *
+   * @param {string} [name=''] - Name of the map
+   * @returns {Object} Map definition
+   */
+  exportMap(name) {
+    return exportMap(this, name);
+  }
+
+  /**
+   * Load Map
+   *
+   * Loads a map definition (e.g. from the map editor) in place of a
+   * generated map. Call start_game() afterwards as after make_map().
+   *
+   * @param {Object|string} map - Map definition or its JSON string
+   * @returns {Game} This game instance for chaining
+   */
+  loadMap(map) {
+    loadMap(this, map);
+    emitMapUpdated(this);
+    return this;
+  }
+
+  /**
+   * Load Scenario
+   *
+   * Loads one of the built-in scenario maps (see SCENARIOS) in place of
+   * a generated map. Call start_game() afterwards as after make_map().
+   *
+   * @param {string} id - Scenario id, e.g. 'first-steps'
+   * @returns {Game} This game instance for chaining
+   */
+  loadScenario(id) {
+    loadScenario(this, id);
+    emitMapUpdated(this);
+    return this;
+  }
+
   /**
    * Apply Configuration to Game
    *
@@ -377,21 +529,30 @@ export class Game {
       playerCount = 7,
       humanPlayerIndex = 0,
       averageDicePerArea = 3,
-      mapWidth = 28,
-      mapHeight = 32,
-      territoriesCount = 32,
       aiTypes = null,
+      seed = null,
+      rules = {},
     } = config;
 
     // Game rules
     this.pmax = playerCount;
     this.user = humanPlayerIndex;
+    this.humans = getHumanPlayers({
+      playerCount,
+      humanPlayerIndex,
+      aiAssignments: config.aiAssignments ?? aiTypes ?? [],
+    });
     this.put_dice = averageDicePerArea;
+    this.rules = normalizeRules(rules);
+    this.STOCK_MAX = this.rules.stockMax;
 
-    // Map dimensions
-    this.XMAX = mapWidth;
-    this.YMAX = mapHeight;
-    this.AREA_MAX = territoriesCount;
+    // Map dimensions and generator options
+    applyMapConfig(this, config);
+
+    // Reproducible games - only reseed when a seed is configured
+    if (seed !== null) {
+      this.setSeed(seed);
+    }
 
     // AI configuration - map string names to function references
     if (Array.isArray(aiTypes) && this.ai) {
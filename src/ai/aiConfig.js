@@ -11,6 +11,8 @@ export const load_ai_default = async () => (await import('./ai_default.js')).ai_
 export const load_ai_defensive = async () => (await import('./ai_defensive.js')).ai_defensive;
 export const load_ai_example = async () => (await import('./ai_example.js')).ai_example;
 export const load_ai_adaptive = async () => (await import('./ai_adaptive.js')).ai_adaptive;
+export const load_ai_mcts = async () => (await import('./ai_mcts.js')).ai_mcts;
+export const load_ai_planner = async () => (await import('./ai_planner.js')).ai_planner;
 
 /**
  * AI Strategy Registry
@@ -63,6 +65,26 @@ export const AI_STRATEGIES = {
     loader: load_ai_adaptive,
     implementation: null,
   },
+
+  // Monte Carlo Tree Search AI that plans its turn
+  ai_mcts: {
+    id: 'ai_mcts',
+    name: 'Planning AI',
+    description: 'Searches sequences of attacks and plays out the following turns',
+    difficulty: 5,
+    loader: load_ai_mcts,
+    implementation: null,
+  },
+
+  // Planner AI that chains attacks to link its regions
+  ai_planner: {
+    id: 'ai_planner',
+    name: 'Chain Planner AI',
+    description: 'Chains attacks to grow and link its largest group of territories',
+    difficulty: 4,
+    loader: load_ai_planner,
+    implementation: null,
+  },
 };
 
 /**
@@ -87,6 +109,16 @@ export async function getAIImplementation(aiId) {
   return strategy.implementation;
 }
 
+/**
+ * Find the registered strategy of an AI function
+ * @param {Function} implementation - An AI function
+ * @returns {string|null} The strategy ID, or null for functions that are not loaded strategies
+ */
+export function getAIStrategyId(implementation) {
+  const strategy = Object.values(AI_STRATEGIES).find(s => s.implementation === implementation);
+  return strategy && implementation ? strategy.id : null;
+}
+
 /**
  * Get all available AI strategies
  * @returns {Array} Array of AI strategy objects
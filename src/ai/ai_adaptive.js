@@ -1,3 +1,7 @@
+import { getRandom } from '@utils/random.js';
+import { getRules } from '@utils/config.js';
+import { getAttackOdds } from '@utils/probability.js';
+
 /**
  * Adaptive AI Strategy for Dice Wars
  *
@@ -27,7 +31,7 @@ export const ai_adaptive = game => {
   if (moves.length === 0) return 0;
 
   // Step 5: Select the best move based on the current strategy
-  const bestMove = selectBestMove(moves, strategy);
+  const bestMove = selectBestMove(moves, strategy, getRandom(game));
 
   // Step 6: Execute the selected move
   game.area_from = bestMove.from;
@@ -400,11 +404,12 @@ const generateMoves = (game, strategy, pn) => {
   // Pre-calculate territory information to avoid redundant calculations
   const areaInfo = calculateAreaInfo(game);
   const { adat, AREA_MAX, dominantPlayer } = game;
+  const { minAttackDice } = getRules(game);
 
-  // Finding valid attacking territories (our territories with > 1 dice)
+  // Finding valid attacking territories (our territories with enough dice to attack)
   const attackingTerritories = [...Array(AREA_MAX).keys()]
     .slice(1)
-    .filter(i => adat[i].size !== 0 && adat[i].arm === pn && adat[i].dice > 1);
+    .filter(i => adat[i].size !== 0 && adat[i].arm === pn && adat[i].dice >= minAttackDice);
 
   // Generate all possible moves
   const moves = [];
@@ -572,8 +577,8 @@ const calculateAttackRisk = (game, from, to, areaInfo) => {
 
   // Calculate various risk factors
   const riskFactors = {
-    // Base risk from dice ratio (higher = more risk)
-    diceRatio: (adat[to].dice / adat[from].dice) * 0.5,
+    // Base risk from the chance of losing the battle
+    defeat: (1 - getAttackOdds(adat[from].dice, adat[to].dice, game).probability) * 0.5,
 
     // Risk from exposing the attacking territory (more enemies = more risk)
     exposure: (fromInfo.unfriendly_neighbors / 6) * 0.3, // Normalize to 0-1
@@ -812,9 +817,10 @@ const simulateConnectivityImprovement = (game, from, to) => {
  *
  * @param {Array} moves - Sorted list of possible moves
  * @param {Object} strategy - Strategic parameters
+ * @param {Function} random - Random source used for tie-breaking randomness
  * @returns {Object} The selected move to execute
  */
-const selectBestMove = (moves, strategy) => {
+const selectBestMove = (moves, strategy, random) => {
   if (moves.length === 0) return null;
 
   // Identify if we're in an endgame scenario based on strategy aggression being very high
@@ -825,24 +831,24 @@ const selectBestMove = (moves, strategy) => {
     // Choose more randomly from good moves to create unpredictability
     const randomFactor = Math.min(0.7, strategy.riskTolerance);
 
-    if (Math.random() < randomFactor) {
+    if (random() < randomFactor) {
       // In endgame, consider a wider range of moves, up to half of all possible moves
       const endgameTopCount = Math.max(1, Math.ceil(moves.length * 0.5));
       const endgameTopMoves = moves.slice(0, Math.min(endgameTopCount, moves.length));
 
       // In rare cases, pick a completely random move to break patterns
-      if (Math.random() < 0.2 && endgameTopMoves.length > 1) {
-        return endgameTopMoves[Math.floor(Math.random() * endgameTopMoves.length)];
+      if (random() < 0.2 && endgameTopMoves.length > 1) {
+        return endgameTopMoves[Math.floor(random() * endgameTopMoves.length)];
       }
     }
   }
 
   // Regular non-endgame randomness based on risk tolerance
-  if (Math.random() < strategy.riskTolerance * 0.3) {
+  if (random() < strategy.riskTolerance * 0.3) {
     // Select from top moves (more options with higher risk tolerance)
     const topCount = Math.max(1, Math.ceil(moves.length * strategy.riskTolerance * 0.5));
     const topMoves = moves.slice(0, Math.min(topCount, moves.length));
-    return topMoves[Math.floor(Math.random() * topMoves.length)];
+    return topMoves[Math.floor(random() * topMoves.length)];
   }
 
   // Otherwise return the highest rated move
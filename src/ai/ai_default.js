@@ -1,3 +1,7 @@
+import { getRandom, randomPick } from '@utils/random.js';
+import { getRules } from '@utils/config.js';
+import { getAttackOdds } from '@utils/probability.js';
+
 /**
  * Default AI strategy from gamedesign.jp
  * This AI uses a simple but effective approach:
@@ -7,6 +11,10 @@
  * 4. Makes random attacks from valid options
  */
 export const ai_default = game => {
+  // Draw from the game's random source so seeded games stay reproducible
+  const random = getRandom(game);
+  const { minAttackDice } = getRules(game);
+
   // Initialize area and dice counts for all players
   for (let i = 0; i < 8; i++) {
     game.player[i].area_c = 0;
@@ -88,13 +96,15 @@ export const ai_default = game => {
       }
     }
 
-    // Skip if defender has more dice
-    if (defenderArea.dice > attackerArea.dice) {
+    // Skip attacks with worse odds than a fight between equal dice
+    const { probability } = getAttackOdds(attackerArea.dice, defenderArea.dice, game);
+    const evenOdds = getAttackOdds(defenderArea.dice, defenderArea.dice, game).probability;
+    if (probability < evenOdds) {
       return false;
     }
 
     // Handle equal dice situations
-    if (defenderArea.dice === attackerArea.dice) {
+    if (probability === evenOdds) {
       // Default to not attacking
       let shouldAttack = false;
 
@@ -109,7 +119,7 @@ export const ai_default = game => {
       }
 
       // 90% chance to attack in equal dice situations
-      if (Math.random() > 0.1) {
+      if (random() > 0.1) {
         shouldAttack = true;
       }
 
@@ -137,7 +147,11 @@ export const ai_default = game => {
       const attackerArea = game.adat[i];
 
       // Skip invalid attackers
-      if (attackerArea.size === 0 || attackerArea.arm !== currentPlayer || attackerArea.dice <= 1) {
+      if (
+        attackerArea.size === 0 ||
+        attackerArea.arm !== currentPlayer ||
+        attackerArea.dice < minAttackDice
+      ) {
         continue;
       }
 
@@ -176,7 +190,7 @@ export const ai_default = game => {
   }
 
   // Choose a random valid attack from the list
-  const selectedAttack = validAttacks[Math.floor(Math.random() * validAttacks.length)];
+  const selectedAttack = randomPick(validAttacks, random);
 
   // Update game state with the selected attack
   game.area_from = selectedAttack.attacker;
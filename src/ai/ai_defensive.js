@@ -1,3 +1,6 @@
+import { getRules } from '@utils/config.js';
+import { getAttackOdds } from '@utils/probability.js';
+
 /**
  * Defensive AI strategy that focuses on safe attacks and territory protection
  * This AI analyzes the board state to find attacks that won't leave territories vulnerable
@@ -66,6 +69,7 @@ export const ai_defensive = game => {
 
   const pn = game.get_pn(); // Get current player number
   const { player, adat } = game; // Destructure game properties
+  const { maxDice, minAttackDice } = getRules(game);
 
   // Initialize attack choice
   let bestAttack = { from: -1, to: -1 };
@@ -84,9 +88,11 @@ export const ai_defensive = game => {
     if (defenderArea.arm === pn) return false; // Skip own territories
     if (attackerArea.arm !== pn) return false; // Skip enemy territories
     if (!defenderArea.join[attacker]) return false; // Skip non-adjacent territories
+    if (attackerArea.dice < minAttackDice) return false; // Skip territories that cannot attack
 
-    // Skip if attacker doesn't have advantage (unless at max dice)
-    if (defenderArea.dice >= attackerArea.dice && attackerArea.dice !== 8) return false;
+    // Skip attacks the attacker is not favored to win (unless at max dice)
+    const { probability } = getAttackOdds(attackerArea.dice, defenderArea.dice, game);
+    if (probability <= 0.5 && attackerArea.dice !== maxDice) return false;
 
     // Skip if winning would leave territory vulnerable to counter-attack
     if (area_info[defender].highest_friendly_neighbor_dice > attackerArea.dice) return false;
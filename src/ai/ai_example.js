@@ -1,7 +1,11 @@
+import { getRandom, randomPick } from '@utils/random.js';
+import { getRules } from '@utils/config.js';
+import { getAttackOdds } from '@utils/probability.js';
+
 /**
  * Example AI that demonstrates basic game mechanics
  * This AI implements a simple strategy:
- * 1. Finds all valid attacks where the attacker has more dice than the defender
+ * 1. Finds all valid attacks the attacker is more likely to win than lose
  * 2. Randomly selects one of these valid attacks
  * 3. Continues until no valid attacks remain
  *
@@ -10,26 +14,28 @@
  */
 export const ai_example = game => {
   const currentPlayer = game.get_pn(); // Get the index of the current player
+  const { minAttackDice } = getRules(game); // Dice a territory needs to attack
 
   /**
    * Create a list of valid moves (attacker/defender pairs)
    * Each move must meet these criteria:
    * - Attacking territory must be owned by current player
-   * - Attacking territory must have more than 1 die
+   * - Attacking territory must have enough dice to attack (2 under the default rules)
    * - Defending territory must be adjacent
-   * - Attacker must have more dice than defender
+   * - Attacker must be more likely to win than lose (more dice under the default rules)
    */
   const validMoves = [];
 
-  // Helper function to check if a territory belongs to current player and has multiple dice
-  const isValidAttacker = area => area.size !== 0 && area.arm === currentPlayer && area.dice > 1;
+  // Helper function to check if a territory belongs to current player and can attack
+  const isValidAttacker = area =>
+    area.size !== 0 && area.arm === currentPlayer && area.dice >= minAttackDice;
 
   // Helper function to check if a territory is a valid target
   const isValidTarget = (attacker, defender, defenderIndex) =>
     defender.size !== 0 &&
     defender.arm !== currentPlayer &&
     attacker.join[defenderIndex] !== 0 &&
-    defender.dice < attacker.dice;
+    getAttackOdds(attacker.dice, defender.dice, game).probability > 0.5;
 
   // Iterate through all territories to find potential attackers
   for (let i = 1; i < game.AREA_MAX; i++) {
@@ -56,8 +62,11 @@ export const ai_example = game => {
   // End turn if no valid moves found
   if (validMoves.length === 0) return 0;
 
-  // Randomly select a move from the valid options
-  const selectedMove = validMoves[Math.floor(Math.random() * validMoves.length)];
+  /*
+   * Randomly select a move from the valid options, using the game's random
+   * source so that seeded games can be replayed
+   */
+  const selectedMove = randomPick(validMoves, getRandom(game));
 
   // Destructure the selected move
   const { attacker, defender } = selectedMove;
@@ -0,0 +1,405 @@
+import { getRules, REINFORCEMENT_FORMULAS } from '@utils/config.js';
+import { getAttackOdds } from '@utils/probability.js';
+import { getRandom, randomInt, shuffle } from '@utils/random.js';
+
+/**
+ * Monte Carlo Tree Search AI Strategy for Dice Wars
+ *
+ * Plans the rest of its turn instead of rating one attack at a time. Every
+ * decision grows a search tree over the attacks it could still make:
+ * - Decision nodes hold a board; their actions are the attacks and ending the turn
+ * - Each attack is a chance node whose dice are won or lost with the exact odds
+ *   of the game's battle mode (utils/probability.js)
+ * - New nodes are played out with quick attacks to the end of the turn and
+ *   through `rolloutTurns` rounds of everyone's turns, reinforcements included
+ *
+ * Actions are chosen with UCT and the most visited action at the root is
+ * played. The search runs for a number of playouts or for a time. It draws from
+ * the game's random source, so seeded games with a playout budget replay the
+ * same way.
+ */
+
+/**
+ * Default search settings
+ */
+export const MCTS_DEFAULTS = {
+  iterations: 300, // Playouts per decision
+  timeMs: null, // Time per decision in milliseconds (replaces the playout budget when set)
+  exploration: Math.SQRT2, // UCT exploration constant
+  rolloutTurns: 1, // Rounds of everyone's turns played out after the current one
+  minOdds: 0.2, // Attacks less likely to win are not searched
+};
+
+/**
+ * Create an MCTS AI with its own search settings
+ *
+ * @param {Object} [options] - Search settings (see MCTS_DEFAULTS)
+ * @returns {Function} AI function for the game's `ai` array
+ */
+export const createMCTSAI = (options = {}) => {
+  const settings = { ...MCTS_DEFAULTS, ...options };
+
+  return game => {
+    const search = createSearch(game, game.get_pn(), settings);
+    const root = createNode(search, readState(game));
+
+    // Nothing worth trying, so there is nothing to plan
+    if (root.actions.length === 1) return 0;
+
+    runSearch(search, root);
+
+    const best = root.actions.reduce((a, b) => (b.visits > a.visits ? b : a));
+    if (!best.attack) return 0;
+
+    game.area_from = best.attack.from;
+    game.area_to = best.attack.to;
+    return 1;
+  };
+};
+
+/**
+ * MCTS AI with the default settings
+ */
+export const ai_mcts = createMCTSAI();
+
+/**
+ * Gather what a search needs to know about the game
+ *
+ * @param {Object} game - The game state object
+ * @param {number} player - Player the search plays for
+ * @param {Object} settings - Search settings
+ * @returns {Object} Search context: board layout, turn order, rules and random source
+ */
+const createSearch = (game, player, settings) => {
+  const { adat, AREA_MAX } = game;
+  const areas = [];
+  for (let i = 1; i < AREA_MAX; i++) {
+    if (adat[i].size !== 0) areas.push(i);
+  }
+
+  const neighbors = [];
+  areas.forEach(i => {
+    neighbors[i] = areas.filter(j => j !== i && adat[i].join[j]);
+  });
+
+  return {
+    game,
+    player,
+    settings,
+    areas,
+    neighbors,
+    order: game.jun.slice(0, game.pmax ?? game.jun.length),
+    rules: getRules(game),
+    random: getRandom(game),
+  };
+};
+
+/**
+ * Copy the parts of the board a search changes
+ *
+ * @param {Object} game - The game state object
+ * @returns {Object} Owner and dice of each territory and each player's stock
+ */
+const readState = game => ({
+  arm: game.adat.map(area => area.arm),
+  dice: game.adat.map(area => area.dice),
+  stock: (game.player ?? []).map(player => player.stock ?? 0),
+});
+
+const cloneState = ({ arm, dice, stock }) => ({
+  arm: arm.slice(),
+  dice: dice.slice(),
+  stock: stock.slice(),
+});
+
+/**
+ * List a player's attacks with their odds
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board to attack on
+ * @param {number} player - Attacking player
+ * @returns {Array<Object>} { from, to, odds } for every attack
+ */
+const listAttacks = (search, state, player) => {
+  const attacks = [];
+  search.areas.forEach(from => {
+    if (state.arm[from] !== player || state.dice[from] < search.rules.minAttackDice) return;
+    search.neighbors[from].forEach(to => {
+      if (state.arm[to] === player) return;
+      const { probability } = getAttackOdds(state.dice[from], state.dice[to], search.game);
+      attacks.push({ from, to, odds: probability });
+    });
+  });
+  return attacks;
+};
+
+/**
+ * Apply the result of an attack to a board
+ *
+ * @param {Object} state - Board to change
+ * @param {Object} attack - { from, to }
+ * @param {boolean} won - Whether the attacker won
+ */
+const applyAttack = (state, { from, to }, won) => {
+  if (won) {
+    state.arm[to] = state.arm[from];
+    state.dice[to] = state.dice[from] - 1;
+  }
+  state.dice[from] = 1;
+};
+
+/**
+ * Measure a player's groups of connected territories
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board to measure
+ * @param {number} player - Player whose territories to group
+ * @returns {Object} { largestGroup, regions }: size of the largest group and number of groups
+ */
+const measureGroups = (search, state, player) => {
+  const seen = new Set();
+  let largestGroup = 0;
+  let regions = 0;
+
+  search.areas.forEach(start => {
+    if (state.arm[start] !== player || seen.has(start)) return;
+    regions++;
+    let size = 0;
+    const queue = [start];
+    seen.add(start);
+    while (queue.length) {
+      const id = queue.pop();
+      size++;
+      search.neighbors[id].forEach(j => {
+        if (state.arm[j] === player && !seen.has(j)) {
+          seen.add(j);
+          queue.push(j);
+        }
+      });
+    }
+    largestGroup = Math.max(largestGroup, size);
+  });
+
+  return { largestGroup, regions };
+};
+
+/**
+ * Give a player the reinforcements of the end of their turn
+ *
+ * Earns dice with the game's reinforcement formula and places them one at a
+ * time on random territories that have room, keeping the rest in stock.
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board to change
+ * @param {number} player - Player whose turn ends
+ */
+const reinforce = (search, state, player) => {
+  const { rules } = search;
+  const owned = search.areas.filter(i => state.arm[i] === player);
+  if (owned.length === 0) return;
+
+  const { largestGroup, regions } = measureGroups(search, state, player);
+  const formula = REINFORCEMENT_FORMULAS[rules.reinforcement];
+  const earned = Math.max(formula({ largestGroup, territories: owned.length, regions }, rules), 1);
+  let stock = Math.min((state.stock[player] ?? 0) + earned, rules.stockMax);
+
+  const open = owned.filter(i => state.dice[i] < rules.maxDice);
+  while (stock > 0 && open.length) {
+    const index = randomInt(open.length, search.random);
+    const id = open[index];
+    state.dice[id]++;
+    stock--;
+    if (state.dice[id] >= rules.maxDice) open.splice(index, 1);
+  }
+  state.stock[player] = stock;
+};
+
+/**
+ * Play the attacks of a turn with the rollout policy
+ *
+ * Keeps making random attacks that are at least even odds, rolling each one.
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board to change
+ * @param {number} player - Player to move
+ */
+const playAttacks = (search, state, player) => {
+  for (;;) {
+    const attacks = listAttacks(search, state, player).filter(attack => attack.odds >= 0.5);
+    if (attacks.length === 0) return;
+    const attack = attacks[randomInt(attacks.length, search.random)];
+    applyAttack(state, attack, search.random() < attack.odds);
+  }
+};
+
+/**
+ * Rate a board for the searching player
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board to rate
+ * @returns {number} Mean of the player's share of the board in its largest group, in
+ *   territories and in dice (0 when eliminated, 1 when they hold the whole board)
+ */
+const evaluate = (search, state) => {
+  let territories = 0;
+  let dice = 0;
+  let totalDice = 0;
+  search.areas.forEach(i => {
+    totalDice += state.dice[i];
+    if (state.arm[i] === search.player) {
+      territories++;
+      dice += state.dice[i];
+    }
+  });
+  const { largestGroup } = measureGroups(search, state, search.player);
+  return (
+    (largestGroup / search.areas.length + territories / search.areas.length + dice / totalDice) / 3
+  );
+};
+
+/**
+ * Play a board out and rate the result
+ *
+ * Finishes the searching player's turn, then plays `rolloutTurns` rounds of
+ * turns in the game's order.
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board to play out (changed in place)
+ * @param {boolean} attacking - Whether the searching player may still attack
+ * @returns {number} Rating of the final board (see evaluate)
+ */
+const rollOut = (search, state, attacking) => {
+  const { player, order, settings } = search;
+  if (attacking) playAttacks(search, state, player);
+  reinforce(search, state, player);
+
+  const start = order.indexOf(player);
+  const turns = settings.rolloutTurns * order.length;
+  for (let t = 1; t <= turns; t++) {
+    const next = order[(start + t) % order.length];
+    if (search.areas.some(i => state.arm[i] === next)) {
+      playAttacks(search, state, next);
+      reinforce(search, state, next);
+    }
+
+    // Stop once the searching player has won or been eliminated
+    const owned = search.areas.filter(i => state.arm[i] === player).length;
+    if (owned === 0 || owned === search.areas.length) break;
+  }
+
+  return evaluate(search, state);
+};
+
+/**
+ * Create a decision node
+ *
+ * Its actions are the attacks worth searching, in random order, and ending the
+ * turn (`attack` null). Each attack keeps the nodes of its two outcomes.
+ *
+ * @param {Object} search - Search context
+ * @param {Object} state - Board of the node
+ * @returns {Object} { state, visits, actions }
+ */
+const createNode = (search, state) => {
+  const attacks = listAttacks(search, state, search.player).filter(
+    attack => attack.odds >= search.settings.minOdds
+  );
+  const actions = shuffle(attacks, search.random).map(attack => ({
+    attack,
+    visits: 0,
+    value: 0,
+    outcomes: [null, null], // Won, lost
+  }));
+  actions.push({ attack: null, visits: 0, value: 0, outcomes: [] });
+
+  return { state, visits: 0, actions };
+};
+
+/**
+ * Choose the action to follow from a node with UCT
+ *
+ * @param {Object} search - Search context
+ * @param {Object} node - Decision node
+ * @returns {Object} First untried action, or the one with the best upper confidence bound
+ */
+const selectAction = (search, node) => {
+  const untried = node.actions.find(action => action.visits === 0);
+  if (untried) return untried;
+
+  const { exploration } = search.settings;
+  const logVisits = Math.log(node.visits);
+  let best = null;
+  let bestScore = -Infinity;
+  node.actions.forEach(action => {
+    const score = action.value / action.visits + exploration * Math.sqrt(logVisits / action.visits);
+    if (score > bestScore) {
+      best = action;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Run one playout: select down the tree, expand one outcome, roll out and back up
+ *
+ * @param {Object} search - Search context
+ * @param {Object} root - Root decision node
+ */
+const iterate = (search, root) => {
+  const path = [];
+  let node = root;
+  let state = null;
+  let attacking = false;
+
+  while (state === null) {
+    const action = selectAction(search, node);
+    path.push({ node, action });
+
+    if (!action.attack) {
+      state = cloneState(node.state);
+    } else {
+      // Roll the dice of the chance node
+      const won = search.random() < action.attack.odds;
+      const outcome = won ? 0 : 1;
+      if (action.outcomes[outcome]) {
+        node = action.outcomes[outcome];
+      } else {
+        const next = cloneState(node.state);
+        applyAttack(next, action.attack, won);
+        action.outcomes[outcome] = createNode(search, next);
+        state = cloneState(next);
+        attacking = true;
+      }
+    }
+  }
+
+  const reward = rollOut(search, state, attacking);
+  path.forEach(step => {
+    step.node.visits++;
+    step.action.visits++;
+    step.action.value += reward;
+  });
+};
+
+/**
+ * Grow the tree until the search budget is spent
+ *
+ * @param {Object} search - Search context
+ * @param {Object} root - Root decision node
+ */
+const runSearch = (search, root) => {
+  const { iterations, timeMs } = search.settings;
+
+  if (timeMs) {
+    const deadline = performance.now() + timeMs;
+    do {
+      iterate(search, root);
+    } while (performance.now() < deadline);
+    return;
+  }
+
+  for (let i = 0; i < iterations; i++) {
+    iterate(search, root);
+  }
+};
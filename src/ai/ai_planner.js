@@ -0,0 +1,273 @@
+import { TerritoryGraph } from '@models/enhanced/index.js';
+import { getRules, REINFORCEMENT_FORMULAS } from '@utils/config.js';
+import { getAttackOdds } from '@utils/probability.js';
+
+/**
+ * Attack Chain Planner AI Strategy for Dice Wars
+ *
+ * Plans sequences of attacks that link the player's regions. A sequence is made
+ * of chains in which each conquered territory attacks the next, so that taking
+ * one territory opens an attack on another:
+ * - The chains are the attack paths of TerritoryGraph from each stack of dice to
+ *   every enemy territory, and every shorter part of them
+ * - After a chain, the search follows up with another chain on the board that
+ *   chain leaves: from a second stack, or from a conquered territory that still
+ *   has dice. Links that need two stacks are found this way.
+ * - The search is a beam search: at each depth only the PLAN_BEAM_WIDTH best
+ *   sequences are followed up, up to MAX_PLAN_CHAINS chains
+ *
+ * Each sequence is rated by the reinforcements the player can expect at the end
+ * of the turn, stopping at the first lost battle:
+ * - Every battle is won or lost with the exact odds of the game's battle mode
+ * - Each outcome is scored with the game's reinforcement formula, which for the
+ *   original rules is the largest connected group (`area_tc`)
+ *
+ * The first attack of the sequence with the largest expected gain is played.
+ * After the battle the AI is called again and plans from the new board.
+ */
+
+/**
+ * Lowest chance of winning that a planned attack may have
+ */
+export const MIN_CHAIN_ODDS = 0.5;
+
+/**
+ * Most chains in a planned sequence (the first chain and its follow-ups)
+ */
+export const MAX_PLAN_CHAINS = 3;
+
+/**
+ * Number of sequences followed up at each depth of the search
+ */
+export const PLAN_BEAM_WIDTH = 4;
+
+/**
+ * Play the first attack of the best sequence
+ *
+ * @param {Object} game - The game state object
+ * @returns {number} 1 after choosing an attack, 0 to end the turn
+ */
+export const ai_planner = game => {
+  const plan = planAttackChain(game, game.get_pn());
+
+  // End the turn when no sequence adds to the reinforcements
+  if (!plan) return 0;
+
+  [[game.area_from, game.area_to]] = plan.attacks;
+  return 1;
+};
+
+/**
+ * Find the sequence of attacks that adds the most to a player's reinforcements
+ *
+ * @param {Object} game - The game state object
+ * @param {number} player - Attacking player
+ * @returns {Object|null} Best sequence, or null when none is expected to gain:
+ *   - attacks: [from, to] territory IDs of each attack, in order
+ *   - odds: chance of winning every attack
+ *   - reinforcements: expected reinforcements at the end of the turn
+ *   - gain: expected reinforcements the sequence adds
+ */
+export const planAttackChain = (game, player) => {
+  const board = readBoard(game);
+  const current = countReinforcements(board, player);
+  let beam = [{ attacks: [], odds: 1, failed: 0, won: current }];
+  let best = null;
+
+  for (let depth = 0; depth < MAX_PLAN_CHAINS && beam.length > 0; depth++) {
+    const plans = beam.flatMap(plan => followUp(board, player, plan));
+
+    plans.forEach(plan => {
+      const gain = expectedReinforcements(plan) - current;
+      const better = !best || gain > best.gain || (gain === best.gain && plan.odds > best.odds);
+      if (gain > 0 && better) {
+        best = {
+          attacks: plan.attacks,
+          odds: plan.odds,
+          reinforcements: expectedReinforcements(plan),
+          gain,
+        };
+      }
+    });
+
+    beam = plans
+      .sort((a, b) => expectedReinforcements(b) - expectedReinforcements(a) || b.odds - a.odds)
+      .slice(0, PLAN_BEAM_WIDTH);
+  }
+
+  return best;
+};
+
+/**
+ * Expected reinforcements of a planned sequence
+ *
+ * @param {Object} plan - Sequence from followUp()
+ * @returns {number} Reinforcements expected at the end of the turn
+ */
+const expectedReinforcements = ({ odds, failed, won }) => failed + odds * won;
+
+/**
+ * Build the territory graph of a game's board
+ *
+ * @param {Object} game - The game state object
+ * @returns {Object} { territories, graph, rules, game }: territories by ID with their
+ *   owner, dice and neighbors
+ */
+const readBoard = game => {
+  const { adat, AREA_MAX } = game;
+  const ids = [];
+  for (let i = 1; i < AREA_MAX; i++) {
+    if (adat[i].size !== 0) ids.push(i);
+  }
+
+  const territories = new Map();
+  ids.forEach(i => {
+    const neighbors = ids.filter(j => j !== i && adat[i].join[j]);
+    territories.set(i, {
+      arm: adat[i].arm,
+      dice: adat[i].dice,
+      getAdjacentAreas: () => neighbors,
+    });
+  });
+
+  return { territories, graph: new TerritoryGraph(territories), rules: getRules(game), game };
+};
+
+/**
+ * Reinforcements a player would earn on a board
+ *
+ * @param {Object} board - Board from readBoard()
+ * @param {number} player - Player index
+ * @returns {number} Dice earned with the game's reinforcement formula
+ */
+const countReinforcements = (board, player) => {
+  const { graph, rules, territories } = board;
+
+  // Territory owners may have changed since the groups were cached
+  graph.updateOwnership(new Map([...territories].map(([id, { arm }]) => [id, arm])));
+
+  const groups = graph.getPlayerTerritoryGroups(player);
+  const owned = groups.reduce((total, group) => total + group.territories.length, 0);
+  if (owned === 0) return 0;
+
+  const largestGroup = graph.getLargestTerritoryGroup(player).territories.length;
+  const formula = REINFORCEMENT_FORMULAS[rules.reinforcement];
+  return Math.max(formula({ largestGroup, territories: owned, regions: groups.length }, rules), 1);
+};
+
+/**
+ * Save the owners and dice of a board
+ *
+ * @param {Object} board - Board from readBoard()
+ * @returns {Function} Puts the board back as it was
+ */
+const saveBoard = ({ territories }) => {
+  const saved = [...territories].map(([id, { arm, dice }]) => [id, arm, dice]);
+  return () => {
+    saved.forEach(([id, arm, dice]) => Object.assign(territories.get(id), { arm, dice }));
+  };
+};
+
+/**
+ * Play a won attack on the board
+ *
+ * The conquering territory keeps all but one of the attacking dice and the
+ * attacking territory is left with one.
+ *
+ * @param {Object} board - Board from readBoard()
+ * @param {number} player - Attacking player
+ * @param {Array<number>} attack - [from, to] territory IDs
+ */
+const playAttack = ({ territories }, player, [from, to]) => {
+  const attacker = territories.get(from);
+  Object.assign(territories.get(to), { arm: player, dice: attacker.dice - 1 });
+  attacker.dice = 1;
+};
+
+/**
+ * Rate the chains that can follow a planned sequence
+ *
+ * The chains are the attack paths from each territory of the player with enough
+ * dice, on the board the sequence leaves when every attack is won.
+ *
+ * @param {Object} board - Board from readBoard()
+ * @param {number} player - Attacking player
+ * @param {Object} plan - Sequence to follow up: { attacks, odds, failed, won }
+ * @returns {Array<Object>} The sequence with each chain added, in the same form
+ */
+const followUp = (board, player, plan) => {
+  const restore = saveBoard(board);
+  plan.attacks.forEach(attack => playAttack(board, player, attack));
+  const tried = new Set();
+  const rated = new Set();
+  const plans = [];
+
+  board.territories.forEach((start, startId) => {
+    if (start.arm !== player || start.dice < board.rules.minAttackDice) return;
+
+    board.territories.forEach((target, targetId) => {
+      if (target.arm === player) return;
+
+      const path = board.graph.findAttackPath(startId, targetId);
+      const key = path.join();
+      if (path.length < 2 || tried.has(key)) return;
+      tried.add(key);
+
+      rateChain(board, player, path, plan).forEach(next => {
+        // Shorter parts of the paths to different targets are the same chain
+        const chain = next.attacks.slice(plan.attacks.length).join(';');
+        if (rated.has(chain)) return;
+        rated.add(chain);
+        plans.push(next);
+      });
+    });
+  });
+
+  restore();
+  return plans;
+};
+
+/**
+ * Rate an attack path and every shorter chain along it
+ *
+ * Each attack of the chain has one die less than the one before. The chain stops
+ * where there are too few dice, the odds are below MIN_CHAIN_ODDS or the path
+ * crosses the player's own territory.
+ *
+ * @param {Object} board - Board from readBoard()
+ * @param {number} player - Attacking player
+ * @param {Array<number>} path - Territory IDs, the attacking territory first
+ * @param {Object} plan - Sequence the chain follows: { attacks, odds, failed, won }
+ * @returns {Array<Object>} { attacks, odds, failed, won } for each chain:
+ *   - odds: chance of winning every attack
+ *   - failed: expected reinforcements of the battles lost along the way
+ *   - won: reinforcements when every attack is won
+ */
+const rateChain = (board, player, path, plan) => {
+  const { territories, rules, game } = board;
+  const restore = saveBoard(board);
+  const attacks = [];
+  const plans = [];
+  let { odds, failed, won } = plan;
+
+  for (let step = 1; step < path.length; step++) {
+    const attack = [path[step - 1], path[step]];
+    const [attacker, defender] = attack.map(id => territories.get(id));
+    if (attacker.dice < rules.minAttackDice || defender.arm === player) break;
+
+    const { probability } = getAttackOdds(attacker.dice, defender.dice, game);
+    if (probability < MIN_CHAIN_ODDS) break;
+
+    failed += odds * (1 - probability) * won;
+    odds *= probability;
+
+    attacks.push(attack);
+    playAttack(board, player, attack);
+    won = countReinforcements(board, player);
+
+    plans.push({ attacks: [...plan.attacks, ...attacks], odds, failed, won });
+  }
+
+  restore();
+  return plans;
+};
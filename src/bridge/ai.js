@@ -47,18 +47,15 @@ const createPlaceholder = name => {
   return placeholder;
 };
 
-// Initialize placeholders immediately (synchronous)
-window.AI_REGISTRY = window.AI_REGISTRY || {};
-window.ai_default = createPlaceholder('ai_default');
-window.ai_defensive = createPlaceholder('ai_defensive');
-window.ai_example = createPlaceholder('ai_example');
-window.ai_adaptive = createPlaceholder('ai_adaptive');
+// Every registered strategy gets a global function
+const aiNames = Object.keys(AI_STRATEGIES);
 
-// Also add to registry
-window.AI_REGISTRY.ai_default = window.ai_default;
-window.AI_REGISTRY.ai_defensive = window.ai_defensive;
-window.AI_REGISTRY.ai_example = window.ai_example;
-window.AI_REGISTRY.ai_adaptive = window.ai_adaptive;
+// Initialize placeholders immediately (synchronous), and add them to the registry
+window.AI_REGISTRY = window.AI_REGISTRY || {};
+aiNames.forEach(name => {
+  window[name] = createPlaceholder(name);
+  window.AI_REGISTRY[name] = window[name];
+});
 
 console.log('[AI Bridge] Placeholders installed');
 
@@ -66,7 +63,6 @@ console.log('[AI Bridge] Placeholders installed');
 (async () => {
   try {
     const loadedAIs = {};
-    const aiNames = ['ai_default', 'ai_defensive', 'ai_example', 'ai_adaptive'];
 
     // Load all AI strategies
     const loadPromises = aiNames.map(async key => {
@@ -118,7 +114,6 @@ console.log('[AI Bridge] Placeholders installed');
     console.error('[AI Bridge] Critical error during initialization:', error);
 
     // Ensure fallbacks are in place
-    const aiNames = ['ai_default', 'ai_defensive', 'ai_example', 'ai_adaptive'];
     aiNames.forEach(key => {
       if (!window[key] || window[key].isPlaceholder) {
         window[key] = fallbackAI;
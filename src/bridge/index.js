@@ -18,12 +18,25 @@ import './ai.js';
 import './Game.js';
 // Import mechanics but only re-export non-conflicting parts
 import * as Mechanics from '@mechanics/index.js';
+import { createRandom } from '@utils/random.js';
 
 // Export utility modules for ES6 usage
 export * from '@utils/config.js';
 export * from '@utils/gameUtils.js';
+export * from '@utils/probability.js';
+export * from '@utils/grid.js';
 export * from '@utils/render.js';
 export * from '@utils/sound.js';
+export * from '@utils/replayController.js';
+export * from '@utils/mapLoader.js';
+export * from '@utils/mapEditor.js';
+export * from '@utils/scenarios.js';
+export * from '@utils/hotSeat.js';
+export * from '@utils/turnClock.js';
+export * from '@utils/practice.js';
+
+// Export the network client (the game server itself runs in Node)
+export * from '../network/GameClient.js';
 
 // Export core modules for ES6 usage
 export { Game } from '../Game.js';
@@ -33,9 +46,13 @@ export const {
   setAreaTc,
   executeAttack,
   distributeReinforcements,
+  calculateReinforcements,
+  rollBattle,
   setPlayerTerritoryData,
   executeAIMove,
   AI_REGISTRY,
+  getAIExecutor,
+  getAIWatchdog,
 } = Mechanics;
 
 // Export AI modules for ES6 usage
@@ -53,6 +70,50 @@ initCallbacks.gameReady();
 // Mark mechanics as ready (currently synchronous)
 initCallbacks.mechanicsReady();
 
+// Map generation on the configured grid, for the legacy make_map in game.js
+window.makeMap = Mechanics.makeMap;
+
+// Reinforcements under the configured rules, for the legacy supply phase in main.js
+window.calculateReinforcements = Mechanics.calculateReinforcements;
+
+// Battle dice under the configured battle mode, for the legacy battle in main.js
+window.rollBattle = Mechanics.rollBattle;
+
+// Seeded random source, for the legacy Game.setSeed in game.js
+window.createRandom = createRandom;
+
+// Checked AI decisions off the main thread, for the legacy start_com in main.js
+window.requestAIMove = game =>
+  Mechanics.getAIWatchdog().decide(
+    game,
+    typeof game.com_ai === 'function' ? game.com_ai() : undefined
+  );
+
+// Game events, for the legacy loop in main.js and for plugins without modules
+window.gameEvents = Mechanics.gameEvents;
+window.EventType = Mechanics.EventType;
+[
+  'emitGameStart',
+  'emitGameEnd',
+  'emitTurnStart',
+  'emitTurnEnd',
+  'emitSelectionChanged',
+  'emitMapUpdated',
+  'emitAIThinkingStart',
+  'emitAIThinkingEnd',
+  'emitAIDecision',
+  'emitTerritoryAttack',
+  'emitDiceRolled',
+  'emitTerritoryCapture',
+  'emitTerritoryDefend',
+  'emitPlayerEliminated',
+  'emitPlayerVictory',
+  'emitDiceAdded',
+  'emitTerritoryReinforced',
+].forEach(name => {
+  window[name] = Mechanics[name];
+});
+
 // Add legacy compatibility layer for checking bridge status
 window.checkBridgeStatus = () => {
   const status = BridgeInitializer.getStatus();
@@ -80,7 +141,7 @@ window.verifyES6BridgeStatus = () => {
 
   // Check each AI function to see if it's the placeholder or ES6 version
   const aiStatus = {};
-  ['ai_default', 'ai_defensive', 'ai_example', 'ai_adaptive'].forEach(name => {
+  Object.keys(AI_REGISTRY).forEach(name => {
     const fn = window[name];
     if (!fn) {
       aiStatus[name] = 'Missing';
@@ -16,6 +16,7 @@ import {
   executeAIMove, AI_REGISTRY
 } from '@mechanics/enhanced/index.js';
 import { getConfig } from '@utils/config.js';
+import { createRandom, defaultRandom } from '@utils/random.js';
 
 /**
  * Enhanced Game Class
@@ -115,6 +116,10 @@ export class Game {
   user = 0;               // Human player index (default: 0)
   put_dice = 3;           // Average number of dice per territory
   
+  // Random source - every random draw in the game goes through rng()
+  seed = null;             // Seed of the current random source (null = unseeded)
+  rng = defaultRandom;     // Random source used by map generation, turn order, dice and AI
+  
   // Turn tracking
   jun = [0, 1, 2, 3, 4, 5, 6, 7]; // Player order array
   ban = 0;                        // Current turn index (current player = jun[ban])
@@ -257,6 +262,22 @@ export class Game {
     makeMap(this);
   }
 
+  /**
+   * Seed the Random Source
+   * 
+   * Replaces the game's random source with a deterministic generator so that
+   * map generation, turn order, dice rolls and AI choices can be reproduced.
+   * Passing null restores the unseeded default source.
+   * 
+   * @param {number|string|null} seed - Seed value, or null for unseeded play
+   * @returns {Game} This game instance for chaining
+   */
+  setSeed(seed) {
+    this.seed = seed ?? null;
+    this.rng = this.seed === null ? defaultRandom : createRandom(this.seed);
+    return this;
+  }
+
   /**
    * Initialize Game
    * 
@@ -273,7 +294,7 @@ export class Game {
     
     // Shuffle the first pmax elements using modern array shuffle
     for (let i = 0; i < this.pmax; i++) {
-      const r = Math.floor(Math.random() * this.pmax);
+      const r = Math.floor(this.rng() * this.pmax);
       [this.jun[i], this.jun[r]] = [this.jun[r], this.jun[i]]; // ES6 destructuring swap
     }
     
@@ -327,9 +348,9 @@ export class Game {
    * 
    * Delegates to the appropriate AI strategy function for the current player.
    * 
-   * @returns {number} Return value from the AI (0 to end turn, non-zero to continue)
+   * @returns {Promise<number>} 0 to end the turn, 1 to attack from area_from to area_to
    */
-  com_thinking() {
+  async com_thinking() {
     return executeAIMove(this);
   }
   
@@ -399,7 +420,8 @@ export class Game {
       mapWidth = 28,
       mapHeight = 32,
       territoriesCount = 32,
-      aiTypes = null
+      aiTypes = null,
+      seed = null
     } = config;
     
     // Game rules
@@ -412,6 +434,11 @@ export class Game {
     this.YMAX = mapHeight;
     this.AREA_MAX = territoriesCount;
     
+    // Reproducible games - only reseed when a seed is configured
+    if (seed !== null) {
+      this.setSeed(seed);
+    }
+    
     // AI configuration - map string names to function references
     if (aiTypes && Array.isArray(aiTypes) && this.ai) {
       // Map AI type strings to actual functions
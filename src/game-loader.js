@@ -82,12 +82,30 @@ window.ai_adaptive = function (game) {
   return window.ai_default(game);
 };
 
+window.ai_mcts = function (game) {
+  // Only warn if we're not expecting ES6 modules to load
+  if (!window.ES6_LOADING_STARTED) {
+    console.warn('Using placeholder ai_mcts - ES6 module not loaded');
+  }
+  return window.ai_default(game);
+};
+
+window.ai_planner = function (game) {
+  // Only warn if we're not expecting ES6 modules to load
+  if (!window.ES6_LOADING_STARTED) {
+    console.warn('Using placeholder ai_planner - ES6 module not loaded');
+  }
+  return window.ai_default(game);
+};
+
 // Set up placeholder for AI registry
 window.AI_REGISTRY = {
   ai_default: window.ai_default,
   ai_defensive: window.ai_defensive,
   ai_example: window.ai_example,
   ai_adaptive: window.ai_adaptive,
+  ai_mcts: window.ai_mcts,
+  ai_planner: window.ai_planner,
 };
 
 /*
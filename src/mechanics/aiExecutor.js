@@ -0,0 +1,224 @@
+/**
+ * AI Executor Module
+ *
+ * Makes AI decisions off the main thread, so the board keeps animating while
+ * an AI thinks. The executor posts a compact snapshot of the board and the
+ * strategy ID to a Web Worker (aiWorker.js), which answers with the move:
+ * `{ endTurn, from, to }`. The worker also returns the state of a seeded random
+ * source, so seeded games play the same way with or without it.
+ *
+ * The AI runs synchronously on the game itself where there are no workers
+ * (Node, Jest), when the game is configured with `aiWorker: false`, for AI
+ * functions that are not registered strategies (a function cannot be posted to
+ * a worker) and after the worker failed. A worker that does not answer in time
+ * is stopped. Timeouts and errors thrown by the AI are passed on to the caller
+ * (see aiWatchdog.js).
+ */
+
+import { getAIStrategyId } from '@ai/index.js';
+import { getConfig } from '@utils/config.js';
+import { GameError } from './errors/index.js';
+import { createAISnapshot, readAIDecision } from './aiSnapshot.js';
+
+/**
+ * Time an AI worker has for a decision, in milliseconds
+ */
+export const DEFAULT_AI_TIMEOUT = 10000;
+
+// The factory is only loaded where there are workers (see createAIWorker.js)
+const loadAIWorker = async () => (await import('./createAIWorker.js')).createAIWorker();
+
+/**
+ * AIExecutor Class
+ *
+ * Sends decisions to one worker, started on first use.
+ */
+export class AIExecutor {
+  /**
+   * Create an executor
+   *
+   * @param {Object} [options] - Executor options
+   * @param {boolean} [options.useWorker] - Whether to use a worker (where the environment has them)
+   * @param {number} [options.timeoutMs=DEFAULT_AI_TIMEOUT] - Time the worker has for a decision
+   * @param {Function} [options.createWorker] - Returns (a promise of) a new worker
+   */
+  constructor({
+    useWorker = typeof Worker !== 'undefined',
+    timeoutMs = DEFAULT_AI_TIMEOUT,
+    createWorker = loadAIWorker,
+  } = {}) {
+    this.useWorker = useWorker;
+    this.timeoutMs = timeoutMs;
+    this.createWorker = createWorker;
+    this.worker = null;
+    this.requests = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Get an AI's decision for the player to move
+   *
+   * Sets `area_from` and `area_to` of the game to the chosen attack, as the AI
+   * functions do.
+   *
+   * @param {Object} gameState - Game state with the player to move
+   * @param {Function} [aiFunction] - AI to ask (the player's AI by default)
+   * @param {Object} [options] - Decision options
+   * @param {number} [options.timeoutMs] - Time the worker has (the executor's timeoutMs by default)
+   * @returns {Promise<Object>} { endTurn, from, to }
+   * @throws {GameError} ERR_AI_TIMEOUT when the worker takes too long
+   * @throws {Error} What the AI throws (ERR_AI_FAILED when it threw in the worker)
+   */
+  async decide(
+    gameState,
+    aiFunction = gameState.ai?.[gameState.jun[gameState.ban]],
+    { timeoutMs = this.timeoutMs } = {}
+  ) {
+    if (typeof aiFunction !== 'function') return readAIDecision(gameState, 0);
+
+    const strategy = getAIStrategyId(aiFunction);
+    const worker = strategy && this.useWorker ? await this.getWorker() : null;
+    if (worker) {
+      try {
+        const decision = await this.request(worker, gameState, strategy, timeoutMs);
+        if (!decision.endTurn) {
+          gameState.area_from = decision.from;
+          gameState.area_to = decision.to;
+        }
+        return decision;
+      } catch (error) {
+        if (error.code === 'ERR_AI_TIMEOUT') this.terminate();
+        if (error.code !== 'ERR_AI_WORKER') throw error;
+
+        console.error('AI worker failed, AIs run on the main thread from now on:', error);
+        this.terminate();
+        this.useWorker = false;
+        return this.decide(gameState, aiFunction, { timeoutMs });
+      }
+    }
+
+    return readAIDecision(gameState, aiFunction(gameState));
+  }
+
+  /**
+   * Get the worker, starting it if needed
+   *
+   * @returns {Promise<Worker|null>} The worker, or null when it cannot be started
+   */
+  async getWorker() {
+    if (!this.worker) {
+      this.worker = Promise.resolve()
+        .then(() => this.createWorker())
+        .then(worker => {
+          worker.onmessage = ({ data }) => this.settle(data);
+          worker.onerror = event => this.failAll(new GameError(event.message, 'ERR_AI_WORKER'));
+          return worker;
+        })
+        .catch(error => {
+          console.warn('AI worker unavailable, AIs run on the main thread:', error);
+          this.useWorker = false;
+          return null;
+        });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Post a decision to the worker
+   *
+   * @param {Worker} worker - The worker
+   * @param {Object} gameState - Game state with the player to move
+   * @param {string} strategy - Strategy ID
+   * @param {number} timeoutMs - Time the worker has
+   * @returns {Promise<Object>} The decision
+   * @throws {GameError} ERR_AI_TIMEOUT when the worker takes too long, ERR_AI_FAILED when the
+   *   AI throws, ERR_AI_WORKER when the worker fails
+   */
+  request(worker, gameState, strategy, timeoutMs) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(id);
+        reject(new GameError(`${strategy} timed out`, 'ERR_AI_TIMEOUT', { strategy, timeoutMs }));
+      }, timeoutMs);
+
+      this.requests.set(id, { resolve, reject, timer });
+      worker.postMessage({ id, strategy, snapshot: createAISnapshot(gameState) });
+    }).then(({ decision, random }) => {
+      // Keep the game's random source where the worker's copy left off
+      if (random !== null && typeof gameState.rng?.setState === 'function') {
+        gameState.rng.setState(random);
+      }
+      return decision;
+    });
+  }
+
+  /**
+   * Settle a request with the worker's answer
+   *
+   * @param {Object} data - { id, decision, random } or { id, error }
+   */
+  settle({ id, error, ...answer }) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    this.requests.delete(id);
+    clearTimeout(request.timer);
+    if (error) {
+      request.reject(new GameError(error, 'ERR_AI_FAILED'));
+    } else {
+      request.resolve(answer);
+    }
+  }
+
+  /**
+   * Reject every waiting request
+   *
+   * @param {Error} error - Reason
+   */
+  failAll(error) {
+    this.requests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.requests.clear();
+  }
+
+  /**
+   * Stop the worker; the next decision starts a new one
+   */
+  terminate() {
+    const { worker } = this;
+    this.worker = null;
+    this.failAll(new GameError('AI worker stopped', 'ERR_AI_WORKER'));
+    worker?.then(w => w?.terminate());
+  }
+}
+
+let executor = null;
+
+/**
+ * Get the executor shared by the games
+ *
+ * Created on first use; the `aiWorker` setting turns the worker off.
+ *
+ * @returns {AIExecutor} The executor
+ */
+export const getAIExecutor = () => {
+  if (!executor) {
+    const { aiWorker = true } = getConfig();
+    executor = new AIExecutor({ useWorker: aiWorker && typeof Worker !== 'undefined' });
+  }
+  return executor;
+};
+
+/**
+ * Replace the shared executor (for tests and embedding pages)
+ *
+ * @param {AIExecutor|null} next - New executor, or null to create one on next use
+ */
+export const setAIExecutor = next => {
+  executor?.terminate();
+  executor = next;
+};
@@ -6,6 +6,9 @@
  */
 
 import { AI_STRATEGIES, createAIFunctionMapping } from '@ai/index.js';
+import { getRules } from '@utils/config.js';
+import { emitAIDecision, emitAIThinkingEnd, emitAIThinkingStart } from './eventSystem.js';
+import { getAIWatchdog } from './aiWatchdog.js';
 
 /**
  * AI Strategy Registry
@@ -29,6 +32,7 @@ export const AI_REGISTRY = Object.fromEntries(
  */
 export function generatePossibleMoves(gameState, playerIndex) {
   const { adat, AREA_MAX } = gameState;
+  const { minAttackDice } = getRules(gameState);
   const moves = [];
 
   // Loop through all territories
@@ -36,7 +40,7 @@ export function generatePossibleMoves(gameState, playerIndex) {
     // Skip non-existent or enemy territories
     if (adat[i].size === 0) continue;
     if (adat[i].arm !== playerIndex) continue;
-    if (adat[i].dice <= 1) continue; // Need at least 2 dice to attack
+    if (adat[i].dice < minAttackDice) continue; // Not enough dice to attack
 
     // Look for adjacent enemy territories to attack
     for (let j = 1; j < AREA_MAX; j++) {
@@ -64,34 +68,47 @@ export function generatePossibleMoves(gameState, playerIndex) {
  *
  * Delegates to the appropriate AI strategy function for the current player.
  * Each AI function receives the game state and returns its move decision.
+ * The decision is made by the AI executor, in a Web Worker where the browser
+ * has them (see aiExecutor.js), and sets `area_from` and `area_to` of the game.
+ * The AI watchdog checks it first: a move that is late, illegal or thrown is
+ * replaced by ai_default's or ends the turn (see aiWatchdog.js).
+ * Emits AI_THINKING_START and AI_THINKING_END around the AI's turn to think,
+ * then AI_DECISION_MADE with its choice and whether the AI broke the rules.
  *
  * @param {Object} gameState - Game state including AI array and current player
- * @returns {number} Return value from the AI (0 to end turn, non-zero to continue)
+ * @param {AIWatchdog|AIExecutor} [executor] - Makes the decision (the shared watchdog by default)
+ * @returns {Promise<number>} 0 to end the turn, 1 to attack
  */
-export function executeAIMove(gameState) {
+export async function executeAIMove(gameState, executor = getAIWatchdog()) {
   const { ai, jun, ban } = gameState;
 
   // Look up the AI function for the current player
   const currentPlayer = jun[ban];
-  const aiFunction = ai[currentPlayer];
+  let aiFunction = ai[currentPlayer];
 
   // Check if the AI function exists before calling it
   if (typeof aiFunction !== 'function') {
     console.error(`AI function not found for player ${currentPlayer}`);
 
     // Try to use default AI as a fallback
-    const defaultAI = AI_STRATEGIES.ai_default.implementation;
-    if (typeof defaultAI === 'function') {
-      console.log('Using default AI as fallback');
-      return defaultAI(gameState);
+    aiFunction = AI_STRATEGIES.ai_default?.implementation;
+    if (typeof aiFunction !== 'function') {
+      // If no fallback available, end the turn
+      console.error('No fallback AI available, ending turn');
+      return 0;
     }
-    // If no fallback available, end the turn
-    console.error('No fallback AI available, ending turn');
-    return 0;
+    console.log('Using default AI as fallback');
   }
 
-  // Call the AI function, passing the game state
-  return aiFunction(gameState);
+  // Let the executor ask the AI function about the game state
+  emitAIThinkingStart(gameState);
+  const startedAt = performance.now();
+  const { endTurn, error = null } = await executor.decide(gameState, aiFunction);
+  const result = endTurn ? 0 : 1;
+  emitAIThinkingEnd(gameState, performance.now() - startedAt);
+  emitAIDecision(gameState, result, error);
+
+  return result;
 }
 
 /**
@@ -0,0 +1,115 @@
+/**
+ * AI Snapshot Module
+ *
+ * Compact copies of what an AI reads from a game, so a decision can be made in
+ * a Web Worker (see aiExecutor.js). A snapshot holds each territory's owner,
+ * dice and neighbors, the player data, the turn order, the rules and the state
+ * of a seeded random source. Restoring it gives a game state with the fields
+ * and methods the AIs use.
+ */
+
+import { AreaData, PlayerData } from '@models/index.js';
+import { getRules } from '@utils/config.js';
+import { createRandom } from '@utils/random.js';
+import { setAreaTc } from './mapGenerator.js';
+
+/**
+ * Copy what an AI needs from a game
+ *
+ * @param {Object} gameState - Game state with the player to move
+ * @returns {Object} Snapshot that can be posted to a worker
+ */
+export const createAISnapshot = gameState => {
+  const { adat, AREA_MAX } = gameState;
+  const areas = [];
+  for (let i = 1; i < AREA_MAX; i++) {
+    const area = adat[i];
+    if (!area || area.size === 0) continue;
+
+    const neighbors = [];
+    for (let j = 1; j < AREA_MAX; j++) {
+      if (area.join[j]) neighbors.push(j);
+    }
+    areas.push([i, area.size, area.arm, area.dice, neighbors]);
+  }
+
+  return {
+    AREA_MAX,
+    areas,
+    players: (gameState.player ?? []).map(p => [
+      p.area_c,
+      p.area_tc,
+      p.dice_c,
+      p.dice_jun,
+      p.stock,
+    ]),
+    jun: [...gameState.jun],
+    ban: gameState.ban,
+    pmax: gameState.pmax ?? gameState.jun.length,
+    rules: getRules(gameState),
+    decks: gameState.battle_deck ?? {},
+    random: typeof gameState.rng?.getState === 'function' ? gameState.rng.getState() : null,
+  };
+};
+
+/**
+ * Rebuild a game state from a snapshot
+ *
+ * @param {Object} snapshot - Result of createAISnapshot()
+ * @returns {Object} Game state for an AI function, with `get_pn()` and `set_area_tc()`
+ */
+export const restoreAISnapshot = snapshot => {
+  const { AREA_MAX } = snapshot;
+
+  const adat = Array.from({ length: AREA_MAX }, () => new AreaData(AREA_MAX));
+  snapshot.areas.forEach(([id, size, arm, dice, neighbors]) => {
+    Object.assign(adat[id], { size, arm, dice });
+    neighbors.forEach(j => {
+      adat[id].join[j] = 1;
+    });
+  });
+
+  const player = snapshot.players.map(([area_c, area_tc, dice_c, dice_jun, stock]) =>
+    Object.assign(new PlayerData(), { area_c, area_tc, dice_c, dice_jun, stock })
+  );
+
+  let rng;
+  if (snapshot.random !== null) {
+    rng = createRandom(0);
+    rng.setState(snapshot.random);
+  }
+
+  return {
+    AREA_MAX,
+    adat,
+    player,
+    jun: [...snapshot.jun],
+    ban: snapshot.ban,
+    pmax: snapshot.pmax,
+    rules: snapshot.rules,
+    battle_deck: snapshot.decks,
+    rng,
+    area_from: 0,
+    area_to: 0,
+    chk: new Array(AREA_MAX).fill(0),
+    tc: new Array(AREA_MAX).fill(0),
+    get_pn() {
+      return this.jun[this.ban];
+    },
+    set_area_tc(pn) {
+      setAreaTc(this, pn);
+    },
+  };
+};
+
+/**
+ * Read an AI's decision from the game it decided on
+ *
+ * @param {Object} gameState - Game state the AI function ran on
+ * @param {*} result - Return value of the AI function (0 ends the turn)
+ * @returns {Object} { endTurn, from, to } (from and to are null when the turn ends)
+ */
+export const readAIDecision = (gameState, result) =>
+  result === 0
+    ? { endTurn: true, from: null, to: null }
+    : { endTurn: false, from: gameState.area_from, to: gameState.area_to };
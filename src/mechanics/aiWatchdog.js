@@ -0,0 +1,158 @@
+/**
+ * AI Watchdog Module
+ *
+ * Guards the moves of computer players. The watchdog asks the AI executor for
+ * a decision and checks it before the game plays it:
+ * - The AI has a time budget per move. A worker that runs over it is stopped;
+ *   on the main thread, where a running function cannot be stopped, a late
+ *   decision is thrown away.
+ * - The chosen attack must pass validateTerritories() for the player to move.
+ * - An AI that throws only loses its move.
+ *
+ * A violation is recorded as a PlayerError (time budget, exceptions) or a
+ * BattleError (illegal attacks), and ai_default makes the move instead. The
+ * turn ends when the fallback is off or breaks the rules too.
+ */
+
+import { getAIImplementation } from '@ai/index.js';
+import { DEFAULT_AI_TIMEOUT, getAIExecutor } from './aiExecutor.js';
+import { validateTerritories } from './errorHandling.js';
+import { BattleError, PlayerError } from './errors/index.js';
+
+/**
+ * Number of violations a watchdog keeps (the oldest are dropped)
+ */
+export const MAX_RECORDED_VIOLATIONS = 100;
+
+/**
+ * AIWatchdog Class
+ *
+ * A guarded executor: `decide()` answers like AIExecutor.decide(), with the
+ * violation of the move (or null) in `error`.
+ */
+export class AIWatchdog {
+  /**
+   * Create a watchdog
+   *
+   * @param {Object} [options] - Watchdog options
+   * @param {AIExecutor} [options.executor] - Executor to guard (the shared one by default)
+   * @param {number} [options.timeBudgetMs=DEFAULT_AI_TIMEOUT] - Time an AI has for a move
+   * @param {boolean} [options.fallback=true] - Let ai_default move after a violation
+   */
+  constructor({ executor = null, timeBudgetMs = DEFAULT_AI_TIMEOUT, fallback = true } = {}) {
+    this.executor = executor;
+    this.timeBudgetMs = timeBudgetMs;
+    this.fallback = fallback;
+    this.violations = [];
+  }
+
+  /**
+   * Get a checked decision for the player to move
+   *
+   * @param {Object} gameState - Game state with the player to move
+   * @param {Function} [aiFunction] - AI to ask (the player's AI by default)
+   * @returns {Promise<Object>} { endTurn, from, to, error } (error is the violation or null)
+   */
+  async decide(gameState, aiFunction = gameState.ai?.[gameState.jun[gameState.ban]]) {
+    const { decision, violation } = await this.attempt(gameState, aiFunction);
+    if (!violation) return { ...decision, error: null };
+
+    this.record(violation);
+    const fallback = this.fallback ? await getAIImplementation('ai_default') : null;
+    if (typeof fallback === 'function' && fallback !== aiFunction) {
+      const retry = await this.attempt(gameState, fallback);
+      if (!retry.violation) return { ...retry.decision, error: violation };
+      this.record(retry.violation);
+    }
+
+    return { endTurn: true, from: null, to: null, error: violation };
+  }
+
+  /**
+   * Ask an AI for a move and check it
+   *
+   * @param {Object} gameState - Game state with the player to move
+   * @param {Function} aiFunction - AI to ask
+   * @returns {Promise<Object>} { decision, violation } (violation is null for a legal move)
+   */
+  async attempt(gameState, aiFunction) {
+    const playerId = gameState.jun[gameState.ban];
+    const executor = this.executor ?? getAIExecutor();
+    const startedAt = performance.now();
+
+    let decision;
+    try {
+      decision = await executor.decide(gameState, aiFunction, { timeoutMs: this.timeBudgetMs });
+    } catch (error) {
+      const violation =
+        error.code === 'ERR_AI_TIMEOUT'
+          ? new PlayerError(
+              `AI of player ${playerId} ran over its ${this.timeBudgetMs}ms budget`,
+              playerId,
+              { code: 'ERR_AI_TIMEOUT', timeBudgetMs: this.timeBudgetMs }
+            )
+          : new PlayerError(`AI of player ${playerId} failed: ${error.message}`, playerId, {
+              code: 'ERR_AI_FAILED',
+            });
+      return { decision: null, violation };
+    }
+
+    const elapsed = performance.now() - startedAt;
+    if (elapsed > this.timeBudgetMs) {
+      const violation = new PlayerError(
+        `AI of player ${playerId} took ${Math.round(elapsed)}ms, over its ${this.timeBudgetMs}ms budget`,
+        playerId,
+        { code: 'ERR_AI_TIMEOUT', timeBudgetMs: this.timeBudgetMs, elapsed }
+      );
+      return { decision: null, violation };
+    }
+
+    if (!decision.endTurn) {
+      try {
+        validateTerritories(gameState, decision.from, decision.to, playerId);
+      } catch (error) {
+        const violation = new BattleError(
+          `Illegal move from AI of player ${playerId}: ${error.message}`,
+          decision.from,
+          decision.to,
+          { code: error.data?.code ?? 'ERR_INVALID_ATTACK', playerId }
+        );
+        return { decision: null, violation };
+      }
+    }
+
+    return { decision, violation: null };
+  }
+
+  /**
+   * Record a violation
+   *
+   * @param {GameError} violation - PlayerError or BattleError
+   */
+  record(violation) {
+    console.warn(violation.toString());
+    this.violations.push(violation);
+    if (this.violations.length > MAX_RECORDED_VIOLATIONS) this.violations.shift();
+  }
+}
+
+let watchdog = null;
+
+/**
+ * Get the watchdog shared by the games
+ *
+ * @returns {AIWatchdog} The watchdog (guarding the shared executor)
+ */
+export const getAIWatchdog = () => {
+  if (!watchdog) watchdog = new AIWatchdog();
+  return watchdog;
+};
+
+/**
+ * Replace the shared watchdog (for tests and embedding pages)
+ *
+ * @param {AIWatchdog|null} next - New watchdog, or null to create one on next use
+ */
+export const setAIWatchdog = next => {
+  watchdog = next;
+};
@@ -0,0 +1,24 @@
+/**
+ * AI Worker
+ *
+ * Web Worker entry of the AI executor (see aiExecutor.js). Each message asks
+ * for one decision: `{ id, strategy, snapshot }`. The strategy runs on a game
+ * rebuilt from the snapshot, and the answer goes back with the same ID:
+ * `{ id, decision, random }`, or `{ id, error }` when the AI failed.
+ */
+
+import { getAIImplementation } from '@ai/index.js';
+import { readAIDecision, restoreAISnapshot } from './aiSnapshot.js';
+
+self.onmessage = async ({ data }) => {
+  const { id, strategy, snapshot } = data;
+
+  try {
+    const ai = await getAIImplementation(strategy);
+    const game = restoreAISnapshot(snapshot);
+    const decision = readAIDecision(game, ai(game));
+    self.postMessage({ id, decision, random: game.rng?.getState() ?? null });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
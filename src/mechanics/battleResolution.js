@@ -6,6 +6,14 @@
  */
 
 import { HistoryData } from '@models/index.js';
+import { defaultRandom, getRandom, shuffle } from '@utils/random.js';
+import { REINFORCEMENT_FORMULAS, getRules } from '@utils/config.js';
+import {
+  BALANCED_DECK_SIZE,
+  balancedDeckWins,
+  getAttackOdds,
+  riskOutcome,
+} from '@utils/probability.js';
 
 // Import to avoid circular dependency
 import { setAreaTc } from './mapGenerator.js';
@@ -36,16 +44,33 @@ if (process.env.NODE_ENV === 'development') {
     .catch(err => console.warn('Failed to load debug tools:', err));
 }
 
+/**
+ * Record an action in the game history
+ *
+ * Always stores a fresh entry so details from an earlier game are never left behind.
+ *
+ * @param {Object} gameState - Game state with `his` and `his_c`
+ * @param {Object} fields - HistoryData fields to set
+ * @returns {HistoryData} The recorded entry
+ */
+const recordHistory = (gameState, fields) => {
+  const entry = Object.assign(new HistoryData(), { turn: gameState.turn_c ?? null }, fields);
+  gameState.his[gameState.his_c] = entry;
+  gameState.his_c++;
+  return entry;
+};
+
 /**
  * Roll dice for attack or defense
  *
  * Simulates rolling a specified number of dice for battle using a functional approach.
  *
  * @param {number} count - Number of dice to roll
+ * @param {Function} [random=defaultRandom] - Random source to draw from
  * @returns {Object} Dice values and total
  * @throws {Error} If count is invalid
  */
-export const rollDice = count => {
+export const rollDice = (count, random = defaultRandom) => {
   // Validate input
   if (typeof count !== 'number') {
     throw new Error(`Expected count to be a number, got ${typeof count}`);
@@ -56,7 +81,7 @@ export const rollDice = count => {
   }
 
   // Generate dice rolls using array methods
-  const values = Array.from({ length: count }, () => Math.floor(Math.random() * 6) + 1);
+  const values = Array.from({ length: count }, () => Math.floor(random() * 6) + 1);
 
   // Calculate total using reduce
   const total = values.reduce((sum, value) => sum + value, 0);
@@ -64,18 +89,120 @@ export const rollDice = count => {
   return { values, total };
 };
 
+/**
+ * Get the balanced-luck deck for a matchup, dealing a fresh one when it has run out
+ *
+ * @param {Object} gameState - Game state holding the decks in `battle_deck`
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @returns {Array<boolean>} Remaining outcomes, drawn from the end
+ */
+const getBattleDeck = (gameState, attackerDice, defenderDice) => {
+  if (!gameState.battle_deck) gameState.battle_deck = {};
+  const key = `${attackerDice}:${defenderDice}`;
+
+  if (!gameState.battle_deck[key]?.length) {
+    const wins = balancedDeckWins(attackerDice, defenderDice);
+    const deck = Array.from({ length: BALANCED_DECK_SIZE }, (_, i) => i < wins);
+    gameState.battle_deck[key] = shuffle(deck, getRandom(gameState));
+  }
+  return gameState.battle_deck[key];
+};
+
+/**
+ * Roll both sides' dice until the totals give the wanted outcome
+ *
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @param {boolean} success - Outcome the rolls must show
+ * @param {Function} random - Random source
+ * @returns {Object} Both rolls and the outcome
+ */
+const rollForOutcome = (attackerDice, defenderDice, success, random) => {
+  for (;;) {
+    const attackerRoll = rollDice(attackerDice, random);
+    const defenderRoll = rollDice(defenderDice, random);
+    if (attackerRoll.total > defenderRoll.total === success) {
+      return { attackerRoll, defenderRoll, success };
+    }
+  }
+};
+
+/**
+ * Rolls both sides' dice and compares the totals
+ *
+ * @param {boolean} attackerWinsTies - Whether a tie goes to the attacker
+ * @returns {Function} Roll function for a resolver
+ */
+const rollSums = attackerWinsTies => (gameState, attackerDice, defenderDice) => {
+  const random = getRandom(gameState);
+  const attackerRoll = rollDice(attackerDice, random);
+  const defenderRoll = rollDice(defenderDice, random);
+  const success = attackerWinsTies
+    ? attackerRoll.total >= defenderRoll.total
+    : attackerRoll.total > defenderRoll.total;
+  return { attackerRoll, defenderRoll, success };
+};
+
+/**
+ * Battle resolvers for each mode in BATTLE_MODES
+ *
+ * `roll(gameState, attackerDice, defenderDice)` rolls the dice and decides the
+ * battle. The matching odds are in utils/probability.js.
+ */
+export const BATTLE_RESOLVERS = {
+  sum: {
+    roll: rollSums(false),
+  },
+  attackerTies: {
+    roll: rollSums(true),
+  },
+  risk: {
+    roll: (gameState, attackerDice, defenderDice) => {
+      const random = getRandom(gameState);
+      const attackerRoll = rollDice(attackerDice, random);
+      const defenderRoll = rollDice(defenderDice, random);
+      const success = riskOutcome(attackerRoll.values, defenderRoll.values);
+      return { attackerRoll, defenderRoll, success };
+    },
+  },
+  balanced: {
+    // The outcome is drawn from the deck, then dice are rolled to match it
+    roll: (gameState, attackerDice, defenderDice) => {
+      const success = getBattleDeck(gameState, attackerDice, defenderDice).pop();
+      return rollForOutcome(attackerDice, defenderDice, success, getRandom(gameState));
+    },
+  },
+};
+
+/**
+ * Roll a Battle
+ *
+ * Rolls both sides' dice with the game's random source and decides the battle
+ * with the resolver for the game's battle mode (see BATTLE_MODES).
+ *
+ * @param {Object} gameState - Game state with the rules and random source
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @returns {Object} { attackerRoll, defenderRoll, success }
+ */
+export const rollBattle = (gameState, attackerDice, defenderDice) =>
+  BATTLE_RESOLVERS[getRules(gameState).battle].roll(gameState, attackerDice, defenderDice);
+
 /**
  * Calculate Probability of Successful Attack
  *
- * Estimates the probability of winning a battle based on attacker and defender dice
- * using a functional approach with specialized case handling.
+ * Exact chance that the attacker wins under the game's battle mode, from the
+ * odds table in utils/probability.js. In the 'balanced' mode this is the chance
+ * for the next draw from the matchup's deck.
  *
  * @param {number} attackerDice - Number of dice the attacker has
  * @param {number} defenderDice - Number of dice the defender has
+ * @param {Object} [gameState=null] - Game state whose rules to use (the configured rules if omitted)
  * @returns {number} Probability of success as a value from 0 to 1
  * @throws {Error} If dice counts are invalid
  */
-export const calculateAttackProbability = (attackerDice, defenderDice) => {
+export const calculateAttackProbability = (attackerDice, defenderDice, gameState = null) => {
   // Validate inputs
   if (typeof attackerDice !== 'number' || typeof defenderDice !== 'number') {
     throw new Error('Dice counts must be numbers');
@@ -86,27 +213,14 @@ export const calculateAttackProbability = (attackerDice, defenderDice) => {
     return 0;
   }
 
-  // Handle special cases with specific probability assignments
-  const specialCases = [
-    { condition: attackerDice >= defenderDice * 3, probability: 0.95 }, // Almost certain win
-    { condition: defenderDice >= attackerDice * 3, probability: 0.05 }, // Almost certain loss
-  ];
-
-  // Find a matching special case
-  const matchingCase = specialCases.find(({ condition }) => condition);
-  if (matchingCase) {
-    return matchingCase.probability;
-  }
-
-  // General case - sigmoid function based on dice ratio
-  const ratio = attackerDice / defenderDice;
-  return 1 / (1 + Math.exp(-2 * (ratio - 1)));
+  return getAttackOdds(attackerDice, defenderDice, gameState).probability;
 };
 
 /**
  * Resolve Battle between Territories
  *
- * Simulates dice battle between attacking and defending territories.
+ * Simulates dice battle between attacking and defending territories using the
+ * game's battle mode.
  * Uses functional composition pattern and emits events.
  *
  * @param {Object} gameState - Game state including territories
@@ -128,17 +242,17 @@ function resolveBattleImplementation(gameState, fromArea, toArea) {
     const attackerDice = adat[fromArea].dice;
     const defenderDice = adat[toArea].dice;
 
-    // Roll dice using the functional dice roller
-    const attackerRoll = rollDice(attackerDice);
-    const defenderRoll = rollDice(defenderDice);
+    // Roll dice using the game's random source so seeded games replay exactly
+    const { attackerRoll, defenderRoll, success } = rollBattle(
+      gameState,
+      attackerDice,
+      defenderDice
+    );
 
     // Emit dice rolled events
     emitDiceRolled(gameState, fromArea, attackerRoll.values, attackerRoll.total, 'attack');
     emitDiceRolled(gameState, toArea, defenderRoll.values, defenderRoll.total, 'defend');
 
-    // Determine outcome
-    const success = attackerRoll.total > defenderRoll.total;
-
     // Create battle data object using shorthand property names
     return {
       attackerArea: fromArea,
@@ -202,16 +316,16 @@ export const executeAttack = withErrorHandling(
     // Record outcome in game state
     updatedGameState.defeat = battle.success ? 1 : 0;
 
-    // Ensure history entry exists
-    if (!updatedGameState.his[updatedGameState.his_c]) {
-      updatedGameState.his[updatedGameState.his_c] = new HistoryData();
-    }
-
-    // Record in history
-    updatedGameState.his[updatedGameState.his_c].from = fromArea;
-    updatedGameState.his[updatedGameState.his_c].to = toArea;
-    updatedGameState.his[updatedGameState.his_c].res = battle.success ? 1 : 0;
-    updatedGameState.his_c++;
+    // Record in history (dice counts after the battle are filled in below)
+    const entry = recordHistory(updatedGameState, {
+      from: fromArea,
+      to: toArea,
+      res: battle.success ? 1 : 0,
+      player: adat[fromArea].arm,
+      rolls: [battle.attackerRoll.values, battle.defenderRoll.values],
+      from_dice: [battle.attackerDice, battle.attackerDice],
+      to_dice: [battle.defenderDice, battle.defenderDice],
+    });
 
     // Update territory state based on outcome using pure function pattern
     if (battle.success) {
@@ -265,6 +379,9 @@ export const executeAttack = withErrorHandling(
       });
     }
 
+    entry.from_dice[1] = adat[fromArea].dice;
+    entry.to_dice[1] = adat[toArea].dice;
+
     return {
       ...battle,
       gameState: updatedGameState,
@@ -286,6 +403,65 @@ export const executeAttack = withErrorHandling(
   }
 );
 
+/**
+ * Count a player's separate regions
+ *
+ * A region is a group of the player's territories connected to each other.
+ *
+ * @param {Object} gameState - Game state including territories
+ * @param {number} playerIndex - Player to count regions for
+ * @returns {number} Number of regions
+ */
+const countRegions = (gameState, playerIndex) => {
+  const { adat, AREA_MAX } = gameState;
+  const owned = Array.from({ length: AREA_MAX }, (_, i) => i).filter(
+    i => i > 0 && adat[i]?.size > 0 && adat[i].arm === playerIndex
+  );
+  const visited = new Set();
+  let regions = 0;
+
+  owned.forEach(start => {
+    if (visited.has(start)) return;
+    regions++;
+
+    // Flood fill the region containing this territory
+    const queue = [start];
+    visited.add(start);
+    while (queue.length) {
+      const id = queue.pop();
+      owned
+        .filter(j => !visited.has(j) && adat[id].join[j] === 1)
+        .forEach(j => {
+          visited.add(j);
+          queue.push(j);
+        });
+    }
+  });
+
+  return regions;
+};
+
+/**
+ * Calculate reinforcements
+ *
+ * Applies the reinforcement formula from the game rules. A player with any
+ * territories always earns at least one die.
+ *
+ * @param {Object} gameState - Game state including player data
+ * @param {number} playerIndex - Player to calculate reinforcements for
+ * @returns {number} Reinforcement dice earned
+ */
+export const calculateReinforcements = (gameState, playerIndex) => {
+  const rules = getRules(gameState);
+  const { area_tc: largestGroup, area_c: territories } = gameState.player[playerIndex];
+  const formula = REINFORCEMENT_FORMULAS[rules.reinforcement];
+
+  const regions = countRegions(gameState, playerIndex);
+  const earned = formula({ largestGroup, territories, regions }, rules);
+
+  return territories > 0 ? Math.max(earned, 1) : earned;
+};
+
 /**
  * Calculate and distribute reinforcements
  *
@@ -300,20 +476,15 @@ export const executeAttack = withErrorHandling(
  */
 export const distributeReinforcements = withErrorHandling(
   (gameState, playerIndex) => {
-    const { player, adat, AREA_MAX, STOCK_MAX } = gameState;
+    const { player, adat, AREA_MAX } = gameState;
+    const { maxDice, stockMax } = getRules(gameState);
 
     // Validate player
     validatePlayer(gameState, playerIndex);
 
-    // Calculate reinforcements with minimum of 1 if player has territories
-    const calculateReinforcements = () => {
-      const baseReinforcements = Math.floor(player[playerIndex].area_tc / 3);
-      return player[playerIndex].area_c > 0 ? Math.max(baseReinforcements, 1) : baseReinforcements;
-    };
-
     // Add reinforcements to player's stock, capped at maximum
     const addReinforcementsToStock = reinforcements => {
-      player[playerIndex].stock = Math.min(player[playerIndex].stock + reinforcements, STOCK_MAX);
+      player[playerIndex].stock = Math.min(player[playerIndex].stock + reinforcements, stockMax);
 
       // Emit event for reinforcements added to stock
       gameEvents.emit(EventType.DICE_ADDED, {
@@ -325,7 +496,7 @@ export const distributeReinforcements = withErrorHandling(
     };
 
     // Calculate and add reinforcements
-    const reinforcements = calculateReinforcements();
+    const reinforcements = calculateReinforcements(gameState, playerIndex);
     addReinforcementsToStock(reinforcements);
 
     // No reinforcements available
@@ -342,7 +513,7 @@ export const distributeReinforcements = withErrorHandling(
             areaId > 0 &&
             adat[areaId].size > 0 &&
             adat[areaId].arm === playerIndex &&
-            adat[areaId].dice < 8 // Skip territories at max dice
+            adat[areaId].dice < maxDice // Skip territories at max dice
         )
         .map(id => {
           // Check if this territory borders an enemy
@@ -355,7 +526,7 @@ export const distributeReinforcements = withErrorHandling(
               ).length > 0;
 
           // Calculate priority score - border territories and those with fewer dice get priority
-          const priority = (isBorder ? 100 : 0) + (8 - adat[id].dice) * 10;
+          const priority = (isBorder ? 100 : 0) + (maxDice - adat[id].dice) * 10;
 
           return { id, priority };
         })
@@ -366,14 +537,14 @@ export const distributeReinforcements = withErrorHandling(
     // Distribute available reinforcements to territories based on priority
     const distributeAvailableDice = () => {
       let remainingStock = player[playerIndex].stock;
-      let currentHistory = gameState.his_c;
+      const entries = [];
 
       // Try to distribute to each territory in priority order until stock is depleted
       for (const { id } of territories) {
         if (remainingStock <= 0) break;
 
         // Check if territory can receive more dice
-        if (adat[id].dice >= 8) {
+        if (adat[id].dice >= maxDice) {
           continue;
         }
 
@@ -384,31 +555,30 @@ export const distributeReinforcements = withErrorHandling(
         // Emit territory reinforced event
         emitTerritoryReinforced(gameState, id, 1);
 
-        // Add to history
-        if (!gameState.his[currentHistory]) {
-          gameState.his[currentHistory] = new HistoryData();
-        }
-
-        gameState.his[currentHistory].from = id;
-        gameState.his[currentHistory].to = 0; // 0 indicates reinforcement, not attack
-        gameState.his[currentHistory].res = 0;
-        currentHistory++;
+        // Add to history (to = 0 indicates reinforcement, not attack)
+        entries.push(
+          recordHistory(gameState, {
+            from: id,
+            to: 0,
+            res: 0,
+            player: playerIndex,
+            from_dice: [adat[id].dice - 1, adat[id].dice],
+          })
+        );
       }
 
       // Update the game state
       player[playerIndex].stock = remainingStock;
-      return currentHistory;
-    };
 
-    // Distribute the dice and update history counter
-    gameState.his_c = distributeAvailableDice();
+      // Every entry of the batch shares the summary of the whole reinforcement
+      const supply = { earned: reinforcements, placed: entries.length, stock: remainingStock };
+      entries.forEach(entry => {
+        entry.supply = supply;
+      });
+    };
 
-    // Emit turn start event after reinforcements are distributed
-    gameEvents.emit(EventType.TURN_START, {
-      playerId: playerIndex,
-      reinforcementsAdded: reinforcements,
-      gameState,
-    });
+    // Distribute the dice and record them in the history
+    distributeAvailableDice();
 
     return gameState;
   },
@@ -0,0 +1,10 @@
+/**
+ * AI Worker Factory
+ *
+ * Kept apart from aiExecutor.js and only loaded where there are workers:
+ * webpack turns the URL below into the worker's own bundle, but Node and Jest
+ * cannot run `import.meta`.
+ *
+ * @returns {Worker} A new AI worker (see aiWorker.js)
+ */
+export const createAIWorker = () => new Worker(new URL('./aiWorker.js', import.meta.url));
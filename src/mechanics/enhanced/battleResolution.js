@@ -7,6 +7,9 @@
  */
 
 import { Battle, HistoryData } from '@models/enhanced/index.js';
+import { defaultRandom } from '@utils/random.js';
+import { getAttackOdds } from '@utils/probability.js';
+import { rollBattle } from '../battleResolution.js';
 
 // Import to avoid circular dependency
 import { setAreaTc } from './mapGenerator.js';
@@ -17,9 +20,10 @@ import { setAreaTc } from './mapGenerator.js';
  * Simulates rolling a specified number of dice for battle.
  *
  * @param {number} count - Number of dice to roll
+ * @param {Function} [random=defaultRandom] - Random source to draw from
  * @returns {Object} Dice values and total
  */
-export function rollDice(count) {
+export function rollDice(count, random = defaultRandom) {
   if (count <= 0) {
     return { values: [], total: 0 };
   }
@@ -29,7 +33,7 @@ export function rollDice(count) {
 
   // Generate 1-6 for each die
   for (let i = 0; i < count; i++) {
-    const value = Math.floor(Math.random() * 6) + 1;
+    const value = Math.floor(random() * 6) + 1;
     values.push(value);
     total += value;
   }
@@ -40,43 +44,22 @@ export function rollDice(count) {
 /**
  * Calculate Probability of Successful Attack
  *
- * Estimates the probability of winning a battle based on attacker and defender dice.
+ * Exact chance of winning under the game's battle mode (see utils/probability.js).
  *
  * @param {number} attackerDice - Number of dice the attacker has
  * @param {number} defenderDice - Number of dice the defender has
+ * @param {Object} [gameState=null] - Game state whose rules to use (the configured rules if omitted)
  * @returns {number} Probability of success as a value from 0 to 1
  */
-export function calculateAttackProbability(attackerDice, defenderDice) {
-  // Simple probability model based on dice counts
-  if (attackerDice <= 0 || defenderDice <= 0) {
-    return 0;
-  }
-
-  // Base probability comes from the ratio of dice
-  const ratio = attackerDice / defenderDice;
-
-  /*
-   * Apply sigmoid function to get a probability between 0 and 1
-   * This creates an S-curve that's more realistic than linear
-   */
-  const probability = 1 / (1 + Math.exp(-2 * (ratio - 1)));
-
-  // Adjust probability for extreme cases
-  if (attackerDice >= defenderDice * 3) {
-    return 0.95; // Almost certain win with 3:1 advantage
-  }
-
-  if (defenderDice >= attackerDice * 3) {
-    return 0.05; // Almost certain loss with 1:3 disadvantage
-  }
-
-  return probability;
+export function calculateAttackProbability(attackerDice, defenderDice, gameState = null) {
+  return getAttackOdds(attackerDice, defenderDice, gameState).probability;
 }
 
 /**
  * Resolve Battle between Territories
  *
- * Simulates dice battle between attacking and defending territories.
+ * Simulates dice battle between attacking and defending territories with the
+ * resolver for the game's battle mode (see rollBattle).
  *
  * @param {Object} gameState - Game state including territories
  * @param {number} fromArea - Index of attacking territory
@@ -90,12 +73,8 @@ export function resolveBattle(gameState, fromArea, toArea) {
   const attackerDice = adat[fromArea].dice;
   const defenderDice = adat[toArea].dice;
 
-  // Roll dice
-  const attackerRoll = rollDice(attackerDice);
-  const defenderRoll = rollDice(defenderDice);
-
-  // Determine outcome
-  const success = attackerRoll.total > defenderRoll.total;
+  // Roll dice with the game's random source and battle mode
+  const { attackerRoll, defenderRoll, success } = rollBattle(gameState, attackerDice, defenderDice);
 
   // Create battle data object
   const battleData = {
@@ -7,6 +7,7 @@
  */
 
 import { AreaData, JoinData } from '@models/enhanced/index.js';
+import { getRandom } from '@utils/random.js';
 
 /**
  * Grow a Territory
@@ -164,15 +165,24 @@ export function makeMap(gameState) {
   const { cel, cel_max, XMAX, YMAX, AREA_MAX, num, rcel, join, adat, pmax, chk, put_dice } =
     gameState;
 
+  // Draw from the game's random source so seeded maps are reproducible
+  const random = getRandom(gameState);
+
   /*
    * --------------------------------------------------------
    *  RANDOMIZATION AND INITIALIZATION
    * --------------------------------------------------------
    */
 
-  // Randomize cell order for territory generation
+  /*
+   * Randomize cell order for territory generation, starting from the identity
+   * order so the result depends only on the random source, not on earlier maps
+   */
+  for (let i = 0; i < cel_max; i++) {
+    num[i] = i;
+  }
   for (let i = 0; i < cel_max; i++) {
-    const r = Math.floor(Math.random() * cel_max);
+    const r = Math.floor(random() * cel_max);
     [num[i], num[r]] = [num[r], num[i]]; // ES6 swap
   }
 
@@ -186,7 +196,7 @@ export function makeMap(gameState) {
   let an = 1; // Territory ID counter
 
   // Pick a random starting cell and mark it available for territory growth
-  rcel[Math.floor(Math.random() * cel_max)] = 1;
+  rcel[Math.floor(random() * cel_max)] = 1;
 
   // Create territories until we run out of space or reach maximum count
   while (true) {
@@ -348,7 +358,7 @@ export function makeMap(gameState) {
     if (count === 0) break;
 
     // Randomly select a territory to assign to the current player
-    const an = alist[Math.floor(Math.random() * count)];
+    const an = alist[Math.floor(random() * count)];
     adat[an].arm = arm;
 
     // Move to next player (cycling back to 0 after reaching max)
@@ -409,7 +419,7 @@ export function makeMap(gameState) {
     if (list.length === 0) break;
 
     // Randomly select a territory and add a die
-    const an = list[Math.floor(Math.random() * list.length)];
+    const an = list[Math.floor(random() * list.length)];
     adat[an].dice++;
 
     // Move to next player
@@ -7,6 +7,7 @@
 
 // Import only the error classes we use in this file
 import { GameError, TerritoryError, PlayerError } from './errors/index.js';
+import { getRules } from '@utils/config.js';
 
 /**
  * Maps error codes to user-friendly messages
@@ -26,6 +27,8 @@ export const ERROR_MESSAGES = {
   ERR_PLAYER_ELIMINATED: 'Player has been eliminated',
   ERR_INVALID_TURN: "Not player's turn",
   ERR_MAX_DICE_REACHED: 'Maximum dice reached in territory',
+  ERR_AI_TIMEOUT: 'Computer player took too long to move',
+  ERR_AI_FAILED: 'Computer player failed to move',
 };
 
 /**
@@ -81,10 +84,12 @@ export const validateTerritories = (gameState, fromArea, toArea, currentPlayerId
   }
 
   // Check if attacking territory has enough dice
-  if (adat[fromArea].dice <= 1) {
-    throw new TerritoryError('Need at least 2 dice to attack', fromArea, {
+  const { minAttackDice } = getRules(gameState);
+  if (adat[fromArea].dice < minAttackDice) {
+    throw new TerritoryError(`Need at least ${minAttackDice} dice to attack`, fromArea, {
       code: 'ERR_INSUFFICIENT_DICE',
       dice: adat[fromArea].dice,
+      minAttackDice,
     });
   }
 };
@@ -0,0 +1,14 @@
+/**
+ * Map Error
+ *
+ * Represents an error in a map definition that cannot be loaded
+ */
+import { GameError } from './GameError.js';
+
+export class MapError extends GameError {
+  constructor(message, data = {}) {
+    super(message, 'ERR_MAP', data);
+  }
+}
+
+export default MapError;
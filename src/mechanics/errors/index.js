@@ -8,9 +8,10 @@ import { TerritoryError } from './TerritoryError.js';
 import { BattleError } from './BattleError.js';
 import { PlayerError } from './PlayerError.js';
 import { GameStateError } from './GameStateError.js';
+import { MapError } from './MapError.js';
 
 // Export all error types
-export { GameError, TerritoryError, BattleError, PlayerError, GameStateError };
+export { GameError, TerritoryError, BattleError, PlayerError, GameStateError, MapError };
 
 // Re-export the default object with all error types
 export default {
@@ -19,4 +20,5 @@ export default {
   BattleError,
   PlayerError,
   GameStateError,
+  MapError,
 };
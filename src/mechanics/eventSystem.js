@@ -131,8 +131,8 @@ class EventEmitter {
    * @returns {boolean} True if successfully unsubscribed
    */
   off(subscriptionId) {
-    // Parse event type from subscription ID
-    const [eventType] = subscriptionId.split('_');
+    // Parse event type from subscription ID (event types may contain underscores)
+    const eventType = subscriptionId.slice(0, subscriptionId.lastIndexOf('_'));
 
     if (
       !this.handlers.has(eventType) ||
@@ -420,6 +420,281 @@ export const emitTerritoryReinforced = async (gameState, territoryId, addedDice)
   return gameEvents.emit(EventType.TERRITORY_REINFORCED, eventData);
 };
 
+/**
+ * Helper function to emit territory defend event
+ *
+ * @param {Object} gameState - Current game state
+ * @param {number} territoryId - ID of the territory that held
+ * @param {number} attackerId - ID of the attacking territory
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitTerritoryDefend = async (gameState, territoryId, attackerId) => {
+  const { adat } = gameState;
+
+  const eventData = {
+    territoryId,
+    attackerId,
+    attackerPlayerId: adat[attackerId].arm,
+    defenderPlayerId: adat[territoryId].arm,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.TERRITORY_DEFEND, eventData);
+};
+
+/**
+ * Helper function to emit player eliminated event
+ *
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Player who lost their last territory
+ * @param {number} eliminatedBy - Player who took it
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitPlayerEliminated = async (gameState, playerId, eliminatedBy) =>
+  gameEvents.emit(EventType.PLAYER_ELIMINATED, { playerId, eliminatedBy, gameState });
+
+/**
+ * Helper function to emit player victory event
+ *
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Player who owns every territory
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitPlayerVictory = async (gameState, playerId) =>
+  gameEvents.emit(EventType.PLAYER_VICTORY, { playerId, gameState });
+
+/**
+ * Helper function to emit dice added event
+ *
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Player whose stock grew
+ * @param {number} diceAdded - Reinforcement dice earned
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitDiceAdded = async (gameState, playerId, diceAdded) =>
+  gameEvents.emit(EventType.DICE_ADDED, {
+    playerId,
+    diceAdded,
+    stockTotal: gameState.player[playerId].stock,
+    gameState,
+  });
+
+/**
+ * @typedef {Object} GameStartEvent
+ * @property {number} players - Number of players
+ * @property {Array<number>} order - Turn order (player indices)
+ * @property {Array<number>} humans - Players played by people
+ * @property {number|string|null} seed - Seed of a reproducible game
+ * @property {boolean} resumed - True when a saved game is continued
+ */
+
+/**
+ * @typedef {Object} GameEndEvent
+ * @property {number|null} winner - Only player left, or null
+ * @property {string} reason - 'victory', 'eliminated' (every human player lost),
+ *   'turn_limit' or 'abandoned'
+ * @property {number} turns - Turns played
+ */
+
+/**
+ * @typedef {Object} TurnEvent
+ * @property {number} playerId - Player whose turn starts or ends
+ * @property {number} turn - Turn number
+ * @property {Object|null} clock - Turn clock data for timed turns (see utils/turnClock.js)
+ * @property {number} [reinforcements] - Dice earned at the end of the turn (TURN_END only)
+ */
+
+/**
+ * @typedef {Object} SelectionChangedEvent
+ * @property {number} playerId - Player whose turn it is
+ * @property {number|null} from - Selected attacking territory, or null
+ * @property {number|null} to - Selected target territory, or null
+ */
+
+/**
+ * @typedef {Object} MapUpdatedEvent
+ * @property {Array<number>|null} areas - Territories that changed, or null for a whole new board
+ */
+
+/**
+ * @typedef {Object} AIDecisionEvent
+ * @property {number} playerId - Computer player
+ * @property {boolean} endTurn - True when the AI ends its turn
+ * @property {number|null} from - Attacking territory, or null
+ * @property {number|null} to - Target territory, or null
+ * @property {boolean} error - True when the AI broke the rules (see aiWatchdog.js); the move is
+ *   then the fallback AI's, or the turn ends
+ * @property {GameError|null} violation - The PlayerError or BattleError recording what the AI did
+ *   wrong, or null
+ */
+
+// Player whose turn it is
+const currentPlayer = gameState => gameState.jun[gameState.ban];
+
+/**
+ * Helper function to emit game start event
+ *
+ * @param {Object} gameState - Game whose first turn is about to start
+ * @param {Object} [options] - Event options
+ * @param {boolean} [options.resumed=false] - Whether a saved game is continued
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitGameStart = async (gameState, { resumed = false } = {}) => {
+  const { pmax, jun } = gameState;
+
+  const eventData = {
+    players: pmax,
+    order: jun.slice(0, pmax),
+    humans: [...(gameState.humans ?? [])],
+    seed: gameState.seed ?? null,
+    resumed,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.GAME_START, eventData);
+};
+
+/**
+ * Helper function to emit game end event
+ *
+ * A turn in progress when the game ends gets no TURN_END.
+ *
+ * @param {Object} gameState - Current game state
+ * @param {number|null} winner - Only player left, or null
+ * @param {string} reason - Why the game ended (see GameEndEvent)
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitGameEnd = async (gameState, winner, reason) => {
+  const eventData = {
+    winner,
+    reason,
+    turns: gameState.turn_c ?? 0,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.GAME_END, eventData);
+};
+
+/**
+ * Helper function to emit turn start event
+ *
+ * @param {Object} gameState - Game whose current player starts a turn
+ * @param {Object} [details] - Event details
+ * @param {Object|null} [details.clock=null] - Turn clock data
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitTurnStart = async (gameState, { clock = null } = {}) => {
+  const eventData = {
+    playerId: currentPlayer(gameState),
+    turn: gameState.turn_c ?? 0,
+    clock,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.TURN_START, eventData);
+};
+
+/**
+ * Helper function to emit turn end event
+ *
+ * Emitted after the player's reinforcements, before the next player is chosen.
+ *
+ * @param {Object} gameState - Game whose current player ends a turn
+ * @param {Object} [details] - Event details
+ * @param {number} [details.reinforcements=0] - Dice earned
+ * @param {Object|null} [details.clock=null] - Turn clock data (with the time used)
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitTurnEnd = async (gameState, { reinforcements = 0, clock = null } = {}) => {
+  const eventData = {
+    playerId: currentPlayer(gameState),
+    turn: gameState.turn_c ?? 0,
+    reinforcements,
+    clock,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.TURN_END, eventData);
+};
+
+/**
+ * Helper function to emit selection changed event
+ *
+ * @param {Object} gameState - Current game state
+ * @param {number|null} from - Selected attacking territory, or null
+ * @param {number|null} [to=null] - Selected target territory, or null
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitSelectionChanged = async (gameState, from, to = null) => {
+  const eventData = {
+    playerId: currentPlayer(gameState),
+    from,
+    to,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.SELECTION_CHANGED, eventData);
+};
+
+/**
+ * Helper function to emit map updated event
+ *
+ * @param {Object} gameState - Current game state
+ * @param {Array<number>|null} [areas=null] - Territories that changed, or null for a
+ *   whole new board
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitMapUpdated = async (gameState, areas = null) =>
+  gameEvents.emit(EventType.MAP_UPDATED, { areas, gameState });
+
+/**
+ * Helper function to emit AI thinking start event
+ *
+ * @param {Object} gameState - Game whose current player is a computer
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitAIThinkingStart = async gameState =>
+  gameEvents.emit(EventType.AI_THINKING_START, { playerId: currentPlayer(gameState), gameState });
+
+/**
+ * Helper function to emit AI thinking end event
+ *
+ * @param {Object} gameState - Game whose current player is a computer
+ * @param {number} duration - Time the AI took, in milliseconds
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitAIThinkingEnd = async (gameState, duration) =>
+  gameEvents.emit(EventType.AI_THINKING_END, {
+    playerId: currentPlayer(gameState),
+    duration,
+    gameState,
+  });
+
+/**
+ * Helper function to emit AI decision event
+ *
+ * @param {Object} gameState - Game state with the AI's choice in area_from and area_to
+ * @param {number} result - Return value of the AI (0 to end the turn)
+ * @param {GameError|null} [violation=null] - Rule the AI broke (see aiWatchdog.js); its move was
+ *   then made by the fallback AI, or the turn ends
+ * @returns {Promise<Array>} Promise resolving to array of handler results
+ */
+export const emitAIDecision = async (gameState, result, violation = null) => {
+  const endTurn = result === 0;
+
+  const eventData = {
+    playerId: currentPlayer(gameState),
+    endTurn,
+    from: endTurn ? null : (gameState.area_from ?? null),
+    to: endTurn ? null : (gameState.area_to ?? null),
+    error: violation !== null,
+    violation,
+    gameState,
+  };
+
+  return gameEvents.emit(EventType.AI_DECISION_MADE, eventData);
+};
+
 /**
  * Logging middleware that logs all events to console
  * Can be enabled in development/debugging mode
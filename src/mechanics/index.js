@@ -13,12 +13,23 @@ import { gameEvents, EventType } from './eventSystem.js';
 // Export map generator functions
 export * from './mapGenerator.js';
 
+// Export map fairness metrics
+export * from './mapFairness.js';
+
+// Export symmetric map geometry
+export * from './mapSymmetry.js';
+
 // Export battle resolution functions
 export * from './battleResolution.js';
 
 // Export AI handling utilities
 export * from './aiHandler.js';
 
+// Export AI execution (in a Web Worker where available), its watchdog and board snapshots
+export * from './aiExecutor.js';
+export * from './aiWatchdog.js';
+export * from './aiSnapshot.js';
+
 // Export event system (excluding default export to avoid conflicts)
 export {
   EventType,
@@ -27,6 +38,19 @@ export {
   emitTerritoryCapture,
   emitDiceRolled,
   emitTerritoryReinforced,
+  emitTerritoryDefend,
+  emitPlayerEliminated,
+  emitPlayerVictory,
+  emitDiceAdded,
+  emitGameStart,
+  emitGameEnd,
+  emitTurnStart,
+  emitTurnEnd,
+  emitSelectionChanged,
+  emitMapUpdated,
+  emitAIThinkingStart,
+  emitAIThinkingEnd,
+  emitAIDecision,
   loggingMiddleware,
   createTimeTravel,
 } from './eventSystem.js';
@@ -0,0 +1,108 @@
+/**
+ * Map Fairness Module
+ *
+ * Measures how even a generated map's starting position is between players:
+ * - Largest connected group (what the original rule pays reinforcements for)
+ * - Border exposure (share of territories next to an enemy)
+ * - Total dice
+ * - Average strength of the enemy territories next to the player's
+ *
+ * The report compares players by the spread (largest minus smallest value) of
+ * each metric. makeMap() emits it after generating a map and can redeal or
+ * regenerate the map until every spread is within its tolerance.
+ *
+ * @module mechanics/mapFairness
+ */
+
+/**
+ * Default tolerances: the largest spread between players allowed per metric
+ */
+export const DEFAULT_FAIRNESS_TOLERANCES = Object.freeze({
+  largestGroup: 2, // Territories in the largest connected group
+  dice: 4, // Total dice
+  exposure: 0.5, // Share of territories next to an enemy (0-1)
+  neighborStrength: 1.5, // Average dice of the enemy territories next to the player's
+});
+
+/**
+ * Fairness metrics of one player
+ *
+ * @typedef {Object} PlayerFairness
+ * @property {number} player - Player index
+ * @property {number} territories - Territories owned
+ * @property {number} largestGroup - Territories in the largest connected group
+ * @property {number} dice - Total dice
+ * @property {number} borderTerritories - Territories next to an enemy territory
+ * @property {number} exposure - Share of territories next to an enemy (0-1)
+ * @property {number} neighborStrength - Average dice of the enemy territories next to the player's
+ */
+
+/**
+ * Measure the fairness of a map's starting position
+ *
+ * Uses each player's `area_tc`, so setAreaTc() must have run for every player.
+ *
+ * @param {Object} gameState - Game state with territories, owners and dice
+ * @returns {{players: Array<PlayerFairness>, spread: Object}} Metrics per player, and the
+ *   spread of each metric between the players
+ */
+export const measureMapFairness = gameState => {
+  const { adat, AREA_MAX, pmax, player } = gameState;
+  const areas = Array.from({ length: AREA_MAX }, (_, i) => i).filter(
+    i => i > 0 && adat[i].size > 0
+  );
+
+  const players = Array.from({ length: pmax }, (_, p) => {
+    const owned = areas.filter(i => adat[i].arm === p);
+
+    // Enemy territories next to each of the player's territories
+    const enemies = owned.map(i => areas.filter(j => adat[i].join[j] && adat[j].arm !== p));
+    const enemyDice = [...new Set(enemies.flat())].map(j => adat[j].dice);
+    const borderTerritories = enemies.filter(list => list.length > 0).length;
+
+    return {
+      player: p,
+      territories: owned.length,
+      largestGroup: player[p].area_tc,
+      dice: owned.reduce((sum, i) => sum + adat[i].dice, 0),
+      borderTerritories,
+      exposure: owned.length > 0 ? borderTerritories / owned.length : 0,
+      neighborStrength:
+        enemyDice.length > 0 ? enemyDice.reduce((sum, d) => sum + d, 0) / enemyDice.length : 0,
+    };
+  });
+
+  const spread = Object.fromEntries(
+    ['territories', ...Object.keys(DEFAULT_FAIRNESS_TOLERANCES)].map(metric => {
+      const values = players.map(entry => entry[metric]);
+      return [metric, values.length > 0 ? Math.max(...values) - Math.min(...values) : 0];
+    })
+  );
+
+  return { players, spread };
+};
+
+/**
+ * Check fairness metrics against tolerances
+ *
+ * The score is the largest spread relative to its tolerance, so a map is fair
+ * when it scores 1 or less, and lower scores are fairer.
+ *
+ * @param {Object} metrics - Result of measureMapFairness()
+ * @param {Object} [tolerances] - Largest spread allowed per metric (defaults fill in missing ones)
+ * @returns {{fair: boolean, score: number, exceeded: Array<string>, tolerances: Object}} Verdict
+ */
+export const checkMapFairness = (metrics, tolerances = {}) => {
+  const limits = { ...DEFAULT_FAIRNESS_TOLERANCES, ...tolerances };
+  const ratios = Object.entries(limits).map(([metric, limit]) => [
+    metric,
+    limit > 0 ? metrics.spread[metric] / limit : metrics.spread[metric] > 0 ? Infinity : 0,
+  ]);
+
+  return {
+    fair: ratios.every(([, ratio]) => ratio <= 1),
+    score: Math.max(0, ...ratios.map(([, ratio]) => ratio)),
+    exceeded: ratios.filter(([, ratio]) => ratio > 1).map(([metric]) => metric),
+    tolerances: limits,
+  };
+};
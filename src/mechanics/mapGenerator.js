@@ -9,9 +9,20 @@
  */
 
 import { AreaData } from '@models/index.js';
+import { getRandom } from '@utils/random.js';
+import { getRules } from '@utils/config.js';
 import { withErrorHandling } from './errorHandling.js';
-import { GameError, TerritoryError } from './errors/index.js';
+import { GameError, MapError, TerritoryError } from './errors/index.js';
 import { gameEvents, EventType } from './eventSystem.js';
+import { checkMapFairness, measureMapFairness } from './mapFairness.js';
+import {
+  composeSymmetry,
+  countLandMasses,
+  createSymmetryOrbits,
+  getSymmetry,
+  symmetricAreaId,
+  validateSymmetry,
+} from './mapSymmetry.js';
 
 /**
  * Territory growth options
@@ -207,8 +218,11 @@ export const setAreaLine = withErrorHandling((gameState, old_cel, old_dir) => {
     return c === old_cel && d === old_dir;
   };
 
+  // A border has at most 6 segments per cell, more only when the trace goes wrong
+  const maxSegments = Math.max(100, 6 * adat[area].size);
+
   // Follow the boundary until we return to starting point (or hit safety limit)
-  for (let i = 0; i < 100 && !addSegmentAndMove(); i++) {
+  for (let i = 0; i < maxSegments && !addSegmentAndMove(); i++) {
     // Continue processing until we complete the boundary or hit the safety limit
   }
 
@@ -219,13 +233,228 @@ export const setAreaLine = withErrorHandling((gameState, old_cel, old_dir) => {
   });
 });
 
+/**
+ * Build Territory Data from Map Cells
+ *
+ * Recreates the territory data (sizes, bounds, centers, adjacency and border
+ * lines) from the cell-to-territory assignments in `gameState.cel`. Used by map
+ * generation and to restore maps that only store their cells, such as replays.
+ * Ownership and dice are reset and must be assigned afterwards.
+ *
+ * @param {Object} gameState - Game state with `cel` filled in
+ * @returns {Object} Updated game state
+ * @throws {GameError} If the territory data cannot be built
+ */
+export const setAreaData = withErrorHandling(gameState => {
+  const { cel, cel_max, XMAX, YMAX, AREA_MAX, join, adat, chk } = gameState;
+
+  // Initialize area data
+  Array.from({ length: AREA_MAX }).forEach((_, i) => {
+    adat[i] = new AreaData(AREA_MAX);
+  });
+
+  // Calculate area sizes
+  Array.from({ length: cel_max })
+    .map((_, i) => cel[i])
+    .filter(areaId => areaId > 0)
+    .forEach(areaId => {
+      adat[areaId].size++;
+    });
+
+  // Initialize area boundaries
+  Array.from({ length: AREA_MAX })
+    .map((_, i) => i)
+    .filter(i => i > 0)
+    .forEach(i => {
+      adat[i].left = XMAX;
+      adat[i].right = -1;
+      adat[i].top = YMAX;
+      adat[i].bottom = -1;
+      adat[i].len_min = 9999;
+    });
+
+  // Calculate area boundaries
+  const updateAreaBoundaries = () => {
+    let c = 0;
+    for (let i = 0; i < YMAX; i++) {
+      for (let j = 0; j < XMAX; j++) {
+        const areaId = cel[c];
+        if (areaId > 0) {
+          adat[areaId].left = Math.min(adat[areaId].left, j);
+          adat[areaId].right = Math.max(adat[areaId].right, j);
+          adat[areaId].top = Math.min(adat[areaId].top, i);
+          adat[areaId].bottom = Math.max(adat[areaId].bottom, i);
+        }
+        c++;
+      }
+    }
+  };
+
+  updateAreaBoundaries();
+
+  // Calculate area centers
+  Array.from({ length: AREA_MAX })
+    .map((_, i) => i)
+    .filter(i => i > 0)
+    .forEach(i => {
+      adat[i].cx = Math.floor((adat[i].left + adat[i].right) / 2);
+      adat[i].cy = Math.floor((adat[i].top + adat[i].bottom) / 2);
+    });
+
+  // Find optimal center positions and establish adjacency
+  const establishAdjacency = () => {
+    let c = 0;
+    for (let i = 0; i < YMAX; i++) {
+      for (let j = 0; j < XMAX; j++) {
+        const areaId = cel[c];
+        if (areaId > 0) {
+          // Distance from center (avoiding boundary lines)
+          const x = Math.abs(adat[areaId].cx - j);
+          const y = Math.abs(adat[areaId].cy - i);
+          let len = x + y;
+
+          /*
+           * Check for adjacency to other territories
+           * Create a function outside the loop to check adjacency
+           */
+          const checkAdjacency = (cellIndex, areaIdentifier) =>
+            Array.from({ length: 6 })
+              .map((_, k) => ({ dir: k, pos: join[cellIndex].dir[k] }))
+              .filter(({ pos }) => pos > 0)
+              .map(({ pos }) => ({ pos, areaId: cel[pos] }))
+              .filter(({ areaId: adjAreaId }) => adjAreaId !== areaIdentifier && adjAreaId > 0);
+
+          const adjacencyInfo = checkAdjacency(c, areaId);
+
+          // If this cell has adjacent territories, it's on a border
+          const isBorder = adjacencyInfo.length > 0;
+
+          // Create adjacency data
+          adjacencyInfo.forEach(({ areaId: adjAreaId }) => {
+            adat[areaId].join[adjAreaId] = 1;
+          });
+
+          // Cells on territory borders get lower priority for center
+          if (isBorder) len += 4;
+
+          // Use closest point as center
+          if (len < adat[areaId].len_min) {
+            adat[areaId].len_min = len;
+            adat[areaId].cpos = i * XMAX + j;
+          }
+        }
+        c++;
+      }
+    }
+  };
+
+  establishAdjacency();
+
+  // Create area drawing line data (for borders)
+  Array.from({ length: AREA_MAX }).forEach((_, i) => {
+    chk[i] = 0;
+  });
+
+  // Set up border drawing data for each territory
+  const generateBorderData = () => {
+    Array.from({ length: cel_max })
+      .map((_, i) => ({ index: i, areaId: cel[i] }))
+      .filter(({ areaId }) => areaId > 0 && chk[areaId] === 0)
+      .forEach(({ index, areaId }) => {
+        // Find a cell on the border of this territory
+        const borderDir = Array.from({ length: 6 })
+          .map((_, k) => ({ dir: k, neighbor: join[index].dir[k] }))
+          .find(({ neighbor }) => neighbor >= 0 && cel[neighbor] !== areaId);
+
+        // If we found a border, generate the line data
+        if (borderDir) {
+          setAreaLine(gameState, index, borderDir.dir);
+          chk[areaId] = 1;
+        }
+      });
+  };
+
+  generateBorderData();
+
+  return gameState;
+});
+
+/**
+ * Cells per territory on the classic map: a 28x32 grid with up to 31 territories
+ * of about 8 cells each (before their borders are smoothed)
+ */
+const CLASSIC_CELLS_PER_AREA = (28 * 32) / 31;
+const CLASSIC_AREA_SIZE = 8;
+
+/**
+ * Chance that a new territory starts at sea, away from the land, when islands are allowed
+ */
+const ISLAND_CHANCE = 0.2;
+
+/**
+ * Layouts tried for a symmetric map before giving up on connecting its copies
+ */
+const MAX_SYMMETRIC_LAYOUTS = 20;
+
+/**
+ * Keep only the largest land mass
+ *
+ * Clearing small territories can cut the land apart. Territories on a
+ * separate island could never be attacked, so their cells become sea.
+ *
+ * @param {Object} gameState - Game state with `cel` filled in
+ * @returns {number} Number of land masses that were removed
+ */
+const removeIslands = gameState => {
+  const { cel, cel_max, join } = gameState;
+  const mass = new Array(cel_max).fill(-1);
+  const sizes = [];
+
+  // Flood fill each land mass
+  for (let start = 0; start < cel_max; start++) {
+    if (cel[start] > 0 && mass[start] < 0) {
+      const id = sizes.length;
+      const stack = [start];
+      let size = 0;
+      mass[start] = id;
+      while (stack.length > 0) {
+        const c = stack.pop();
+        size++;
+        join[c].dir
+          .filter(pos => pos >= 0 && cel[pos] > 0 && mass[pos] < 0)
+          .forEach(pos => {
+            mass[pos] = id;
+            stack.push(pos);
+          });
+      }
+      sizes.push(size);
+    }
+  }
+
+  const largest = sizes.indexOf(Math.max(...sizes));
+  mass.forEach((id, i) => {
+    if (id >= 0 && id !== largest) cel[i] = 0;
+  });
+
+  return Math.max(0, sizes.length - 1);
+};
+
 /**
  * Map generation options
  *
  * @typedef {Object} MapGenerationOptions
  * @property {number} territorySizeVariance - How much territory sizes can vary (0-1)
- * @property {number} waterPercentage - Percentage of the map that should be water (0-1)
- * @property {boolean} allowIslands - Whether to allow isolated territories
+ * @property {number|null} waterPercentage - Share of the grid that should be water (0-1);
+ *   null keeps the classic territory size, which leaves about a third of the grid as sea
+ * @property {boolean} allowIslands - Whether land masses may be separated by sea
+ * @property {Object|null} [fairness] - Rebalance until the fairness report is within tolerances
+ *   (null to only report)
+ * @property {Object} [fairness.tolerances] - Largest spread allowed per metric
+ *   (see DEFAULT_FAIRNESS_TOLERANCES)
+ * @property {number} [fairness.maxDeals=20] - Deals of the territories tried on each layout
+ * @property {number} [fairness.maxLayouts=5] - Layouts tried before keeping the fairest map
+ * @property {string|null} [symmetry] - 'rotational' or 'mirror' to give every player the same
+ *   position (see mapSymmetry.js; needs 2, 3 or 6 players to rotate and 2, 4 or 6 to mirror)
  */
 
 /**
@@ -237,6 +466,19 @@ export const setAreaLine = withErrorHandling((gameState, old_cel, old_dir) => {
  * 2. Establishes adjacency relationships
  * 3. Distributes territories among players
  * 4. Places initial dice
+ * 5. Measures the fairness of the starting position (see mapFairness.js), and
+ *    with the `fairness` option deals again or regenerates until it is fair
+ *
+ * The fairness report is emitted as a `map_fairness_report` CUSTOM event and
+ * with `map_generation_complete`.
+ *
+ * With the `symmetry` option, the map is one copy of a base layout per player,
+ * owned and with dice so that every player starts from the same position. The
+ * copies are checked to match before the map is returned.
+ *
+ * The map fills the game's grid (XMAX x YMAX) with up to AREA_MAX - 1
+ * territories. Territory sizes scale with the cells available per territory,
+ * so the classic 28x32 grid with 32 territories keeps its classic maps.
  *
  * @param {Object} gameState - Game state to modify
  * @param {MapGenerationOptions} [options] - Optional map generation parameters
@@ -248,8 +490,10 @@ export const makeMap = withErrorHandling(
     // Default options
     const mapOptions = {
       territorySizeVariance: 0.2,
-      waterPercentage: 0.1,
+      waterPercentage: null,
       allowIslands: false,
+      fairness: null,
+      symmetry: null,
       ...options,
     };
 
@@ -261,330 +505,456 @@ export const makeMap = withErrorHandling(
     });
 
     // Destructure all required variables from gameState
-    const { cel, cel_max, XMAX, YMAX, AREA_MAX, num, rcel, join, adat, pmax, chk, put_dice } =
-      gameState;
+    const { cel, cel_max, AREA_MAX, num, rcel, join, adat, pmax, put_dice } = gameState;
+
+    // All map randomness comes from the game's source so seeded maps are reproducible
+    const random = getRandom(gameState);
+    const { maxDice } = getRules(gameState);
 
     /*
-     * --------------------------------------------------------
-     *  RANDOMIZATION AND INITIALIZATION
-     * --------------------------------------------------------
+     * Randomize cell order for territory generation, starting from the identity
+     * order so the result depends only on the random source, not on earlier maps,
+     * and clear the cells
      */
+    const shuffleCells = () => {
+      Array.from({ length: cel_max }).forEach((_, i) => {
+        num[i] = i;
+      });
+      Array.from({ length: cel_max }).forEach((_, i) => {
+        const r = Math.floor(random() * cel_max);
+        [num[i], num[r]] = [num[r], num[i]]; // ES6 swap
+      });
 
-    // Randomize cell order for territory generation
-    Array.from({ length: cel_max }).forEach((_, i) => {
-      const r = Math.floor(Math.random() * cel_max);
-      [num[i], num[r]] = [num[r], num[i]]; // ES6 swap
-    });
+      // Initialize all cells and adjacency data
+      Array.from({ length: cel_max }).forEach((_, i) => {
+        cel[i] = 0; // No territory assigned yet
+        rcel[i] = 0; // Not available for expansion yet
+      });
+    };
 
-    // Initialize all cells and adjacency data
-    Array.from({ length: cel_max }).forEach((_, i) => {
-      cel[i] = 0; // No territory assigned yet
-      rcel[i] = 0; // Not available for expansion yet
-    });
+    // Find the free cell with the lowest random priority among those a check accepts
+    const findStart = accept =>
+      Array.from({ length: cel_max })
+        .map((_, i) => ({ index: i, priority: num[i] }))
+        .filter(({ index }) => cel[index] === 0 && accept(index))
+        .reduce((best, current) => (current.priority < best.priority ? current : best), {
+          index: -1,
+          priority: Infinity,
+        });
 
-    // Start the first territory (area number 1)
-    let an = 1; // Territory ID counter
-
-    // Pick a random starting cell and mark it available for territory growth
-    rcel[Math.floor(Math.random() * cel_max)] = 1;
-
-    // Create territories until we run out of space or reach maximum count
-    const createTerritories = () => {
-      while (an < AREA_MAX) {
-        // Find the next starting position using functional approach
-        const nextPosition = Array.from({ length: cel_max })
-          .map((_, i) => ({ index: i, priority: num[i] }))
-          .filter(
-            ({ index }) =>
-              cel[index] === 0 && // Not already in a territory
-              rcel[index] === 1 // Available for expansion
-          )
-          .reduce((best, current) => (current.priority < best.priority ? current : best), {
-            index: -1,
-            priority: 9999,
-          });
+    // Classic territory size, scaled by the cells each territory has on this grid
+    const areaSize = CLASSIC_AREA_SIZE * (cel_max / (AREA_MAX - 1) / CLASSIC_CELLS_PER_AREA);
+
+    // Lay out the territories on the grid; returns the number of territories created
+    const generateLayout = () => {
+      /*
+       * --------------------------------------------------------
+       *  RANDOMIZATION AND INITIALIZATION
+       * --------------------------------------------------------
+       */
+      shuffleCells();
+
+      // Start the first territory (area number 1)
+      let an = 1; // Territory ID counter
+
+      // Pick a random starting cell and mark it available for territory growth
+      rcel[Math.floor(random() * cel_max)] = 1;
+
+      /*
+       * Territory size: the classic size, scaled by the cells each territory has on
+       * this grid. With a water share, the land still to fill is shared out among
+       * the territories still to create instead, allowing for the cells the border
+       * smoothing has added to each territory so far.
+       */
+      const { territorySizeVariance, waterPercentage, allowIslands } = mapOptions;
+      const landTarget =
+        waterPercentage === null ? Infinity : Math.round(cel_max * (1 - waterPercentage));
+      let landCells = 0;
+      let targetCells = 0;
+
+      // Cells with only sea around them, where an island can start
+      const isOpenSea = index =>
+        rcel[index] === 0 &&
+        join[index].dir.every(pos => pos < 0 || (cel[pos] === 0 && rcel[pos] === 0));
+
+      // Create territories until we run out of space or reach maximum count
+      const createTerritories = () => {
+        while (an < AREA_MAX && landCells < landTarget) {
+          // Start next to the land so far, or out at sea for an island
+          const island =
+            allowIslands && an > 1 && random() < ISLAND_CHANCE ? findStart(isOpenSea) : null;
+          const nextPosition = island?.index >= 0 ? island : findStart(index => rcel[index] === 1);
+
+          // No more cells available for territory creation
+          if (nextPosition.index === -1) break;
+
+          // Determine territory target size with some variance
+          const growth = targetCells > 0 ? landCells / targetCells : 1;
+          const baseSize =
+            landTarget === Infinity
+              ? areaSize
+              : (landTarget - landCells) / (AREA_MAX - an) / growth;
+          const targetSize = Math.max(
+            3,
+            Math.floor(baseSize * (1 + (random() * 2 - 1) * territorySizeVariance))
+          );
 
-        // No more cells available for territory creation
-        if (nextPosition.index === -1) break;
+          // Start penetration (territory growth)
+          const ret = percolate(gameState, nextPosition.index, targetSize, an);
+          if (ret === 0) break;
 
-        // Determine territory target size with some variance
-        const targetSize = Math.max(
-          3,
-          Math.floor(8 * (1 + (Math.random() * 2 - 1) * mapOptions.territorySizeVariance))
-        );
+          landCells += ret;
+          targetCells += targetSize;
+          an++;
+        }
+      };
 
-        // Start penetration (territory growth)
-        const ret = percolate(gameState, nextPosition.index, targetSize, an);
-        if (ret === 0) break;
+      createTerritories();
 
-        an++;
-      }
-    };
+      // Remove single-cell areas in sea using functional approach
+      const fillSingleCellGaps = () => {
+        Array.from({ length: cel_max })
+          .map((_, i) => i)
+          .filter(i => cel[i] === 0) // Only consider empty cells
+          .forEach(i => {
+            // Check all neighboring cells
+            const neighborInfo = Array.from({ length: 6 })
+              .map((_, k) => join[i].dir[k])
+              .filter(pos => pos >= 0)
+              .reduce(
+                (info, pos) => {
+                  if (cel[pos] === 0) info.hasEmptyNeighbor = true;
+                  else info.filledNeighborId = cel[pos];
+                  return info;
+                },
+                { hasEmptyNeighbor: false, filledNeighborId: 0 }
+              );
+
+            // If the cell is completely surrounded by a territory, make it part of that territory
+            if (!neighborInfo.hasEmptyNeighbor && neighborInfo.filledNeighborId > 0) {
+              cel[i] = neighborInfo.filledNeighborId;
+            }
+          });
+      };
 
-    createTerritories();
+      fillSingleCellGaps();
 
-    // Remove single-cell areas in sea using functional approach
-    const fillSingleCellGaps = () => {
+      // Count cells per area so areas that are too small can be removed
+      const sizes = Array.from({ length: AREA_MAX }, () => 0);
       Array.from({ length: cel_max })
-        .map((_, i) => i)
-        .filter(i => cel[i] === 0) // Only consider empty cells
-        .forEach(i => {
-          // Check all neighboring cells
-          const neighborInfo = Array.from({ length: 6 })
-            .map((_, k) => join[i].dir[k])
-            .filter(pos => pos >= 0)
-            .reduce(
-              (info, pos) => {
-                if (cel[pos] === 0) info.hasEmptyNeighbor = true;
-                else info.filledNeighborId = cel[pos];
-                return info;
-              },
-              { hasEmptyNeighbor: false, filledNeighborId: 0 }
-            );
-
-          // If the cell is completely surrounded by a territory, make it part of that territory
-          if (!neighborInfo.hasEmptyNeighbor && neighborInfo.filledNeighborId > 0) {
-            cel[i] = neighborInfo.filledNeighborId;
-          }
+        .map((_, i) => cel[i])
+        .filter(areaId => areaId > 0)
+        .forEach(areaId => {
+          sizes[areaId]++;
+        });
+
+      // Clear cells belonging to areas with size <= 5 (less where territories are smaller)
+      const smallSize = Math.min(5, Math.floor(areaSize / 2) + 1);
+      Array.from({ length: cel_max })
+        .map((_, i) => ({ index: i, areaId: cel[i] }))
+        .filter(({ areaId }) => areaId > 0 && sizes[areaId] <= smallSize)
+        .forEach(({ index }) => {
+          cel[index] = 0;
         });
-    };
 
-    fillSingleCellGaps();
+      // Every territory must be reachable unless islands are allowed
+      if (!allowIslands) removeIslands(gameState);
 
-    // Initialize area data
-    Array.from({ length: AREA_MAX }).forEach((_, i) => {
-      gameState.adat[i] = new AreaData();
-    });
+      // Build territory sizes, centers, adjacency and borders from the cells
+      setAreaData(gameState);
 
-    // Calculate area sizes using functional approach
-    Array.from({ length: cel_max })
-      .map((_, i) => cel[i])
-      .filter(areaId => areaId > 0)
-      .forEach(areaId => {
-        adat[areaId].size++;
+      return an - 1;
+    };
+
+    // Deal the territories to the players and place the starting dice
+    const dealTerritories = () => {
+      /*
+       * Determine area player affiliations (distribute territories among players)
+       * Initialize ownership
+       */
+      Array.from({ length: AREA_MAX }).forEach((_, i) => {
+        adat[i].arm = -1;
       });
 
-    // Remove areas with size <= 5
-    const invalidAreas = Array.from({ length: AREA_MAX })
-      .map((_, i) => i)
-      .filter(i => i > 0 && adat[i].size <= 5);
+      // Distribute territories to players
+      const distributeTerritoriesAmongPlayers = () => {
+        let arm = 0; // Current player to assign
+
+        // Loop until no unassigned territories remain
+        let hasUnassignedTerritories = true;
+        while (hasUnassignedTerritories) {
+          // Find unassigned territories
+          const unassignedTerritories = Array.from({ length: AREA_MAX })
+            .map((_, i) => i)
+            .filter(i => i > 0 && adat[i].size > 0 && adat[i].arm < 0);
+
+          // All territories have been assigned
+          if (unassignedTerritories.length === 0) {
+            hasUnassignedTerritories = false;
+            break;
+          }
 
-    invalidAreas.forEach(i => {
-      adat[i].size = 0;
-    });
+          // Randomly select a territory to assign to the current player
+          const randomIndex = Math.floor(random() * unassignedTerritories.length);
+          const assignedTerritory = unassignedTerritories[randomIndex];
+          adat[assignedTerritory].arm = arm;
 
-    // Clear cells belonging to removed areas
-    Array.from({ length: cel_max })
-      .map((_, i) => ({ index: i, areaId: cel[i] }))
-      .filter(({ areaId }) => areaId > 0 && adat[areaId].size === 0)
-      .forEach(({ index }) => {
-        cel[index] = 0;
-      });
+          // Move to next player (cycling back to 0 after reaching max)
+          arm = (arm + 1) % pmax;
+        }
+      };
 
-    // Initialize area boundaries
-    Array.from({ length: AREA_MAX })
-      .map((_, i) => i)
-      .filter(i => i > 0)
-      .forEach(i => {
-        adat[i].left = XMAX;
-        adat[i].right = -1;
-        adat[i].top = YMAX;
-        adat[i].bottom = -1;
-        adat[i].len_min = 9999;
-      });
+      distributeTerritoriesAmongPlayers();
 
-    // Calculate area boundaries
-    const updateAreaBoundaries = () => {
-      let c = 0;
-      for (let i = 0; i < YMAX; i++) {
-        for (let j = 0; j < XMAX; j++) {
-          const areaId = cel[c];
-          if (areaId > 0) {
-            adat[areaId].left = Math.min(adat[areaId].left, j);
-            adat[areaId].right = Math.max(adat[areaId].right, j);
-            adat[areaId].top = Math.min(adat[areaId].top, i);
-            adat[areaId].bottom = Math.max(adat[areaId].bottom, i);
+      /*
+       * Place dice
+       * Count valid territories and initialize with 1 die each
+       */
+      const validTerritoryCount = Array.from({ length: AREA_MAX })
+        .map((_, i) => i)
+        .filter(i => i > 0 && adat[i].size > 0)
+        .map(i => {
+          adat[i].dice = 1; // Start with 1 die per territory
+          return i;
+        }).length;
+
+      // Calculate additional dice to distribute
+      const additionalDice = validTerritoryCount * (put_dice - 1);
+
+      // Distribute remaining dice
+      const distributeDice = () => {
+        let p = 0; // Current player for dice distribution
+
+        // For each die to distribute
+        Array.from({ length: additionalDice }).forEach(() => {
+          // Find territories owned by current player that can receive dice
+          const eligibleTerritories = Array.from({ length: AREA_MAX })
+            .map((_, j) => j)
+            .filter(j => j > 0 && adat[j].size > 0 && adat[j].arm === p && adat[j].dice < maxDice);
+
+          if (eligibleTerritories.length > 0) {
+            // Randomly select a territory and add a die
+            const randomIndex = Math.floor(random() * eligibleTerritories.length);
+            const selectedTerritory = eligibleTerritories[randomIndex];
+            adat[selectedTerritory].dice++;
           }
-          c++;
-        }
-      }
-    };
 
-    updateAreaBoundaries();
+          // Move to next player
+          p = (p + 1) % pmax;
+        });
+      };
 
-    // Calculate area centers
-    Array.from({ length: AREA_MAX })
-      .map((_, i) => i)
-      .filter(i => i > 0)
-      .forEach(i => {
-        adat[i].cx = Math.floor((adat[i].left + adat[i].right) / 2);
-        adat[i].cy = Math.floor((adat[i].top + adat[i].bottom) / 2);
-      });
+      distributeDice();
 
-    // Find optimal center positions and establish adjacency
-    const establishAdjacency = () => {
-      let c = 0;
-      for (let i = 0; i < YMAX; i++) {
-        for (let j = 0; j < XMAX; j++) {
-          const areaId = cel[c];
-          if (areaId > 0) {
-            // Distance from center (avoiding boundary lines)
-            const x = Math.abs(adat[areaId].cx - j);
-            const y = Math.abs(adat[areaId].cy - i);
-            let len = x + y;
-
-            /*
-             * Check for adjacency to other territories
-             * Create a function outside the loop to check adjacency
-             */
-            const checkAdjacency = (cellIndex, areaIdentifier) =>
-              Array.from({ length: 6 })
-                .map((_, k) => ({ dir: k, pos: join[cellIndex].dir[k] }))
-                .filter(({ pos }) => pos > 0)
-                .map(({ pos }) => ({ pos, areaId: cel[pos] }))
-                .filter(({ areaId: adjAreaId }) => adjAreaId !== areaIdentifier && adjAreaId > 0);
-
-            const adjacencyInfo = checkAdjacency(c, areaId);
-
-            // If this cell has adjacent territories, it's on a border
-            const isBorder = adjacencyInfo.length > 0;
-
-            // Create adjacency data
-            adjacencyInfo.forEach(({ areaId: adjAreaId }) => {
-              adat[areaId].join[adjAreaId] = 1;
-            });
-
-            // Cells on territory borders get lower priority for center
-            if (isBorder) len += 4;
-
-            // Use closest point as center
-            if (len < adat[areaId].len_min) {
-              adat[areaId].len_min = len;
-              adat[areaId].cpos = i * XMAX + j;
-            }
-          }
-          c++;
-        }
-      }
+      // Calculate connected territories for each player
+      Array.from({ length: pmax }).forEach((_, p) => {
+        setAreaTc(gameState, p);
+      });
     };
 
-    establishAdjacency();
-
     /*
-     * Determine area player affiliations (distribute territories among players)
-     * Initialize ownership
+     * Symmetric maps: each base territory is grown one cell at a time, and every
+     * cell it takes is also taken by its copy for each other player
      */
-    Array.from({ length: AREA_MAX }).forEach((_, i) => {
-      adat[i].arm = -1;
-    });
+    const symmetry = mapOptions.symmetry ? getSymmetry(mapOptions.symmetry, pmax) : null;
+
+    // Lay out a symmetric map; returns the number of territories created
+    const generateSymmetricLayout = () => {
+      const { players } = symmetry;
+      const { territorySizeVariance, waterPercentage, allowIslands } = mapOptions;
+      const orbits = createSymmetryOrbits(gameState, symmetry);
+      const bases = Math.floor((AREA_MAX - 1) / players);
+      const landTarget =
+        waterPercentage === null
+          ? Infinity
+          : Math.round((cel_max * (1 - waterPercentage)) / players);
+      const closest = Math.min(...orbits.filter(Boolean).map(orbit => orbit.distance));
+
+      // A cell is free when it and all its copies are still sea
+      const isFree = index =>
+        orbits[index] !== null && orbits[index].cells.every(c => cel[c] === 0);
+      const claim = (index, area) =>
+        orbits[index].cells.forEach((c, copy) => {
+          cel[c] = area && symmetricAreaId(area - 1, copy, players);
+        });
 
-    // Distribute territories to players
-    const distributeTerritoriesAmongPlayers = () => {
-      let arm = 0; // Current player to assign
+      for (let attempt = 0; attempt < MAX_SYMMETRIC_LAYOUTS; attempt++) {
+        shuffleCells();
 
-      // Loop until no unassigned territories remain
-      let hasUnassignedTerritories = true;
-      while (hasUnassignedTerritories) {
-        // Find unassigned territories
-        const unassignedTerritories = Array.from({ length: AREA_MAX })
-          .map((_, i) => i)
-          .filter(i => i > 0 && adat[i].size > 0 && adat[i].arm < 0);
+        // The first territory starts next to the center, so the copies meet
+        orbits.forEach((orbit, i) => {
+          if (orbit?.distance === closest) rcel[i] = 1;
+        });
 
-        // All territories have been assigned
-        if (unassignedTerritories.length === 0) {
-          hasUnassignedTerritories = false;
-          break;
-        }
+        let base = 0;
+        let landCells = 0;
+        let targetCells = 0;
+        while (base < bases && landCells < landTarget) {
+          const start = findStart(index => rcel[index] === 1 && isFree(index));
+          if (start.index === -1) break;
+
+          const growth = targetCells > 0 ? landCells / targetCells : 1;
+          const baseSize =
+            landTarget === Infinity ? areaSize : (landTarget - landCells) / (bases - base) / growth;
+          const targetSize = Math.max(
+            3,
+            Math.floor(baseSize * (1 + (random() * 2 - 1) * territorySizeVariance))
+          );
+
+          // Grow into the free neighbor with the lowest random priority
+          const cells = [start.index];
+          const isNext = index =>
+            isFree(index) && join[index].dir.some(pos => pos >= 0 && cells.includes(pos));
+          claim(start.index, base + 1);
+          while (cells.length < targetSize) {
+            const next = findStart(isNext);
+            if (next.index === -1) break;
+            cells.push(next.index);
+            claim(next.index, base + 1);
+          }
+
+          // Smooth the border by taking every free neighbor, as percolate() does
+          const border = Array.from({ length: cel_max }, (_, i) => i).filter(isNext);
+          border.forEach(index => claim(index, base + 1));
+          cells.push(...border);
+
+          // Too cramped for a territory: give the cells back and start elsewhere
+          if (cells.length < 3) {
+            cells.forEach(index => claim(index, 0));
+            rcel[start.index] = 0;
+            continue;
+          }
 
-        // Randomly select a territory to assign to the current player
-        const randomIndex = Math.floor(Math.random() * unassignedTerritories.length);
-        const assignedTerritory = unassignedTerritories[randomIndex];
-        adat[assignedTerritory].arm = arm;
+          // The next territory starts next to any copy
+          cells.forEach(index =>
+            orbits[index].cells.forEach(c =>
+              join[c].dir.forEach(pos => {
+                if (pos >= 0) rcel[pos] = 1;
+              })
+            )
+          );
+          landCells += cells.length;
+          targetCells += targetSize;
+          base++;
+        }
 
-        // Move to next player (cycling back to 0 after reaching max)
-        arm = (arm + 1) % pmax;
+        setAreaData(gameState);
+        if (allowIslands || countLandMasses(gameState) <= 1) return base * players;
       }
-    };
 
-    distributeTerritoriesAmongPlayers();
+      throw new MapError(`No connected ${symmetry.mode} map found for ${players} players`, {
+        symmetry: symmetry.mode,
+        players,
+      });
+    };
 
-    // Create area drawing line data (for borders)
-    Array.from({ length: AREA_MAX }).forEach((_, i) => {
-      chk[i] = 0;
-    });
+    // Deal a symmetric map: each player gets one copy of every base territory
+    const dealSymmetricTerritories = () => {
+      const { players } = symmetry;
+      const bases = Array.from(
+        { length: Math.floor((AREA_MAX - 1) / players) },
+        (_, i) => i
+      ).filter(base => adat[symmetricAreaId(base, 0, players)].size > 0);
+
+      // Owner of each base territory and its dice, placed as on a classic map
+      const owners = bases.map(() => Math.floor(random() * players));
+      const dice = bases.map(() => 1);
+      Array.from({ length: bases.length * (put_dice - 1) }).forEach(() => {
+        const eligible = bases.filter(i => dice[i] < maxDice);
+        if (eligible.length > 0) dice[eligible[Math.floor(random() * eligible.length)]]++;
+      });
 
-    // Set up border drawing data for each territory
-    const generateBorderData = () => {
-      Array.from({ length: cel_max })
-        .map((_, i) => ({ index: i, areaId: cel[i] }))
-        .filter(({ areaId }) => areaId > 0 && chk[areaId] === 0)
-        .forEach(({ index, areaId }) => {
-          // Find a cell on the border of this territory
-          const borderDir = Array.from({ length: 6 })
-            .map((_, k) => ({ dir: k, neighbor: join[index].dir[k] }))
-            .find(({ neighbor }) => neighbor >= 0 && cel[neighbor] !== areaId);
-
-          // If we found a border, generate the line data
-          if (borderDir) {
-            setAreaLine(gameState, index, borderDir.dir);
-            chk[areaId] = 1;
-          }
+      Array.from({ length: AREA_MAX }).forEach((_, i) => {
+        adat[i].arm = -1;
+      });
+      bases.forEach(base => {
+        Array.from({ length: players }).forEach((_, copy) => {
+          const area = adat[symmetricAreaId(base, copy, players)];
+          area.arm = composeSymmetry(symmetry, copy, owners[base]);
+          area.dice = dice[base];
         });
+      });
+
+      Array.from({ length: pmax }).forEach((_, p) => {
+        setAreaTc(gameState, p);
+      });
     };
 
-    generateBorderData();
+    // Save and restore maps while rebalancing
+    const saveMap = () => ({
+      cells: cel.slice(0, cel_max),
+      arm: adat.map(area => area.arm),
+      dice: adat.map(area => area.dice),
+    });
+    const restoreMap = ({ cells, arm, dice }) => {
+      cells.forEach((area, i) => {
+        cel[i] = area;
+      });
+      setAreaData(gameState);
+      adat.forEach((area, i) => {
+        area.arm = arm[i];
+        area.dice = dice[i];
+      });
+      Array.from({ length: pmax }).forEach((_, p) => {
+        setAreaTc(gameState, p);
+      });
+    };
 
     /*
-     * Place dice
-     * Count valid territories and initialize with 1 die each
+     * Generate the map and measure its fairness. When rebalancing, the layout's
+     * territories are dealt again, and then new layouts are tried, until the map
+     * is within the tolerances; otherwise the fairest map found is kept.
      */
-    const validTerritoryCount = Array.from({ length: AREA_MAX })
-      .map((_, i) => i)
-      .filter(i => i > 0 && adat[i].size > 0)
-      .map(i => {
-        adat[i].dice = 1; // Start with 1 die per territory
-        return i;
-      }).length;
-
-    // Calculate additional dice to distribute
-    const additionalDice = validTerritoryCount * (put_dice - 1);
-
-    // Distribute remaining dice
-    const distributeDice = () => {
-      let p = 0; // Current player for dice distribution
-
-      // For each die to distribute
-      Array.from({ length: additionalDice }).forEach(() => {
-        // Find territories owned by current player that can receive dice
-        const eligibleTerritories = Array.from({ length: AREA_MAX })
-          .map((_, j) => j)
-          .filter(
-            j => j > 0 && adat[j].size > 0 && adat[j].arm === p && adat[j].dice < 8 // Max 8 dice per territory
-          );
-
-        if (eligibleTerritories.length > 0) {
-          // Randomly select a territory and add a die
-          const randomIndex = Math.floor(Math.random() * eligibleTerritories.length);
-          const selectedTerritory = eligibleTerritories[randomIndex];
-          adat[selectedTerritory].dice++;
+    const { fairness } = mapOptions;
+    const maxLayouts = fairness ? (fairness.maxLayouts ?? 5) : 1;
+    const maxDeals = fairness ? (fairness.maxDeals ?? 20) : 1;
+    const attempts = { layouts: 0, deals: 0 };
+    let best = null;
+    let last = null;
+
+    for (let layout = 0; layout < maxLayouts && !best?.report.fair; layout++) {
+      const territoriesCreated = symmetry ? generateSymmetricLayout() : generateLayout();
+      attempts.layouts++;
+
+      for (let deal = 0; deal < maxDeals && !best?.report.fair; deal++) {
+        if (symmetry) dealSymmetricTerritories();
+        else dealTerritories();
+        attempts.deals++;
+
+        const metrics = measureMapFairness(gameState);
+        last = {
+          ...metrics,
+          ...checkMapFairness(metrics, fairness?.tolerances),
+          territoriesCreated,
+        };
+        if (!best || last.score < best.report.score) {
+          best = { report: last, map: fairness ? saveMap() : null };
         }
+      }
+    }
 
-        // Move to next player
-        p = (p + 1) % pmax;
-      });
-    };
+    // Keep the fairest map if the last one tried is not it
+    if (best.report !== last) restoreMap(best.map);
 
-    distributeDice();
+    // Symmetric maps must give every player the same position
+    const problems = symmetry ? validateSymmetry(gameState, symmetry) : [];
+    if (problems.length > 0) {
+      throw new MapError(`Map is not symmetric: ${problems.join('; ')}`, { problems });
+    }
+    const report = { ...best.report, rebalanced: Boolean(fairness), attempts };
 
-    // Calculate connected territories for each player
-    Array.from({ length: pmax }).forEach((_, p) => {
-      setAreaTc(gameState, p);
+    // Emit the fairness report
+    gameEvents.emit(EventType.CUSTOM, {
+      type: 'map_fairness_report',
+      report,
+      gameState,
     });
 
     // Emit map generation complete event
     gameEvents.emit(EventType.CUSTOM, {
       type: 'map_generation_complete',
-      territoriesCreated: an - 1,
+      territoriesCreated: report.territoriesCreated,
+      report,
       gameState,
     });
 
@@ -0,0 +1,227 @@
+/**
+ * Map Symmetry Module
+ *
+ * Geometry for symmetric maps, where every player starts from the same
+ * position. A symmetric map is made of one copy of a base layout per player:
+ * - Rotational: copies turned around the center (2, 3 or 6 players)
+ * - Mirror: copies mirrored left to right, and for 4 players also top to
+ *   bottom (2, 4 or 6 players; 6 players combine three mirror axes)
+ *
+ * Hex grids have no quarter turn, so 4 player maps are mirrored. Mirroring top
+ * to bottom across a row would turn that row into sea and cut the map in two;
+ * instead the bottom half is the mirrored top half shifted by half a cell, and
+ * the row between them only has land every other cell, which keeps the halves
+ * joined the same way for every player.
+ *
+ * Territory `1 + base * players + copy` is copy `copy` of base territory `base`.
+ * Copies and players are both numbered by symmetry: copy 0 is the base layout,
+ * and a territory of copy c whose base is owned by player p belongs to player
+ * compose(c, p), so each player owns one copy of every base territory.
+ *
+ * @module mechanics/mapSymmetry
+ */
+
+import { AdjacencyGraph } from '@models/enhanced/index.js';
+import { MapError } from './errors/index.js';
+
+/**
+ * Player counts each symmetry supports
+ */
+export const SYMMETRY_PLAYERS = Object.freeze({
+  rotational: [2, 3, 6],
+  mirror: [2, 4, 6],
+});
+
+/*
+ * Transforms of axial hex coordinates [q, r] relative to the map center
+ * (pointy hexes, the layout of utils/grid.js)
+ */
+const identity = v => v;
+const rotate60 = ([q, r]) => [-r, q + r];
+const rotate = turns => v => Array.from({ length: turns }).reduce(rotate60, v);
+const mirrorLeftRight = ([q, r]) => [-q - r, r];
+// Mirror top to bottom across the line below row 0, shifted half a cell right
+const glideTopBottom = ([q, r]) => [q + r, 1 - r];
+
+/**
+ * Get the symmetry of a map
+ *
+ * Copies are numbered `flip * turns + turn`: the base layout is mirrored left
+ * to right `flip` times (0 or 1) and then turned `turn` times.
+ *
+ * @param {string} mode - 'rotational' or 'mirror'
+ * @param {number} players - Number of players, one copy each
+ * @returns {Object} Symmetry with `mode`, `players`, `turns`, `place(copy, [q, r])`
+ *   and `inDomain([q, r])` (cells the base layout may use)
+ * @throws {MapError} If the mode does not support the player count
+ */
+export const getSymmetry = (mode, players) => {
+  if (!SYMMETRY_PLAYERS[mode]) {
+    throw new MapError(`Unknown map symmetry: ${mode}`, { mode });
+  }
+  if (!SYMMETRY_PLAYERS[mode].includes(players)) {
+    throw new MapError(
+      `${mode} symmetry needs ${SYMMETRY_PLAYERS[mode].join(', ')} players, not ${players}`,
+      { mode, players }
+    );
+  }
+
+  const [turns, turn, flip, inDomain] = {
+    rotational: () => [players, rotate(6 / players), identity, () => true],
+    mirror: () =>
+      ({
+        2: [1, identity, mirrorLeftRight, () => true],
+        4: [2, glideTopBottom, mirrorLeftRight, ([q, r]) => r < 0 || (r === 0 && q % 2 === 0)],
+        6: [3, rotate(2), mirrorLeftRight, () => true],
+      })[players],
+  }[mode]();
+
+  return {
+    mode,
+    players,
+    turns,
+    place: (copy, v) => {
+      const flipped = copy >= turns ? flip(v) : v;
+      return Array.from({ length: copy % turns }).reduce(turn, flipped);
+    },
+    inDomain,
+  };
+};
+
+/**
+ * Compose two symmetry elements
+ *
+ * Placing copy `b` and then applying copy `a` places copy compose(a, b).
+ *
+ * @param {Object} symmetry - Result of getSymmetry()
+ * @param {number} a - Copy applied second
+ * @param {number} b - Copy applied first
+ * @returns {number} The combined copy
+ */
+export const composeSymmetry = ({ turns }, a, b) => {
+  const [flipA, turnA] = [Math.floor(a / turns), a % turns];
+  const [flipB, turnB] = [Math.floor(b / turns), b % turns];
+  const turn = (((turnA + (flipA ? -turnB : turnB)) % turns) + turns) % turns;
+  return (flipA ^ flipB) * turns + turn;
+};
+
+/**
+ * Get the id of a copy of a base territory
+ *
+ * @param {number} base - Base territory (from 0)
+ * @param {number} copy - Copy (0 for the base layout)
+ * @param {number} players - Number of players
+ * @returns {number} Territory id
+ */
+export const symmetricAreaId = (base, copy, players) => 1 + base * players + copy;
+
+/**
+ * Find where each cell of a base layout is copied to
+ *
+ * The map center is the middle cell of the grid. A cell can be part of the
+ * base layout when it is in the symmetry's domain and all its copies are on
+ * the grid and different cells; cells on a mirror axis or at the center of
+ * rotation are left as sea.
+ *
+ * @param {Object} gameState - Game state with XMAX, YMAX and cel_max
+ * @param {Object} symmetry - Result of getSymmetry()
+ * @returns {Array<Object|null>} For each cell, `{cells, distance}` with the cell of each copy
+ *   and the distance to the center in cells, or null if the base layout cannot use it
+ */
+export const createSymmetryOrbits = (gameState, symmetry) => {
+  const { XMAX, YMAX, cel_max } = gameState;
+  const toAxial = cell => {
+    const [x, y] = [cell % XMAX, Math.floor(cell / XMAX)];
+    return [x - (y - (y & 1)) / 2, y];
+  };
+  const [cq, cr] = toAxial(Math.floor((YMAX - 1) / 2) * XMAX + Math.floor((XMAX - 1) / 2));
+
+  const toCell = ([q, r]) => {
+    const [x, y] = [q + cq + (r + cr - ((r + cr) & 1)) / 2, r + cr];
+    return x < 0 || y < 0 || x >= XMAX || y >= YMAX ? -1 : y * XMAX + x;
+  };
+
+  return Array.from({ length: cel_max }, (_, cell) => {
+    const [q, r] = toAxial(cell);
+    const v = [q - cq, r - cr];
+    if (!symmetry.inDomain(v)) return null;
+
+    const cells = [...Array(symmetry.players).keys()].map(copy => toCell(symmetry.place(copy, v)));
+    if (cells.includes(-1) || new Set(cells).size < cells.length) return null;
+
+    return { cells, distance: (Math.abs(v[0]) + Math.abs(v[1]) + Math.abs(v[0] + v[1])) / 2 };
+  });
+};
+
+// Adjacency graph of the territories on the map
+const toAdjacencyGraph = ({ adat, AREA_MAX }) => {
+  const graph = new AdjacencyGraph();
+  const areas = Array.from({ length: AREA_MAX }, (_, i) => i).filter(
+    i => i > 0 && adat[i].size > 0
+  );
+  areas.forEach(i => graph.addTerritory(i));
+  areas.forEach(i =>
+    areas.filter(j => j > i && adat[i].join[j]).forEach(j => graph.setAdjacency(i, j))
+  );
+  return graph;
+};
+
+/**
+ * Count the separate land masses of a map
+ *
+ * @param {Object} gameState - Game state with territory adjacency
+ * @returns {number} Number of groups of connected territories
+ */
+export const countLandMasses = gameState => {
+  const graph = toAdjacencyGraph(gameState);
+  const areas = [...graph.adjacencyLists.keys()];
+  return graph.findTerritoryGroups(areas, new Map(areas.map(i => [i, 0])), 0).size;
+};
+
+/**
+ * Check that a map is symmetric
+ *
+ * Applying any copy of the symmetry must map every territory to a copy of the
+ * same base territory with the same size and dice, owned by the matching
+ * player, and keep every adjacency.
+ *
+ * @param {Object} gameState - Game state with territories, owners and dice
+ * @param {Object} symmetry - Result of getSymmetry()
+ * @returns {Array<string>} Problems found (empty when the map is symmetric)
+ */
+export const validateSymmetry = (gameState, symmetry) => {
+  const { adat, AREA_MAX } = gameState;
+  const { players } = symmetry;
+  const graph = toAdjacencyGraph(gameState);
+  const problems = new Set();
+
+  // Copy and base of a territory, and the territory a symmetry element maps it to
+  const baseOf = id => Math.floor((id - 1) / players);
+  const copyOf = id => (id - 1) % players;
+  const mapArea = (element, id) =>
+    symmetricAreaId(baseOf(id), composeSymmetry(symmetry, element, copyOf(id)), players);
+
+  [...graph.adjacencyLists.keys()].forEach(id => {
+    Array.from({ length: players }, (_, element) => element).forEach(element => {
+      const target = mapArea(element, id);
+      const [area, copy] = [adat[id], adat[target]];
+
+      if (target >= AREA_MAX || copy.size !== area.size || copy.dice !== area.dice) {
+        problems.add(`Territory ${id} does not match its copy ${target}`);
+      } else if (area.arm >= 0 && copy.arm !== composeSymmetry(symmetry, element, area.arm)) {
+        problems.add(`Territory ${id} and its copy ${target} have unmatched owners`);
+      }
+
+      graph
+        .getAdjacentTerritories(id)
+        .filter(next => !graph.areAdjacent(target, mapArea(element, next)))
+        .forEach(next => {
+          problems.add(
+            `Territories ${id} and ${next} are adjacent, but their copies ${target} and ${mapArea(element, next)} are not`
+          );
+        });
+    });
+  });
+
+  return [...problems];
+};
@@ -9,7 +9,10 @@
  * - Adjacency to other territories
  */
 export class AreaData {
-  constructor() {
+  /**
+   * @param {number} [areaMax=32] - Territory limit of the map (size of `join`)
+   */
+  constructor(areaMax = 32) {
     this.size = 0; // Size of area (0 = not present, >0 = number of cells)
     this.cpos = 0; // Center cell position (used for dice placement)
     this.arm = 0; // Player/army affiliation (color)
@@ -32,6 +35,6 @@ export class AreaData {
      * Adjacency array - indices of areas that share a border with this area
      * Used for determining valid attack targets and territory groups
      */
-    this.join = Array(32).fill(0); // 32 possible adjacent territories
+    this.join = Array(areaMax).fill(0); // One flag per possible adjacent territory
   }
 }
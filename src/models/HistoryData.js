@@ -3,11 +3,22 @@
  *
  * Records an action for replay and history tracking.
  * Each entry represents either an attack or a reinforcement.
+ *
+ * Only `from`, `to` and `res` are needed to replay a game. The other fields
+ * describe the action in more detail and are null when they were not recorded
+ * (for example in histories from older saves).
  */
 export class HistoryData {
   constructor() {
     this.from = 0; // Source area (for attack or reinforcement)
     this.to = 0; // Target area (for attack) or 0 for reinforcement
     this.res = 0; // Result: 0=attack failed, 1=attack succeeded
+
+    this.player = null; // Acting player
+    this.turn = null; // Turn number (0 = first turn of the game)
+    this.rolls = null; // Attack: [attacker dice values, defender dice values]
+    this.from_dice = null; // Dice on the source area: [before, after]
+    this.to_dice = null; // Attack: dice on the target area: [before, after]
+    this.supply = null; // Reinforcement: { earned, placed, stock } for the player's whole batch
   }
 }
@@ -236,10 +236,12 @@ export class GridData {
   /**
    * Randomize all serial numbers
    * Used during map generation
+   *
+   * @param {Function} [random=Math.random] - Random source to draw from
    */
-  randomizeSerialNumbers() {
+  randomizeSerialNumbers(random = Math.random) {
     for (let i = 0; i < this.cellCount; i++) {
-      const r = Math.floor(Math.random() * this.cellCount);
+      const r = Math.floor(random() * this.cellCount);
       this.swapSerialNumbers(i, r);
     }
   }
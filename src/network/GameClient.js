@@ -0,0 +1,265 @@
+/**
+ * Network Game Client
+ *
+ * Connects a browser game to a GameServer. The client's game is a mirror of
+ * the server's: it is restored from the server's `state` messages and updated
+ * with its `diff` messages, and the player's moves are sent to the server as
+ * intents instead of being played locally. Events of the hosted game are
+ * emitted again on the local gameEvents, marked `remote: true`.
+ *
+ * The seat token from the server is kept in sessionStorage, so a client that
+ * loses its connection (or reloads the page) rejoins the same seat.
+ */
+
+import { gameEvents } from '@mechanics/eventSystem.js';
+import { deserializeGame } from '@utils/saveGame.js';
+import {
+  MessageType,
+  PROTOCOL_VERSION,
+  applyStateDiff,
+  decodeMessage,
+  encodeMessage,
+} from './protocol.js';
+
+/**
+ * Storage key of the seat token
+ */
+export const TOKEN_KEY = 'dicewars_network_token';
+
+/**
+ * Default client options
+ */
+export const DEFAULT_CLIENT_OPTIONS = {
+  reconnectDelay: 1000, // Milliseconds before trying to reconnect
+  maxReconnects: 5, // Attempts before giving up
+};
+
+/**
+ * GameClient Class
+ *
+ * Keeps a local game in sync with a server and sends the player's moves.
+ */
+export class GameClient {
+  /**
+   * Create a client
+   *
+   * @param {Object} game - Game instance to mirror the server's game into
+   * @param {Object} options - Client options
+   * @param {string} options.url - Server address, such as ws://192.168.1.5:8787
+   * @param {string} [options.name='Player'] - Player name shown in the lobby
+   * @param {Function} [options.createSocket] - Opens a socket for a URL (WebSocket by default)
+   * @param {Object} [options.storage] - Storage for the seat token (sessionStorage by default)
+   * @param {number} [options.reconnectDelay=1000] - Milliseconds before reconnecting
+   * @param {number} [options.maxReconnects=5] - Reconnection attempts before giving up
+   * @param {Function} [options.onLobby] - Called with the lobby when it changes
+   * @param {Function} [options.onState] - Called with the game when the whole state arrives
+   * @param {Function} [options.onUpdate] - Called with the game and the diff after each change
+   * @param {Function} [options.onGameOver] - Called with the winner
+   * @param {Function} [options.onError] - Called with `{ code, message }` for rejected messages
+   *   and for malformed messages from the server
+   * @param {Function} [options.onDisconnect] - Called with true when the client gave up reconnecting
+   */
+  constructor(
+    game,
+    {
+      url,
+      name = 'Player',
+      createSocket = address => new WebSocket(address),
+      storage = globalThis.sessionStorage ?? null,
+      reconnectDelay = DEFAULT_CLIENT_OPTIONS.reconnectDelay,
+      maxReconnects = DEFAULT_CLIENT_OPTIONS.maxReconnects,
+      ...callbacks
+    } = {}
+  ) {
+    this.game = game;
+    this.url = url;
+    this.name = name;
+    this.createSocket = createSocket;
+    this.storage = storage;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnects = maxReconnects;
+    this.callbacks = callbacks;
+
+    this.socket = null;
+    this.seat = null;
+    this.lobby = null;
+    this.version = -1;
+    this.winner = null;
+    this.finished = false;
+    this.syncing = false;
+    this.reconnects = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Connect and join the game, with the stored token if there is one
+   *
+   * @returns {GameClient} This client for chaining
+   */
+  connect() {
+    this.closed = false;
+    const socket = this.createSocket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.reconnects = 0;
+      this.send(MessageType.JOIN, {
+        name: this.name,
+        token: this.storage?.getItem(TOKEN_KEY) ?? null,
+        protocol: PROTOCOL_VERSION,
+      });
+    });
+    socket.addEventListener('message', ({ data }) => this.handleMessage(data));
+    socket.addEventListener('close', () => {
+      if (this.socket === socket) this.handleClose();
+    });
+
+    return this;
+  }
+
+  /**
+   * Disconnect for good
+   */
+  close() {
+    this.closed = true;
+    this.socket?.close();
+    this.socket = null;
+  }
+
+  /**
+   * Whether it is this client's turn
+   *
+   * @returns {boolean} True when the player to move sits in this client's seat
+   */
+  get isMyTurn() {
+    return (
+      this.seat !== null &&
+      this.version >= 0 &&
+      !this.finished &&
+      this.game.jun[this.game.ban] === this.seat
+    );
+  }
+
+  /**
+   * Ask the server to start the game (host only)
+   */
+  start() {
+    this.send(MessageType.START);
+  }
+
+  /**
+   * Ask the server to attack
+   *
+   * @param {number} from - Attacking territory
+   * @param {number} to - Defending territory
+   */
+  attack(from, to) {
+    this.send(MessageType.ATTACK, { from, to });
+  }
+
+  /**
+   * Ask the server to end this client's turn
+   */
+  endTurn() {
+    this.send(MessageType.END_TURN);
+  }
+
+  /**
+   * Send a message to the server
+   *
+   * @param {string} type - Message type
+   * @param {Object} [payload={}] - Message fields
+   */
+  send(type, payload = {}) {
+    this.socket?.send(encodeMessage(type, payload));
+  }
+
+  /**
+   * Handle a message from the server
+   *
+   * Frames that are not protocol messages are reported to onError, like
+   * rejected moves, and otherwise ignored.
+   *
+   * @param {string} data - Message text
+   */
+  handleMessage(data) {
+    const { onLobby, onState, onUpdate, onGameOver, onError } = this.callbacks;
+    let message;
+    try {
+      message = decodeMessage(data);
+    } catch (error) {
+      console.error('Ignoring a malformed message from the server:', error);
+      onError?.({ code: error.data?.code ?? 'ERR_PROTOCOL', message: error.message });
+      return;
+    }
+
+    switch (message.type) {
+      case MessageType.WELCOME:
+        this.seat = message.seat;
+        if (message.token) this.storage?.setItem(TOKEN_KEY, message.token);
+        break;
+      case MessageType.LOBBY:
+        this.lobby = message;
+        onLobby?.(message);
+        break;
+      case MessageType.STATE:
+        deserializeGame(this.game, message.snapshot);
+        // The server's game has no human players; this client plays its own seat
+        if (this.seat !== null) {
+          this.game.user = this.seat;
+          this.game.humans = [this.seat];
+        }
+        this.version = message.version;
+        this.syncing = false;
+        onState?.(this.game);
+        break;
+      case MessageType.DIFF:
+        // A missed diff cannot be applied on top; start over from the whole state
+        if (message.version !== this.version + 1) {
+          if (!this.syncing) this.send(MessageType.SYNC);
+          this.syncing = true;
+          break;
+        }
+        applyStateDiff(this.game, message);
+        this.version = message.version;
+        onUpdate?.(this.game, message);
+        break;
+      case MessageType.EVENT:
+        gameEvents.emit(message.event, { ...message.data, gameState: this.game, remote: true });
+        break;
+      case MessageType.GAME_OVER:
+        this.winner = message.winner;
+        this.finished = true;
+        this.storage?.removeItem(TOKEN_KEY);
+        onGameOver?.(message.winner);
+        break;
+      case MessageType.ERROR:
+        onError?.(message);
+        break;
+    }
+  }
+
+  /**
+   * Reconnect after losing the connection
+   */
+  handleClose() {
+    this.socket = null;
+    if (this.closed || this.finished) return;
+
+    if (this.reconnects >= this.maxReconnects) {
+      this.callbacks.onDisconnect?.(true);
+      return;
+    }
+
+    this.reconnects++;
+    this.callbacks.onDisconnect?.(false);
+    setTimeout(() => {
+      if (!this.closed) this.connect();
+    }, this.reconnectDelay);
+  }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+  window.GameClient = GameClient;
+}
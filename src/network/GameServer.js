@@ -0,0 +1,504 @@
+/**
+ * Network Game Server
+ *
+ * Hosts an authoritative game for clients on the network. The server owns the
+ * only copy of the game that changes: clients send intents (attack, end turn),
+ * the server validates them with validatePlayer() and validateTerritories(),
+ * plays them and sends every client the resulting diff and the gameEvents the
+ * move caused. A move's events are sent before the diff that records it.
+ *
+ * Seats are players: the first clients to join take seats 0, 1, ... and the
+ * first one seated hosts the game. When the host starts, empty seats are played
+ * by AIs, as are the seats of clients that disconnect until they rejoin with
+ * the token they were given.
+ *
+ * The server works with any socket that has `send(text)`, `close()` and
+ * `on('message' | 'close', listener)`, such as a `ws` WebSocket, so tests can
+ * connect fake sockets in-process (see websocketServer.js for a real server).
+ */
+
+import { DEFAULT_AI_ASSIGNMENTS } from '@ai/index.js';
+import {
+  EventType,
+  GameStateError,
+  TerritoryError,
+  gameEvents,
+  validatePlayer,
+  validateTerritories,
+} from '@mechanics/index.js';
+import { serializeGame } from '@utils/saveGame.js';
+import { GameRunner } from '../runner/GameRunner.js';
+import {
+  MessageType,
+  PROTOCOL_VERSION,
+  captureState,
+  decodeMessage,
+  diffState,
+  encodeMessage,
+} from './protocol.js';
+
+/**
+ * Default server options
+ */
+export const DEFAULT_SERVER_OPTIONS = {
+  playerCount: 4, // Seats, human or AI
+  maxTurns: 1000, // Player turns before the game is stopped without a winner
+};
+
+// Let the event system deliver the events of a move before its diff is sent
+const flushEvents = () =>
+  new Promise(resolve => {
+    setTimeout(resolve, 0);
+  });
+
+// Token a client rejoins its seat with
+const createToken = () =>
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36)}`;
+
+// Event data without the game state, which stays on the server
+const toEventData = data => {
+  const eventData = { ...data };
+  delete eventData.gameState;
+  return eventData;
+};
+
+/**
+ * GameServer Class
+ *
+ * Seats clients, runs the game and keeps every client in sync.
+ */
+export class GameServer {
+  /**
+   * Create a server for one game
+   *
+   * @param {Object} [options={}] - Server options; any other keys are passed to the Game config
+   * @param {number} [options.playerCount=4] - Number of seats
+   * @param {Array<string|Function>} [options.ai] - AI strategy ID or function for each seat,
+   *   used for empty seats and for disconnected players
+   * @param {number|string|null} [options.seed=null] - Seed for a reproducible game
+   * @param {number} [options.maxTurns=1000] - Player turns before giving up
+   */
+  constructor(options = {}) {
+    const {
+      playerCount = DEFAULT_SERVER_OPTIONS.playerCount,
+      maxTurns = DEFAULT_SERVER_OPTIONS.maxTurns,
+      ai = DEFAULT_AI_ASSIGNMENTS,
+      ...config
+    } = options;
+
+    this.runner = new GameRunner({ ...config, playerCount, ai, maxTurns });
+    this.maxTurns = maxTurns;
+    this.seats = Array.from({ length: playerCount }, (_, seat) => ({
+      seat,
+      name: null,
+      token: null,
+      connection: null,
+    }));
+    this.connections = new Set();
+    this.nextClientId = 1;
+    this.host = null;
+
+    this.game = null;
+    this.started = false;
+    this.finished = false;
+    this.version = 0;
+    this.state = null;
+
+    // Messages are handled one at a time, in order
+    this.queue = Promise.resolve();
+    this.subscriptions = [];
+  }
+
+  /**
+   * Connect a client socket
+   *
+   * @param {Object} socket - Socket with send(), close() and on()
+   * @returns {Object} The connection
+   */
+  connect(socket) {
+    const connection = { id: this.nextClientId++, socket, seat: null, name: null };
+    this.connections.add(connection);
+
+    socket.on('message', data => {
+      this.enqueue(() => this.handleMessage(connection, data));
+    });
+    socket.on('close', () => {
+      this.enqueue(() => this.disconnect(connection));
+    });
+
+    return connection;
+  }
+
+  /**
+   * Run a task after the messages already received
+   *
+   * @param {Function} task - Function, possibly async
+   * @returns {Promise} Resolves when the task is done
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      console.error('Game server task failed:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Wait until every message received so far has been handled
+   *
+   * @returns {Promise} Resolves when the server is idle
+   */
+  idle() {
+    return this.queue;
+  }
+
+  /**
+   * Handle a message from a client
+   *
+   * Rejected messages are answered with an `error` message.
+   *
+   * @param {Object} connection - Sending connection
+   * @param {string} data - Message text
+   */
+  async handleMessage(connection, data) {
+    try {
+      const message = decodeMessage(data);
+      switch (message.type) {
+        case MessageType.JOIN:
+          this.join(connection, message);
+          break;
+        case MessageType.START:
+          await this.start(connection);
+          break;
+        case MessageType.ATTACK:
+          await this.attack(connection, message);
+          break;
+        case MessageType.END_TURN:
+          await this.endTurn(connection);
+          break;
+        case MessageType.SYNC:
+          this.sendState(connection);
+          break;
+        default:
+          throw new GameStateError(`Clients cannot send ${message.type} messages`, {
+            code: 'ERR_PROTOCOL',
+          });
+      }
+    } catch (error) {
+      this.send(connection, MessageType.ERROR, {
+        code: error.data?.code ?? error.code ?? 'ERR_SERVER',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Seat a client, or give a returning client its seat back
+   *
+   * Clients that find no free seat, or join a game that has started, watch it.
+   *
+   * @param {Object} connection - Joining connection
+   * @param {Object} message - `join` message with `name` and an optional `token`
+   */
+  join(connection, { name, token, protocol = PROTOCOL_VERSION }) {
+    if (protocol !== PROTOCOL_VERSION) {
+      throw new GameStateError(`Protocol version ${protocol} is not supported`, {
+        code: 'ERR_PROTOCOL_VERSION',
+        supported: PROTOCOL_VERSION,
+      });
+    }
+    if (connection.seat !== null) {
+      throw new GameStateError('Already seated', { code: 'ERR_ALREADY_JOINED' });
+    }
+
+    const returning = token ? this.seats.find(seat => seat.token === token) : null;
+    const free = this.started ? null : this.seats.find(seat => seat.token === null);
+    const seat = returning ?? free;
+
+    connection.name = String(name ?? 'Player').slice(0, 32);
+    if (seat) {
+      // A rejoining client replaces its old connection
+      if (seat.connection && seat.connection !== connection) seat.connection.seat = null;
+
+      seat.connection = connection;
+      seat.name = connection.name;
+      seat.token = seat.token ?? createToken();
+      connection.seat = seat.seat;
+      this.host = this.host ?? connection.seat;
+    }
+
+    this.send(connection, MessageType.WELCOME, {
+      protocol: PROTOCOL_VERSION,
+      clientId: connection.id,
+      seat: connection.seat,
+      token: seat?.token ?? null,
+    });
+    this.broadcastLobby();
+    if (this.started) this.sendState(connection);
+    if (this.finished) {
+      this.send(connection, MessageType.GAME_OVER, { winner: this.runner.getWinner() });
+    }
+  }
+
+  /**
+   * Start the game
+   *
+   * @param {Object} connection - Connection of the host
+   * @returns {Promise} Resolves when the first human turn starts or the game ends
+   */
+  async start(connection) {
+    if (this.started) {
+      throw new GameStateError('The game has already started', { code: 'ERR_ALREADY_STARTED' });
+    }
+    if (connection.seat === null || connection.seat !== this.host) {
+      throw new GameStateError('Only the host can start the game', { code: 'ERR_NOT_HOST' });
+    }
+
+    this.started = true;
+    this.subscribe();
+    this.game = await this.runner.setup();
+
+    this.state = captureState(this.game);
+    this.broadcastLobby();
+    this.connections.forEach(client => this.sendState(client));
+
+    await this.advance();
+  }
+
+  /**
+   * Attack for a seated client
+   *
+   * @param {Object} connection - Connection of the attacking player
+   * @param {Object} message - `attack` message with `from` and `to`
+   * @throws {PlayerError} If it is not the player's turn
+   * @throws {TerritoryError} If the attack is not allowed
+   */
+  async attack(connection, { from, to }) {
+    this.validateTurn(connection);
+
+    // Territory IDs come off the wire: only integers that index the board get near it
+    [from, to].forEach(area => {
+      if (!Number.isInteger(area) || area < 1 || area >= this.game.AREA_MAX) {
+        throw new TerritoryError('Territories are numbered from 1 to AREA_MAX - 1', area, {
+          code: 'ERR_INVALID_ATTACK',
+        });
+      }
+    });
+    validateTerritories(this.game, from, to, connection.seat);
+
+    this.runner.attack(from, to);
+    await this.broadcastDiff();
+
+    if (this.runner.getWinner() !== null) await this.finish();
+  }
+
+  /**
+   * End a seated client's turn
+   *
+   * @param {Object} connection - Connection of the player
+   * @throws {PlayerError} If it is not the player's turn
+   */
+  async endTurn(connection) {
+    this.validateTurn(connection);
+
+    this.runner.endTurn();
+    await this.broadcastDiff();
+    await this.advance();
+  }
+
+  /**
+   * Check that a message comes from the player whose turn it is
+   *
+   * @param {Object} connection - Sending connection
+   * @throws {GameStateError} If the game is not running
+   * @throws {PlayerError} If it is not the player's turn
+   */
+  validateTurn(connection) {
+    if (!this.started || this.finished) {
+      throw new GameStateError('The game is not running', { code: 'ERR_NOT_RUNNING' });
+    }
+
+    this.game.turn = this.game.jun[this.game.ban];
+    validatePlayer(this.game, connection.seat ?? -1);
+  }
+
+  /**
+   * Play AI turns until a connected player's turn comes or the game ends
+   *
+   * @returns {Promise} Resolves when the server waits for a player
+   */
+  async advance() {
+    while (!this.finished) {
+      if (this.runner.getWinner() !== null || this.runner.turns >= this.maxTurns) {
+        await this.finish();
+        return;
+      }
+
+      const pn = this.game.jun[this.game.ban];
+      this.game.turn = pn;
+      if (this.seats[pn].connection) return;
+
+      await this.runner.playTurn();
+      await this.broadcastDiff();
+    }
+  }
+
+  /**
+   * Drop a client
+   *
+   * Before the game starts the seat is freed; afterwards it is kept for the
+   * client's token and played by its AI, including the rest of a turn in progress.
+   *
+   * @param {Object} connection - Closed connection
+   * @returns {Promise} Resolves when the AI has played the seat's turn, if it was theirs
+   */
+  async disconnect(connection) {
+    this.connections.delete(connection);
+    const seat = this.seats[connection.seat];
+    if (!seat || seat.connection !== connection) return;
+
+    seat.connection = null;
+    if (!this.started) {
+      Object.assign(seat, { name: null, token: null });
+      if (this.host === seat.seat) {
+        this.host = this.seats.find(other => other.connection)?.seat ?? null;
+      }
+    }
+    this.broadcastLobby();
+
+    if (this.started && !this.finished && this.game.jun[this.game.ban] === seat.seat) {
+      await this.runner.playTurn();
+      await this.broadcastDiff();
+      await this.advance();
+    }
+  }
+
+  /**
+   * End the game and tell every client the result
+   *
+   * @returns {Promise} Resolves when the clients have been told
+   */
+  async finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this.runner.end();
+    await flushEvents();
+    this.broadcast(MessageType.GAME_OVER, { winner: this.runner.getWinner() });
+    this.unsubscribe();
+  }
+
+  /**
+   * Stop the server: the game ends and every client is disconnected
+   */
+  close() {
+    if (this.started && !this.finished) this.runner.end('abandoned');
+    this.finished = true;
+    this.unsubscribe();
+    this.connections.forEach(({ socket }) => socket.close());
+    this.connections.clear();
+  }
+
+  /**
+   * Get the lobby: every seat and who holds it
+   *
+   * @returns {Object} Seats with their name, whether a client holds them and whether
+   *   an AI plays them, the host's seat and whether the game has started
+   */
+  getLobby() {
+    return {
+      seats: this.seats.map(({ seat, name, connection }) => ({
+        seat,
+        name,
+        connected: connection !== null,
+        ai: this.started && connection === null,
+      })),
+      host: this.host,
+      started: this.started,
+    };
+  }
+
+  /**
+   * Forward the hosted game's events to the clients
+   *
+   * Called before the game is set up so that GAME_START is forwarded too. UI
+   * events (SELECTION_CHANGED, MAP_UPDATED) stay here: each client emits its own.
+   */
+  subscribe() {
+    const types = Object.values(EventType).filter(
+      type => type !== EventType.SELECTION_CHANGED && type !== EventType.MAP_UPDATED
+    );
+    this.subscriptions = types.map(type =>
+      gameEvents.on(type, data => {
+        // The event system is shared; only forward this game's events
+        if (!this.runner.game || data?.gameState?.adat !== this.runner.game.adat) return;
+        this.broadcast(MessageType.EVENT, { event: type, data: toEventData(data) });
+      })
+    );
+  }
+
+  /**
+   * Stop forwarding events
+   */
+  unsubscribe() {
+    this.subscriptions.forEach(id => gameEvents.off(id));
+    this.subscriptions = [];
+  }
+
+  /**
+   * Send every client the changes since the last diff
+   *
+   * @returns {Promise} Resolves when the diff is sent
+   */
+  async broadcastDiff() {
+    await flushEvents();
+
+    const next = captureState(this.game);
+    const diff = diffState(this.state, next, this.game);
+    this.state = next;
+    if (!diff) return;
+
+    this.version++;
+    this.broadcast(MessageType.DIFF, { version: this.version, ...diff });
+  }
+
+  /**
+   * Send a client the whole game
+   *
+   * @param {Object} connection - Receiving connection
+   */
+  sendState(connection) {
+    if (!this.game) return;
+    this.send(connection, MessageType.STATE, {
+      version: this.version,
+      snapshot: serializeGame(this.game),
+    });
+  }
+
+  /**
+   * Send every client the lobby
+   */
+  broadcastLobby() {
+    this.broadcast(MessageType.LOBBY, this.getLobby());
+  }
+
+  /**
+   * Send a message to every client
+   *
+   * @param {string} type - Message type
+   * @param {Object} [payload={}] - Message fields
+   */
+  broadcast(type, payload = {}) {
+    const text = encodeMessage(type, payload);
+    this.connections.forEach(({ socket }) => socket.send(text));
+  }
+
+  /**
+   * Send a message to one client
+   *
+   * @param {Object} connection - Receiving connection
+   * @param {string} type - Message type
+   * @param {Object} [payload={}] - Message fields
+   */
+  send(connection, type, payload = {}) {
+    connection.socket.send(encodeMessage(type, payload));
+  }
+}
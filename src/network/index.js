@@ -0,0 +1,7 @@
+/**
+ * Network index file - exports the multiplayer protocol, server and client
+ */
+export * from './protocol.js';
+export * from './GameServer.js';
+export * from './GameClient.js';
+export * from './websocketServer.js';
@@ -0,0 +1,173 @@
+/**
+ * Network Protocol Module
+ *
+ * Messages between the game server and its clients. Every message is a JSON
+ * object with a `type`:
+ *
+ * Client to server:
+ * - `join` { name, token, protocol } - Take a seat (or reclaim one with its token)
+ * - `start` - Start the game (host only), filling empty seats with AIs
+ * - `attack` { from, to } - Attack on the sender's turn
+ * - `end_turn` - End the sender's turn
+ * - `sync` - Ask for the whole state again
+ *
+ * Server to client:
+ * - `welcome` { protocol, clientId, seat, token } - Seat of the client (null for spectators)
+ * - `lobby` { seats, host, started } - Seats and who holds them
+ * - `state` { version, snapshot } - Whole game (a save game snapshot)
+ * - `diff` { version, areas, players, turn, history } - Changes since the previous version
+ * - `event` { event, data } - A gameEvents event of the hosted game
+ * - `game_over` { winner } - Final result
+ * - `error` { code, message } - A rejected message
+ *
+ * Clients never change the board themselves; they apply the server's states
+ * and diffs.
+ *
+ * @module network/protocol
+ */
+
+import { GameStateError } from '@mechanics/errors/index.js';
+import { HistoryData } from '@models/index.js';
+
+/**
+ * Protocol version, sent with `join` and `welcome`
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Message types
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const MessageType = Object.freeze({
+  // Client to server
+  JOIN: 'join',
+  START: 'start',
+  ATTACK: 'attack',
+  END_TURN: 'end_turn',
+  SYNC: 'sync',
+
+  // Server to client
+  WELCOME: 'welcome',
+  LOBBY: 'lobby',
+  STATE: 'state',
+  DIFF: 'diff',
+  EVENT: 'event',
+  GAME_OVER: 'game_over',
+  ERROR: 'error',
+});
+
+/**
+ * Encode a message
+ *
+ * @param {string} type - Message type (see MessageType)
+ * @param {Object} [payload={}] - Message fields
+ * @returns {string} JSON text to send
+ */
+export const encodeMessage = (type, payload = {}) => JSON.stringify({ ...payload, type });
+
+/**
+ * Decode a message
+ *
+ * @param {string} text - Received JSON text
+ * @returns {Object} Message with its `type`
+ * @throws {GameStateError} If the text is not a protocol message
+ */
+export const decodeMessage = text => {
+  let message;
+  try {
+    message = JSON.parse(String(text));
+  } catch (error) {
+    throw new GameStateError('Message is not valid JSON', { code: 'ERR_PROTOCOL' });
+  }
+
+  if (!message || !Object.values(MessageType).includes(message.type)) {
+    throw new GameStateError(`Unknown message type: ${message?.type}`, { code: 'ERR_PROTOCOL' });
+  }
+
+  return message;
+};
+
+/**
+ * Capture the parts of a game that change during play
+ *
+ * @param {Object} game - Game instance
+ * @returns {Object} Owners and dice of each territory, player totals, turn and history length
+ */
+export const captureState = game => ({
+  areas: game.adat.slice(0, game.AREA_MAX).map(area => [area.arm, area.dice]),
+  players: game.player.map(({ area_c, area_tc, dice_c, stock }) => ({
+    area_c,
+    area_tc,
+    dice_c,
+    stock,
+  })),
+  turn: { ban: game.ban, turn_c: game.turn_c ?? 0 },
+  his_c: game.his_c,
+});
+
+/**
+ * Find the changes between two captured states
+ *
+ * @param {Object} previous - Earlier result of captureState()
+ * @param {Object} next - Later result of captureState()
+ * @param {Object} game - Game the states were captured from (for the new history entries)
+ * @returns {Object|null} Changed territories `{id: [arm, dice]}`, changed players
+ *   `{index: totals}`, the turn if it changed and the new history entries; null without changes
+ */
+export const diffState = (previous, next, game) => {
+  const areas = {};
+  next.areas.forEach(([arm, dice], id) => {
+    const [oldArm, oldDice] = previous.areas[id] ?? [];
+    if (arm !== oldArm || dice !== oldDice) areas[id] = [arm, dice];
+  });
+
+  const players = {};
+  next.players.forEach((totals, p) => {
+    if (Object.keys(totals).some(key => totals[key] !== previous.players[p]?.[key])) {
+      players[p] = totals;
+    }
+  });
+
+  const turnChanged =
+    next.turn.ban !== previous.turn.ban || next.turn.turn_c !== previous.turn.turn_c;
+  const history = game.his.slice(previous.his_c, next.his_c).map(entry => ({ ...entry }));
+
+  if (
+    !Object.keys(areas).length &&
+    !Object.keys(players).length &&
+    !turnChanged &&
+    !history.length
+  ) {
+    return null;
+  }
+
+  return { areas, players, turn: turnChanged ? next.turn : null, history };
+};
+
+/**
+ * Apply a diff from the server to a game
+ *
+ * @param {Object} game - Game instance (restored from the server's snapshot)
+ * @param {Object} diff - Result of diffState()
+ * @returns {Object} The game
+ */
+export const applyStateDiff = (game, { areas = {}, players = {}, turn = null, history = [] }) => {
+  Object.entries(areas).forEach(([id, [arm, dice]]) => {
+    Object.assign(game.adat[id], { arm, dice });
+  });
+  Object.entries(players).forEach(([p, totals]) => {
+    Object.assign(game.player[p], totals);
+  });
+  if (turn) {
+    game.ban = turn.ban;
+    game.turn_c = turn.turn_c;
+  }
+  history.forEach(entry => {
+    game.his[game.his_c] = Object.assign(new HistoryData(), entry);
+    game.his_c++;
+  });
+
+  return game;
+};
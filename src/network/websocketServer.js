@@ -0,0 +1,42 @@
+/**
+ * WebSocket Game Server
+ *
+ * Serves a GameServer over WebSocket with the `ws` package, for games on a
+ * LAN. Node only: the browser connects with GameClient.
+ */
+
+import { GameServer } from './GameServer.js';
+
+/**
+ * Default port of the game server
+ */
+export const DEFAULT_PORT = 8787;
+
+/**
+ * Start a WebSocket server for a new game
+ *
+ * @param {Object} [options={}] - GameServer options, plus:
+ * @param {number} [options.port=8787] - Port to listen on
+ * @param {string} [options.host] - Address to listen on (all addresses by default)
+ * @returns {Promise<Object>} `{ server, wss, close }`: the game server, the `ws` server
+ *   and a function that stops both
+ */
+export const startGameServer = async ({ port = DEFAULT_PORT, host, ...options } = {}) => {
+  const { WebSocketServer } = await import('ws');
+  const server = new GameServer(options);
+  const wss = new WebSocketServer({ port, host });
+
+  wss.on('connection', socket => server.connect(socket));
+  await new Promise((resolve, reject) => {
+    wss.once('listening', resolve);
+    wss.once('error', reject);
+  });
+
+  const close = () =>
+    new Promise(resolve => {
+      server.close();
+      wss.close(() => resolve());
+    });
+
+  return { server, wss, close };
+};
@@ -0,0 +1,298 @@
+/**
+ * Headless Game Runner
+ *
+ * Plays complete AI-vs-AI games without the CreateJS stage or the legacy
+ * onTick state machine. Each turn follows the same flow as main.js
+ * (start_com -> battle -> start_supply -> next_player), but calls the
+ * mechanics modules directly so games run to completion without rendering.
+ * AI decisions are awaited (see executeAIMove); outside the browser they are
+ * made synchronously on the game.
+ * The runner emits the events of that loop: TURN_START, TURN_END and GAME_END
+ * (the Game emits GAME_START, MAP_UPDATED and the AI events).
+ *
+ * Intended for Jest tests, benchmarks and AI tuning scripts.
+ */
+
+import { Game } from '../Game.js';
+import {
+  executeAttack,
+  distributeReinforcements,
+  calculateReinforcements,
+  setPlayerTerritoryData,
+  executeAIMove,
+  emitGameEnd,
+  emitTurnEnd,
+  emitTurnStart,
+  GameStateError,
+} from '@mechanics/index.js';
+import { DEFAULT_AI_ASSIGNMENTS, createAIFunctionMapping } from '@ai/index.js';
+import { DEFAULT_CONFIG } from '@utils/config.js';
+
+/**
+ * Default limits for headless games
+ */
+export const DEFAULT_RUNNER_OPTIONS = {
+  maxTurns: 1000, // Player turns before the game is declared unfinished
+  maxAttacksPerTurn: 500, // Safety limit for AIs that never end their turn
+};
+
+/**
+ * GameRunner Class
+ *
+ * Owns a Game instance and drives it from map creation to a winner.
+ */
+export class GameRunner {
+  /**
+   * Create a new runner
+   *
+   * @param {Object} [options={}] - Runner options; any other keys are passed to the Game config
+   * @param {Array<string|Function>} [options.ai] - AI strategy ID or function for each player
+   * @param {number|string|null} [options.seed=null] - Seed for a reproducible game
+   * @param {number} [options.maxTurns=1000] - Player turns before giving up
+   * @param {number} [options.maxAttacksPerTurn=500] - Attacks allowed in a single turn
+   */
+  constructor(options = {}) {
+    const {
+      ai = DEFAULT_AI_ASSIGNMENTS,
+      seed = null,
+      maxTurns = DEFAULT_RUNNER_OPTIONS.maxTurns,
+      maxAttacksPerTurn = DEFAULT_RUNNER_OPTIONS.maxAttacksPerTurn,
+      ...config
+    } = options;
+
+    // Every player is computer controlled in a headless game
+    this.config = { ...DEFAULT_CONFIG, ...config, humanPlayerIndex: null, seed };
+    this.ai = ai;
+    this.maxTurns = maxTurns;
+    this.maxAttacksPerTurn = maxAttacksPerTurn;
+
+    this.game = null;
+    this.turns = 0;
+    this.eliminations = [];
+    this.ended = false;
+  }
+
+  /**
+   * Resolve AI assignments to functions
+   *
+   * Strategy IDs are loaded through the AI registry; functions are used as-is.
+   *
+   * @param {number} playerCount - Number of players in the game
+   * @returns {Promise<Array<Function>>} AI function for each player
+   * @throws {GameStateError} If a player has no AI assigned
+   */
+  async resolveAI(playerCount) {
+    const assignments = this.ai.slice(0, playerCount);
+
+    for (let i = 0; i < playerCount; i++) {
+      if (!assignments[i]) {
+        throw new GameStateError(`Headless games need an AI for every player (player ${i})`, {
+          playerIndex: i,
+          assignments: this.ai,
+        });
+      }
+    }
+
+    const loaded = await createAIFunctionMapping(
+      assignments.map(assignment => (typeof assignment === 'function' ? null : assignment))
+    );
+
+    return assignments.map((assignment, i) =>
+      typeof assignment === 'function' ? assignment : loaded[i]
+    );
+  }
+
+  /**
+   * Create the game, its map and turn order
+   *
+   * @returns {Promise<Game>} The game ready for its first turn
+   */
+  async setup() {
+    const game = new Game(this.config);
+    const aiFunctions = await this.resolveAI(game.pmax);
+    aiFunctions.forEach((aiFunction, i) => {
+      game.ai[i] = aiFunction;
+    });
+
+    game.make_map();
+    game.start_game();
+
+    // start_game only computes connected groups; the mechanics also need territory counts
+    for (let i = 0; i < game.pmax; i++) {
+      setPlayerTerritoryData(game, i);
+    }
+
+    this.game = game;
+    this.turns = 0;
+    this.eliminations = [];
+    this.ended = false;
+
+    emitTurnStart(game);
+    return game;
+  }
+
+  /**
+   * Get the winning player
+   *
+   * @returns {number|null} Index of the only player with territories, or null
+   */
+  getWinner() {
+    const { game } = this;
+    const alive = [];
+    for (let i = 0; i < game.pmax; i++) {
+      if (game.player[i].area_c > 0) alive.push(i);
+    }
+    return alive.length === 1 ? alive[0] : null;
+  }
+
+  /**
+   * Play one player's turn: attacks chosen by the AI, then reinforcements
+   *
+   * @returns {Promise<Object>} Turn summary with the player and number of attacks made
+   */
+  async playTurn() {
+    const { game } = this;
+    const pn = game.jun[game.ban];
+
+    // The mechanics validate moves against the player whose turn it is
+    game.turn = pn;
+
+    let attacks = 0;
+    while (attacks < this.maxAttacksPerTurn && this.getWinner() === null) {
+      if ((await executeAIMove(game)) === 0) break;
+
+      // An illegal move from the AI ends its turn
+      if (this.attack(game.area_from, game.area_to).error) break;
+      attacks++;
+    }
+
+    this.endTurn();
+
+    return { player: pn, attacks };
+  }
+
+  /**
+   * Attack for the player whose turn it is
+   *
+   * @param {number} fromArea - Attacking territory
+   * @param {number} toArea - Defending territory
+   * @returns {Object} Result of executeAttack (with `error` for an illegal move)
+   */
+  attack(fromArea, toArea) {
+    const { game } = this;
+    const pn = game.jun[game.ban];
+    const defender = game.adat[toArea]?.arm;
+
+    game.turn = pn;
+    const result = executeAttack(game, fromArea, toArea, pn);
+    if (result.error) return result;
+
+    // executeAttack records the outcome on a copy of the state
+    game.defeat = result.gameState.defeat;
+    game.his_c = result.gameState.his_c;
+
+    if (result.success && game.player[defender].area_c === 0) {
+      this.eliminations.push({ player: defender, by: pn, turn: this.turns });
+    }
+
+    return result;
+  }
+
+  /**
+   * End the current player's turn: reinforcements, then the next player
+   *
+   * A turn that won the game gets no TURN_END; GAME_END follows instead.
+   */
+  endTurn() {
+    const { game } = this;
+    const pn = game.jun[game.ban];
+
+    if (this.getWinner() === null) {
+      game.turn = pn;
+      setPlayerTerritoryData(game, pn);
+      const reinforcements = calculateReinforcements(game, pn);
+      distributeReinforcements(game, pn);
+      emitTurnEnd(game, { reinforcements });
+    }
+
+    this.turns++;
+    this.nextPlayer();
+  }
+
+  /**
+   * Advance to the next player that still has territories and start their turn
+   */
+  nextPlayer() {
+    const { game } = this;
+    for (let i = 0; i < game.pmax; i++) {
+      game.ban = (game.ban + 1) % game.pmax;
+      if (game.player[game.jun[game.ban]].area_c > 0) break;
+    }
+    game.turn_c++;
+
+    if (this.getWinner() === null) emitTurnStart(game);
+  }
+
+  /**
+   * Get the result of the game so far
+   *
+   * @returns {Object} Winner, turn count, history and elimination order
+   */
+  getResult() {
+    const { game } = this;
+    const winner = this.getWinner();
+
+    return {
+      winner,
+      finished: winner !== null,
+      turns: this.turns,
+      seed: game.seed,
+      history: game.his.slice(0, game.his_c),
+      eliminations: [...this.eliminations],
+      game,
+    };
+  }
+
+  /**
+   * End the game
+   *
+   * Emits GAME_END the first time it is called.
+   *
+   * @param {string} [reason] - Why the game ended: 'victory' when a player has won,
+   *   otherwise 'turn_limit' unless given (such as 'abandoned')
+   * @returns {Object} Game result (see getResult)
+   */
+  end(reason = this.getWinner() !== null ? 'victory' : 'turn_limit') {
+    if (!this.ended) {
+      this.ended = true;
+      emitGameEnd(this.game, this.getWinner(), reason);
+    }
+
+    return this.getResult();
+  }
+
+  /**
+   * Play a complete game
+   *
+   * Stops when one player owns every territory or after maxTurns turns.
+   *
+   * @returns {Promise<Object>} Game result (see getResult)
+   */
+  async run() {
+    await this.setup();
+
+    while (this.getWinner() === null && this.turns < this.maxTurns) {
+      await this.playTurn();
+    }
+
+    return this.end();
+  }
+}
+
+/**
+ * Play a complete headless game
+ *
+ * @param {Object} [options={}] - Runner options (see GameRunner)
+ * @returns {Promise<Object>} Game result with winner, turns and history
+ */
+export const runGame = (options = {}) => new GameRunner(options).run();
@@ -0,0 +1,448 @@
+/**
+ * AI Tournament Harness
+ *
+ * Plays series of headless games between AI strategies and rates them:
+ * - Round-robin or Swiss scheduling across several table sizes
+ * - Every strategy rotated through every seat of its table
+ * - Win rates, average placement and Elo ratings with confidence intervals
+ * - JSON export and a console table for quick comparisons
+ *
+ * Multi-player games are rated as a set of pairwise results: each pair of
+ * players at a table is scored by who placed higher.
+ */
+
+import { AI_STRATEGIES } from '@ai/index.js';
+import { runGame } from './GameRunner.js';
+
+/**
+ * Default tournament settings
+ */
+export const DEFAULT_TOURNAMENT_OPTIONS = {
+  format: 'round-robin', // 'round-robin' or 'swiss'
+  playerCounts: [2, 3, 4], // Table sizes to play
+  rounds: 1, // Full schedules (round-robin) or pairing rounds (Swiss)
+  seed: 'tournament', // Base seed; each game gets its own derived seed
+  initialRating: 1500, // Starting Elo rating
+  kFactor: 32, // Elo K-factor for a two-player game
+  gameOptions: {}, // Extra GameRunner options (maxTurns, averageDicePerArea, ...)
+};
+
+// z-score for 95% confidence intervals
+const Z_95 = 1.96;
+
+/**
+ * Generate all k-sized combinations of items, in order
+ *
+ * @param {Array} items - Items to combine
+ * @param {number} size - Combination size
+ * @returns {Array<Array>} Combinations
+ */
+const combinations = (items, size) => {
+  if (size === 0) return [[]];
+  if (items.length < size) return [];
+  const [first, ...rest] = items;
+  return [
+    ...combinations(rest, size - 1).map(combo => [first, ...combo]),
+    ...combinations(rest, size),
+  ];
+};
+
+/**
+ * Rotate a lineup so each entry takes the next seat
+ *
+ * @param {Array} lineup - Strategies by seat
+ * @param {number} shift - Number of seats to rotate by
+ * @returns {Array} Rotated lineup
+ */
+const rotate = (lineup, shift) => lineup.map((_, i) => lineup[(i + shift) % lineup.length]);
+
+/**
+ * Create a round-robin schedule
+ *
+ * Every combination of strategies plays at every table size, once per seat
+ * rotation, so each strategy sits in every seat against every opponent group.
+ *
+ * @param {Array<string>} strategies - Strategy IDs
+ * @param {Array<number>} playerCounts - Table sizes
+ * @returns {Array<Array<string>>} Lineups (strategy ID per seat)
+ */
+export const createRoundRobinSchedule = (strategies, playerCounts) =>
+  playerCounts.flatMap(size =>
+    combinations(strategies, size).flatMap(group => group.map((_, shift) => rotate(group, shift)))
+  );
+
+/**
+ * Create Swiss pairings for one round
+ *
+ * Strategies are sorted by rating and seated at tables of similar strength.
+ * Strategies left over when the field does not divide evenly get a bye.
+ *
+ * @param {Array<string>} strategies - Strategy IDs
+ * @param {Object} ratings - Elo rating by strategy ID
+ * @param {number} size - Table size
+ * @param {number} round - Round index, used to rotate seats
+ * @returns {Array<Array<string>>} Lineups (strategy ID per seat)
+ */
+export const createSwissRound = (strategies, ratings, size, round) => {
+  const ranked = [...strategies].sort((a, b) => ratings[b] - ratings[a]);
+  const tables = [];
+  for (let i = 0; i + size <= ranked.length; i += size) {
+    tables.push(rotate(ranked.slice(i, i + size), round % size));
+  }
+  return tables;
+};
+
+/**
+ * Work out finishing places from a game result
+ *
+ * The winner places first and eliminated players are ranked by how long they
+ * survived. In unfinished games the survivors are ranked by territory count,
+ * sharing a place when tied.
+ *
+ * @param {Object} result - GameRunner result
+ * @param {number} playerCount - Number of players in the game
+ * @returns {Array<number>} Place (1 = best) for each player index
+ */
+export const getPlacements = (result, playerCount) => {
+  const { game, eliminations } = result;
+  const placements = new Array(playerCount);
+
+  // Survivors, best first
+  const survivors = [];
+  for (let i = 0; i < playerCount; i++) {
+    if (game.player[i].area_c > 0) survivors.push(i);
+  }
+  survivors.sort((a, b) => game.player[b].area_c - game.player[a].area_c);
+  survivors.forEach((player, i) => {
+    const previous = survivors[i - 1];
+    placements[player] =
+      i > 0 && game.player[previous].area_c === game.player[player].area_c
+        ? placements[previous]
+        : i + 1;
+  });
+
+  // Eliminated players, last one out placing highest
+  [...eliminations].reverse().forEach(({ player }, i) => {
+    placements[player] = survivors.length + i + 1;
+  });
+
+  return placements;
+};
+
+/**
+ * Expected score of player A against player B under the Elo model
+ *
+ * @param {number} ratingA - Rating of player A
+ * @param {number} ratingB - Rating of player B
+ * @returns {number} Expected score for A (0-1)
+ */
+export const expectedScore = (ratingA, ratingB) => 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+
+/**
+ * Rating difference implied by a score fraction
+ *
+ * @param {number} score - Score fraction (0-1)
+ * @returns {number} Elo difference
+ */
+const scoreToEloDiff = score => {
+  const clamped = Math.min(Math.max(score, 0.001), 0.999);
+  return 400 * Math.log10(clamped / (1 - clamped));
+};
+
+/**
+ * Wilson score interval for a proportion
+ *
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @returns {Array<number>} [low, high] bounds at 95% confidence
+ */
+export const wilsonInterval = (successes, trials) => {
+  if (trials === 0) return [0, 1];
+  const p = successes / trials;
+  const z2 = Z_95 * Z_95;
+  const center = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin =
+    (Z_95 * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / (1 + z2 / trials);
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+};
+
+/**
+ * Mean with a normal-approximation 95% confidence interval
+ *
+ * @param {Array<number>} values - Samples
+ * @returns {Object} Mean and [low, high] interval
+ */
+const meanInterval = values => {
+  if (values.length === 0) return { mean: 0, interval: [0, 0] };
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (values.length === 1) return { mean, interval: [mean, mean] };
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  const margin = Z_95 * Math.sqrt(variance / values.length);
+  return { mean, interval: [mean - margin, mean + margin] };
+};
+
+/**
+ * Round a number for reports
+ *
+ * @param {number} value - Value to round
+ * @param {number} [digits=3] - Decimal places
+ * @returns {number} Rounded value
+ */
+const roundTo = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Tournament Class
+ *
+ * Runs the schedule, keeps per-strategy records and produces standings.
+ */
+export class Tournament {
+  /**
+   * Create a new tournament
+   *
+   * @param {Object} [options={}] - Tournament options (see DEFAULT_TOURNAMENT_OPTIONS)
+   * @param {Array<string>} [options.strategies] - Strategy IDs (defaults to all of AI_STRATEGIES)
+   * @param {Function} [options.onGameEnd] - Called with each game record as it finishes
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_TOURNAMENT_OPTIONS, ...options };
+    this.strategies = options.strategies ?? Object.keys(AI_STRATEGIES);
+    this.onGameEnd = options.onGameEnd ?? null;
+
+    const { format, playerCounts } = this.options;
+    if (format !== 'round-robin' && format !== 'swiss') {
+      throw new Error(`Unknown tournament format: ${format}`);
+    }
+    playerCounts.forEach(size => {
+      if (size < 2 || size > Math.min(this.strategies.length, 8)) {
+        throw new Error(
+          `Table size ${size} needs between 2 and ${Math.min(this.strategies.length, 8)} players`
+        );
+      }
+    });
+
+    this.reset();
+  }
+
+  /**
+   * Clear all results and ratings
+   */
+  reset() {
+    this.games = [];
+    this.records = Object.fromEntries(
+      this.strategies.map(id => [
+        id,
+        {
+          games: 0,
+          wins: 0,
+          placements: [], // Normalized placements, 0 = first and 1 = last
+          pairwise: { score: 0, games: 0 },
+          byPlayerCount: {},
+          bySeat: {},
+        },
+      ])
+    );
+    this.ratings = Object.fromEntries(this.strategies.map(id => [id, this.options.initialRating]));
+  }
+
+  /**
+   * Play one game and record its result
+   *
+   * @param {Array<string>} lineup - Strategy ID per seat
+   * @returns {Promise<Object>} Game record
+   */
+  async playGame(lineup) {
+    const { seed, gameOptions } = this.options;
+    const gameSeed = `${seed}:${this.games.length}`;
+
+    const result = await runGame({
+      ...gameOptions,
+      seed: gameSeed,
+      playerCount: lineup.length,
+      ai: lineup,
+    });
+
+    const record = {
+      lineup,
+      seed: gameSeed,
+      winner: result.winner === null ? null : lineup[result.winner],
+      finished: result.finished,
+      turns: result.turns,
+      placements: getPlacements(result, lineup.length),
+    };
+
+    this.recordGame(record);
+    this.onGameEnd?.(record);
+
+    return record;
+  }
+
+  /**
+   * Update records and ratings from a finished game
+   *
+   * @param {Object} record - Game record with lineup and placements
+   */
+  recordGame(record) {
+    const { lineup, placements, winner } = record;
+    const size = lineup.length;
+    this.games.push(record);
+
+    lineup.forEach((id, seat) => {
+      const entry = this.records[id];
+      entry.games++;
+      if (winner === id) entry.wins++;
+      entry.placements.push((placements[seat] - 1) / (size - 1));
+
+      entry.byPlayerCount[size] ??= { games: 0, wins: 0 };
+      entry.byPlayerCount[size].games++;
+      if (winner === id) entry.byPlayerCount[size].wins++;
+
+      entry.bySeat[seat] ??= { games: 0, wins: 0 };
+      entry.bySeat[seat].games++;
+      if (winner === id) entry.bySeat[seat].wins++;
+    });
+
+    // Pairwise Elo updates, scaled so a whole table moves as much as one duel
+    const k = this.options.kFactor / (size - 1);
+    const deltas = new Array(size).fill(0);
+    for (let a = 0; a < size; a++) {
+      for (let b = a + 1; b < size; b++) {
+        let score = 0.5;
+        if (placements[a] < placements[b]) score = 1;
+        else if (placements[a] > placements[b]) score = 0;
+
+        const expected = expectedScore(this.ratings[lineup[a]], this.ratings[lineup[b]]);
+        deltas[a] += k * (score - expected);
+        deltas[b] -= k * (score - expected);
+
+        this.records[lineup[a]].pairwise.score += score;
+        this.records[lineup[a]].pairwise.games++;
+        this.records[lineup[b]].pairwise.score += 1 - score;
+        this.records[lineup[b]].pairwise.games++;
+      }
+    }
+    lineup.forEach((id, seat) => {
+      this.ratings[id] += deltas[seat];
+    });
+  }
+
+  /**
+   * Play the whole tournament
+   *
+   * @returns {Promise<Array<Object>>} Standings (see getStandings)
+   */
+  async run() {
+    const { format, playerCounts, rounds } = this.options;
+
+    for (let r = 0; r < rounds; r++) {
+      const lineups =
+        format === 'swiss'
+          ? playerCounts.flatMap(size => createSwissRound(this.strategies, this.ratings, size, r))
+          : createRoundRobinSchedule(this.strategies, playerCounts);
+
+      for (const lineup of lineups) {
+        // Games run one at a time since each rating update affects the next pairing
+        await this.playGame(lineup);
+      }
+    }
+
+    return this.getStandings();
+  }
+
+  /**
+   * Get the standings, strongest strategy first
+   *
+   * Placement is normalized to 0 (always first) .. 1 (always last) so tables
+   * of different sizes can be averaged together.
+   *
+   * @returns {Array<Object>} Per-strategy statistics
+   */
+  getStandings() {
+    return this.strategies
+      .map(id => {
+        const entry = this.records[id];
+        const rating = this.ratings[id];
+        const placement = meanInterval(entry.placements);
+
+        // Elo interval from the uncertainty of the pairwise score
+        const { score, games } = entry.pairwise;
+        const [scoreLow, scoreHigh] = wilsonInterval(score, games);
+        const implied = scoreToEloDiff(games > 0 ? score / games : 0.5);
+
+        return {
+          strategy: id,
+          games: entry.games,
+          wins: entry.wins,
+          winRate: entry.games > 0 ? entry.wins / entry.games : 0,
+          winRateInterval: wilsonInterval(entry.wins, entry.games),
+          averagePlacement: placement.mean,
+          placementInterval: placement.interval,
+          elo: rating,
+          eloInterval:
+            games > 0
+              ? [
+                  rating + scoreToEloDiff(scoreLow) - implied,
+                  rating + scoreToEloDiff(scoreHigh) - implied,
+                ]
+              : [rating, rating],
+          byPlayerCount: entry.byPlayerCount,
+          bySeat: entry.bySeat,
+        };
+      })
+      .sort((a, b) => b.elo - a.elo);
+  }
+
+  /**
+   * Export settings, standings and every game as plain JSON data
+   *
+   * @returns {Object} Serializable tournament report
+   */
+  toJSON() {
+    const settings = { ...this.options, strategies: this.strategies };
+    delete settings.onGameEnd;
+
+    return {
+      settings,
+      standings: this.getStandings(),
+      games: this.games,
+    };
+  }
+
+  /**
+   * Build rows for a console table
+   *
+   * @returns {Array<Object>} One row per strategy, strongest first
+   */
+  toTable() {
+    const percent = value => `${roundTo(value * 100, 1)}%`;
+    return this.getStandings().map(row => ({
+      strategy: row.strategy,
+      games: row.games,
+      'win rate': `${percent(row.winRate)} (${row.winRateInterval.map(percent).join('-')})`,
+      placement: `${roundTo(row.averagePlacement, 2)} ± ${roundTo(
+        (row.placementInterval[1] - row.placementInterval[0]) / 2,
+        2
+      )}`,
+      elo: `${Math.round(row.elo)} (${row.eloInterval.map(Math.round).join('-')})`,
+    }));
+  }
+
+  /**
+   * Print the standings as a console table
+   */
+  printTable() {
+    console.table(this.toTable());
+  }
+}
+
+/**
+ * Run a tournament with the given options
+ *
+ * @param {Object} [options={}] - Tournament options
+ * @returns {Promise<Tournament>} The finished tournament
+ */
+export const runTournament = async (options = {}) => {
+  const tournament = new Tournament(options);
+  await tournament.run();
+  return tournament;
+};
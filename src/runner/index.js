@@ -0,0 +1,5 @@
+/**
+ * Runner index file - exports the headless game runner and tournament harness
+ */
+export * from './GameRunner.js';
+export * from './Tournament.js';
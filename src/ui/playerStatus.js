@@ -1,8 +1,11 @@
+import { getPlayerColor, getPlayerLabel } from '../utils/hotSeat.js';
 import { updatePlayerStatus } from '../utils/render.js';
 
 /**
  * Draw player status indicators on the stage.
  * This replicates legacy draw_player_data logic using ES6 modules.
+ * In hot-seat games each status also gets a label in the player's color, and
+ * with a turn clock the time the player has left.
  *
  * @param {Game} game - Game instance containing player info
  * @param {Object[]} sprites - Array of CreateJS display objects
@@ -15,6 +18,7 @@ import { updatePlayerStatus } from '../utils/render.js';
  * @param {boolean} opts.spectate - Flag for spectator mode
  * @param {Object[]} [opts.buttons] - Button sprites array
  * @param {number} [opts.titleButton] - Index of title button in the buttons array
+ * @param {TurnClock} [opts.clock] - Turn clock of the game, if turns are timed
  */
 export function drawPlayerData(
   game,
@@ -28,6 +32,7 @@ export function drawPlayerData(
     spectate = false,
     buttons = [],
     titleButton,
+    clock = null,
   } = {}
 ) {
   let activeCount = 0;
@@ -57,6 +62,17 @@ export function drawPlayerData(
     sp.y = yposArm;
     c++;
 
+    // Label the player in their color
+    const label = sp.children?.[3];
+    if (label) {
+      label.text = getPlayerLabel(game, p);
+      label.color = getPlayerColor(p);
+    }
+
+    // Time left on the turn clock
+    const time = sp.children?.[4];
+    if (time) time.text = clock ? clock.getText(p) : '';
+
     // Mark current player
     if (i === game.ban) {
       const ban = sprites[banIndex];
@@ -3,11 +3,70 @@
  *
  * Provides utilities for game configuration:
  * - Default game settings
+ * - Game rules (dice limits, reinforcements, attacks)
  * - Configuration loading and saving
  * - Dynamic configuration options
  */
 
 import { createAIFunctionMapping } from '@ai/index.js';  // Import AI configuration utilities
+import { setMapSize } from './grid.js';
+import { getHumanPlayers } from './hotSeat.js';
+
+/**
+ * Reinforcement formulas
+ *
+ * Each formula gets the player's territory counts and the rules, and returns
+ * the number of dice the player earns at the end of a turn.
+ */
+export const REINFORCEMENT_FORMULAS = {
+  // One die per territory in the largest connected group (the original rule)
+  largestGroup: ({ largestGroup }) => largestGroup,
+  // One die per territory owned
+  totalTerritories: ({ territories }) => territories,
+  // The largest group plus a bonus for every separate region the player holds
+  regionBonus: ({ largestGroup, regions }, rules) => largestGroup + regions * rules.regionBonus
+};
+
+/**
+ * Battle resolution modes
+ *
+ * The resolvers themselves are in mechanics/battleResolution.js.
+ * - sum: sum of all dice, the attacker must roll higher (the original rule)
+ * - attackerTies: sum of all dice, the attacker also wins ties
+ * - risk: highest dice compared in pairs, the attacker must win more pairs than it loses
+ * - balanced: outcomes drawn from a shuffled deck that follows the sum odds
+ */
+export const BATTLE_MODES = ['sum', 'attackerTies', 'risk', 'balanced'];
+
+/**
+ * Default game rules
+ *
+ * Read through getRules() by the battle mechanics, the AI handler, the AIs and
+ * the renderer, so house-rule variants only need a different rules object.
+ */
+export const DEFAULT_RULES = {
+  maxDice: 8,                    // Maximum dice per territory
+  stockMax: 64,                  // Maximum reinforcement dice a player can keep in stock
+  minAttackDice: 2,              // Dice a territory needs to attack (one always stays behind)
+  reinforcement: 'largestGroup', // Reinforcement formula (see REINFORCEMENT_FORMULAS)
+  regionBonus: 1,                // Dice per region for the 'regionBonus' formula
+  battle: 'sum'                  // Battle resolution mode (see BATTLE_MODES)
+};
+
+/**
+ * Map size limits
+ *
+ * The board is scaled to fit the screen, so the grid is kept to sizes whose
+ * cells stay large enough to click. main.js has sprites for up to
+ * `maxTerritories` territories.
+ */
+export const MAP_LIMITS = {
+  minSize: 8,             // Smallest grid width and height (cells)
+  maxSize: 64,            // Largest grid width and height (cells)
+  minTerritories: 9,      // Smallest territoriesCount (a territory for each of 8 players)
+  maxTerritories: 128,    // Largest territoriesCount
+  maxWaterPercentage: 0.9 // Most of the grid that can be sea
+};
 
 /**
  * Default game configuration
@@ -17,9 +76,12 @@ export const DEFAULT_CONFIG = {
   playerCount: 7,         // Default number of players (including human)
   humanPlayerIndex: 0,    // Index of human player (0-7)
   averageDicePerArea: 3,  // Average dice per territory
-  maxDice: 8,             // Maximum dice per territory
+  rules: { ...DEFAULT_RULES },
+  turnClock: null,        // Human turn clock: { mode: 'fixed' | 'chess' | 'fischer', seconds, increment } (null = untimed)
+  practice: null,         // Practice games, where humans can undo attacks in their turn: true or { sameDice } (null = off)
   
   // AI configuration - imported from centralized AI config
+  // (null = human player; several human players take turns on one device)
   aiAssignments: [
     null,                // Player 0 (human by default)
     'ai_defensive',      // Player 1
@@ -30,18 +92,28 @@ export const DEFAULT_CONFIG = {
     'ai_default',        // Player 6
     'ai_default'         // Player 7
   ],
+  aiWorker: true,        // Run AI decisions in a Web Worker where the browser has them
 
   // Spectator mode settings
   spectatorSpeedMultiplier: 1,
   
-  // Display settings
+  // Random seed for reproducible games (null = new random game every time)
+  seed: null,
+  
+  // Map settings (see normalizeMapSettings for the limits)
   mapWidth: 28,           // Width of map grid (cells)
   mapHeight: 32,          // Height of map grid (cells)
   territoriesCount: 32,   // Maximum number of territories
+  territorySizeVariance: 0.2, // How much territory sizes vary (0-1)
+  waterPercentage: null,  // Share of the grid left as sea (0-0.9, null = the classic amount)
+  allowIslands: false,    // Allow land masses that are separated by sea
+  mapFairness: null,      // Rebalance maps until fair: { tolerances, maxDeals, maxLayouts } (null = off)
+  mapSymmetry: null,      // Symmetric maps: 'rotational' (2, 3 or 6 players) or 'mirror' (2, 4 or 6)
   
   // Graphics settings
   displayScale: 1,        // Display scaling factor
   soundEnabled: true,     // Sound effects enabled
+  showProbabilities: true, // Show attack odds on the board when choosing an attack
   
   // Display dimensions
   display: {
@@ -55,13 +127,25 @@ export const DEFAULT_CONFIG = {
 };
 
 /**
- * Current active configuration
+ * Complete rules of each rules object getRules() has seen
+ *
+ * Rules completed by normalizeRules() map to themselves, so the configured
+ * rules and those of games are returned as they are stored.
+ */
+const completeRules = new WeakMap();
+
+/**
+ * Current active configuration (its rules are kept complete)
  */
-let activeConfig = { ...DEFAULT_CONFIG };
+let activeConfig = { ...DEFAULT_CONFIG, rules: normalizeRules(DEFAULT_CONFIG.rules) };
 
 // Merge in any legacy configuration provided before modules loaded
 if (typeof window !== 'undefined' && window.GAME_CONFIG) {
-  activeConfig = { ...activeConfig, ...window.GAME_CONFIG };
+  activeConfig = {
+    ...activeConfig,
+    ...window.GAME_CONFIG,
+    rules: normalizeRules({ ...activeConfig.rules, ...(window.GAME_CONFIG.rules ?? {}) })
+  };
 }
 
 /**
@@ -82,6 +166,10 @@ export function updateConfig(newConfig) {
     ...activeConfig,
     ...newConfig,
     // Handle nested objects separately for deep merge
+    rules: normalizeRules({
+      ...activeConfig.rules,
+      ...(newConfig?.rules ?? {})
+    }),
     display: {
       ...activeConfig.display,
       ...(newConfig?.display ?? {})
@@ -104,7 +192,9 @@ export function updateConfig(newConfig) {
  */
 export function loadConfig() {
   try {
-    const savedConfig = localStorage?.getItem('dicewarsConfig');
+    // Node (the game server) has no localStorage
+    if (typeof localStorage === 'undefined') return getConfig();
+    const savedConfig = localStorage.getItem('dicewarsConfig');
     if (savedConfig) {
       updateConfig(JSON.parse(savedConfig));
     }
@@ -119,7 +209,7 @@ export function loadConfig() {
  * @returns {Object} The default configuration
  */
 export function resetConfig() {
-  activeConfig = { ...DEFAULT_CONFIG };
+  activeConfig = { ...DEFAULT_CONFIG, rules: normalizeRules(DEFAULT_CONFIG.rules) };
   
   // Clear from localStorage if available
   try {
@@ -131,6 +221,113 @@ export function resetConfig() {
   return getConfig();
 }
 
+/**
+ * Complete a set of rules
+ *
+ * Fills in missing rules from the defaults and corrects values the game
+ * cannot play with (such as attacking with a single die).
+ *
+ * @param {Object} [rules={}] - Rules to complete
+ * @returns {Object} Complete rules
+ */
+export function normalizeRules(rules = {}) {
+  const merged = { ...DEFAULT_RULES, ...rules };
+  
+  if (!REINFORCEMENT_FORMULAS[merged.reinforcement]) {
+    console.warn(`Unknown reinforcement formula "${merged.reinforcement}", using largestGroup`);
+    merged.reinforcement = 'largestGroup';
+  }
+  if (!BATTLE_MODES.includes(merged.battle)) {
+    console.warn(`Unknown battle mode "${merged.battle}", using sum`);
+    merged.battle = 'sum';
+  }
+  
+  const complete = {
+    ...merged,
+    maxDice: Math.max(1, Math.floor(merged.maxDice)),
+    stockMax: Math.max(0, Math.floor(merged.stockMax)),
+    minAttackDice: Math.max(2, Math.floor(merged.minAttackDice))
+  };
+  completeRules.set(complete, complete);
+  return complete;
+}
+
+/**
+ * Complete the map settings of a configuration
+ *
+ * Keeps the grid size and territory count within MAP_LIMITS and collects the
+ * map generator options for makeMap().
+ *
+ * @param {Object} [config={}] - Configuration with mapWidth, mapHeight, territoriesCount,
+ *   territorySizeVariance, waterPercentage, allowIslands, mapFairness and mapSymmetry
+ * @returns {Object} Grid size and territory count, and the generator options as `mapOptions`
+ */
+export function normalizeMapSettings(config = {}) {
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+  const {
+    mapWidth = DEFAULT_CONFIG.mapWidth,
+    mapHeight = DEFAULT_CONFIG.mapHeight,
+    territoriesCount = DEFAULT_CONFIG.territoriesCount,
+    territorySizeVariance = DEFAULT_CONFIG.territorySizeVariance,
+    waterPercentage = DEFAULT_CONFIG.waterPercentage,
+    allowIslands = DEFAULT_CONFIG.allowIslands,
+    mapFairness = DEFAULT_CONFIG.mapFairness,
+    mapSymmetry = DEFAULT_CONFIG.mapSymmetry
+  } = config;
+  
+  return {
+    mapWidth: clamp(Math.floor(mapWidth), MAP_LIMITS.minSize, MAP_LIMITS.maxSize),
+    mapHeight: clamp(Math.floor(mapHeight), MAP_LIMITS.minSize, MAP_LIMITS.maxSize),
+    territoriesCount: clamp(
+      Math.floor(territoriesCount),
+      MAP_LIMITS.minTerritories,
+      MAP_LIMITS.maxTerritories
+    ),
+    mapOptions: {
+      territorySizeVariance: clamp(territorySizeVariance, 0, 1),
+      waterPercentage:
+        waterPercentage === null ? null : clamp(waterPercentage, 0, MAP_LIMITS.maxWaterPercentage),
+      allowIslands: Boolean(allowIslands),
+      fairness: mapFairness ? { ...mapFairness } : null,
+      symmetry: ['rotational', 'mirror'].includes(mapSymmetry) ? mapSymmetry : null
+    }
+  };
+}
+
+/**
+ * Apply the map settings of a configuration to a game
+ *
+ * Sizes the grid and sets the options the game's maps are generated with.
+ * A board on the same grid is kept; otherwise a new map has to be made.
+ *
+ * @param {Object} game - Game instance
+ * @param {Object} [config=null] - Configuration (uses active config if not provided)
+ * @returns {Object} The game
+ */
+export function applyMapConfig(game, config = null) {
+  const map = normalizeMapSettings(config ?? activeConfig);
+  setMapSize(game, map.mapWidth, map.mapHeight, map.territoriesCount);
+  game.mapOptions = map.mapOptions;
+  return game;
+}
+
+/**
+ * Get the rules a game is played with
+ *
+ * Games carry their rules in `game.rules`; plain game states without them
+ * follow the active configuration. Both are completed when they are set, so
+ * they are returned as stored; rules a game state sets itself are completed
+ * the first time they are read.
+ *
+ * @param {Object} [game=null] - Game or game state
+ * @returns {Object} Complete rules
+ */
+export function getRules(game = null) {
+  const rules = game?.rules ?? activeConfig.rules;
+  if (!completeRules.has(rules)) completeRules.set(rules, normalizeRules(rules));
+  return completeRules.get(rules);
+}
+
 /**
  * Apply configuration to a game instance
  * @param {Game} game - The game instance to configure
@@ -142,12 +339,22 @@ export async function applyConfigToGame(game, config = null) {
   // Game rules
   game.pmax = cfg.playerCount;
   game.user = cfg.humanPlayerIndex;
+  game.humans = getHumanPlayers(cfg); // Every human seat, for hot-seat games
   game.put_dice = cfg.averageDicePerArea;
+  game.rules = normalizeRules(cfg.rules);
+  game.STOCK_MAX = game.rules.stockMax;
   
-  // Map dimensions
-  game.XMAX = cfg.mapWidth;
-  game.YMAX = cfg.mapHeight;
-  game.AREA_MAX = cfg.territoriesCount;
+  // Map dimensions and generator options
+  applyMapConfig(game, cfg);
+  
+  // Seeded random source for reproducible games
+  if (cfg.seed !== null && cfg.seed !== undefined) {
+    if (typeof game.setSeed === 'function') {
+      game.setSeed(cfg.seed);
+    } else {
+      console.warn(`Game has no setSeed, seed ${cfg.seed} is ignored`);
+    }
+  }
   
   // AI configuration using the central configuration system
   if (Array.isArray(cfg.aiAssignments) && game.ai) {
@@ -209,6 +416,9 @@ loadConfig();
 if (typeof window !== 'undefined') {
   window.applyGameConfig = applyConfigToGame;
   window.getConfig = getConfig;
+  window.getRules = getRules;
+  window.applyMapConfig = applyMapConfig;
+  window.MAP_LIMITS = MAP_LIMITS;
   window.updateConfig = updateConfig;
   window.resetConfig = resetConfig;
 }
@@ -380,6 +380,15 @@ export function createStateInspector(gameInstance) {
       return;
     }
 
+    // Most recent attack, for its recorded dice values
+    const lastAttack = gameInstance.his
+      .slice(0, gameInstance.his_c)
+      .reverse()
+      .find(entry => entry.to > 0);
+    const rolls = lastAttack?.rolls
+      ? lastAttack.rolls.map(values => values.join('+')).join(' vs ')
+      : 'not recorded';
+
     const stateInfo = `
       <div style="font-family: monospace;">
         <div style="margin-bottom: 10px; font-weight: bold;">Current Turn: Player ${gameInstance.ban} (${gameInstance.player[gameInstance.ban]?.area_c || 0} territories)</div>
@@ -402,11 +411,13 @@ export function createStateInspector(gameInstance) {
           <div>From: Area ${gameInstance.area_from}</div>
           <div>To: Area ${gameInstance.area_to}</div>
           <div>Result: ${gameInstance.defeat ? 'Success' : 'Fail'}</div>
+          <div>Rolls: ${rolls}</div>
         </div>
         
         <div>
           <div style="font-weight: bold; margin-bottom: 5px;">History:</div>
           <div>${gameInstance.his_c} actions recorded</div>
+          <div>Turn ${gameInstance.turn_c ?? 0}</div>
         </div>
       </div>
     `;
@@ -7,39 +7,21 @@
  * - Player statistics
  */
 
-/**
- * Calculate attack success probability
- * @param {number} attackerDice - Number of attacker dice
- * @param {number} defenderDice - Number of defender dice
- * @returns {number} Probability of success (0-1)
- */
-export const calculateAttackProbability = (attackerDice, defenderDice) => {
-  /*
-   * Using a simplified formula based on dice counts
-   * For exact calculation, you'd need to consider all possible dice combinations
-   */
-
-  if (attackerDice <= 1 || defenderDice <= 0) return 0;
-
-  if (attackerDice > defenderDice) {
-    return Math.min(0.95, (attackerDice / defenderDice) * 0.65);
-  }
-  if (attackerDice === defenderDice) {
-    return 0.45;
-  }
-  return Math.max(0.05, (attackerDice / defenderDice) * 0.45);
-};
+import { defaultRandom } from './random.js';
+import { getRules } from './config.js';
+import { getAttackOdds } from './probability.js';
 
 /**
  * Simulate attack result
  * @param {number} attackerDice - Number of attacker dice
  * @param {number} defenderDice - Number of defender dice
+ * @param {Function} [random=defaultRandom] - Random source to draw from
  * @returns {Object} Result object with dice rolls and outcome
  */
-export const simulateAttack = (attackerDice, defenderDice) => {
+export const simulateAttack = (attackerDice, defenderDice, random = defaultRandom) => {
   // Generate random rolls for attacker and defender
-  const attackerRolls = rollDice(attackerDice);
-  const defenderRolls = rollDice(defenderDice);
+  const attackerRolls = rollDice(attackerDice, random);
+  const defenderRolls = rollDice(defenderDice, random);
 
   const attackerSum = attackerRolls.reduce((a, b) => a + b, 0);
   const defenderSum = defenderRolls.reduce((a, b) => a + b, 0);
@@ -57,11 +39,12 @@ export const simulateAttack = (attackerDice, defenderDice) => {
 /**
  * Roll dice and return an array of values
  * @param {number} count - Number of dice to roll
+ * @param {Function} [random=defaultRandom] - Random source to draw from
  * @returns {Array<number>} Array of dice values (1-6)
  */
-export const rollDice = count =>
+export const rollDice = (count, random = defaultRandom) =>
   // Use Array.from to create and fill the array in one step
-  Array.from({ length: count }, () => Math.floor(Math.random() * 6) + 1);
+  Array.from({ length: count }, () => Math.floor(random() * 6) + 1);
 
 /**
  * Analyze a territory to gather information about its neighbors
@@ -123,10 +106,11 @@ export const analyzeTerritory = (game, areaId) => {
   if (diceCount === 1) {
     vulnerabilityRating = 100; // One die is always vulnerable
   } else if (enemyNeighbors > 0) {
-    // Base vulnerability on ratio of territory dice to strongest enemy
+    // Base vulnerability on the strongest enemy's chance of conquering the territory
+    const { probability } = getAttackOdds(strongestEnemyNeighbor, diceCount, game);
     vulnerabilityRating = Math.min(
       100,
-      Math.floor((strongestEnemyNeighbor / diceCount) * 70) + Math.min(30, enemyNeighbors * 10)
+      Math.floor(probability * 70) + Math.min(30, enemyNeighbors * 10)
     );
   }
 
@@ -135,11 +119,9 @@ export const analyzeTerritory = (game, areaId) => {
   let bestTargetId = -1;
 
   if (diceCount > 1 && weakestEnemyWithFewerDice < Infinity) {
-    // Base opportunity on dice advantage
-    attackOpportunityRating = Math.min(
-      100,
-      Math.floor((diceCount / Math.max(1, weakestEnemyWithFewerDice)) * 80)
-    );
+    // Base opportunity on the chance of conquering the weakest enemy
+    const { probability } = getAttackOdds(diceCount, weakestEnemyWithFewerDice, game);
+    attackOpportunityRating = Math.floor(probability * 100);
     bestTargetId = weakestEnemyNeighborId;
   }
 
@@ -201,7 +183,7 @@ export const findBestAttack = (game, playerId) => {
           to: analysis.bestTargetId,
           fromDice: analysis.diceCount,
           toDice: targetDice,
-          probability: calculateAttackProbability(analysis.diceCount, targetDice),
+          probability: getAttackOdds(analysis.diceCount, targetDice, game).probability,
           rating: combinedRating,
         };
       }
@@ -211,6 +193,50 @@ export const findBestAttack = (game, playerId) => {
   return bestAttack;
 };
 
+/**
+ * Preview the attacks from a territory
+ *
+ * Lists the odds against every enemy neighbour and how exposed the territory is
+ * once it is down to one die, which happens whether the attack wins or loses.
+ * @param {Game} game - Game instance
+ * @param {number} fromArea - Attacking territory ID
+ * @returns {Object|null} { from, dice, exposure, targets } or null for an empty territory.
+ *   `exposure` is the strongest enemy neighbour's chance of taking the territory back, and
+ *   each target is { to, dice, probability, attackerDice, defenderDice, recommended } with
+ *   the expected dice each side has left after the battle
+ */
+export const getAttackPreview = (game, fromArea) => {
+  const source = analyzeTerritory(game, fromArea);
+  if (!source) return null;
+
+  const { owner, diceCount, strongestEnemyNeighbor } = source;
+  const { minAttackDice } = getRules(game);
+  const bestAttack = findBestAttack(game, owner);
+  const targets = [];
+
+  for (let i = 1; i < game.AREA_MAX; i++) {
+    const { size, arm, dice } = game.adat[i];
+    if (size === 0 || arm === owner || game.adat[fromArea].join[i] === 0) continue;
+
+    const { probability, attackerDice, defenderDice } = getAttackOdds(diceCount, dice, game);
+    targets.push({
+      to: i,
+      dice,
+      probability,
+      attackerDice,
+      defenderDice,
+      recommended: bestAttack?.from === fromArea && bestAttack.to === i,
+    });
+  }
+
+  const exposure =
+    strongestEnemyNeighbor >= minAttackDice
+      ? getAttackOdds(strongestEnemyNeighbor, 1, game).probability
+      : 0;
+
+  return { from: fromArea, dice: diceCount, exposure, targets };
+};
+
 /**
  * Calculate optimal reinforcement distribution
  * @param {Game} game - Game instance
@@ -270,3 +296,8 @@ export const calculateReinforcements = (game, playerId) => {
   // Extract just the IDs using destructuring in map function
   return candidates.map(({ id }) => id);
 };
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.getAttackPreview = getAttackPreview;
+}
@@ -0,0 +1,98 @@
+/**
+ * Map Grid Module
+ *
+ * Sizes a game's map grid. The grid is XMAX cells per row and YMAX rows, and
+ * holds up to AREA_MAX - 1 territories (territory 0 is the sea). Every array
+ * indexed by cell or by territory is allocated for these sizes, so they must
+ * be changed together through setMapSize().
+ */
+
+import { AreaData, JoinData } from '../models/index.js';
+
+/**
+ * Get the cell next to a cell
+ *
+ * Odd rows sit half a cell to the right. Directions go clockwise from the
+ * upper right: 0 upper right, 1 right, 2 lower right, 3 lower left, 4 left,
+ * 5 upper left (the same layout as Game#next_cel).
+ *
+ * @param {number} cell - Cell index
+ * @param {number} dir - Direction (0-5)
+ * @param {number} xmax - Map width in cells
+ * @param {number} ymax - Map height in cells
+ * @returns {number} Index of the neighboring cell, or -1 off the grid
+ */
+export const nextCell = (cell, dir, xmax, ymax) => {
+  const f = Math.floor(cell / xmax) % 2;
+  const [ax, ay] = [
+    [f, -1],
+    [1, 0],
+    [f, 1],
+    [f - 1, 1],
+    [-1, 0],
+    [f - 1, -1],
+  ][dir];
+  const x = (cell % xmax) + ax;
+  const y = Math.floor(cell / xmax) + ay;
+
+  if (x < 0 || y < 0 || x >= xmax || y >= ymax) return -1;
+  return y * xmax + x;
+};
+
+/**
+ * Set the map size of a game
+ *
+ * The cell arrays and the cell adjacency table are rebuilt when the grid
+ * changes, and the territory arrays when the territory limit changes. The
+ * board is cleared in both cases, so a map has to be generated or loaded
+ * afterwards. Setting the sizes a game already has keeps its board.
+ *
+ * @param {Object} game - Game instance
+ * @param {number} xmax - Map width in cells
+ * @param {number} ymax - Map height in cells
+ * @param {number} [areaMax=game.AREA_MAX] - Territory limit (territory ids 1 to areaMax - 1)
+ * @returns {Object} The game
+ */
+export const setMapSize = (game, xmax, ymax, areaMax = game.AREA_MAX) => {
+  const celMax = xmax * ymax;
+  const resizeGrid =
+    game.XMAX !== xmax || game.YMAX !== ymax || game.cel_max !== celMax || !game.join?.length;
+  const resizeAreas = game.AREA_MAX !== areaMax || game.adat?.length !== areaMax;
+
+  game.XMAX = xmax;
+  game.YMAX = ymax;
+  game.cel_max = celMax;
+  game.AREA_MAX = areaMax;
+
+  if (resizeGrid) {
+    game.cel = new Array(celMax).fill(0);
+    game.join = Array.from({ length: celMax }, (_, i) => {
+      const join = new JoinData();
+      join.dir = join.dir.map((_d, dir) => nextCell(i, dir, xmax, ymax));
+      return join;
+    });
+    game.num = Array.from({ length: celMax }, (_, i) => i);
+    game.rcel = new Array(celMax).fill(0);
+    game.next_f = new Array(celMax).fill(0);
+  }
+
+  if (resizeAreas) {
+    game.adat = Array.from({ length: areaMax }, () => new AreaData(areaMax));
+    game.alist = new Array(areaMax);
+    game.chk = new Array(areaMax);
+    game.tc = new Array(areaMax);
+    game.list_from = new Array(areaMax * areaMax);
+    game.list_to = new Array(areaMax * areaMax);
+    game.his_arm = new Array(areaMax);
+    game.his_dice = new Array(areaMax);
+  } else if (resizeGrid) {
+    game.adat = game.adat.map(() => new AreaData(areaMax));
+  }
+
+  return game;
+};
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+  window.setMapSize = setMapSize;
+}
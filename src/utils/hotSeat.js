@@ -0,0 +1,106 @@
+/**
+ * Hot-Seat Module
+ *
+ * Local multiplayer, where several people take turns on one device. Every
+ * player whose `aiAssignments` entry is null is a human seat, as is
+ * `humanPlayerIndex`; spectator games (`humanPlayerIndex: null`) have none.
+ * Before a human turn that follows another human's, the game shows a handoff
+ * screen so the next player can take over the device.
+ */
+
+/**
+ * Player colors, matching the territory colors of the map
+ */
+export const PLAYER_COLORS = Object.freeze([
+  '#b37ffe', // Purple
+  '#b3ff01', // Lime
+  '#009302', // Green
+  '#ff7ffe', // Pink
+  '#ff7f01', // Orange
+  '#b3fffe', // Cyan
+  '#ffff01', // Yellow
+  '#ff5858', // Red
+]);
+
+/**
+ * Get the human seats of a game configuration
+ *
+ * @param {Object} config - Configuration with playerCount, humanPlayerIndex and aiAssignments
+ * @returns {Array<number>} Indexes of the human players, in order
+ */
+export const getHumanPlayers = ({ playerCount, humanPlayerIndex, aiAssignments = [] }) => {
+  if (humanPlayerIndex === null || humanPlayerIndex === undefined) return [];
+
+  return Array.from({ length: playerCount }, (_, p) => p).filter(
+    p => p === humanPlayerIndex || aiAssignments[p] === null
+  );
+};
+
+/**
+ * Check whether a player is a human seat
+ *
+ * @param {Object} game - Game with its human seats in `humans`
+ * @param {number} player - Player index
+ * @returns {boolean} True for human players
+ */
+export const isHumanPlayer = (game, player) => (game.humans ?? []).includes(player);
+
+/**
+ * Check whether a game is played hot-seat (more than one human seat)
+ *
+ * @param {Object} game - Game with its human seats in `humans`
+ * @returns {boolean} True when several people share the device
+ */
+export const isHotSeat = game => (game.humans ?? []).length > 1;
+
+/**
+ * Check whether the device has to be passed on before a player's turn
+ *
+ * @param {Object} game - Game with its human seats in `humans`
+ * @param {number} player - Player whose turn starts
+ * @param {number|null} lastHuman - Human player who had the previous human turn
+ * @returns {boolean} True when another human had the device last
+ */
+export const needsHandoff = (game, player, lastHuman) =>
+  isHotSeat(game) && isHumanPlayer(game, player) && player !== lastHuman;
+
+/**
+ * Get a player's name
+ *
+ * @param {number} player - Player index
+ * @returns {string} Name such as "Player 3"
+ */
+export const getPlayerName = player => `Player ${player + 1}`;
+
+/**
+ * Get the label shown next to a player's status
+ *
+ * Hot-seat games label every player, human seats by number; other games keep
+ * the classic unlabeled display.
+ *
+ * @param {Object} game - Game with its human seats in `humans`
+ * @param {number} player - Player index
+ * @returns {string} Label such as "P3" or "COM", or an empty string
+ */
+export const getPlayerLabel = (game, player) => {
+  if (!isHotSeat(game)) return '';
+  return isHumanPlayer(game, player) ? `P${player + 1}` : 'COM';
+};
+
+/**
+ * Get a player's color
+ *
+ * @param {number} player - Player index
+ * @returns {string} CSS color
+ */
+export const getPlayerColor = player => PLAYER_COLORS[player % PLAYER_COLORS.length];
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+  window.getHumanPlayers = getHumanPlayers;
+  window.isHumanPlayer = isHumanPlayer;
+  window.needsHandoff = needsHandoff;
+  window.getPlayerName = getPlayerName;
+  window.getPlayerLabel = getPlayerLabel;
+  window.getPlayerColor = getPlayerColor;
+}
@@ -5,3 +5,15 @@ export * from './config.js';
 export * from './render.js';
 export * from './sound.js';
 export * from './gameUtils.js';
+export * from './probability.js';
+export * from './random.js';
+export * from './grid.js';
+export * from './saveGame.js';
+export * from './replay.js';
+export * from './replayController.js';
+export * from './mapLoader.js';
+export * from './mapEditor.js';
+export * from './scenarios.js';
+export * from './hotSeat.js';
+export * from './turnClock.js';
+export * from './practice.js';
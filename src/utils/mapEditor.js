@@ -0,0 +1,262 @@
+/**
+ * Map Editor Module
+ *
+ * Builds boards by hand on the `cel` grid (the hex layout of `Game#next_cel`):
+ * - Paint cells into territories and erase them back to sea
+ * - Assign each territory's starting owner and dice
+ * - Validate that territories are contiguous and the land is connected
+ * - Save the board as a JSON map definition that mapLoader.js loads in
+ *   place of a generated map
+ */
+
+import { PlayerError, TerritoryError } from '../mechanics/errors/index.js';
+import { getRules } from './config.js';
+import {
+  MAP_FORMAT,
+  MAP_VERSION,
+  applyMap,
+  getMapAreas,
+  loadMap,
+  parseMap,
+  validateMap,
+} from './mapLoader.js';
+
+/**
+ * Map Editor
+ *
+ * Edits a board for a game's grid. The game is only written to by preview()
+ * and apply(), so a designer can edit freely and load the board when it is done.
+ */
+export class MapEditor {
+  /**
+   * Create an editor for a game's grid
+   *
+   * @param {Object} game - Game whose grid size, territory limit and players to use
+   * @param {Object} [options] - Editor options
+   * @param {boolean} [options.blank=false] - Start from an empty sea instead of the game's map
+   */
+  constructor(game, { blank = false } = {}) {
+    this.game = game;
+    this.width = game.XMAX;
+    this.height = game.YMAX;
+    this.areaMax = game.AREA_MAX;
+    this.pmax = game.pmax;
+
+    const celMax = this.width * this.height;
+    this.cel = blank ? new Array(celMax).fill(0) : game.cel.slice(0, celMax);
+    this.arm = Array.from({ length: this.areaMax }, (_, i) => (blank ? -1 : game.adat[i].arm));
+    this.dice = Array.from({ length: this.areaMax }, (_, i) => (blank ? 0 : game.adat[i].dice));
+  }
+
+  /**
+   * Create an editor for a saved map definition
+   *
+   * The editor takes the map's grid size, territory limit and players.
+   *
+   * @param {Object} game - Game to edit for
+   * @param {Object|string} map - Map definition or its JSON string
+   * @returns {MapEditor} Editor holding the map
+   * @throws {MapError} If the map definition cannot be read
+   */
+  static fromMap(game, map) {
+    const { settings, cel, start } = parseMap(map);
+    const editor = new MapEditor(game, { blank: true });
+    editor.width = settings.XMAX;
+    editor.height = settings.YMAX;
+    editor.areaMax = settings.AREA_MAX;
+    editor.pmax = settings.pmax;
+    editor.cel = [...cel];
+    editor.arm = Array.from({ length: editor.areaMax }, (_, i) => start.arm[i] ?? -1);
+    editor.dice = Array.from({ length: editor.areaMax }, (_, i) => start.dice[i] ?? 0);
+    return editor;
+  }
+
+  /**
+   * Get the cell at a grid position
+   *
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {number} Cell index, or -1 off the grid
+   */
+  cellAt(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return -1;
+    return y * this.width + x;
+  }
+
+  /**
+   * Get the territories that have cells
+   *
+   * @returns {Array<number>} Territory ids in ascending order
+   */
+  getAreas() {
+    return getMapAreas(this.cel);
+  }
+
+  /**
+   * Get the lowest territory id without cells
+   *
+   * @returns {number} Free territory id, or -1 if every id is used
+   */
+  nextArea() {
+    const used = new Set(this.getAreas());
+    for (let area = 1; area < this.areaMax; area++) {
+      if (!used.has(area)) return area;
+    }
+    return -1;
+  }
+
+  /**
+   * Paint a cell into a territory
+   *
+   * A territory painted for the first time starts with one die and an owner
+   * picked in turn from the players.
+   *
+   * @param {number} cell - Cell index
+   * @param {number} area - Territory id
+   * @returns {MapEditor} This editor for chaining
+   * @throws {TerritoryError} If the cell or territory id is out of range
+   */
+  paint(cell, area) {
+    this.checkCell(cell);
+    if (!Number.isInteger(area) || area < 1 || area >= this.areaMax) {
+      throw new TerritoryError(`Territory ids run from 1 to ${this.areaMax - 1}`, area);
+    }
+
+    if (!this.cel.includes(area)) {
+      this.arm[area] = (area - 1) % this.pmax;
+      this.dice[area] = 1;
+    }
+    this.cel[cell] = area;
+    return this;
+  }
+
+  /**
+   * Turn a cell back into sea
+   *
+   * @param {number} cell - Cell index
+   * @returns {MapEditor} This editor for chaining
+   * @throws {TerritoryError} If the cell is off the grid
+   */
+  erase(cell) {
+    this.checkCell(cell);
+    this.cel[cell] = 0;
+    return this;
+  }
+
+  /**
+   * Set a territory's starting owner
+   *
+   * @param {number} area - Territory id
+   * @param {number} player - Player index
+   * @returns {MapEditor} This editor for chaining
+   * @throws {PlayerError} If the player is not in the game
+   */
+  setOwner(area, player) {
+    this.checkArea(area);
+    if (!Number.isInteger(player) || player < 0 || player >= this.pmax) {
+      throw new PlayerError(`Players run from 0 to ${this.pmax - 1}`, player);
+    }
+    this.arm[area] = player;
+    return this;
+  }
+
+  /**
+   * Set a territory's starting dice
+   *
+   * @param {number} area - Territory id
+   * @param {number} dice - Number of dice (clamped to the rules' limits)
+   * @returns {MapEditor} This editor for chaining
+   */
+  setDice(area, dice) {
+    this.checkArea(area);
+    const { maxDice } = getRules(this.game);
+    this.dice[area] = Math.max(1, Math.min(Math.floor(dice) || 1, maxDice));
+    return this;
+  }
+
+  /**
+   * Check the board
+   *
+   * @returns {Array<string>} Problems found, empty if the board is playable
+   */
+  validate() {
+    return validateMap(this.toJSON(), getRules(this.game));
+  }
+
+  /**
+   * Create the map definition of the board
+   *
+   * @param {string} [name=''] - Name of the map
+   * @returns {Object} Map definition
+   */
+  toJSON(name = '') {
+    const areas = new Set(this.getAreas());
+    return {
+      format: MAP_FORMAT,
+      version: MAP_VERSION,
+      name,
+      settings: {
+        XMAX: this.width,
+        YMAX: this.height,
+        AREA_MAX: this.areaMax,
+        pmax: this.pmax,
+      },
+      cel: [...this.cel],
+      start: {
+        arm: this.arm.map((owner, area) => (areas.has(area) ? owner : -1)),
+        dice: this.dice.map((dice, area) => (areas.has(area) ? dice : 0)),
+      },
+    };
+  }
+
+  /**
+   * Show the board in the game while editing
+   *
+   * Territory shapes are rebuilt without checking the board, so it can be
+   * drawn even when it is not playable yet.
+   *
+   * @returns {Object} The game
+   */
+  preview() {
+    return applyMap(this.game, this.toJSON());
+  }
+
+  /**
+   * Load the board into the game, ready for start_game()
+   *
+   * @returns {Object} The game
+   * @throws {MapError} If the board is not playable
+   */
+  apply() {
+    return loadMap(this.game, this.toJSON());
+  }
+
+  /**
+   * Check that a cell is on the grid
+   *
+   * @param {number} cell - Cell index
+   * @throws {TerritoryError} If the cell is off the grid
+   */
+  checkCell(cell) {
+    if (!Number.isInteger(cell) || cell < 0 || cell >= this.cel.length) {
+      throw new TerritoryError(`Cell ${cell} is not on the map`, null, { cell });
+    }
+  }
+
+  /**
+   * Check that a territory has cells
+   *
+   * @param {number} area - Territory id
+   * @throws {TerritoryError} If no cell belongs to the territory
+   */
+  checkArea(area) {
+    if (!(area > 0) || !this.cel.includes(area)) {
+      throw new TerritoryError(`Territory ${area} has no cells`, area);
+    }
+  }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.MapEditor = MapEditor;
+}
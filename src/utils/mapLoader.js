@@ -0,0 +1,294 @@
+/**
+ * Map Loader Module
+ *
+ * Loads existing boards in place of a generated map:
+ * - Checks a map definition and reports what is wrong with it as a MapError
+ * - Fills `cel` and rebuilds each territory's size, adjacency (`join`), center
+ *   (`cx`/`cy`, `cpos`, `len_min`) and border lines the way `makeMap` does
+ * - Sets the starting owner and dice of every territory
+ *
+ * Map definitions look like replays without the history: the grid settings,
+ * the territory of every cell and the starting owner and dice of every
+ * territory (indexed by territory id). The map editor and the built-in
+ * scenarios both produce them.
+ */
+
+import { AdjacencyGraph, DisjointSet } from '../models/enhanced/index.js';
+import { MapError } from '../mechanics/errors/index.js';
+import { setAreaData, setAreaTc } from '../mechanics/mapGenerator.js';
+import { getRules } from './config.js';
+import { nextCell, setMapSize } from './grid.js';
+
+/**
+ * Map format identifier and current version
+ */
+export const MAP_FORMAT = 'dicewars-map';
+export const MAP_VERSION = 1;
+
+/**
+ * Most players a map can have (the size of `game.player`)
+ */
+export const MAP_MAX_PLAYERS = 8;
+
+/**
+ * Get the cells next to a cell
+ *
+ * @param {number} cell - Cell index
+ * @param {number} width - Cells per row (XMAX)
+ * @param {number} height - Number of rows (YMAX)
+ * @returns {Array<number>} Indexes of the neighboring cells on the grid
+ */
+const neighborCells = (cell, width, height) =>
+  [0, 1, 2, 3, 4, 5].map(dir => nextCell(cell, dir, width, height)).filter(next => next >= 0);
+
+/**
+ * Get the territory ids used by a map's cells
+ *
+ * @param {Array<number>} cel - Territory id of each cell (0 for sea)
+ * @returns {Array<number>} Territory ids in ascending order
+ */
+export const getMapAreas = cel => [...new Set(cel.filter(area => area > 0))].sort((a, b) => a - b);
+
+/**
+ * Check that a value is an integer in a range
+ *
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} True if the value is an integer from min to max
+ */
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check the structure of a map definition
+ *
+ * @param {Object} map - Map definition
+ * @throws {MapError} If a field is missing or has the wrong type or size
+ */
+const checkStructure = map => {
+  if (!map || typeof map !== 'object' || map.format !== MAP_FORMAT) {
+    throw new MapError('Not a Dice Wars map', { format: map?.format });
+  }
+  if (!Number.isInteger(map.version) || map.version > MAP_VERSION) {
+    throw new MapError(`Map version ${map.version} is newer than supported (${MAP_VERSION})`, {
+      version: map.version,
+    });
+  }
+
+  const { settings, cel, start } = map;
+  if (!settings || typeof settings !== 'object') {
+    throw new MapError('Map settings are missing', { field: 'settings' });
+  }
+  const { XMAX, YMAX, AREA_MAX, pmax } = settings;
+  ['XMAX', 'YMAX', 'AREA_MAX'].forEach(field => {
+    if (!isIntegerIn(settings[field], 2, Infinity)) {
+      throw new MapError(`Map setting ${field} must be an integer of at least 2`, {
+        field,
+        value: settings[field],
+      });
+    }
+  });
+  if (!isIntegerIn(pmax, 2, MAP_MAX_PLAYERS)) {
+    throw new MapError(`Maps need 2 to ${MAP_MAX_PLAYERS} players`, { field: 'pmax', value: pmax });
+  }
+
+  if (!Array.isArray(cel) || cel.length !== XMAX * YMAX) {
+    throw new MapError(`Map cells must be a list of ${XMAX * YMAX} territory ids`, {
+      field: 'cel',
+      length: cel?.length,
+    });
+  }
+  const cell = cel.findIndex(area => !isIntegerIn(area, 0, AREA_MAX - 1));
+  if (cell >= 0) {
+    throw new MapError(`Cell ${cell} must hold a territory id from 0 (sea) to ${AREA_MAX - 1}`, {
+      field: 'cel',
+      cell,
+      value: cel[cell],
+    });
+  }
+
+  ['arm', 'dice'].forEach(field => {
+    if (!Array.isArray(start?.[field]) || start[field].length > AREA_MAX) {
+      throw new MapError(`Map start.${field} must list up to ${AREA_MAX} territories`, {
+        field: `start.${field}`,
+      });
+    }
+  });
+};
+
+/**
+ * Check a map definition
+ *
+ * Territories must be contiguous, every territory must be reachable from every
+ * other one, and each needs an owner among the players and a dice count the
+ * rules allow. Every player needs at least one territory.
+ *
+ * @param {Object} map - Map definition
+ * @param {Object} [rules] - Rules giving the dice limit (the configured rules by default)
+ * @returns {Array<string>} Problems found, empty if the map is playable
+ */
+export const validateMap = (map, rules = getRules()) => {
+  const { settings, cel, start } = map;
+  const { XMAX, YMAX, AREA_MAX, pmax } = settings;
+  const problems = [];
+
+  if (cel.length !== XMAX * YMAX) {
+    return [`The map has ${cel.length} cells but the grid needs ${XMAX * YMAX}`];
+  }
+  if (cel.some(area => !isIntegerIn(area, 0, AREA_MAX - 1))) {
+    return [`Cells must hold territory ids from 0 (sea) to ${AREA_MAX - 1}`];
+  }
+
+  const areas = getMapAreas(cel);
+  if (areas.length < 2) {
+    return ['The map needs at least two territories'];
+  }
+
+  // Cells of the same territory that touch are joined; a split territory has several groups
+  const cells = new DisjointSet();
+  const graph = new AdjacencyGraph();
+  areas.forEach(area => graph.addTerritory(area));
+  cel.forEach((area, cell) => {
+    if (area === 0) return;
+    cells.makeSet(cell);
+    neighborCells(cell, XMAX, YMAX).forEach(next => {
+      if (cel[next] === area) cells.union(cell, next);
+      else if (cel[next] > 0) graph.setAdjacency(area, cel[next]);
+    });
+  });
+
+  const pieces = new Map();
+  cells.getAllGroups().forEach(group => {
+    const area = cel[group.values().next().value];
+    pieces.set(area, (pieces.get(area) ?? 0) + 1);
+  });
+  pieces.forEach((count, area) => {
+    if (count > 1) problems.push(`Territory ${area} is split into ${count} parts`);
+  });
+
+  // Treat the whole map as one owner so the groups are the separate land masses
+  const land = new Map(areas.map(area => [area, 0]));
+  const masses = graph.findTerritoryGroups(areas, land, 0);
+  if (masses.size > 1) {
+    problems.push(`The territories form ${masses.size} separate islands`);
+  }
+
+  areas.forEach(area => {
+    if (!isIntegerIn(start.arm[area], 0, pmax - 1)) {
+      problems.push(`Territory ${area} has no owner among the ${pmax} players`);
+    }
+    if (!isIntegerIn(start.dice[area], 1, rules.maxDice)) {
+      problems.push(`Territory ${area} needs 1 to ${rules.maxDice} dice`);
+    }
+  });
+
+  for (let player = 0; player < pmax; player++) {
+    if (!areas.some(area => start.arm[area] === player)) {
+      problems.push(`Player ${player + 1} has no territory`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Read a map definition
+ *
+ * @param {Object|string} map - Map definition or its JSON string
+ * @returns {Object} Map definition with a valid structure
+ * @throws {MapError} If the JSON cannot be read or the structure is invalid
+ */
+export const parseMap = map => {
+  let data = map;
+  if (typeof map === 'string') {
+    try {
+      data = JSON.parse(map);
+    } catch (error) {
+      throw new MapError(`Map JSON cannot be read: ${error.message}`);
+    }
+  }
+  checkStructure(data);
+  return data;
+};
+
+/**
+ * Write a map's cells, territories, owners and dice into a game
+ *
+ * Territory shapes, centers, adjacency and borders are rebuilt from the cells.
+ * The map is not checked, so unfinished boards can be shown while editing.
+ *
+ * @param {Object} game - Game to write into
+ * @param {Object} map - Map definition
+ * @returns {Object} The game
+ */
+export const applyMap = (game, map) => {
+  const { settings, cel, start } = map;
+
+  setMapSize(game, settings.XMAX, settings.YMAX, settings.AREA_MAX);
+  game.pmax = settings.pmax;
+
+  game.cel = [...cel];
+  game.adat = [];
+  setAreaData(game);
+  game.adat.forEach((area, i) => {
+    area.arm = area.size > 0 ? start.arm[i] : -1;
+    area.dice = area.size > 0 ? start.dice[i] : 0;
+  });
+
+  return game;
+};
+
+/**
+ * Create a map definition from a game's board
+ *
+ * @param {Object} game - Game with a map
+ * @param {string} [name=''] - Name of the map
+ * @returns {Object} Map definition
+ */
+export const exportMap = (game, name = '') => ({
+  format: MAP_FORMAT,
+  version: MAP_VERSION,
+  name,
+  settings: {
+    XMAX: game.XMAX,
+    YMAX: game.YMAX,
+    AREA_MAX: game.AREA_MAX,
+    pmax: game.pmax,
+  },
+  cel: game.cel.slice(0, game.XMAX * game.YMAX),
+  start: {
+    arm: game.adat.map(area => (area.size > 0 ? area.arm : -1)),
+    dice: game.adat.map(area => (area.size > 0 ? area.dice : 0)),
+  },
+});
+
+/**
+ * Load a map definition into a game in place of a generated map
+ *
+ * Like make_map(), this leaves the game ready for start_game().
+ *
+ * @param {Object} game - Game to load into
+ * @param {Object|string} map - Map definition or its JSON string
+ * @returns {Object} The game
+ * @throws {MapError} If the map is not a valid, playable map definition
+ */
+export const loadMap = (game, map) => {
+  const data = parseMap(map);
+
+  const problems = validateMap(data, getRules(game));
+  if (problems.length) {
+    throw new MapError(`Invalid map: ${problems.join('; ')}`, { problems });
+  }
+
+  applyMap(game, data);
+  for (let player = 0; player < game.pmax; player++) {
+    setAreaTc(game, player);
+  }
+  return game;
+};
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+  window.exportMap = exportMap;
+  window.loadMap = loadMap;
+}
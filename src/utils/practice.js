@@ -0,0 +1,153 @@
+/**
+ * Practice Module
+ *
+ * Practice games let human players take back the attacks they made in their
+ * current turn. Before each attack the board, the players, the history length
+ * and the random state are saved; undoing restores them and drops the attack
+ * from the history. A re-roll gets new dice unless `sameDice` is set, in which
+ * case a seeded game rolls the same dice again.
+ *
+ * Every undo is recorded in `game.undos` (kept by saves and replays), so it is
+ * clear from a game's history that attacks were taken back.
+ */
+
+/**
+ * Complete the practice settings of a configuration
+ *
+ * @param {Object|boolean|null} settings - `{ sameDice }`, true for the defaults, or null for
+ *   normal games
+ * @returns {Object|null} Complete settings, or null when attacks cannot be undone
+ */
+export const normalizePractice = settings => {
+  if (!settings) return null;
+  return { sameDice: settings === true ? false : Boolean(settings.sameDice) };
+};
+
+/**
+ * Save what an attack changes
+ *
+ * @param {Object} game - Game instance
+ * @returns {Object} Owner and dice of each territory, player data, history length and
+ *   random state
+ */
+export const createUndoSnapshot = game => ({
+  areas: game.adat.map(area => [area.arm, area.dice]),
+  players: game.player.map(player => ({ ...player })),
+  his_c: game.his_c,
+  random: typeof game.rng?.getState === 'function' ? game.rng.getState() : null,
+  decks: Object.fromEntries(
+    Object.entries(game.battle_deck ?? {}).map(([key, deck]) => [key, [...deck]])
+  ),
+});
+
+/**
+ * Put a game back as it was when a snapshot was taken
+ *
+ * @param {Object} game - Game instance
+ * @param {Object} snapshot - Result of createUndoSnapshot()
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.sameDice=false] - Also restore the random state, so the
+ *   next attack rolls the same dice
+ * @returns {Object} The game
+ */
+export const restoreUndoSnapshot = (game, snapshot, { sameDice = false } = {}) => {
+  snapshot.areas.forEach(([arm, dice], i) => {
+    Object.assign(game.adat[i], { arm, dice });
+  });
+  snapshot.players.forEach((player, i) => {
+    Object.assign(game.player[i], player);
+  });
+
+  // Drop the history entries of the undone attacks
+  game.his.length = Math.min(game.his.length, snapshot.his_c);
+  game.his_c = snapshot.his_c;
+
+  if (sameDice && snapshot.random !== null && typeof game.rng?.setState === 'function') {
+    game.rng.setState(snapshot.random);
+    game.battle_deck = Object.fromEntries(
+      Object.entries(snapshot.decks).map(([key, deck]) => [key, [...deck]])
+    );
+  }
+
+  return game;
+};
+
+/**
+ * PracticeUndo Class
+ *
+ * Keeps the snapshots of the current turn's attacks.
+ */
+export class PracticeUndo {
+  /**
+   * Create an undo stack for a game
+   *
+   * @param {Object} game - Game instance
+   * @param {Object} [settings] - Practice settings (see normalizePractice)
+   */
+  constructor(game, settings = {}) {
+    this.game = game;
+    this.settings = normalizePractice(settings) ?? normalizePractice(true);
+    this.snapshots = [];
+    if (!Array.isArray(game.undos)) game.undos = [];
+  }
+
+  /**
+   * Whether an attack can be taken back
+   *
+   * @returns {boolean} True after an attack in the current turn
+   */
+  get canUndo() {
+    return this.snapshots.length > 0;
+  }
+
+  /**
+   * Save the game before an attack
+   */
+  push() {
+    this.snapshots.push(createUndoSnapshot(this.game));
+  }
+
+  /**
+   * Take back the last attack of the turn
+   *
+   * @returns {Object|null} The undone attack's history entry, or null when there is none
+   *   (the game is still put back as it was before the last push)
+   */
+  undo() {
+    const snapshot = this.snapshots.pop();
+    if (!snapshot) return null;
+
+    const { game } = this;
+    const attack = snapshot.his_c < game.his_c ? game.his[snapshot.his_c] : null;
+    restoreUndoSnapshot(game, snapshot, this.settings);
+
+    if (attack) {
+      const { player, turn, from, to, res } = attack;
+      game.undos.push({ at: snapshot.his_c, player, turn, from, to, res });
+    }
+
+    return attack;
+  }
+
+  /**
+   * Forget the saved attacks (when a turn ends)
+   */
+  clear() {
+    this.snapshots = [];
+  }
+}
+
+/**
+ * Create the undo stack of a practice game
+ *
+ * @param {Object} game - Game instance
+ * @param {Object|boolean|null} settings - Practice settings from the configuration (`practice`)
+ * @returns {PracticeUndo|null} The undo stack, or null for normal games
+ */
+export const createPracticeUndo = (game, settings) =>
+  normalizePractice(settings) ? new PracticeUndo(game, settings) : null;
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+  window.createPracticeUndo = createPracticeUndo;
+}
@@ -0,0 +1,236 @@
+/**
+ * Attack Probability Module
+ *
+ * Exact battle odds for every battle mode (see BATTLE_MODES in config.js):
+ * - Distribution of dice totals by dynamic-programming convolution
+ * - Chance that the attacker wins and the dice each side can expect to keep
+ * - A memoized lookup table, so the AIs and analysis helpers can ask freely
+ *
+ * Dice are rolled and battles decided in mechanics/battleResolution.js.
+ */
+
+import { getRules } from './config.js';
+
+/**
+ * Pairs of dice compared in a Risk-style battle
+ */
+export const RISK_PAIRS = 3;
+
+/**
+ * Outcomes in each balanced-luck deck
+ */
+export const BALANCED_DECK_SIZE = 36;
+
+// Distributions of dice totals, indexed by the number of dice
+const sumDistributions = [[1]];
+
+/**
+ * Get the distribution of the total of several dice
+ *
+ * Each distribution is the previous one convolved with a single die.
+ *
+ * @param {number} count - Number of dice
+ * @returns {Array<number>} Probability of each total, indexed by total
+ */
+export const sumDistribution = count => {
+  for (let n = sumDistributions.length; n <= count; n++) {
+    const previous = sumDistributions[n - 1];
+    const next = new Array(previous.length + 6).fill(0);
+    previous.forEach((probability, total) => {
+      for (let face = 1; face <= 6; face++) next[total + face] += probability / 6;
+    });
+    sumDistributions.push(next);
+  }
+  return sumDistributions[count];
+};
+
+/**
+ * Probability that the attacker's total beats the defender's
+ *
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @param {boolean} [attackerWinsTies=false] - Whether a tie goes to the attacker
+ * @returns {number} Exact probability
+ */
+export const sumWinProbability = (attackerDice, defenderDice, attackerWinsTies = false) => {
+  const attacker = sumDistribution(attackerDice);
+  const defender = sumDistribution(defenderDice);
+  let probability = 0;
+  let defenderBelow = 0; // Chance the defender's total is below the current total
+
+  attacker.forEach((chance, total) => {
+    const defenderAtOrBelow = defenderBelow + (defender[total] ?? 0);
+    probability += chance * (attackerWinsTies ? defenderAtOrBelow : defenderBelow);
+    defenderBelow = defenderAtOrBelow;
+  });
+
+  return probability;
+};
+
+/**
+ * Decide a Risk-style battle from the dice values
+ *
+ * The highest dice are compared in pairs and the defender wins tied pairs.
+ * The attacker conquers when it wins more pairs than it loses.
+ *
+ * @param {Array<number>} attackerValues - Attacker's dice values
+ * @param {Array<number>} defenderValues - Defender's dice values
+ * @returns {boolean} True if the attacker wins
+ */
+export const riskOutcome = (attackerValues, defenderValues) => {
+  const pairs = Math.min(attackerValues.length, defenderValues.length, RISK_PAIRS);
+  const attacker = [...attackerValues].sort((a, b) => b - a);
+  const defender = [...defenderValues].sort((a, b) => b - a);
+  let wins = 0;
+  for (let i = 0; i < pairs; i++) {
+    if (attacker[i] > defender[i]) wins++;
+  }
+  return wins > pairs - wins;
+};
+
+// Distributions of the highest dice, keyed by `${count}:${keep}`
+const topDistributions = new Map();
+
+/**
+ * Get the distribution of the highest few dice of a roll
+ *
+ * @param {number} count - Number of dice rolled
+ * @param {number} keep - Number of highest dice kept
+ * @returns {Array<Object>} { values, probability } with the kept values highest first
+ */
+const topDistribution = (count, keep) => {
+  const key = `${count}:${keep}`;
+  if (!topDistributions.has(key)) {
+    let outcomes = new Map([['', { values: [], probability: 1 }]]);
+    for (let n = 0; n < count; n++) {
+      const next = new Map();
+      outcomes.forEach(({ values, probability }) => {
+        for (let face = 1; face <= 6; face++) {
+          const kept = [...values, face].sort((a, b) => b - a).slice(0, keep);
+          const outcome = next.get(kept.join()) ?? { values: kept, probability: 0 };
+          outcome.probability += probability / 6;
+          next.set(kept.join(), outcome);
+        }
+      });
+      outcomes = next;
+    }
+    topDistributions.set(key, [...outcomes.values()]);
+  }
+  return topDistributions.get(key);
+};
+
+/**
+ * Probability that the attacker wins a Risk-style battle
+ *
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @returns {number} Exact probability
+ */
+const riskWinProbability = (attackerDice, defenderDice) => {
+  const pairs = Math.min(attackerDice, defenderDice, RISK_PAIRS);
+  const defender = topDistribution(defenderDice, pairs);
+  let probability = 0;
+
+  topDistribution(attackerDice, pairs).forEach(attack => {
+    defender.forEach(defense => {
+      if (riskOutcome(attack.values, defense.values)) {
+        probability += attack.probability * defense.probability;
+      }
+    });
+  });
+
+  return probability;
+};
+
+/**
+ * Number of attacker wins in a fresh balanced-luck deck
+ *
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @returns {number} Winning outcomes out of BALANCED_DECK_SIZE
+ */
+export const balancedDeckWins = (attackerDice, defenderDice) =>
+  Math.round(sumWinProbability(attackerDice, defenderDice) * BALANCED_DECK_SIZE);
+
+// Chance that the attacker wins under each battle mode
+const WIN_PROBABILITIES = {
+  sum: (attackerDice, defenderDice) => sumWinProbability(attackerDice, defenderDice),
+  attackerTies: (attackerDice, defenderDice) => sumWinProbability(attackerDice, defenderDice, true),
+  risk: riskWinProbability,
+  balanced: (attackerDice, defenderDice) =>
+    balancedDeckWins(attackerDice, defenderDice) / BALANCED_DECK_SIZE,
+};
+
+/**
+ * Build the odds of one battle
+ *
+ * Win or lose, the attacking territory keeps one die; on a win the other dice
+ * move into the conquered territory, on a loss the defender keeps all of its dice.
+ *
+ * @param {number} probability - Chance that the attacker wins
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @returns {Object} { probability, attackerDice, defenderDice } with the expected surviving dice
+ */
+const createOdds = (probability, attackerDice, defenderDice) => ({
+  probability,
+  attackerDice: 1 + probability * (attackerDice - 1),
+  defenderDice: (1 - probability) * defenderDice,
+});
+
+// Odds worked out so far, keyed by `${mode}:${attackerDice}:${defenderDice}`
+const oddsTable = new Map();
+
+/**
+ * Get the odds of an attack
+ *
+ * Uses the game's battle mode (the configured rules if no game is given). In the
+ * 'balanced' mode these are the odds of the next draw from the matchup's deck.
+ *
+ * @param {number} attackerDice - Number of attacking dice
+ * @param {number} defenderDice - Number of defending dice
+ * @param {Object} [game=null] - Game whose rules and decks to use
+ * @returns {Object} { probability, attackerDice, defenderDice } where the dice
+ *   are the expected dice each side has left after the battle
+ */
+export const getAttackOdds = (attackerDice, defenderDice, game = null) => {
+  if (attackerDice <= 0 || defenderDice <= 0) {
+    return {
+      probability: 0,
+      attackerDice: Math.max(0, attackerDice),
+      defenderDice: Math.max(0, defenderDice),
+    };
+  }
+
+  const { battle } = getRules(game);
+  const deck = game?.battle_deck?.[`${attackerDice}:${defenderDice}`];
+  if (battle === 'balanced' && deck?.length) {
+    return createOdds(deck.filter(Boolean).length / deck.length, attackerDice, defenderDice);
+  }
+
+  const key = `${battle}:${attackerDice}:${defenderDice}`;
+  if (!oddsTable.has(key)) {
+    const probability = WIN_PROBABILITIES[battle](attackerDice, defenderDice);
+    oddsTable.set(key, Object.freeze(createOdds(probability, attackerDice, defenderDice)));
+  }
+  return oddsTable.get(key);
+};
+
+/**
+ * Get the odds of every matchup up to a dice limit
+ *
+ * @param {Object} [game=null] - Game whose rules and decks to use
+ * @param {number} [maxDice] - Largest dice count (the rules' `maxDice` by default)
+ * @returns {Array<Array<Object>>} Odds indexed by [attackerDice][defenderDice]
+ */
+export const getOddsTable = (game = null, maxDice = getRules(game).maxDice) =>
+  Array.from({ length: maxDice + 1 }, (_, attackerDice) =>
+    Array.from({ length: maxDice + 1 }, (__, defenderDice) =>
+      getAttackOdds(attackerDice, defenderDice, game)
+    )
+  );
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.getAttackOdds = getAttackOdds;
+}
@@ -0,0 +1,122 @@
+/**
+ * Random Number Utilities Module
+ *
+ * Provides the pluggable random source used by every part of the game:
+ * - Seedable deterministic generators for reproducible games
+ * - Lookup of the random source attached to a game state
+ * - Helpers for integers, picks and shuffles
+ *
+ * A random source is any function returning a float in [0, 1), so Math.random
+ * and seeded generators are interchangeable.
+ */
+
+/**
+ * Default random source
+ *
+ * Defers to Math.random on every call (rather than holding a reference to it),
+ * so code that stubs Math.random keeps working for unseeded games.
+ *
+ * @returns {number} Random float in [0, 1)
+ */
+export const defaultRandom = () => Math.random();
+
+/**
+ * Convert a seed to a 32-bit unsigned integer
+ *
+ * Numbers are truncated to 32 bits; strings are hashed (FNV-1a) so that
+ * human-friendly seeds like "lunch-match" can be shared.
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit unsigned seed
+ */
+export const normalizeSeed = seed => {
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  if (typeof seed !== 'number' || !Number.isFinite(seed)) {
+    throw new Error(`Seed must be a finite number or a string, got ${seed}`);
+  }
+
+  return Math.trunc(seed) >>> 0;
+};
+
+/**
+ * Create a seeded random source
+ *
+ * Uses the mulberry32 generator: small, fast and with a single 32-bit word of
+ * state, which makes it cheap to snapshot and restore.
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Random source returning floats in [0, 1), with
+ *   `seed`, `getState()` and `setState(state)` attached
+ */
+export const createRandom = seed => {
+  let state = normalizeSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.seed = seed;
+  random.getState = () => state;
+  random.setState = newState => {
+    state = newState >>> 0;
+  };
+
+  return random;
+};
+
+/**
+ * Get the random source for a game state
+ *
+ * Game instances carry their own source in `rng`; plain state objects and
+ * legacy games fall back to the default source.
+ *
+ * @param {Object} [gameState] - Game state that may carry an `rng` function
+ * @returns {Function} Random source
+ */
+export const getRandom = gameState =>
+  typeof gameState?.rng === 'function' ? gameState.rng : defaultRandom;
+
+/**
+ * Draw a random integer in [0, max)
+ *
+ * @param {number} max - Exclusive upper bound
+ * @param {Function} [random=defaultRandom] - Random source
+ * @returns {number} Random integer
+ */
+export const randomInt = (max, random = defaultRandom) => Math.floor(random() * max);
+
+/**
+ * Pick a random element from an array
+ *
+ * @param {Array} items - Items to pick from
+ * @param {Function} [random=defaultRandom] - Random source
+ * @returns {*} Selected item, or undefined for an empty array
+ */
+export const randomPick = (items, random = defaultRandom) => items[randomInt(items.length, random)];
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ *
+ * @param {Array} items - Items to shuffle
+ * @param {Function} [random=defaultRandom] - Random source
+ * @returns {Array} The shuffled array
+ */
+export const shuffle = (items, random = defaultRandom) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1, random);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
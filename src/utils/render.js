@@ -5,10 +5,11 @@
  * - CreateJS sprite creation
  * - Map visualization
  * - UI elements
+ * - Attack odds overlay
  * - Animation helpers
  */
 
-import { getConfig } from './config.js';
+import { getConfig, getRules } from './config.js';
 
 /**
  * Color definitions for players and UI elements
@@ -37,6 +38,12 @@ export const COLORS = {
     BUTTON_TEXT: '#000000', // Button text
     MESSAGE: '#000000', // Message text
   },
+  ODDS: {
+    GOOD: '#2E8B57', // Likely win (60% or more)
+    EVEN: '#D99A00', // Close fight
+    POOR: '#C0392B', // Likely loss (under 40%)
+    TEXT: '#FFFFFF', // Label text
+  },
 };
 
 /**
@@ -285,10 +292,10 @@ export const createDiceDisplay = (diceCount, playerIndex, diceSheet) => {
 /**
  * Create a dice spritesheet with all combinations of players and dice counts
  * @param {number} playerCount - Number of players
- * @param {number} maxDice - Maximum dice count
+ * @param {number} [maxDice] - Maximum dice count (defaults to the configured rules)
  * @returns {Promise<createjs.SpriteSheet>} Promise resolving to the sprite sheet
  */
-export const createDiceSpriteSheet = (playerCount, maxDice) =>
+export const createDiceSpriteSheet = (playerCount, maxDice = getRules().maxDice) =>
   new Promise(resolve => {
     const builder = new createjs.SpriteSheetBuilder();
 
@@ -391,3 +398,110 @@ export const updatePlayerStatus = (game, sprites, playerStatusIndex) => {
     }
   });
 };
+
+/**
+ * Get the label color for a chance of winning
+ * @param {number} probability - Chance of winning (0-1)
+ * @returns {string} One of the COLORS.ODDS colors
+ */
+export const getOddsColor = probability => {
+  if (probability >= 0.6) return COLORS.ODDS.GOOD;
+  if (probability >= 0.4) return COLORS.ODDS.EVEN;
+  return COLORS.ODDS.POOR;
+};
+
+/**
+ * Format a probability as a whole percentage
+ * @param {number} probability - Probability (0-1)
+ * @returns {string} Percentage such as "74%"
+ */
+export const formatPercent = probability => `${Math.round(probability * 100)}%`;
+
+/**
+ * Describe one attack from an attack preview
+ * @param {Object} target - Target from getAttackPreview
+ * @returns {string} Chance of winning and the expected dice of both sides afterwards
+ */
+export const formatAttackPreview = ({ probability, attackerDice, defenderDice }) =>
+  `${formatPercent(probability)} to win, expected dice ${attackerDice.toFixed(1)} : ${defenderDice.toFixed(1)}`;
+
+/**
+ * Create a small label with a colored background and centered lines of text
+ * @param {Array<string>} lines - Text lines
+ * @param {string} color - Background color
+ * @param {number} scale - Size multiplier
+ * @param {string} name - Name to find the label by
+ * @returns {createjs.Container} The label, centered on its position
+ */
+const createOddsLabel = (lines, color, scale, name) => {
+  const label = new createjs.Container();
+  const lineHeight = 13 * scale;
+  const width = 46 * scale;
+  const height = lines.length * lineHeight + 4 * scale;
+
+  const bg = new createjs.Shape();
+  bg.graphics.beginFill(color).drawRoundRect(-width / 2, -height / 2, width, height, 4 * scale);
+  label.addChild(bg);
+
+  lines.forEach((line, i) => {
+    const text = new createjs.Text(
+      line,
+      `bold ${Math.round(11 * scale)}px Arial`,
+      COLORS.ODDS.TEXT
+    );
+    text.textAlign = 'center';
+    text.textBaseline = 'middle';
+    text.y = (i - (lines.length - 1) / 2) * lineHeight;
+    label.addChild(text);
+  });
+
+  label.name = name;
+  return label;
+};
+
+/**
+ * Create the odds overlay for an attack preview
+ *
+ * Each target gets its chance of winning and the expected dice on both sides
+ * afterwards; the recommended target is drawn larger. The source gets a risk
+ * label for how likely it is to be taken back once it is down to one die.
+ * @param {Object} preview - Attack preview from getAttackPreview
+ * @param {Object} positions - Label position ({ x, y }) for each territory ID
+ * @param {number} [scale=1] - Size multiplier for the labels
+ * @returns {createjs.Container} Container with labels named `odds<id>` and `risk`
+ */
+export const createOddsOverlay = (preview, positions, scale = 1) => {
+  const overlay = new createjs.Container();
+
+  preview.targets.forEach(({ to, probability, attackerDice, defenderDice, recommended }) => {
+    const lines = [
+      formatPercent(probability),
+      `${attackerDice.toFixed(1)}:${defenderDice.toFixed(1)}`,
+    ];
+    const label = createOddsLabel(lines, getOddsColor(probability), scale, `odds${to}`);
+    Object.assign(label, positions[to]);
+    if (recommended) {
+      label.scaleX = 1.25;
+      label.scaleY = 1.25;
+    }
+    overlay.addChild(label);
+  });
+
+  const { exposure, from } = preview;
+  const risk = createOddsLabel(
+    ['RISK', formatPercent(exposure)],
+    getOddsColor(1 - exposure),
+    scale,
+    'risk'
+  );
+  Object.assign(risk, positions[from]);
+  overlay.addChild(risk);
+
+  return overlay;
+};
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.createOddsOverlay = createOddsOverlay;
+  window.formatAttackPreview = formatAttackPreview;
+}
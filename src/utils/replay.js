@@ -0,0 +1,559 @@
+/**
+ * Replay Module
+ *
+ * Bundles a finished (or running) game into a shareable replay:
+ * - Map cells (territory shapes are rebuilt from them on import)
+ * - Initial ownership and dice of every territory
+ * - The action list from `game.his` (attacks and reinforcements)
+ * - The turn of each action and, optionally, the dice values rolled in each
+ *   attack, when the history recorded them
+ * - The dice counts before and after each action and the reinforcement
+ *   summaries, when the history recorded them
+ *
+ * Replays encode to a compact, URL-safe string (`dwr2.<base64url>`) that can be
+ * put in a link; `dwr1.` codes, which have no dice counts or reinforcement
+ * summaries, still decode. Importing a replay restores `cel`, `adat`, `his`,
+ * `his_arm` and `his_dice`, which is everything `start_history`/`play_history`
+ * need.
+ */
+
+import { HistoryData } from '../models/index.js';
+import { GameStateError } from '../mechanics/errors/index.js';
+import { setAreaData } from '../mechanics/mapGenerator.js';
+import { setMapSize } from './grid.js';
+
+/**
+ * Replay format identifier and current encoding version
+ */
+export const REPLAY_FORMAT = 'dicewars-replay';
+export const REPLAY_VERSION = 2;
+
+/**
+ * Prefix of encoded replays, followed by the version and a dot
+ */
+export const REPLAY_CODE_PREFIX = 'dwr';
+
+const CODE_PATTERN = new RegExp(`^${REPLAY_CODE_PREFIX}(\\d+)\\.(.*)$`);
+const BASE64_PAD = /=+$/;
+
+/**
+ * Convert bytes to a base64url string (no padding)
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} URL-safe base64 string
+ */
+const toBase64Url = bytes => {
+  const base64 =
+    typeof btoa === 'function'
+      ? btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))
+      : Buffer.from(bytes).toString('base64');
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(BASE64_PAD, '');
+};
+
+/**
+ * Convert a base64url string to bytes
+ *
+ * @param {string} text - URL-safe base64 string
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {GameStateError} If the text is not base64url
+ */
+const fromBase64Url = text => {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new GameStateError('Replay code contains invalid characters');
+  }
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  if (typeof atob === 'function') {
+    return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char =>
+      char.charCodeAt(0)
+    );
+  }
+  return new Uint8Array(Buffer.from(base64, 'base64'));
+};
+
+/**
+ * Create a byte writer with unsigned varint support
+ *
+ * @returns {Object} Writer with byte(), varint() and toBytes()
+ */
+const createWriter = () => {
+  const bytes = [];
+  return {
+    byte(value) {
+      bytes.push(value & 0xff);
+    },
+    varint(value) {
+      let rest = value;
+      while (rest >= 0x80) {
+        bytes.push((rest & 0x7f) | 0x80);
+        rest = Math.floor(rest / 0x80);
+      }
+      bytes.push(rest);
+    },
+    toBytes: () => Uint8Array.from(bytes),
+  };
+};
+
+/**
+ * Create a byte reader matching createWriter
+ *
+ * @param {Uint8Array} bytes - Bytes to read
+ * @returns {Object} Reader with byte(), varint() and done()
+ * @throws {GameStateError} When reading past the end
+ */
+const createReader = bytes => {
+  let pos = 0;
+  const byte = () => {
+    if (pos >= bytes.length) {
+      throw new GameStateError('Replay data is truncated', { length: bytes.length });
+    }
+    return bytes[pos++];
+  };
+  return {
+    byte,
+    varint() {
+      let value = 0;
+      let scale = 1;
+      let next;
+      do {
+        next = byte();
+        value += (next & 0x7f) * scale;
+        scale *= 0x80;
+      } while (next & 0x80);
+      return value;
+    },
+    done: () => pos === bytes.length,
+  };
+};
+
+/**
+ * Create a replay of a game
+ *
+ * @param {Object} game - Game instance with a recorded history
+ * @param {Object} [options] - Replay options
+ * @param {boolean} [options.rolls=true] - Include the dice values recorded in the history
+ * @returns {Object} Replay data
+ */
+export const createReplay = (game, { rolls = true } = {}) => {
+  const entries = game.his.slice(0, game.his_c);
+  const actions = entries.map(({ from, to, res }) => ({ from, to, res }));
+  const hasRolls = rolls && entries.some(entry => entry.rolls);
+  const hasTurns = entries.length > 0 && entries.every(entry => Number.isInteger(entry.turn));
+  const hasDice = entries.some(entry => entry.from_dice);
+  const hasSupply = entries.some(entry => entry.supply);
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    settings: {
+      XMAX: game.XMAX,
+      YMAX: game.YMAX,
+      AREA_MAX: game.AREA_MAX,
+      pmax: game.pmax,
+    },
+    cel: game.cel.slice(0, game.XMAX * game.YMAX),
+    start: {
+      arm: Array.from({ length: game.AREA_MAX }, (_, i) => game.his_arm[i] ?? -1),
+      dice: Array.from({ length: game.AREA_MAX }, (_, i) => game.his_dice[i] ?? 0),
+    },
+    actions,
+    rolls: hasRolls ? entries.map(entry => (entry.to > 0 ? (entry.rolls ?? null) : null)) : null,
+    turns: hasTurns ? entries.map(entry => entry.turn) : null,
+    // Dice counts [before, after] of the source and, for attacks, the target
+    dice: hasDice
+      ? entries.map(entry =>
+          entry.from_dice
+            ? { from_dice: entry.from_dice, to_dice: entry.to > 0 ? (entry.to_dice ?? null) : null }
+            : null
+        )
+      : null,
+    supply: hasSupply
+      ? entries.map(entry => (entry.to === 0 ? (entry.supply ?? null) : null))
+      : null,
+    // Where attacks were taken back in a practice game
+    undos: game.undos?.length ? game.undos.map(undo => undo.at) : null,
+  };
+};
+
+/**
+ * Write the dice values of one attack
+ *
+ * Both counts come first (an attacker count of 0 means not recorded), then the
+ * values packed two per byte.
+ *
+ * @param {Object} writer - Byte writer
+ * @param {Array<number[]>|null} roll - [attackerValues, defenderValues]
+ */
+const writeRoll = (writer, roll) => {
+  if (!roll) {
+    writer.varint(0);
+    return;
+  }
+  const [attacker, defender] = roll;
+  writer.varint(attacker.length);
+  writer.varint(defender.length);
+  const values = [...attacker, ...defender];
+  for (let i = 0; i < values.length; i += 2) {
+    writer.byte((values[i] << 4) | (values[i + 1] ?? 0));
+  }
+};
+
+/**
+ * Read the dice values of one attack
+ *
+ * @param {Object} reader - Byte reader
+ * @returns {Array<number[]>|null} [attackerValues, defenderValues]
+ */
+const readRoll = reader => {
+  const attackerCount = reader.varint();
+  if (attackerCount === 0) return null;
+
+  const total = attackerCount + reader.varint();
+  const values = [];
+  while (values.length < total) {
+    const packed = reader.byte();
+    values.push(packed >> 4, packed & 0x0f);
+  }
+  return [values.slice(0, attackerCount), values.slice(attackerCount, total)];
+};
+
+/**
+ * Write a [before, after] dice count pair (0 means not recorded)
+ *
+ * @param {Object} writer - Byte writer
+ * @param {number[]|null} counts - [before, after]
+ */
+const writeCounts = (writer, counts) => {
+  if (!counts) {
+    writer.varint(0);
+    return;
+  }
+  writer.varint(counts[0] + 1);
+  writer.varint(counts[1]);
+};
+
+/**
+ * Read a dice count pair written by writeCounts
+ *
+ * @param {Object} reader - Byte reader
+ * @returns {number[]|null} [before, after]
+ */
+const readCounts = reader => {
+  const before = reader.varint();
+  return before === 0 ? null : [before - 1, reader.varint()];
+};
+
+/**
+ * Encode a replay as a compact URL-safe string
+ *
+ * Layout (unsigned varints): map settings, run-length encoded cells, owner
+ * and dice of each territory, the actions, a flags byte, the optional dice
+ * values, undo positions, dice counts and reinforcement summaries it
+ * announces, and the optional turn numbers. Codes without the trailing turn
+ * numbers stay valid.
+ *
+ * @param {Object} replay - Replay data from createReplay()
+ * @returns {string} Replay code
+ */
+export const encodeReplay = replay => {
+  const { settings, cel, start, actions, rolls, turns } = replay;
+  const { undos = null, dice = null, supply = null } = replay;
+  const writer = createWriter();
+
+  writer.varint(settings.XMAX);
+  writer.varint(settings.YMAX);
+  writer.varint(settings.AREA_MAX);
+  writer.varint(settings.pmax);
+
+  // Cells as (territory, run length) pairs
+  let i = 0;
+  while (i < cel.length) {
+    let run = 1;
+    while (i + run < cel.length && cel[i + run] === cel[i]) run++;
+    writer.varint(cel[i]);
+    writer.varint(run);
+    i += run;
+  }
+
+  // Owner (+1 so unowned is 0) and dice of each territory
+  start.arm.forEach((arm, area) => {
+    writer.varint(arm + 1);
+    writer.varint(start.dice[area]);
+  });
+
+  // Actions: source, whether it is an attack and its result; then the target
+  writer.varint(actions.length);
+  actions.forEach(({ from, to, res }) => {
+    writer.varint((from << 2) | (to > 0 ? 2 : 0) | (res ? 1 : 0));
+    if (to > 0) writer.varint(to);
+  });
+
+  // Dice values of each attack, if recorded, and the undo positions of practice games
+  writer.byte((rolls ? 1 : 0) | (undos ? 2 : 0) | (dice ? 4 : 0) | (supply ? 8 : 0));
+  if (rolls) {
+    actions.forEach((action, index) => {
+      if (action.to > 0) writeRoll(writer, rolls[index]);
+    });
+  }
+  if (undos) {
+    writer.varint(undos.length);
+    undos.forEach(at => writer.varint(at));
+  }
+
+  // Dice counts of each action: the source, then the target of attacks
+  if (dice) {
+    actions.forEach((action, index) => {
+      writeCounts(writer, dice[index]?.from_dice);
+      if (action.to > 0) writeCounts(writer, dice[index]?.to_dice);
+    });
+  }
+
+  // Reinforcement summaries as (actions, earned + 1, placed, stock) runs; earned 0 means none
+  if (supply) {
+    const sameBatch = (a, b) =>
+      a === b || (a && b && a.earned === b.earned && a.placed === b.placed && a.stock === b.stock);
+    const runs = [];
+    supply.forEach(batch => {
+      const last = runs[runs.length - 1];
+      if (last && sameBatch(last.batch, batch)) {
+        last.count++;
+      } else {
+        runs.push({ batch, count: 1 });
+      }
+    });
+    writer.varint(runs.length);
+    runs.forEach(({ batch, count }) => {
+      writer.varint(count);
+      writer.varint(batch ? batch.earned + 1 : 0);
+      if (batch) {
+        writer.varint(batch.placed);
+        writer.varint(batch.stock);
+      }
+    });
+  }
+
+  // Turn numbers as (turns since the previous group, number of actions) pairs
+  if (turns) {
+    const groups = [];
+    turns.forEach((turn, index) => {
+      if (index > 0 && turn === turns[index - 1]) {
+        groups[groups.length - 1].count++;
+      } else {
+        groups.push({ delta: turn - (index > 0 ? turns[index - 1] : 0), count: 1 });
+      }
+    });
+    writer.varint(groups.length);
+    groups.forEach(({ delta, count }) => {
+      writer.varint(delta);
+      writer.varint(count);
+    });
+  }
+
+  return `${REPLAY_CODE_PREFIX}${REPLAY_VERSION}.${toBase64Url(writer.toBytes())}`;
+};
+
+/**
+ * Decode a replay code
+ *
+ * @param {string} code - Replay code from encodeReplay()
+ * @returns {Object} Replay data
+ * @throws {GameStateError} If the code is not a valid replay
+ */
+export const decodeReplay = code => {
+  const match = CODE_PATTERN.exec(String(code).trim());
+  if (!match) {
+    throw new GameStateError('Not a Dice Wars replay code');
+  }
+
+  const version = Number(match[1]);
+  if (version > REPLAY_VERSION) {
+    throw new GameStateError(`Replay version ${version} is newer than supported`, {
+      version,
+      supported: REPLAY_VERSION,
+    });
+  }
+
+  const reader = createReader(fromBase64Url(match[2]));
+  const settings = {
+    XMAX: reader.varint(),
+    YMAX: reader.varint(),
+    AREA_MAX: reader.varint(),
+    pmax: reader.varint(),
+  };
+
+  const cel = [];
+  const celMax = settings.XMAX * settings.YMAX;
+  while (cel.length < celMax) {
+    const area = reader.varint();
+    const run = reader.varint();
+    if (area >= settings.AREA_MAX || run === 0 || cel.length + run > celMax) {
+      throw new GameStateError('Replay map data is invalid', { area, run });
+    }
+    for (let i = 0; i < run; i++) cel.push(area);
+  }
+
+  const start = { arm: [], dice: [] };
+  for (let area = 0; area < settings.AREA_MAX; area++) {
+    start.arm.push(reader.varint() - 1);
+    start.dice.push(reader.varint());
+  }
+
+  const actions = Array.from({ length: reader.varint() }, () => {
+    const packed = reader.varint();
+    const from = Math.floor(packed / 4);
+    const to = packed & 2 ? reader.varint() : 0;
+    if (from >= settings.AREA_MAX || to >= settings.AREA_MAX) {
+      throw new GameStateError('Replay action refers to an unknown territory', { from, to });
+    }
+    return { from, to, res: packed & 1 };
+  });
+
+  // dwr1 codes share this layout but cannot announce dice counts or summaries
+  const flags = reader.byte();
+  if (flags & (version < 2 ? ~3 : ~15)) {
+    throw new GameStateError('Replay code announces unknown data', { version, flags });
+  }
+  const rolls = flags & 1 ? actions.map(action => (action.to > 0 ? readRoll(reader) : null)) : null;
+  const undos = flags & 2 ? Array.from({ length: reader.varint() }, () => reader.varint()) : null;
+  if (undos?.some(at => at > actions.length)) {
+    throw new GameStateError('Replay undo data does not match the actions', { undos });
+  }
+
+  const dice =
+    flags & 4
+      ? actions.map(action => {
+          const from_dice = readCounts(reader);
+          const to_dice = action.to > 0 ? readCounts(reader) : null;
+          return from_dice ? { from_dice, to_dice } : null;
+        })
+      : null;
+
+  let supply = null;
+  if (flags & 8) {
+    supply = [];
+    for (let runs = reader.varint(); runs > 0; runs--) {
+      const count = reader.varint();
+      const earned = reader.varint();
+      const batch =
+        earned > 0 ? { earned: earned - 1, placed: reader.varint(), stock: reader.varint() } : null;
+      for (let i = 0; i < count; i++) supply.push(batch);
+    }
+    if (supply.length !== actions.length) {
+      throw new GameStateError('Replay reinforcement data does not match the actions', {
+        supply: supply.length,
+        actions: actions.length,
+      });
+    }
+  }
+
+  let turns = null;
+  if (!reader.done()) {
+    turns = [];
+    let turn = 0;
+    for (let groups = reader.varint(); groups > 0; groups--) {
+      turn += reader.varint();
+      for (let count = reader.varint(); count > 0; count--) turns.push(turn);
+    }
+    if (turns.length !== actions.length) {
+      throw new GameStateError('Replay turn data does not match the actions', {
+        turns: turns.length,
+        actions: actions.length,
+      });
+    }
+  }
+
+  if (!reader.done()) {
+    throw new GameStateError('Replay code has trailing data');
+  }
+
+  return {
+    format: REPLAY_FORMAT,
+    version,
+    settings,
+    cel,
+    start,
+    actions,
+    rolls,
+    turns,
+    undos,
+    dice,
+    supply,
+  };
+};
+
+/**
+ * Load a replay into a game so it can be played back with start_history
+ *
+ * The map, territory shapes, initial state and history are replaced; the
+ * territories are left in their initial state.
+ *
+ * @param {Object} game - Game instance to load into
+ * @param {Object|string} replay - Replay data or replay code
+ * @returns {Object} The game
+ * @throws {GameStateError} If the replay is invalid
+ */
+export const loadReplay = (game, replay) => {
+  const data = typeof replay === 'string' ? decodeReplay(replay) : replay;
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new GameStateError('Not a Dice Wars replay', { format: data?.format });
+  }
+  const { settings, cel, start, actions, rolls = null, turns = null, undos = null } = data;
+  const { dice = null, supply = null } = data;
+
+  setMapSize(game, settings.XMAX, settings.YMAX, settings.AREA_MAX);
+  game.pmax = settings.pmax;
+
+  // Map: territory shapes are rebuilt from the cells
+  game.cel = [...cel];
+  game.adat = [];
+  setAreaData(game);
+  game.adat.forEach((area, i) => {
+    area.arm = start.arm[i];
+    area.dice = start.dice[i];
+  });
+
+  // History
+  game.his_arm = [...start.arm];
+  game.his_dice = [...start.dice];
+  game.his = actions.map((action, i) =>
+    Object.assign(new HistoryData(), action, {
+      rolls: rolls?.[i] ?? null,
+      turn: turns?.[i] ?? null,
+      from_dice: dice?.[i] ? [...dice[i].from_dice] : null,
+      to_dice: dice?.[i]?.to_dice ? [...dice[i].to_dice] : null,
+      supply: supply?.[i] ?? null,
+    })
+  );
+  game.his_c = actions.length;
+  game.undos = (undos ?? []).map(at => ({ at }));
+
+  return game;
+};
+
+/**
+ * Export a game's replay as a shareable code
+ *
+ * @param {Object} game - Game instance with a recorded history
+ * @param {Object} [options] - Options for createReplay()
+ * @returns {string} Replay code
+ */
+export function exportReplay(game, options) {
+  return encodeReplay(createReplay(game, options));
+}
+
+/**
+ * Import a shared replay code into a game
+ *
+ * @param {Object} game - Game instance to load into
+ * @param {string} code - Replay code
+ * @returns {Object} The game
+ * @throws {GameStateError} If the code is not a valid replay
+ */
+export function importReplay(game, code) {
+  return loadReplay(game, code);
+}
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+  window.exportReplay = exportReplay;
+  window.importReplay = importReplay;
+}
@@ -0,0 +1,284 @@
+/**
+ * Replay Controller Module
+ *
+ * Plays a game's history back with seeking:
+ * - Seek to any action by rebuilding the board from `his_arm`/`his_dice` plus `his`
+ * - Single-step forward and back
+ * - Jump to the start of a turn
+ * - Pause/resume and playback speed (0.5x to 8x)
+ *
+ * The controller only updates `game.adat` (owners and dice); drawing and timing
+ * are left to the caller, such as `play_history` in main.js.
+ */
+
+/**
+ * Playback speeds offered by the replay controls, slowest first
+ */
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Apply one history entry to the territories
+ *
+ * Uses the dice counts recorded with the entry when available and otherwise
+ * the standard rules (a reinforcement adds one die; after an attack the
+ * attacker keeps one die and a conquered territory gets the rest).
+ *
+ * @param {Array} adat - Territory data
+ * @param {Object} entry - History entry
+ */
+export const applyHistoryEntry = (adat, entry) => {
+  const { from, to, res } = entry;
+  const source = adat[from];
+
+  if (to === 0) {
+    source.dice = entry.from_dice ? entry.from_dice[1] : source.dice + 1;
+    return;
+  }
+
+  const target = adat[to];
+  if (res > 0) {
+    target.dice = source.dice - 1;
+    target.arm = source.arm;
+  }
+  source.dice = 1;
+
+  if (entry.from_dice) source.dice = entry.from_dice[1];
+  if (entry.to_dice) target.dice = entry.to_dice[1];
+};
+
+/**
+ * Find where each turn starts in a history
+ *
+ * Uses the turn numbers recorded in the entries. For histories without them,
+ * a new turn starts whenever a different player acts.
+ *
+ * @param {Object} game - Game with `his`, `his_c`, `his_arm` and `his_dice`
+ * @returns {Array<Object>} { turn, index } for each turn with actions, in order
+ */
+export const getTurnStarts = game => {
+  const entries = game.his.slice(0, game.his_c);
+  const arm = [...game.his_arm];
+  const starts = [];
+  let previousPlayer = null;
+
+  entries.forEach((entry, index) => {
+    const player = entry.player ?? arm[entry.from];
+    if (Number.isInteger(entry.turn)) {
+      if (!starts.length || starts[starts.length - 1].turn !== entry.turn) {
+        starts.push({ turn: entry.turn, index });
+      }
+    } else if (index === 0 || player !== previousPlayer) {
+      starts.push({ turn: starts.length ? starts[starts.length - 1].turn + 1 : 0, index });
+    }
+    previousPlayer = player;
+
+    // Track owners for histories that do not record the acting player
+    if (entry.to > 0 && entry.res > 0) arm[entry.to] = arm[entry.from];
+  });
+
+  return starts;
+};
+
+/**
+ * Replay Controller
+ *
+ * `position` is the number of history entries applied to the board, so 0 is
+ * the initial state and `length` the final one.
+ */
+export class ReplayController {
+  /**
+   * Create a controller for a game's history
+   *
+   * The board is reset to the initial state.
+   *
+   * @param {Object} game - Game with a recorded history
+   * @param {Object} [options] - Controller options
+   * @param {number} [options.speed=1] - Initial playback speed
+   */
+  constructor(game, { speed = 1 } = {}) {
+    this.game = game;
+    this.position = 0;
+    this.playing = true;
+    this.speed = 1;
+    this.turnStarts = getTurnStarts(game);
+
+    this.setSpeed(speed);
+    this.seek(0);
+  }
+
+  /**
+   * Number of actions in the history
+   *
+   * @returns {number} History length
+   */
+  get length() {
+    return this.game.his_c;
+  }
+
+  /**
+   * Whether every action has been applied
+   *
+   * @returns {boolean} True at the end of the history
+   */
+  get atEnd() {
+    return this.position >= this.length;
+  }
+
+  /**
+   * The next action to apply
+   *
+   * @returns {Object|null} History entry, or null at the end
+   */
+  get current() {
+    return this.atEnd ? null : this.game.his[this.position];
+  }
+
+  /**
+   * Rebuild the board after the first `index` actions
+   *
+   * @param {number} index - Number of actions to apply (clamped to the history)
+   * @returns {ReplayController} This controller for chaining
+   */
+  seek(index) {
+    const { game } = this;
+    const target = Math.max(0, Math.min(Math.floor(index), this.length));
+
+    for (let i = 0; i < game.AREA_MAX; i++) {
+      if (game.adat[i].size === 0) continue;
+      game.adat[i].arm = game.his_arm[i];
+      game.adat[i].dice = game.his_dice[i];
+    }
+    for (let i = 0; i < target; i++) {
+      applyHistoryEntry(game.adat, game.his[i]);
+    }
+
+    this.position = target;
+    return this;
+  }
+
+  /**
+   * Apply the next action
+   *
+   * @returns {Object|null} The applied history entry, or null at the end
+   */
+  stepForward() {
+    const entry = this.current;
+    if (!entry) return null;
+
+    applyHistoryEntry(this.game.adat, entry);
+    this.position++;
+    return entry;
+  }
+
+  /**
+   * Undo the last applied action
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  stepBack() {
+    return this.seek(this.position - 1);
+  }
+
+  /**
+   * Get the turn the board is in
+   *
+   * @returns {number} Turn of the next action (or of the last one at the end)
+   */
+  getTurn() {
+    const index = Math.min(this.position, this.length - 1);
+    const start = this.turnStarts.filter(turnStart => turnStart.index <= index).pop();
+    return start ? start.turn : 0;
+  }
+
+  /**
+   * Jump to the start of a turn
+   *
+   * Turns without any actions are skipped to the next turn that has some.
+   *
+   * @param {number} turn - Turn number
+   * @returns {ReplayController} This controller for chaining
+   */
+  jumpToTurn(turn) {
+    const start = this.turnStarts.find(turnStart => turnStart.turn >= turn);
+    return this.seek(start ? start.index : this.length);
+  }
+
+  /**
+   * Jump to the start of the next turn
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  nextTurn() {
+    const start = this.turnStarts.find(turnStart => turnStart.index > this.position);
+    return this.seek(start ? start.index : this.length);
+  }
+
+  /**
+   * Jump to the start of the current turn, or of the previous one when
+   * already at the start
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  previousTurn() {
+    const start = this.turnStarts.filter(turnStart => turnStart.index < this.position).pop();
+    return this.seek(start ? start.index : 0);
+  }
+
+  /**
+   * Resume playback, from the start if the history has ended
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  play() {
+    if (this.atEnd) this.seek(0);
+    this.playing = true;
+    return this;
+  }
+
+  /**
+   * Pause playback
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  pause() {
+    this.playing = false;
+    return this;
+  }
+
+  /**
+   * Toggle between playing and paused
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  togglePause() {
+    return this.playing ? this.pause() : this.play();
+  }
+
+  /**
+   * Set the playback speed
+   *
+   * @param {number} speed - Speed multiplier (clamped to 0.5x to 8x)
+   * @returns {ReplayController} This controller for chaining
+   */
+  setSpeed(speed) {
+    const min = REPLAY_SPEEDS[0];
+    const max = REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1];
+    this.speed = Math.max(min, Math.min(Number(speed) || 1, max));
+    return this;
+  }
+
+  /**
+   * Switch to the next faster speed, wrapping around to the slowest
+   *
+   * @returns {ReplayController} This controller for chaining
+   */
+  cycleSpeed() {
+    const next = REPLAY_SPEEDS.find(speed => speed > this.speed);
+    return this.setSpeed(next ?? REPLAY_SPEEDS[0]);
+  }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.ReplayController = ReplayController;
+}
@@ -0,0 +1,338 @@
+/**
+ * Save Game Module
+ *
+ * Converts a game to and from a versioned JSON snapshot:
+ * - Settings and game rules
+ * - Map cells, territories (shape, adjacency, ownership, dice)
+ * - Players, stocks, turn order and the current turn
+ * - Replay history, the random source state and the balanced-luck decks
+ * - Saving and loading snapshots with localStorage
+ *
+ * Works with any object that has the Game fields (`cel`, `adat`, `player`,
+ * `jun`, `ban`, `his`, ...), so both the ES6 Game and the legacy game can be
+ * saved. Older snapshots are upgraded through SAVE_MIGRATIONS on load.
+ */
+
+import { AreaData, PlayerData, HistoryData } from '../models/index.js';
+import { GameStateError } from '../mechanics/errors/index.js';
+import { getRules, normalizeRules } from './config.js';
+import { setMapSize } from './grid.js';
+
+/**
+ * Snapshot format identifier and current schema version
+ */
+export const SAVE_FORMAT = 'dicewars-save';
+export const SAVE_VERSION = 4;
+
+// Human seats of a game with a single human player (none when spectating)
+const seatsOf = user => (user === null || user === undefined ? [] : [user]);
+
+/**
+ * Migration hooks keyed by the version they upgrade from
+ *
+ * Each hook receives a snapshot of version N and returns one of version N + 1.
+ * When the format changes, bump SAVE_VERSION and add a hook for the old version.
+ */
+export const SAVE_MIGRATIONS = {
+  // Version 1 only records the stock cap of the rules
+  1: ({ settings, ...data }) => ({
+    ...data,
+    settings: { ...settings, rules: normalizeRules({ stockMax: settings.STOCK_MAX }) },
+  }),
+  // Version 2 only records the one human player
+  2: ({ settings, ...data }) => ({
+    ...data,
+    settings: { ...settings, humans: seatsOf(settings.user) },
+  }),
+  // Version 3 has no attacks taken back in practice games
+  3: ({ history, ...data }) => ({ ...data, history: { ...history, undos: [] } }),
+};
+
+/**
+ * localStorage key prefix for saved games (one entry per slot)
+ */
+export const SAVE_STORAGE_KEY = 'dicewarsSave';
+
+// Scalar AreaData fields stored as-is
+const AREA_FIELDS = [
+  'size',
+  'cpos',
+  'arm',
+  'dice',
+  'left',
+  'right',
+  'top',
+  'bottom',
+  'cx',
+  'cy',
+  'len_min',
+];
+
+/**
+ * Copy an array for JSON, keeping its length (holes become null)
+ *
+ * @param {Array} array - Array to copy
+ * @returns {Array} Dense copy
+ */
+const copyArray = array => Array.from(array, value => value ?? null);
+
+/**
+ * Copy saved values into an array, leaving null entries as holes
+ *
+ * @param {Array} target - Array to fill
+ * @param {Array} values - Saved values
+ * @returns {Array} The target array
+ */
+const restoreArray = (target, values) => {
+  values.forEach((value, i) => {
+    if (value !== null) target[i] = value;
+  });
+  return target;
+};
+
+/**
+ * Copy the balanced-luck outcome decks
+ *
+ * @param {Object} [decks] - Decks keyed by matchup
+ * @returns {Object} Copied decks (empty when there are none)
+ */
+const copyDecks = (decks = {}) =>
+  Object.fromEntries(Object.entries(decks ?? {}).map(([key, deck]) => [key, [...deck]]));
+
+/**
+ * Serialize one territory
+ *
+ * @param {AreaData} area - Territory data
+ * @returns {Object} Plain territory data
+ */
+const serializeArea = area => ({
+  ...Object.fromEntries(AREA_FIELDS.map(field => [field, area[field]])),
+  line_cel: copyArray(area.line_cel),
+  line_dir: copyArray(area.line_dir),
+  join: copyArray(area.join),
+});
+
+/**
+ * Restore one territory
+ *
+ * @param {Object} data - Plain territory data
+ * @returns {AreaData} Territory data
+ */
+const deserializeArea = data => {
+  const area = new AreaData();
+  AREA_FIELDS.forEach(field => {
+    area[field] = data[field];
+  });
+  area.line_cel = restoreArray(new Array(data.line_cel.length), data.line_cel);
+  area.line_dir = restoreArray(new Array(data.line_dir.length), data.line_dir);
+  area.join = [...data.join];
+  return area;
+};
+
+/**
+ * Create a versioned snapshot of a game
+ *
+ * @param {Object} game - Game instance
+ * @returns {Object} JSON-compatible snapshot
+ */
+export const serializeGame = game => ({
+  format: SAVE_FORMAT,
+  version: SAVE_VERSION,
+  savedAt: new Date().toISOString(),
+  settings: {
+    XMAX: game.XMAX,
+    YMAX: game.YMAX,
+    AREA_MAX: game.AREA_MAX,
+    STOCK_MAX: game.STOCK_MAX,
+    pmax: game.pmax,
+    user: game.user,
+    humans: [...(game.humans ?? seatsOf(game.user))],
+    put_dice: game.put_dice,
+    rules: getRules(game),
+  },
+  random: {
+    seed: game.seed ?? null,
+    state: typeof game.rng?.getState === 'function' ? game.rng.getState() : null,
+    decks: copyDecks(game.battle_deck),
+  },
+  map: {
+    cel: game.cel.slice(0, game.XMAX * game.YMAX),
+    areas: game.adat.slice(0, game.AREA_MAX).map(serializeArea),
+  },
+  players: game.player.map(player => ({ ...player })),
+  turn: {
+    jun: [...game.jun],
+    ban: game.ban,
+    turn_c: game.turn_c ?? 0,
+    area_from: game.area_from,
+    area_to: game.area_to,
+    defeat: game.defeat,
+  },
+  history: {
+    entries: game.his.slice(0, game.his_c).map(entry => ({ ...entry })),
+    arm: copyArray(game.his_arm),
+    dice: copyArray(game.his_dice),
+    undos: (game.undos ?? []).map(undo => ({ ...undo })),
+  },
+});
+
+/**
+ * Upgrade a snapshot to the current schema version
+ *
+ * @param {Object} data - Snapshot of any supported version
+ * @param {Object} [migrations=SAVE_MIGRATIONS] - Migration hooks by version
+ * @returns {Object} Snapshot at SAVE_VERSION
+ * @throws {GameStateError} If the snapshot is invalid or cannot be upgraded
+ */
+export const migrateSave = (data, migrations = SAVE_MIGRATIONS) => {
+  if (!data || data.format !== SAVE_FORMAT || !Number.isInteger(data.version)) {
+    throw new GameStateError('Not a Dice Wars save game', { format: data?.format });
+  }
+
+  if (data.version > SAVE_VERSION) {
+    throw new GameStateError(`Save game version ${data.version} is newer than supported`, {
+      version: data.version,
+      supported: SAVE_VERSION,
+    });
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION) {
+    const migrate = migrations[migrated.version];
+    if (typeof migrate !== 'function') {
+      throw new GameStateError(`No migration for save game version ${migrated.version}`, {
+        version: migrated.version,
+      });
+    }
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+
+  return migrated;
+};
+
+/**
+ * Restore a game from a snapshot
+ *
+ * The snapshot is upgraded to the current version first. The game's AI
+ * assignments are left untouched since they come from configuration.
+ *
+ * @param {Object} game - Game instance to restore into
+ * @param {Object|string} snapshot - Snapshot object or its JSON string
+ * @returns {Object} The restored game
+ * @throws {GameStateError} If the snapshot is invalid or cannot be upgraded
+ */
+export const deserializeGame = (game, snapshot) => {
+  const data = migrateSave(typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot);
+  const { settings, random, map, players, turn, history } = data;
+
+  // Settings
+  setMapSize(game, settings.XMAX, settings.YMAX, settings.AREA_MAX);
+  game.rules = normalizeRules(settings.rules);
+  game.STOCK_MAX = game.rules.stockMax;
+  game.pmax = settings.pmax;
+  game.user = settings.user;
+  game.humans = [...settings.humans];
+  game.put_dice = settings.put_dice;
+
+  // Map
+  game.cel = [...map.cel];
+  game.adat = map.areas.map(deserializeArea);
+
+  // Players and turn
+  game.player = players.map(saved => Object.assign(new PlayerData(), saved));
+  game.jun = [...turn.jun];
+  game.ban = turn.ban;
+  game.turn_c = turn.turn_c ?? 0;
+  game.area_from = turn.area_from;
+  game.area_to = turn.area_to;
+  game.defeat = turn.defeat;
+
+  // History
+  game.his = history.entries.map(entry => Object.assign(new HistoryData(), entry));
+  game.his_c = history.entries.length;
+  game.his_arm = restoreArray(new Array(history.arm.length), history.arm);
+  game.his_dice = restoreArray(new Array(history.dice.length), history.dice);
+  game.undos = history.undos.map(undo => ({ ...undo }));
+
+  // Random source, resumed where it left off
+  game.battle_deck = copyDecks(random.decks);
+  if (typeof game.setSeed === 'function') {
+    game.setSeed(random.seed);
+    if (random.state !== null && typeof game.rng.setState === 'function') {
+      game.rng.setState(random.state);
+    }
+  }
+
+  return game;
+};
+
+/**
+ * Save a game to localStorage
+ *
+ * @param {Object} game - Game instance to save
+ * @param {string} [slot='default'] - Save slot name
+ * @returns {boolean} Whether the game was saved
+ */
+export function saveGame(game, slot = 'default') {
+  try {
+    localStorage.setItem(`${SAVE_STORAGE_KEY}:${slot}`, JSON.stringify(serializeGame(game)));
+    return true;
+  } catch (e) {
+    console.warn('Failed to save game to localStorage', e);
+    return false;
+  }
+}
+
+/**
+ * Load a saved game from localStorage
+ *
+ * @param {Object} game - Game instance to restore into
+ * @param {string} [slot='default'] - Save slot name
+ * @returns {Object|null} The restored game, or null if nothing could be loaded
+ */
+export function loadSavedGame(game, slot = 'default') {
+  try {
+    const saved = localStorage.getItem(`${SAVE_STORAGE_KEY}:${slot}`);
+    if (saved) {
+      return deserializeGame(game, saved);
+    }
+  } catch (e) {
+    console.warn('Failed to load game from localStorage', e);
+  }
+  return null;
+}
+
+/**
+ * Check whether a saved game exists
+ *
+ * @param {string} [slot='default'] - Save slot name
+ * @returns {boolean} Whether the slot holds a saved game
+ */
+export function hasSavedGame(slot = 'default') {
+  try {
+    return localStorage.getItem(`${SAVE_STORAGE_KEY}:${slot}`) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Delete a saved game from localStorage
+ *
+ * @param {string} [slot='default'] - Save slot name
+ */
+export function deleteSavedGame(slot = 'default') {
+  try {
+    localStorage.removeItem(`${SAVE_STORAGE_KEY}:${slot}`);
+  } catch (e) {
+    console.warn('Failed to delete saved game from localStorage', e);
+  }
+}
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+  window.saveGame = saveGame;
+  window.loadSavedGame = loadSavedGame;
+  window.hasSavedGame = hasSavedGame;
+  window.deleteSavedGame = deleteSavedGame;
+}
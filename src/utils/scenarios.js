@@ -0,0 +1,210 @@
+/**
+ * Scenario Maps Module
+ *
+ * Built-in hand-made maps for tutorials and competitive play. Each scenario
+ * draws its board as rows of cells: `.` is sea and `1`-`9`, `a`-`v` are
+ * territories 1 to 31 (base 36). Rows use the game's hex layout, so odd rows
+ * sit half a cell to the right. The board is centered on the game's grid and
+ * loaded with mapLoader.js.
+ */
+
+import { MapError } from '../mechanics/errors/index.js';
+import { MAP_FORMAT, MAP_VERSION, loadMap } from './mapLoader.js';
+
+/**
+ * Built-in scenarios
+ *
+ * `territories` lists [owner, dice] for territory 1, 2, ... in order.
+ */
+export const SCENARIOS = Object.freeze([
+  {
+    id: 'first-steps',
+    name: 'First Steps',
+    description: 'Tutorial: two strong territories against three weak ones',
+    rows: [
+      '...11111.2222...',
+      '..1111112222222.',
+      '..111111222222..',
+      '.33331144422222.',
+      '.3333344444555..',
+      '..33334444455555',
+      '..3333444445555.',
+      '...333..44..55..',
+    ],
+    territories: [
+      [0, 5],
+      [1, 1],
+      [0, 4],
+      [1, 2],
+      [1, 1],
+    ],
+  },
+  {
+    id: 'duel',
+    name: 'Duel',
+    description: 'Two players, mirrored halves joined by two fronts',
+    rows: [
+      '..11111222....77766666..',
+      '.111112222....777766666.',
+      '.1111122222277777766666.',
+      '..111332222..777788666..',
+      '.3333333224499778888888.',
+      '..333333444..999888888..',
+      '.5553334444..9999888aaa.',
+      '..555544444..99999aaaa..',
+      '.55555444......999aaaaa.',
+      '..5555544......99aaaaa..',
+    ],
+    territories: [
+      [0, 3],
+      [0, 4],
+      [0, 3],
+      [0, 4],
+      [0, 3],
+      [1, 3],
+      [1, 4],
+      [1, 3],
+      [1, 4],
+      [1, 3],
+    ],
+  },
+  {
+    id: 'four-corners',
+    name: 'Four Corners',
+    description: 'Four players, one corner each, linked in a ring',
+    rows: [
+      '....1111222..5554444....',
+      '...11111222..55544444...',
+      '..111112222..555544444..',
+      '..11111222225555544444..',
+      '.3111122222255555544446.',
+      '.3333222222255555556666.',
+      '..33333322225555666666..',
+      '.3333333222255556666666.',
+      '..33333332....56666666..',
+      '...33333........66666...',
+      '...99999........ccccc...',
+      '..99999998....bccccccc..',
+      '.99999998888bbbbccccccc.',
+      '..9999998888bbbbcccccc..',
+      '.99998888888bbbbbbbcccc.',
+      '.97777888888bbbbbbaaaac.',
+      '..7777788888bbbbbaaaaa..',
+      '..777778888..bbbbaaaaa..',
+      '...77777888..bbbaaaaa...',
+      '....7777888..bbbaaaa....',
+    ],
+    territories: [
+      [0, 3],
+      [0, 4],
+      [0, 3],
+      [1, 3],
+      [1, 4],
+      [1, 3],
+      [2, 3],
+      [2, 4],
+      [2, 3],
+      [3, 3],
+      [3, 4],
+      [3, 3],
+    ],
+  },
+]);
+
+/**
+ * Find a built-in scenario
+ *
+ * @param {string} id - Scenario id
+ * @returns {Object} Scenario
+ * @throws {MapError} If there is no scenario with that id
+ */
+export const getScenario = id => {
+  const scenario = SCENARIOS.find(candidate => candidate.id === id);
+  if (!scenario) {
+    throw new MapError(`Unknown scenario: ${id}`, {
+      id,
+      available: SCENARIOS.map(candidate => candidate.id),
+    });
+  }
+  return scenario;
+};
+
+/**
+ * Create the map definition of a scenario
+ *
+ * The rows are centered on the grid. The top row stays on an even grid row so
+ * that the hex layout, and with it the territory shapes, are kept.
+ *
+ * @param {Object} scenario - Scenario
+ * @param {Object} [grid] - Grid to place the scenario on
+ * @param {number} [grid.XMAX=28] - Cells per row
+ * @param {number} [grid.YMAX=32] - Number of rows
+ * @param {number} [grid.AREA_MAX=32] - Territory limit
+ * @returns {Object} Map definition
+ * @throws {MapError} If the scenario does not fit on the grid
+ */
+export const createScenarioMap = (scenario, { XMAX = 28, YMAX = 32, AREA_MAX = 32 } = {}) => {
+  const { rows, territories } = scenario;
+  const width = Math.max(...rows.map(row => row.length));
+  const height = rows.length;
+  if (width > XMAX || height > YMAX || territories.length >= AREA_MAX) {
+    throw new MapError(`Scenario ${scenario.id} does not fit on a ${XMAX}x${YMAX} grid`, {
+      id: scenario.id,
+      width,
+      height,
+    });
+  }
+
+  const left = Math.floor((XMAX - width) / 2);
+  const top = Math.floor((YMAX - height) / 4) * 2;
+  const cel = new Array(XMAX * YMAX).fill(0);
+  rows.forEach((row, y) => {
+    [...row].forEach((char, x) => {
+      if (char !== '.') cel[(top + y) * XMAX + left + x] = parseInt(char, 36);
+    });
+  });
+
+  const start = { arm: new Array(AREA_MAX).fill(-1), dice: new Array(AREA_MAX).fill(0) };
+  territories.forEach(([owner, dice], i) => {
+    start.arm[i + 1] = owner;
+    start.dice[i + 1] = dice;
+  });
+
+  return {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    name: scenario.name,
+    settings: {
+      XMAX,
+      YMAX,
+      AREA_MAX,
+      pmax: Math.max(...territories.map(([owner]) => owner)) + 1,
+    },
+    cel,
+    start,
+  };
+};
+
+/**
+ * Load a built-in scenario into a game in place of a generated map
+ *
+ * @param {Object} game - Game to load into (its grid is kept)
+ * @param {string} id - Scenario id
+ * @returns {Object} The game, ready for start_game()
+ * @throws {MapError} If the scenario does not exist or does not fit
+ */
+export const loadScenario = (game, id) =>
+  loadMap(
+    game,
+    createScenarioMap(getScenario(id), {
+      XMAX: game.XMAX,
+      YMAX: game.YMAX,
+      AREA_MAX: game.AREA_MAX,
+    })
+  );
+
+// Export functions for global use
+if (typeof window !== 'undefined') {
+  window.SCENARIOS = SCENARIOS;
+  window.loadScenario = loadScenario;
+}
@@ -0,0 +1,232 @@
+/**
+ * Turn Clock Module
+ *
+ * Optional time limits for human players, in one of three modes:
+ * - fixed: every turn lasts at most `seconds`
+ * - chess: each player has `seconds` for the whole game
+ * - fischer: like chess, with `increment` seconds added after every turn
+ *
+ * A turn ends when its time runs out. In chess mode a player who has used up
+ * their time has none left for later turns. The game loop sends the clock data
+ * with its TURN_START and TURN_END events. The clock reads the time through a
+ * function so tests can control it.
+ */
+
+/**
+ * Clock modes
+ */
+export const CLOCK_MODES = ['fixed', 'chess', 'fischer'];
+
+/**
+ * Default time of each mode, in seconds: per turn (fixed) or per game (chess, fischer)
+ */
+export const DEFAULT_CLOCK_SECONDS = {
+  fixed: 30,
+  chess: 300,
+  fischer: 120,
+};
+
+/**
+ * Default clock settings
+ */
+export const DEFAULT_CLOCK = {
+  mode: 'fixed',
+  seconds: null, // Seconds per turn (fixed) or per game (null = DEFAULT_CLOCK_SECONDS)
+  increment: 5, // Seconds added after each turn (fischer)
+};
+
+/**
+ * Complete a set of clock settings
+ *
+ * @param {Object|null} settings - `{ mode, seconds, increment }`, or null for no clock
+ * @returns {Object|null} Complete settings, or null when turns are not timed
+ */
+export const normalizeClock = settings => {
+  if (!settings) return null;
+
+  const merged = { ...DEFAULT_CLOCK, ...settings };
+  if (!CLOCK_MODES.includes(merged.mode)) {
+    console.warn(`Unknown clock mode "${merged.mode}", turns are not timed`);
+    return null;
+  }
+
+  return {
+    mode: merged.mode,
+    seconds: Math.max(1, Number(merged.seconds) || DEFAULT_CLOCK_SECONDS[merged.mode]),
+    increment: merged.mode === 'fischer' ? Math.max(0, Number(merged.increment) || 0) : 0,
+  };
+};
+
+/**
+ * Format a time for the player status
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Minutes and seconds, such as "4:05" (rounded up to the second)
+ */
+export const formatClock = ms => {
+  const seconds = Math.ceil(Math.max(0, ms) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * TurnClock Class
+ *
+ * Times the turns of the players it is given. Times are in milliseconds.
+ */
+export class TurnClock {
+  /**
+   * Create a clock
+   *
+   * @param {Object} settings - Clock settings (see normalizeClock)
+   * @param {Object} [options] - Clock options
+   * @param {Array<number>} [options.players=[]] - Timed players (the human seats)
+   * @param {Function} [options.now] - Current time in milliseconds (Date.now by default)
+   */
+  constructor(settings, { players = [], now = () => Date.now() } = {}) {
+    this.settings = normalizeClock(settings) ?? normalizeClock(DEFAULT_CLOCK);
+    this.players = [...players];
+    this.now = now;
+
+    // Time left in the game for each player (chess and Fischer)
+    this.banks = {};
+    this.players.forEach(p => {
+      this.banks[p] = this.settings.seconds * 1000;
+    });
+
+    this.player = null;
+    this.startedAt = 0;
+    this.limit = 0;
+  }
+
+  /**
+   * Whether a turn is being timed
+   *
+   * @returns {boolean} True between start() and stop()
+   */
+  get running() {
+    return this.player !== null;
+  }
+
+  /**
+   * Whether the current turn is out of time
+   *
+   * @returns {boolean} True when the turn has to end
+   */
+  get expired() {
+    return this.running && this.remaining() === 0;
+  }
+
+  /**
+   * Check whether a player's turns are timed
+   *
+   * @param {number} player - Player index
+   * @returns {boolean} True for timed players
+   */
+  isTimed(player) {
+    return this.players.includes(player);
+  }
+
+  /**
+   * Time a player has left
+   *
+   * @param {number} [player=this.player] - Player index
+   * @returns {number} Milliseconds left in the current turn for the player to move,
+   *   otherwise what their next turn starts with
+   */
+  remaining(player = this.player) {
+    if (this.running && player === this.player) {
+      return Math.max(0, this.limit - (this.now() - this.startedAt));
+    }
+    return this.settings.mode === 'fixed'
+      ? this.settings.seconds * 1000
+      : (this.banks[player] ?? 0);
+  }
+
+  /**
+   * Start timing a player's turn
+   *
+   * Untimed players are not timed.
+   *
+   * @param {number} player - Player whose turn starts
+   * @returns {Object|null} Clock data, or null for untimed players
+   */
+  start(player) {
+    if (!this.isTimed(player)) return null;
+
+    this.limit = this.remaining(player);
+    this.player = player;
+    this.startedAt = this.now();
+
+    return this.getData();
+  }
+
+  /**
+   * Stop timing the current turn
+   *
+   * Charges the time used to the player's game time and adds the Fischer
+   * increment.
+   *
+   * @returns {Object|null} Clock data with the time `used`, whether the turn `timedOut` and
+   *   the time left after it (with the increment), or null when no turn was being timed
+   */
+  stop() {
+    if (!this.running) return null;
+
+    const { player, limit } = this;
+    const timedOut = this.expired;
+    const used = Math.min(limit, this.now() - this.startedAt);
+    if (this.settings.mode !== 'fixed') {
+      this.banks[player] = limit - used + this.settings.increment * 1000;
+    }
+    this.player = null;
+
+    const remaining = this.settings.mode === 'fixed' ? limit - used : this.banks[player];
+    return { ...this.getData(player), remaining, limit, used, timedOut };
+  }
+
+  /**
+   * Get the clock data of a player
+   *
+   * @param {number} [player=this.player] - Player index
+   * @returns {Object} Mode, player, time left and the time the turn started with
+   *   (`limit`, for the player to move)
+   */
+  getData(player = this.player) {
+    return {
+      mode: this.settings.mode,
+      player,
+      remaining: this.remaining(player),
+      limit: this.running && player === this.player ? this.limit : null,
+      increment: this.settings.increment * 1000,
+    };
+  }
+
+  /**
+   * Get the time to show in a player's status
+   *
+   * @param {number} player - Player index
+   * @returns {string} Time left ('' for untimed players, and in fixed mode for players
+   *   who are not moving)
+   */
+  getText(player) {
+    if (!this.isTimed(player)) return '';
+    if (this.settings.mode === 'fixed' && player !== this.player) return '';
+    return formatClock(this.remaining(player));
+  }
+}
+
+/**
+ * Create a clock for a game's human players
+ *
+ * @param {Object|null} settings - Clock settings from the configuration (`turnClock`)
+ * @param {Object} [options] - TurnClock options
+ * @returns {TurnClock|null} The clock, or null when turns are not timed
+ */
+export const createTurnClock = (settings, options = {}) =>
+  normalizeClock(settings) ? new TurnClock(settings, options) : null;
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+  window.createTurnClock = createTurnClock;
+  window.formatClock = formatClock;
+}
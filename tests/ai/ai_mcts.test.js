@@ -0,0 +1,98 @@
+/**
+ * Tests for Monte Carlo Tree Search AI implementation
+ */
+import { AI_STRATEGIES, load_ai_mcts } from '../../src/ai/aiConfig.js';
+import { MCTS_DEFAULTS, ai_mcts, createMCTSAI } from '../../src/ai/ai_mcts.js';
+import { createRandom } from '../../src/utils/random.js';
+import { GameRunner } from '../../src/runner/index.js';
+import { createGameMock } from '../mocks/gameMock.js';
+
+describe('MCTS AI', () => {
+  let mockGame;
+
+  beforeEach(() => {
+    // Set up a fresh mock game for each test, with a seeded random source
+    mockGame = createGameMock({
+      currentPlayer: 1,
+      usePlayerDataModel: true,
+    });
+    mockGame.rng = createRandom('mcts-test');
+  });
+
+  test('ends turn when no valid moves are available', () => {
+    mockGame.createTerritory(1, 1, 1, { 2: 1 });
+    mockGame.createTerritory(2, 2, 3, { 1: 1 });
+
+    expect(ai_mcts(mockGame)).toBe(0);
+    expect(mockGame.area_from).toBe(0);
+    expect(mockGame.area_to).toBe(0);
+  });
+
+  test('does not search hopeless attacks', () => {
+    mockGame.createTerritory(1, 1, 2, { 2: 1 });
+    mockGame.createTerritory(2, 2, 8, { 1: 1 });
+
+    expect(ai_mcts(mockGame)).toBe(0);
+  });
+
+  test('takes a sure conquest', () => {
+    mockGame.createTerritory(1, 1, 8, { 2: 1 });
+    mockGame.createTerritory(2, 2, 1, { 1: 1, 3: 1 });
+    mockGame.createTerritory(3, 2, 1, { 2: 1 });
+
+    expect(ai_mcts(mockGame)).toBe(1);
+    expect(mockGame.area_from).toBe(1);
+    expect(mockGame.area_to).toBe(2);
+  });
+
+  test('picks the attack that opens up the rest of the board', () => {
+    // Taking territory 3 leaves 7 dice to take the rest; territory 2 is a dead end
+    mockGame.createTerritory(1, 1, 8, { 2: 1, 3: 1 });
+    mockGame.createTerritory(2, 2, 1, { 1: 1 });
+    mockGame.createTerritory(3, 2, 1, { 1: 1, 4: 1 });
+    mockGame.createTerritory(4, 2, 1, { 3: 1, 5: 1 });
+    mockGame.createTerritory(5, 2, 1, { 4: 1 });
+
+    createMCTSAI({ iterations: 400 })(mockGame);
+
+    expect(mockGame.area_to).toBe(3);
+  });
+
+  test('stops when its time is up', () => {
+    mockGame.createTerritory(1, 1, 5, { 2: 1 });
+    mockGame.createTerritory(2, 2, 3, { 1: 1 });
+    let time = 0;
+    const now = jest.spyOn(performance, 'now').mockImplementation(() => {
+      time += 10;
+      return time;
+    });
+
+    createMCTSAI({ timeMs: 50 })(mockGame);
+
+    // One call sets the deadline, then one after each of the five playouts
+    expect(now).toHaveBeenCalledTimes(6);
+    now.mockRestore();
+  });
+
+  test('plays a seeded game the same way every time', async () => {
+    const play = () =>
+      new GameRunner({
+        seed: 'mcts-game',
+        playerCount: 3,
+        maxTurns: 6,
+        ai: [createMCTSAI({ iterations: 40 }), 'ai_default', 'ai_default'],
+      }).run();
+
+    const first = await play();
+    const second = await play();
+
+    expect(first.turns).toBeGreaterThan(0);
+    expect(second.history).toEqual(first.history);
+  });
+
+  test('is registered with the other strategies', async () => {
+    expect(AI_STRATEGIES.ai_mcts).toMatchObject({ id: 'ai_mcts', difficulty: 5 });
+    expect(await load_ai_mcts()).toBe(ai_mcts);
+    expect(MCTS_DEFAULTS.timeMs).toBeNull();
+  });
+});
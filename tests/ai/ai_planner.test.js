@@ -0,0 +1,113 @@
+/**
+ * Tests for Attack Chain Planner AI implementation
+ */
+import { AI_STRATEGIES, load_ai_planner } from '../../src/ai/aiConfig.js';
+import { ai_planner, planAttackChain } from '../../src/ai/ai_planner.js';
+import { createGameMock } from '../mocks/gameMock.js';
+
+describe('Chain Planner AI', () => {
+  let mockGame;
+
+  beforeEach(() => {
+    // Set up a fresh mock game for each test
+    mockGame = createGameMock({
+      currentPlayer: 1,
+      usePlayerDataModel: true,
+    });
+  });
+
+  test('ends turn when no valid moves are available', () => {
+    mockGame.createTerritory(1, 1, 1, { 2: 1 });
+    mockGame.createTerritory(2, 2, 3, { 1: 1 });
+
+    expect(ai_planner(mockGame)).toBe(0);
+    expect(mockGame.area_from).toBe(0);
+    expect(mockGame.area_to).toBe(0);
+  });
+
+  test('does not attack against the odds', () => {
+    mockGame.createTerritory(1, 1, 2, { 2: 1 });
+    mockGame.createTerritory(2, 2, 8, { 1: 1 });
+
+    expect(ai_planner(mockGame)).toBe(0);
+  });
+
+  test('chains attacks to link its regions', () => {
+    // Taking 4 and then 5 joins territories 1-3 with 6-7; taking 8 only adds one after that
+    mockGame.createTerritory(1, 1, 8, { 2: 1, 8: 1 });
+    mockGame.createTerritory(2, 1, 1, { 1: 1, 3: 1 });
+    mockGame.createTerritory(3, 1, 8, { 2: 1, 4: 1 });
+    mockGame.createTerritory(4, 2, 1, { 3: 1, 5: 1 });
+    mockGame.createTerritory(5, 2, 1, { 4: 1, 6: 1 });
+    mockGame.createTerritory(6, 1, 1, { 5: 1, 7: 1 });
+    mockGame.createTerritory(7, 1, 1, { 6: 1 });
+    mockGame.createTerritory(8, 2, 1, { 1: 1 });
+
+    const plan = planAttackChain(mockGame, 1);
+
+    expect(plan.attacks).toEqual([
+      [3, 4],
+      [4, 5],
+      [1, 8],
+    ]);
+    expect(plan.gain).toBeGreaterThan(3);
+    expect(plan.odds).toBeLessThan(1);
+
+    expect(ai_planner(mockGame)).toBe(1);
+    expect(mockGame.area_from).toBe(3);
+    expect(mockGame.area_to).toBe(4);
+  });
+
+  test('ignores attacks that do not add to its reinforcements', () => {
+    // Territory 1 is cut off from the larger group of 5-7
+    mockGame.createTerritory(1, 1, 6, { 2: 1 });
+    mockGame.createTerritory(2, 2, 1, { 1: 1 });
+    mockGame.createTerritory(5, 1, 1, { 6: 1 });
+    mockGame.createTerritory(6, 1, 1, { 5: 1, 7: 1 });
+    mockGame.createTerritory(7, 1, 1, { 6: 1 });
+
+    expect(planAttackChain(mockGame, 1)).toBeNull();
+
+    // Every territory counts when reinforcements are earned per territory
+    mockGame.rules = { reinforcement: 'totalTerritories' };
+    expect(planAttackChain(mockGame, 1)).toMatchObject({ attacks: [[1, 2]] });
+  });
+
+  test('follows up a chain with a second stack', () => {
+    // Neither 2 nor 4 adds to the group of 6-8 alone; taking both links 1-5
+    mockGame.createTerritory(1, 1, 8, { 2: 1 });
+    mockGame.createTerritory(2, 2, 1, { 1: 1, 3: 1 });
+    mockGame.createTerritory(3, 1, 1, { 2: 1, 4: 1 });
+    mockGame.createTerritory(4, 2, 1, { 3: 1, 5: 1 });
+    mockGame.createTerritory(5, 1, 8, { 4: 1 });
+    mockGame.createTerritory(6, 1, 1, { 7: 1 });
+    mockGame.createTerritory(7, 1, 1, { 6: 1, 8: 1 });
+    mockGame.createTerritory(8, 1, 1, { 7: 1 });
+
+    const plan = planAttackChain(mockGame, 1);
+
+    expect(plan.attacks).toEqual([
+      [1, 2],
+      [5, 4],
+    ]);
+    expect(plan.gain).toBeGreaterThan(1);
+    expect(ai_planner(mockGame)).toBe(1);
+    expect([mockGame.area_from, mockGame.area_to]).toEqual([1, 2]);
+  });
+
+  test('leaves the board as it found it', () => {
+    mockGame.createTerritory(1, 1, 8, { 2: 1 });
+    mockGame.createTerritory(2, 2, 1, { 1: 1, 3: 1 });
+    mockGame.createTerritory(3, 2, 1, { 2: 1 });
+    const before = mockGame.adat.map(({ arm, dice }) => [arm, dice]);
+
+    planAttackChain(mockGame, 1);
+
+    expect(mockGame.adat.map(({ arm, dice }) => [arm, dice])).toEqual(before);
+  });
+
+  test('is registered with the other strategies', async () => {
+    expect(AI_STRATEGIES.ai_planner).toMatchObject({ id: 'ai_planner', difficulty: 4 });
+    expect(await load_ai_planner()).toBe(ai_planner);
+  });
+});
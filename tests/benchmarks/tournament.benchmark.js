@@ -0,0 +1,48 @@
+/**
+ * AI Strategy Tournament
+ *
+ * Plays every AI strategy against the others in headless games and reports
+ * win rates, placements and Elo ratings.
+ *
+ * Only runs in benchmark mode: npm run tournament
+ * Settings can be overridden with environment variables:
+ * - TOURNAMENT_FORMAT: 'round-robin' (default) or 'swiss'
+ * - TOURNAMENT_ROUNDS: number of rounds (default 3)
+ * - TOURNAMENT_PLAYERS: comma-separated table sizes (default 2,3,4)
+ * - TOURNAMENT_SEED: base seed for reproducible tournaments
+ */
+import fs from 'fs';
+import path from 'path';
+import { runTournament } from '../../src/runner/index.js';
+
+const RESULTS_DIR = path.join(process.cwd(), 'benchmark-results');
+const describeBenchmark = process.env.NODE_ENV === 'benchmark' ? describe : describe.skip;
+
+describeBenchmark('AI Strategy Tournament', () => {
+  test('Rate all AI strategies', async () => {
+    const {
+      TOURNAMENT_FORMAT = 'round-robin',
+      TOURNAMENT_ROUNDS = '3',
+      TOURNAMENT_PLAYERS = '2,3,4',
+      TOURNAMENT_SEED = 'tournament',
+    } = process.env;
+
+    const tournament = await runTournament({
+      format: TOURNAMENT_FORMAT,
+      rounds: Number(TOURNAMENT_ROUNDS),
+      playerCounts: TOURNAMENT_PLAYERS.split(',').map(Number),
+      seed: TOURNAMENT_SEED,
+    });
+
+    tournament.printTable();
+
+    if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true });
+    }
+    const file = path.join(RESULTS_DIR, `tournament-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify(tournament, null, 2));
+    console.log(`Tournament results saved to ${file}`);
+
+    expect(tournament.games.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * AI Strategy Tournament Runner
+ *
+ * Runs the tournament benchmark through Jest so the ES6 modules and path
+ * aliases resolve the same way they do in the test suite.
+ *
+ * Run with: node tests/benchmarks/tournament.cjs
+ * (see tournament.benchmark.js for the environment variables it accepts)
+ */
+
+const jest = require('jest');
+
+console.log('\n===== Running AI Strategy Tournament =====\n');
+
+// Enable the benchmark-only tests
+process.env.NODE_ENV = 'benchmark';
+
+jest
+  .run(['tests/benchmarks/tournament.benchmark.js', '--testTimeout=3600000', '--no-coverage'])
+  .then(() => {
+    console.log('\n===== Tournament Complete =====');
+    console.log('Full results are saved in the benchmark-results/ directory');
+  });
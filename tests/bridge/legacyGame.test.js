@@ -0,0 +1,177 @@
+/**
+ * Tests for the legacy Game in game.js with the bridged random source
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { rollBattle } from '../../src/mechanics/index.js';
+import { createRandom } from '../../src/utils/random.js';
+import { createPracticeUndo } from '../../src/utils/practice.js';
+import { resetConfig, updateConfig } from '../../src/utils/config.js';
+import { deserializeGame, serializeGame } from '../../src/utils/saveGame.js';
+
+const readScript = file => readFileSync(path.resolve(__dirname, '../..', file), 'utf8');
+
+// game.js is a classic script: evaluate it and take its Game constructor
+const LegacyGame = new Function(`${readScript('game.js')}\nreturn Game;`)();
+
+// What main.js draws with beyond the CreateJS mock of tests/setup.js
+const mockCanvas = () => {
+  document.body.innerHTML = '<canvas id="myCanvas"></canvas>';
+  createjs.Shadow = class Shadow {};
+  createjs.Stage.prototype.addEventListener = () => {};
+  createjs.Ticker.addEventListener = () => {};
+  createjs.LoadQueue.prototype.addEventListener = () => {};
+  createjs.Container.prototype.getChildAt = function getChildAt(i) {
+    return this.children[i];
+  };
+  // Drawing calls chain and draw nothing
+  Object.setPrototypeOf(
+    createjs.Graphics.prototype,
+    new Proxy(
+      {},
+      {
+        get: () =>
+          function draw() {
+            return this;
+          },
+      }
+    )
+  );
+  // The animations of mc.js and areadice.js
+  global.lib = new Proxy(
+    {},
+    {
+      get: () =>
+        function MovieClip() {
+          return Object.assign(new createjs.Container(), { gotoAndStop() {}, gotoAndPlay() {} });
+        },
+    }
+  );
+};
+
+// A fresh copy of main.js on the legacy game, after init()
+const loadMain = () => {
+  // index.html loads the legacy scripts before the modules
+  const { applyGameConfig } = window;
+  delete window.applyGameConfig;
+  const { init, ...flow } = new Function(
+    `${readScript('game.js')}\n${readScript('main.js')}\n` +
+      'return { init, make_map, start_game, game: () => game };'
+  )();
+  window.applyGameConfig = applyGameConfig;
+
+  init();
+  return flow;
+};
+
+// A legacy game on the fallback map builder of game.js, as far as start_game
+const createGame = seed => {
+  const game = new LegacyGame();
+  game.pmax = 4;
+  if (seed !== undefined) game.setSeed(seed);
+  game.make_map();
+  game.start_game();
+  return game;
+};
+
+// An attack the player to move can make
+const findAttack = game => {
+  const player = game.jun[game.ban];
+  for (let from = 1; from < game.AREA_MAX; from++) {
+    const area = game.adat[from];
+    if (area.size === 0 || area.arm !== player || area.dice < 2) continue;
+    for (let to = 1; to < game.AREA_MAX; to++) {
+      if (area.join[to] && game.adat[to].arm !== player) return { from, to };
+    }
+  }
+  return null;
+};
+
+// Roll and record an attack the way main.js does
+const attack = (game, { from, to }) => {
+  const result = rollBattle(game, game.adat[from].dice, game.adat[to].dice);
+  game.set_his(from, to, result.success ? 1 : 0, {
+    rolls: [result.attackerRoll.values, result.defenderRoll.values],
+  });
+  return result;
+};
+
+describe('Legacy Game', () => {
+  beforeEach(() => {
+    window.createRandom = createRandom;
+  });
+
+  afterEach(() => {
+    delete window.createRandom;
+  });
+
+  test('builds the same game from the same seed', () => {
+    const game = createGame('legacy-seed');
+    const again = createGame('legacy-seed');
+
+    expect(again.cel).toEqual(game.cel);
+    expect(again.adat.map(({ arm, dice }) => [arm, dice])).toEqual(
+      game.adat.map(({ arm, dice }) => [arm, dice])
+    );
+    expect(again.jun).toEqual(game.jun);
+    expect(attack(again, findAttack(again))).toEqual(attack(game, findAttack(game)));
+  });
+
+  test('plays unseeded without the ES6 modules', () => {
+    delete window.createRandom;
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const game = new LegacyGame().setSeed('legacy-seed');
+
+    expect(game.seed).toBeNull();
+    expect(game.rng).toBe(Math.random);
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  test('rolls the same dice again after a practice undo', () => {
+    const game = createGame('legacy-practice');
+    const practice = createPracticeUndo(game, { sameDice: true });
+    const move = findAttack(game);
+
+    practice.push();
+    const first = attack(game, move);
+    practice.undo();
+
+    expect(game.his_c).toBe(0);
+    expect(attack(game, move)).toEqual(first);
+    expect(game.undos).toEqual([expect.objectContaining({ at: 0, ...move })]);
+  });
+
+  test('reproduces the board and turn order of a seeded game in main.js', async () => {
+    mockCanvas();
+    updateConfig({ seed: 'legacy-main', playerCount: 4 });
+    const play = async () => {
+      const main = loadMain();
+      main.make_map();
+      await main.start_game();
+      return main.game();
+    };
+
+    const game = await play();
+    const again = await play();
+    resetConfig();
+
+    expect(game.seed).toBe('legacy-main');
+    expect(again.cel).toEqual(game.cel);
+    expect(again.adat.map(({ arm, dice }) => [arm, dice])).toEqual(
+      game.adat.map(({ arm, dice }) => [arm, dice])
+    );
+    expect(again.jun).toEqual(game.jun);
+    expect(again.rng.getState()).toBe(game.rng.getState());
+  });
+
+  test('resumes the random source of a saved game', () => {
+    const game = createGame('legacy-save');
+    const restored = deserializeGame(new LegacyGame(), JSON.stringify(serializeGame(game)));
+
+    expect(restored.seed).toBe('legacy-save');
+    expect([restored.rng(), restored.rng()]).toEqual([game.rng(), game.rng()]);
+  });
+});
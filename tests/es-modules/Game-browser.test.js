@@ -26,6 +26,8 @@ describe('Game Browser Module', () => {
       distributeReinforcements: jest.fn(),
       setPlayerTerritoryData: jest.fn(),
       executeAIMove: jest.fn(),
+      emitGameStart: jest.fn(),
+      emitMapUpdated: jest.fn(),
       AI_REGISTRY: {
         ai_default: jest.fn(),
         ai_defensive: jest.fn(),
@@ -36,6 +38,15 @@ describe('Game Browser Module', () => {
 
     jest.mock('../../src/utils/config.js', () => ({
       getConfig: jest.fn().mockReturnValue({}),
+      normalizeRules: rules => ({ maxDice: 8, stockMax: 64, ...rules }),
+      applyMapConfig: (game, { mapWidth = 28, mapHeight = 32, territoriesCount = 32 } = {}) =>
+        Object.assign(game, {
+          XMAX: mapWidth,
+          YMAX: mapHeight,
+          AREA_MAX: territoriesCount,
+          cel_max: mapWidth * mapHeight,
+          mapOptions: {},
+        }),
     }));
 
     jest.mock('../../src/utils/soundStrategy.js', () => ({
@@ -117,7 +128,7 @@ describe('Game Browser Module', () => {
 
     gameInstance.make_map();
 
-    expect(makeMap).toHaveBeenCalledWith(gameInstance);
+    expect(makeMap).toHaveBeenCalledWith(gameInstance, gameInstance.mapOptions);
   });
 
   test('get_pn returns the current player index', () => {
@@ -0,0 +1,140 @@
+/**
+ * Tests for the AI Executor and the AI snapshots
+ */
+import { jest } from '@jest/globals';
+import { AIExecutor } from '../../src/mechanics/aiExecutor.js';
+import {
+  createAISnapshot,
+  readAIDecision,
+  restoreAISnapshot,
+} from '../../src/mechanics/aiSnapshot.js';
+import { getAIImplementation } from '../../src/ai/index.js';
+import { GameRunner } from '../../src/runner/index.js';
+
+// Answers like aiWorker.js, on a game rebuilt from the snapshot
+const createFakeWorker = () => ({
+  postMessage: jest.fn(async ({ id, strategy, snapshot }) => {
+    const ai = await getAIImplementation(strategy);
+    const game = restoreAISnapshot(JSON.parse(JSON.stringify(snapshot)));
+    const decision = readAIDecision(game, ai(game));
+    setTimeout(() => worker.onmessage({ data: { id, decision, random: game.rng.getState() } }));
+  }),
+  terminate: jest.fn(),
+});
+let worker;
+
+const createGame = async seed => {
+  const runner = new GameRunner({ seed, playerCount: 4, ai: Array(4).fill('ai_default') });
+  await runner.setup();
+  return runner.game;
+};
+
+describe('AI Executor', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    worker = createFakeWorker();
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('decides on the main thread without a worker', async () => {
+    const game = await createGame('executor-sync');
+    const executor = new AIExecutor({ useWorker: false });
+    const ai = jest.fn(g => {
+      g.area_from = 3;
+      g.area_to = 4;
+      return 1;
+    });
+
+    expect(await executor.decide(game, ai)).toEqual({ endTurn: false, from: 3, to: 4 });
+    expect(ai).toHaveBeenCalledWith(game);
+    expect(await executor.decide(game, () => 0)).toEqual({ endTurn: true, from: null, to: null });
+  });
+
+  test('makes the same decisions in a worker as on the main thread', async () => {
+    const inWorker = await createGame('executor-worker');
+    const onMainThread = await createGame('executor-worker');
+    const executor = new AIExecutor({ useWorker: true, createWorker: () => worker });
+    const sync = new AIExecutor({ useWorker: false });
+
+    for (let i = 0; i < 3; i++) {
+      expect(await executor.decide(inWorker)).toEqual(await sync.decide(onMainThread));
+      expect(inWorker.rng.getState()).toBe(onMainThread.rng.getState());
+    }
+    expect(worker.postMessage).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops a worker that does not answer in time', async () => {
+    worker.postMessage = jest.fn();
+    const game = await createGame('executor-timeout');
+    const executor = new AIExecutor({ useWorker: true, timeoutMs: 10, createWorker: () => worker });
+
+    await expect(executor.decide(game)).rejects.toMatchObject({ code: 'ERR_AI_TIMEOUT' });
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(executor.useWorker).toBe(true);
+  });
+
+  test('passes on errors thrown by the AI in the worker', async () => {
+    worker.postMessage = jest.fn(({ id }) => {
+      setTimeout(() => worker.onmessage({ data: { id, error: 'broken' } }));
+    });
+    const game = await createGame('executor-ai-error');
+    const executor = new AIExecutor({ useWorker: true, createWorker: () => worker });
+
+    await expect(executor.decide(game)).rejects.toMatchObject({
+      code: 'ERR_AI_FAILED',
+      message: 'broken',
+    });
+    expect(worker.terminate).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the main thread when the worker fails', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    worker.postMessage = jest.fn(() => {
+      setTimeout(() => worker.onerror({ message: 'broken' }));
+    });
+    const game = await createGame('executor-error');
+    const ai = jest.fn(await getAIImplementation('ai_default'));
+    const executor = new AIExecutor({ useWorker: true, createWorker: () => worker });
+
+    await executor.decide(game, game.ai[game.jun[game.ban]]);
+
+    expect(executor.useWorker).toBe(false);
+    expect(worker.terminate).toHaveBeenCalled();
+    await executor.decide(game, ai);
+    expect(ai).toHaveBeenCalledWith(game);
+    errorSpy.mockRestore();
+  });
+
+  test('runs AI functions that are not registered strategies on the main thread', async () => {
+    const createWorker = jest.fn(() => worker);
+    const executor = new AIExecutor({ useWorker: true, createWorker });
+    const game = await createGame('executor-custom');
+    const customAI = g => {
+      g.area_from = 1;
+      g.area_to = 2;
+      return 1;
+    };
+
+    expect(await executor.decide(game, customAI)).toEqual({ endTurn: false, from: 1, to: 2 });
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  test('snapshots keep what the AIs read', async () => {
+    const game = await createGame('executor-snapshot');
+    const restored = restoreAISnapshot(createAISnapshot(game));
+
+    for (let i = 1; i < game.AREA_MAX; i++) {
+      if (game.adat[i].size === 0) continue;
+      expect(restored.adat[i]).toMatchObject({ arm: game.adat[i].arm, dice: game.adat[i].dice });
+      expect(restored.adat[i].join).toEqual(game.adat[i].join.map(j => (j ? 1 : 0)));
+    }
+    expect(restored.get_pn()).toBe(game.get_pn());
+    expect(restored.player.map(p => p.area_tc)).toEqual(game.player.map(p => p.area_tc));
+    expect(restored.rng.getState()).toBe(game.rng.getState());
+  });
+});
@@ -73,6 +73,15 @@ describe('AI Handler Module', () => {
       expect(movesFromTerritory3).toHaveLength(0);
     });
 
+    it('should use the minimum attack dice from the rules', () => {
+      gameState.rules = { minAttackDice: 4 };
+
+      expect(generatePossibleMoves(gameState, 1)).toHaveLength(0);
+
+      gameState.adat[1].dice = 4;
+      expect(generatePossibleMoves(gameState, 1)).toHaveLength(1);
+    });
+
     it('should not attack own territories', () => {
       const moves = generatePossibleMoves(gameState, 1);
 
@@ -110,7 +119,11 @@ describe('AI Handler Module', () => {
     let consoleLogSpy;
 
     beforeEach(() => {
-      mockAIFunction = jest.fn().mockReturnValue(1);
+      mockAIFunction = jest.fn(game => {
+        game.area_from = 1;
+        game.area_to = 2;
+        return 1;
+      });
       consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
       consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
 
@@ -118,6 +131,12 @@ describe('AI Handler Module', () => {
         ai: [null, mockAIFunction],
         jun: [1, 2],
         ban: 0,
+        AREA_MAX: 3,
+        adat: [
+          { size: 0 },
+          { size: 6, arm: 1, dice: 3, join: [0, 0, 1] },
+          { size: 4, arm: 2, dice: 2, join: [0, 1, 0] },
+        ],
       };
     });
 
@@ -126,14 +145,14 @@ describe('AI Handler Module', () => {
       consoleLogSpy.mockRestore();
     });
 
-    it('should call the correct AI function for the current player', () => {
-      const result = executeAIMove(gameState);
+    it('should call the correct AI function for the current player', async () => {
+      const result = await executeAIMove(gameState);
 
       expect(mockAIFunction).toHaveBeenCalledWith(gameState);
       expect(result).toBe(1);
     });
 
-    it('should handle missing AI function with fallback', () => {
+    it('should handle missing AI function with fallback', async () => {
       gameState.ai[1] = null;
 
       // Mock the default AI
@@ -144,7 +163,7 @@ describe('AI Handler Module', () => {
         implementation: mockDefaultAI,
       };
 
-      const result = executeAIMove(gameState);
+      const result = await executeAIMove(gameState);
 
       expect(consoleErrorSpy).toHaveBeenCalledWith('AI function not found for player 1');
       expect(consoleLogSpy).toHaveBeenCalledWith('Using default AI as fallback');
@@ -157,8 +176,9 @@ describe('AI Handler Module', () => {
       }
     });
 
-    it('should handle missing AI function without fallback', () => {
+    it('should handle missing AI function without fallback', async () => {
       gameState.ai[1] = null;
+      let isolatedExecuteAIMove;
 
       // Mock the aiHandler module directly to test when ai_default is undefined
       jest.isolateModules(() => {
@@ -170,19 +190,17 @@ describe('AI Handler Module', () => {
         jest.doMock('../../src/ai/index.js', () => mockAIModule);
 
         // Import again in isolated environment
-        const {
-          executeAIMove: isolatedExecuteAIMove,
-        } = require('../../src/mechanics/aiHandler.js');
+        ({ executeAIMove: isolatedExecuteAIMove } = require('../../src/mechanics/aiHandler.js'));
+      });
 
-        const result = isolatedExecuteAIMove(gameState);
+      const result = await isolatedExecuteAIMove(gameState);
 
-        // Should only call console.error once for the missing AI function
-        expect(consoleErrorSpy).toHaveBeenCalledWith('AI function not found for player 1');
-        expect(result).toBe(0);
-      });
+      // Should only call console.error once for the missing AI function
+      expect(consoleErrorSpy).toHaveBeenCalledWith('AI function not found for player 1');
+      expect(result).toBe(0);
     });
 
-    it('should handle AI function that is not actually a function', () => {
+    it('should handle AI function that is not actually a function', async () => {
       gameState.ai[1] = 'not a function';
 
       // Ensure ai_default exists for fallback
@@ -193,7 +211,7 @@ describe('AI Handler Module', () => {
         implementation: mockDefaultAI,
       };
 
-      const result = executeAIMove(gameState);
+      const result = await executeAIMove(gameState);
 
       expect(consoleErrorSpy).toHaveBeenCalledWith('AI function not found for player 1');
       expect(mockDefaultAI).toHaveBeenCalledWith(gameState);
@@ -204,6 +222,16 @@ describe('AI Handler Module', () => {
         AI_STRATEGIES.ai_default.implementation = originalDefault;
       }
     });
+
+    it('should let the executor make the decision', async () => {
+      const executor = { decide: jest.fn().mockResolvedValue({ endTurn: false, from: 3, to: 4 }) };
+
+      const result = await executeAIMove(gameState, executor);
+
+      expect(executor.decide).toHaveBeenCalledWith(gameState, mockAIFunction);
+      expect(mockAIFunction).not.toHaveBeenCalled();
+      expect(result).toBe(1);
+    });
   });
 
   describe('configureAI', () => {
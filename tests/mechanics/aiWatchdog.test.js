@@ -0,0 +1,171 @@
+/**
+ * Tests for the AI Watchdog
+ */
+import { jest } from '@jest/globals';
+import { AIExecutor } from '../../src/mechanics/aiExecutor.js';
+import { AIWatchdog, MAX_RECORDED_VIOLATIONS } from '../../src/mechanics/aiWatchdog.js';
+import { executeAIMove } from '../../src/mechanics/aiHandler.js';
+import { EventType, gameEvents } from '../../src/mechanics/eventSystem.js';
+import { BattleError, GameError, PlayerError } from '../../src/mechanics/errors/index.js';
+import { GameRunner } from '../../src/runner/index.js';
+
+const createGame = async seed => {
+  const runner = new GameRunner({ seed, playerCount: 4, ai: Array(4).fill('ai_default') });
+  await runner.setup();
+  return runner.game;
+};
+
+// Territories of the player to move, and what they could attack
+const readBoard = game => {
+  const pn = game.jun[game.ban];
+  const ids = [];
+  for (let i = 1; i < game.AREA_MAX; i++) {
+    if (game.adat[i].size > 0) ids.push(i);
+  }
+  const own = ids.filter(i => game.adat[i].arm === pn);
+  const from = own.find(i => game.adat[i].dice > 1);
+  return {
+    from,
+    own: own.find(i => i !== from),
+    distant: ids.find(i => game.adat[i].arm !== pn && !game.adat[from].join[i]),
+  };
+};
+
+// AI that attacks the given territories
+const attackAI = (from, to) => game => {
+  game.area_from = from;
+  game.area_to = to;
+  return 1;
+};
+
+describe('AI Watchdog', () => {
+  const executor = new AIExecutor({ useWorker: false });
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('passes legal moves on', async () => {
+    const game = await createGame('watchdog-legal');
+    const watchdog = new AIWatchdog({ executor });
+
+    const decision = await watchdog.decide(game);
+
+    expect(decision.error).toBeNull();
+    expect(watchdog.violations).toHaveLength(0);
+  });
+
+  test('lets ai_default move instead of an AI that attacks a distant territory', async () => {
+    const game = await createGame('watchdog-distant');
+    const { from, distant } = readBoard(game);
+    const watchdog = new AIWatchdog({ executor });
+
+    const decision = await watchdog.decide(game, attackAI(from, distant));
+
+    expect(decision.error).toBeInstanceOf(BattleError);
+    expect(decision.error.data).toMatchObject({
+      code: 'ERR_TERRITORY_NOT_ADJACENT',
+      fromArea: from,
+      toArea: distant,
+    });
+    expect(decision).toEqual({
+      ...(await watchdog.decide(await createGame('watchdog-distant'))),
+      error: decision.error,
+    });
+    expect(watchdog.violations).toEqual([decision.error]);
+  });
+
+  test('ends the turn of an AI that attacks its own territory without the fallback', async () => {
+    const game = await createGame('watchdog-own');
+    const { from, own } = readBoard(game);
+    const watchdog = new AIWatchdog({ executor, fallback: false });
+
+    const decision = await watchdog.decide(game, attackAI(from, own));
+
+    expect(decision).toMatchObject({ endTurn: true, from: null, to: null });
+    expect(decision.error.data.code).toBe('ERR_INVALID_ATTACK');
+  });
+
+  test('catches errors thrown by the AI', async () => {
+    const game = await createGame('watchdog-throw');
+    const watchdog = new AIWatchdog({ executor, fallback: false });
+
+    const decision = await watchdog.decide(game, () => {
+      throw new Error('out of ideas');
+    });
+
+    expect(decision.endTurn).toBe(true);
+    expect(decision.error).toBeInstanceOf(PlayerError);
+    expect(decision.error.data).toMatchObject({ code: 'ERR_AI_FAILED', playerId: game.get_pn() });
+    expect(decision.error.message).toContain('out of ideas');
+  });
+
+  test('throws away moves over the time budget', async () => {
+    const game = await createGame('watchdog-slow');
+    const { from } = readBoard(game);
+    const enemy = game.adat[from].join.findIndex(
+      (adjacent, i) => adjacent && game.adat[i].arm !== game.get_pn()
+    );
+    const slowAI = g => {
+      const startedAt = Date.now();
+      while (Date.now() - startedAt < 30);
+      return attackAI(from, enemy)(g);
+    };
+    const watchdog = new AIWatchdog({ executor, timeBudgetMs: 10, fallback: false });
+
+    const decision = await watchdog.decide(game, slowAI);
+
+    expect(decision.endTurn).toBe(true);
+    expect(decision.error.data).toMatchObject({ code: 'ERR_AI_TIMEOUT', timeBudgetMs: 10 });
+  });
+
+  test('reports AI workers that time out', async () => {
+    const game = await createGame('watchdog-timeout');
+    const timedOut = {
+      decide: jest.fn().mockRejectedValue(new GameError('ai_default timed out', 'ERR_AI_TIMEOUT')),
+    };
+    const watchdog = new AIWatchdog({ executor: timedOut, timeBudgetMs: 50 });
+
+    const decision = await watchdog.decide(game);
+
+    expect(timedOut.decide).toHaveBeenCalledWith(game, game.ai[game.get_pn()], { timeoutMs: 50 });
+    expect(decision.endTurn).toBe(true);
+    expect(decision.error.data.code).toBe('ERR_AI_TIMEOUT');
+  });
+
+  test('keeps the most recent violations', async () => {
+    const game = await createGame('watchdog-many');
+    const watchdog = new AIWatchdog({ executor, fallback: false });
+
+    for (let i = 0; i <= MAX_RECORDED_VIOLATIONS; i++) {
+      await watchdog.decide(game, attackAI(0, 0));
+    }
+
+    expect(watchdog.violations).toHaveLength(MAX_RECORDED_VIOLATIONS);
+  });
+
+  test('flags the AI decision event of a violation', async () => {
+    const game = await createGame('watchdog-event');
+    const { from, own } = readBoard(game);
+    game.ai[game.get_pn()] = attackAI(from, own);
+    const decisions = [];
+    const id = gameEvents.on(EventType.AI_DECISION_MADE, ({ error, violation }) => {
+      decisions.push({ error, violation });
+    });
+
+    await executeAIMove(game, new AIWatchdog({ executor, fallback: false }));
+    await new Promise(resolve => {
+      setTimeout(resolve, 0);
+    });
+    gameEvents.off(id);
+
+    expect(decisions).toHaveLength(1);
+    expect(decisions[0].error).toBe(true);
+    expect(decisions[0].violation).toBeInstanceOf(BattleError);
+  });
+});
@@ -13,8 +13,14 @@ import {
   resolveBattle,
   executeAttack,
   distributeReinforcements,
+  calculateReinforcements,
   setPlayerTerritoryData,
+  rollBattle,
+  BATTLE_RESOLVERS,
 } from '../../src/mechanics/battleResolution.js';
+import { BATTLE_MODES } from '../../src/utils/config.js';
+import { BALANCED_DECK_SIZE, RISK_PAIRS } from '../../src/utils/probability.js';
+import { createRandom } from '../../src/utils/random.js';
 
 // Import mocked modules
 import {
@@ -118,19 +124,22 @@ describe('Battle Resolution Module', () => {
   });
 
   describe('calculateAttackProbability', () => {
-    it('should calculate probability for equal dice', () => {
-      const prob = calculateAttackProbability(3, 3);
-      expect(prob).toBeCloseTo(0.5, 2);
+    it('should give the exact probability for equal dice', () => {
+      // 3v3: the attacker needs a strictly higher total
+      expect(calculateAttackProbability(3, 3)).toBeCloseTo(0.4536, 4);
+      expect(calculateAttackProbability(1, 1)).toBeCloseTo(15 / 36, 10);
     });
 
     it('should give high probability for overwhelming attacker advantage', () => {
       const prob = calculateAttackProbability(9, 3);
-      expect(prob).toBeCloseTo(0.95, 2);
+      expect(prob).toBeGreaterThan(0.99);
+      expect(prob).toBeLessThan(1);
     });
 
     it('should give low probability for overwhelming defender advantage', () => {
       const prob = calculateAttackProbability(3, 9);
-      expect(prob).toBeCloseTo(0.05, 2);
+      expect(prob).toBeGreaterThan(0);
+      expect(prob).toBeLessThan(0.01);
     });
 
     it('should handle edge cases', () => {
@@ -144,14 +153,9 @@ describe('Battle Resolution Module', () => {
       expect(() => calculateAttackProbability(3, null)).toThrow('Dice counts must be numbers');
     });
 
-    it('should calculate reasonable probability for typical cases', () => {
-      const prob1 = calculateAttackProbability(4, 3);
-      expect(prob1).toBeGreaterThan(0.5);
-      expect(prob1).toBeLessThan(0.8);
-
-      const prob2 = calculateAttackProbability(2, 3);
-      expect(prob2).toBeGreaterThan(0.2);
-      expect(prob2).toBeLessThan(0.5);
+    it('should calculate exact probabilities for typical cases', () => {
+      expect(calculateAttackProbability(4, 3)).toBeCloseTo(0.7428, 4);
+      expect(calculateAttackProbability(2, 3)).toBeCloseTo(0.152, 3);
     });
   });
 
@@ -246,6 +250,133 @@ describe('Battle Resolution Module', () => {
     });
   });
 
+  describe('battle modes', () => {
+    // Every roll of both sides, for checking the exact probabilities
+    const allRolls = count =>
+      count === 0
+        ? [[]]
+        : allRolls(count - 1).flatMap(roll => [1, 2, 3, 4, 5, 6].map(face => [...roll, face]));
+
+    const enumerate = (attackerDice, defenderDice, wins) => {
+      const defenderRolls = allRolls(defenderDice);
+      let count = 0;
+      allRolls(attackerDice).forEach(attacker =>
+        defenderRolls.forEach(defender => {
+          if (wins(attacker, defender)) count++;
+        })
+      );
+      return count / 6 ** (attackerDice + defenderDice);
+    };
+
+    const total = values => values.reduce((sum, value) => sum + value, 0);
+    const highest = values => [...values].sort((a, b) => b - a);
+    const riskWins = (attacker, defender) => {
+      const pairs = Math.min(attacker.length, defender.length, RISK_PAIRS);
+      const [a, d] = [highest(attacker), highest(defender)];
+      const won = a.slice(0, pairs).filter((value, i) => value > d[i]).length;
+      return won > pairs - won;
+    };
+
+    const matchups = [
+      [1, 1],
+      [2, 1],
+      [1, 2],
+      [3, 2],
+      [2, 3],
+      [3, 3],
+      [4, 2],
+    ];
+
+    const stateFor = battle => ({
+      rules: { battle },
+      rng: createRandom('battle-modes'),
+      adat: {
+        1: { dice: 3, arm: 1 },
+        2: { dice: 3, arm: 2 },
+      },
+    });
+
+    beforeEach(() => {
+      validateTerritories.mockImplementation(() => {});
+    });
+
+    it('should offer a resolver for every mode', () => {
+      expect(Object.keys(BATTLE_RESOLVERS).sort()).toEqual([...BATTLE_MODES].sort());
+    });
+
+    it.each(matchups)('should give exact probabilities for %iv%i', (attackerDice, defenderDice) => {
+      const probability = battle =>
+        calculateAttackProbability(attackerDice, defenderDice, { rules: { battle } });
+      const sum = enumerate(attackerDice, defenderDice, (a, d) => total(a) > total(d));
+
+      expect(probability('sum')).toBeCloseTo(sum, 10);
+      expect(probability('attackerTies')).toBeCloseTo(
+        enumerate(attackerDice, defenderDice, (a, d) => total(a) >= total(d)),
+        10
+      );
+      expect(probability('risk')).toBeCloseTo(enumerate(attackerDice, defenderDice, riskWins), 10);
+      expect(probability('balanced')).toBe(
+        Math.round(sum * BALANCED_DECK_SIZE) / BALANCED_DECK_SIZE
+      );
+    });
+
+    it('should use the configured mode without a game', () => {
+      expect(calculateAttackProbability(2, 2)).toBeCloseTo(
+        enumerate(2, 2, (a, d) => total(a) > total(d)),
+        10
+      );
+    });
+
+    it('should let the attacker win ties in attackerTies mode', () => {
+      const gameState = stateFor('attackerTies');
+      gameState.rng = () => 0.5; // Every die shows 4
+
+      const result = resolveBattle(gameState, 1, 2);
+
+      expect(result.attackerRoll.total).toBe(result.defenderRoll.total);
+      expect(result.success).toBe(true);
+      expect(rollBattle({ ...gameState, rules: {} }, 3, 3).success).toBe(false);
+    });
+
+    it('should compare the highest dice in pairs in risk mode', () => {
+      const gameState = stateFor('risk');
+      // Attacker rolls 6, 6, 1 and defender 5, 5, 5: attacker wins two of three pairs
+      const faces = [6, 6, 1, 5, 5, 5];
+      gameState.rng = () => (faces.shift() - 1) / 6;
+
+      const result = resolveBattle(gameState, 1, 2);
+
+      expect(result.attackerRoll.total).toBeLessThan(result.defenderRoll.total);
+      expect(result.success).toBe(true);
+    });
+
+    it('should deal balanced outcomes from a deck that follows the odds', () => {
+      const gameState = stateFor('balanced');
+      const wins = Math.round(calculateAttackProbability(3, 3) * BALANCED_DECK_SIZE);
+      const results = Array.from({ length: BALANCED_DECK_SIZE }, () => rollBattle(gameState, 3, 3));
+
+      expect(results.filter(result => result.success)).toHaveLength(wins);
+      results.forEach(({ attackerRoll, defenderRoll, success }) => {
+        expect(attackerRoll.total > defenderRoll.total).toBe(success);
+      });
+      expect(gameState.battle_deck['3:3']).toHaveLength(0);
+    });
+
+    it('should give the chance of the next balanced draw', () => {
+      const gameState = stateFor('balanced');
+      rollBattle(gameState, 2, 2);
+      const deck = gameState.battle_deck['2:2'];
+
+      expect(calculateAttackProbability(2, 2, gameState)).toBe(
+        deck.filter(Boolean).length / deck.length
+      );
+
+      deck.splice(0, deck.length, true);
+      expect(calculateAttackProbability(2, 2, gameState)).toBe(1);
+      expect(rollBattle(gameState, 2, 2).success).toBe(true);
+    });
+  });
+
   describe('executeAttack', () => {
     let gameState;
 
@@ -296,6 +427,26 @@ describe('Battle Resolution Module', () => {
       expect(setAreaTc).toHaveBeenCalledTimes(2); // For both players
     });
 
+    it('should record the rolls, dice counts and player in the history', () => {
+      gameState.turn_c = 5;
+
+      const result = executeAttack(gameState, 1, 2, 1);
+
+      expect(result.gameState.his[0]).toMatchObject({
+        from: 1,
+        to: 2,
+        res: 1,
+        player: 1,
+        turn: 5,
+        rolls: [
+          [4, 4, 4, 4],
+          [4, 4, 4],
+        ],
+        from_dice: [4, 1],
+        to_dice: [3, 3],
+      });
+    });
+
     it('should execute a failed attack', () => {
       // Mock dice rolls to ensure defender wins
       Math.random
@@ -427,7 +578,7 @@ describe('Battle Resolution Module', () => {
           3: { size: 3, arm: 1, dice: 7, join: { 2: 1 } },
         },
         AREA_MAX: 4,
-        STOCK_MAX: 20,
+        rules: { stockMax: 20 },
         his: {},
         his_c: 0,
       };
@@ -437,20 +588,35 @@ describe('Battle Resolution Module', () => {
       jest.clearAllMocks();
     });
 
+    it('should record each die and a summary of the batch in the history', () => {
+      const result = distributeReinforcements(gameState, 1);
+      const supply = { earned: 6, placed: 2, stock: 7 };
+
+      expect(result.his_c).toBe(2);
+      expect(result.his[0]).toMatchObject({
+        from: 1,
+        to: 0,
+        player: 1,
+        from_dice: [3, 4],
+        supply,
+      });
+      expect(result.his[1]).toMatchObject({ from: 3, from_dice: [7, 8], supply });
+    });
+
     it('should calculate and distribute reinforcements', () => {
       const result = distributeReinforcements(gameState, 1);
 
       expect(validatePlayer).toHaveBeenCalledWith(gameState, 1);
 
-      // Should get floor(6/3) = 2 reinforcements
-      expect(result.player[1].stock).toBe(3); // 3 + 2, but one die distributed
+      // Should get one die per territory in the largest group (6)
+      expect(result.player[1].stock).toBe(7); // 3 + 6, but two dice distributed
 
       expect(gameEvents.emit).toHaveBeenCalledWith(
         EventType.DICE_ADDED,
         expect.objectContaining({
           playerId: 1,
-          diceAdded: 2,
-          stockTotal: 5,
+          diceAdded: 6,
+          stockTotal: 9,
         })
       );
 
@@ -470,11 +636,12 @@ describe('Battle Resolution Module', () => {
     });
 
     it('should give minimum 1 reinforcement if player has territories', () => {
-      gameState.player[1].area_tc = 1; // Would normally get 0
+      gameState.rules = { reinforcement: 'regionBonus', regionBonus: 0 };
+      gameState.player[1].area_tc = 0; // Would normally get 0
 
       const result = distributeReinforcements(gameState, 1);
 
-      // Should get max(floor(1/3), 1) = 1 reinforcement
+      // Should get max(0, 1) = 1 reinforcement
       expect(gameEvents.emit).toHaveBeenCalledWith(
         EventType.DICE_ADDED,
         expect.objectContaining({
@@ -500,7 +667,7 @@ describe('Battle Resolution Module', () => {
 
     it('should respect stock maximum', () => {
       gameState.player[1].stock = 18;
-      gameState.player[1].area_tc = 12; // Would get 4 reinforcements
+      gameState.player[1].area_tc = 12; // Would get 12 reinforcements
 
       const result = distributeReinforcements(gameState, 1);
 
@@ -514,12 +681,12 @@ describe('Battle Resolution Module', () => {
 
       expect(result.player[1].stock).toBe(18); // After distribution
 
-      // The emit event should show 4 dice were added to stock
+      // The emit event should show 12 dice were added to stock
       expect(gameEvents.emit).toHaveBeenCalledWith(
         EventType.DICE_ADDED,
         expect.objectContaining({
           playerId: 1,
-          diceAdded: 4,
+          diceAdded: 12,
           stockTotal: 20,
         })
       );
@@ -535,6 +702,17 @@ describe('Battle Resolution Module', () => {
       expect(result.adat[3].dice).toBe(8); // Got the reinforcement
     });
 
+    it('should use the max dice from the rules', () => {
+      gameState.rules = { maxDice: 4 };
+      gameState.adat[1].dice = 4;
+
+      const result = distributeReinforcements(gameState, 1);
+
+      expect(result.adat[1].dice).toBe(4); // Already at the maximum
+      expect(result.adat[3].dice).toBe(7); // Above the maximum, so never reinforced
+      expect(result.his_c).toBe(0);
+    });
+
     it('should prioritize border territories', () => {
       gameState.adat[3].dice = 2; // Fewer dice but not a border
       gameState.adat[1].dice = 4; // More dice but is a border
@@ -554,16 +732,10 @@ describe('Battle Resolution Module', () => {
       expect(result).toBe(gameState); // No changes
     });
 
-    it('should emit turn start event', () => {
+    it('should leave the turn events to the game loop', () => {
       distributeReinforcements(gameState, 1);
 
-      expect(gameEvents.emit).toHaveBeenCalledWith(
-        EventType.TURN_START,
-        expect.objectContaining({
-          playerId: 1,
-          reinforcementsAdded: 2,
-        })
-      );
+      expect(gameEvents.emit).not.toHaveBeenCalledWith(EventType.TURN_START, expect.anything());
     });
 
     it('should handle errors gracefully', () => {
@@ -579,6 +751,46 @@ describe('Battle Resolution Module', () => {
     });
   });
 
+  describe('calculateReinforcements', () => {
+    let gameState;
+
+    beforeEach(() => {
+      // Player 1 holds two regions: 1-2 and 4
+      gameState = {
+        player: { 1: { area_tc: 2, area_c: 3 } },
+        adat: {
+          1: { size: 5, arm: 1, join: { 2: 1 } },
+          2: { size: 4, arm: 1, join: { 1: 1, 3: 1 } },
+          3: { size: 3, arm: 2, join: { 2: 1, 4: 1 } },
+          4: { size: 3, arm: 1, join: { 3: 1 } },
+        },
+        AREA_MAX: 5,
+      };
+    });
+
+    it('should count the largest group by default', () => {
+      expect(calculateReinforcements(gameState, 1)).toBe(2);
+    });
+
+    it('should count every territory with the totalTerritories formula', () => {
+      gameState.rules = { reinforcement: 'totalTerritories' };
+
+      expect(calculateReinforcements(gameState, 1)).toBe(3);
+    });
+
+    it('should add a bonus per region with the regionBonus formula', () => {
+      gameState.rules = { reinforcement: 'regionBonus', regionBonus: 3 };
+
+      expect(calculateReinforcements(gameState, 1)).toBe(2 + 2 * 3);
+    });
+
+    it('should give nothing to a player without territories', () => {
+      gameState.player[1] = { area_tc: 0, area_c: 0 };
+
+      expect(calculateReinforcements(gameState, 1)).toBe(0);
+    });
+  });
+
   describe('setPlayerTerritoryData', () => {
     let gameState;
 
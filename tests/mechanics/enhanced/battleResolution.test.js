@@ -0,0 +1,58 @@
+/**
+ * Tests for Enhanced Battle Resolution Module
+ */
+import {
+  calculateAttackProbability,
+  resolveBattle,
+} from '../../../src/mechanics/enhanced/battleResolution.js';
+import { rollBattle } from '../../../src/mechanics/battleResolution.js';
+import { getAttackOdds } from '../../../src/utils/probability.js';
+import { createRandom } from '../../../src/utils/random.js';
+
+// Two territories facing each other under a battle mode
+const createGameState = (battle, seed = 'enhanced-battle') => ({
+  adat: [{ dice: 0 }, { dice: 3 }, { dice: 3 }],
+  rules: { battle },
+  rng: createRandom(seed),
+});
+
+describe('Enhanced Battle Resolution', () => {
+  describe('calculateAttackProbability', () => {
+    test("uses the odds of the game's battle mode", () => {
+      const gameState = createGameState('attackerTies');
+
+      expect(calculateAttackProbability(3, 3, gameState)).toBe(
+        getAttackOdds(3, 3, gameState).probability
+      );
+      expect(calculateAttackProbability(3, 3, gameState)).toBeGreaterThan(
+        calculateAttackProbability(3, 3, createGameState('sum'))
+      );
+    });
+  });
+
+  describe('resolveBattle', () => {
+    test.each(['sum', 'attackerTies', 'risk', 'balanced'])(
+      'decides %s battles like rollBattle',
+      battle => {
+        const gameState = createGameState(battle);
+        const expected = rollBattle(createGameState(battle), 3, 3);
+
+        expect(resolveBattle(gameState, 1, 2)).toEqual({
+          attackerArea: 1,
+          defenderArea: 2,
+          attackerDice: 3,
+          defenderDice: 3,
+          ...expected,
+        });
+      }
+    );
+
+    test('draws balanced battles from the deck', () => {
+      const gameState = createGameState('balanced');
+
+      resolveBattle(gameState, 1, 2);
+
+      expect(gameState.battle_deck['3:3'].length).toBeGreaterThan(0);
+    });
+  });
+});
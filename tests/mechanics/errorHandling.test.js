@@ -148,6 +148,18 @@ describe('Error Handling Module', () => {
       expect(caughtError.data.dice).toBe(1);
     });
 
+    it('should use the minimum attack dice from the rules', () => {
+      gameState.adat[3].dice = 3;
+      gameState.adat[3].join[2] = 1;
+      gameState.adat[2].join[3] = 1;
+      gameState.rules = { minAttackDice: 4 };
+
+      expect(() => validateTerritories(gameState, 3, 2)).toThrow('Need at least 4 dice to attack');
+
+      gameState.adat[3].dice = 4;
+      expect(() => validateTerritories(gameState, 3, 2)).not.toThrow();
+    });
+
     it('should handle missing adat properties gracefully', () => {
       delete gameState.adat[1];
       expect(() => validateTerritories(gameState, 1, 2)).toThrow(TerritoryError);
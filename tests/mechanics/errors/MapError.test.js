@@ -0,0 +1,60 @@
+import { MapError } from '../../../src/mechanics/errors/MapError.js';
+import { gameEvents } from '../../../src/mechanics/eventSystem.js';
+
+jest.mock('../../../src/mechanics/eventSystem.js', () => ({
+  gameEvents: {
+    emit: jest.fn(),
+  },
+  EventType: {
+    CUSTOM: 'custom',
+  },
+}));
+
+describe('MapError', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should create a MapError with message', () => {
+      const error = new MapError('Not a Dice Wars map');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('MapError');
+      expect(error.message).toBe('Not a Dice Wars map');
+      expect(error.code).toBe('ERR_MAP');
+      expect(error.data).toEqual({});
+    });
+
+    it('should create a MapError with custom data', () => {
+      const customData = { problems: ['Territory 3 is split into 2 parts'] };
+      const error = new MapError('Invalid map', customData);
+
+      expect(error.data).toEqual(customData);
+    });
+
+    it('should emit an error event when created', () => {
+      new MapError('Map error', { field: 'cel' });
+
+      expect(gameEvents.emit).toHaveBeenCalledTimes(1);
+      expect(gameEvents.emit).toHaveBeenCalledWith(expect.any(String), {
+        type: 'error',
+        error: {
+          name: 'MapError',
+          message: 'Map error',
+          code: 'ERR_MAP',
+          data: { field: 'cel' },
+        },
+      });
+    });
+  });
+
+  describe('toString', () => {
+    it('should return formatted error string', () => {
+      const error = new MapError('Unknown scenario');
+      const errorString = error.toString();
+
+      expect(errorString).toBe('MapError [ERR_MAP]: Unknown scenario');
+    });
+  });
+});
@@ -4,6 +4,7 @@ import errors, {
   BattleError,
   PlayerError,
   GameStateError,
+  MapError,
 } from '../../../src/mechanics/errors/index.js';
 
 describe('Error Module Exports', () => {
@@ -32,6 +33,11 @@ describe('Error Module Exports', () => {
       expect(GameStateError).toBeDefined();
       expect(typeof GameStateError).toBe('function');
     });
+
+    it('should export MapError', () => {
+      expect(MapError).toBeDefined();
+      expect(typeof MapError).toBe('function');
+    });
   });
 
   describe('default export', () => {
@@ -42,6 +48,7 @@ describe('Error Module Exports', () => {
       expect(errors.BattleError).toBe(BattleError);
       expect(errors.PlayerError).toBe(PlayerError);
       expect(errors.GameStateError).toBe(GameStateError);
+      expect(errors.MapError).toBe(MapError);
     });
   });
 });
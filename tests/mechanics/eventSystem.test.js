@@ -94,6 +94,17 @@ describe('Event System Module', () => {
       expect(mockHandler).not.toHaveBeenCalled();
     });
 
+    it('should remove handlers of event types with underscores', async () => {
+      const events = createEventSystem();
+      const mockHandler = jest.fn();
+
+      const subscriptionId = events.on(EventType.AI_THINKING_START, mockHandler);
+
+      expect(events.off(subscriptionId)).toBe(true);
+      await events.emit(EventType.AI_THINKING_START, {});
+      expect(mockHandler).not.toHaveBeenCalled();
+    });
+
     it('should clear all handlers', async () => {
       const events = createEventSystem();
       const mockHandler1 = jest.fn();
@@ -0,0 +1,122 @@
+/**
+ * Tests for the Game Lifecycle Events
+ */
+import { Game } from '../../src/Game.js';
+import { GameRunner } from '../../src/runner/index.js';
+import {
+  EventType,
+  emitGameEnd,
+  emitSelectionChanged,
+  gameEvents,
+} from '../../src/mechanics/eventSystem.js';
+
+// Let the event system deliver what has been emitted
+const flushEvents = () =>
+  new Promise(resolve => {
+    setTimeout(resolve, 0);
+  });
+
+// Record every event (without the game state) until stop() is called
+const recordEvents = () => {
+  const events = [];
+  const ids = Object.values(EventType).map(type =>
+    gameEvents.on(type, data => {
+      const event = { type, ...data };
+      delete event.gameState;
+      events.push(event);
+    })
+  );
+  const stop = async () => {
+    await flushEvents();
+    ids.forEach(id => gameEvents.off(id));
+    return events;
+  };
+  return stop;
+};
+
+const LIFECYCLE = [
+  EventType.GAME_START,
+  EventType.GAME_END,
+  EventType.TURN_START,
+  EventType.TURN_END,
+];
+
+describe('Game Lifecycle Events', () => {
+  test('a headless game starts, plays its turns and ends', async () => {
+    const stop = recordEvents();
+    const runner = new GameRunner({ seed: 'lifecycle', playerCount: 3, maxTurns: 12 });
+    const result = await runner.run();
+    const events = (await stop()).filter(event => LIFECYCLE.includes(event.type));
+
+    expect(events[0]).toMatchObject({ type: EventType.GAME_START, players: 3, seed: 'lifecycle' });
+    expect(events[1]).toMatchObject({ type: EventType.TURN_START, playerId: runner.game.jun[0] });
+    expect(events.at(-1)).toEqual({
+      type: EventType.GAME_END,
+      winner: result.winner,
+      reason: result.finished ? 'victory' : 'turn_limit',
+      turns: runner.game.turn_c,
+    });
+
+    // Every turn that starts ends before the next one, or with the game
+    const turns = events.slice(1, -1);
+    const starts = turns.filter((_, i) => i % 2 === 0);
+    const ends = turns.filter((_, i) => i % 2 === 1);
+    const turnOf = ({ playerId, turn }) => ({ playerId, turn });
+
+    expect(starts.every(event => event.type === EventType.TURN_START)).toBe(true);
+    expect(ends.every(event => event.type === EventType.TURN_END)).toBe(true);
+    expect(ends).toHaveLength(result.turns);
+    expect(ends.map(turnOf)).toEqual(starts.slice(0, ends.length).map(turnOf));
+    expect(ends.every(event => event.reinforcements > 0)).toBe(true);
+  });
+
+  test('reports each AI decision between thinking start and end', async () => {
+    const runner = new GameRunner({ seed: 'thinking', playerCount: 2 });
+    await runner.setup();
+    const stop = recordEvents();
+    const { player } = await runner.playTurn();
+    const events = (await stop()).filter(event => event.type.startsWith('ai:'));
+    const attacks = runner.game.his.filter(entry => entry.to > 0);
+
+    expect(events.map(event => event.type).slice(0, 3)).toEqual([
+      EventType.AI_THINKING_START,
+      EventType.AI_THINKING_END,
+      EventType.AI_DECISION_MADE,
+    ]);
+    expect(events.every(event => event.playerId === player)).toBe(true);
+
+    const decisions = events.filter(event => event.type === EventType.AI_DECISION_MADE);
+    expect(decisions.at(-1)).toEqual(expect.objectContaining({ endTurn: true, from: null }));
+    expect(decisions.slice(0, -1).map(({ from, to }) => ({ from, to }))).toEqual(
+      attacks.map(({ from, to }) => ({ from, to }))
+    );
+  });
+
+  test('reports a new board', async () => {
+    const game = new Game({ seed: 'board', humanPlayerIndex: null });
+    const stop = recordEvents();
+    game.make_map();
+    game.loadScenario('first-steps');
+    const events = await stop();
+
+    expect(events.filter(event => event.type === EventType.MAP_UPDATED)).toEqual([
+      { type: EventType.MAP_UPDATED, areas: null },
+      { type: EventType.MAP_UPDATED, areas: null },
+    ]);
+  });
+
+  test('describes selections and game ends', async () => {
+    const game = new Game({ seed: 'payloads', humanPlayerIndex: null });
+    game.make_map();
+    game.start_game();
+    const stop = recordEvents();
+    emitSelectionChanged(game, 4, 7);
+    emitGameEnd(game, null, 'abandoned');
+    const events = await stop();
+
+    expect(events).toEqual([
+      { type: EventType.SELECTION_CHANGED, playerId: game.jun[0], from: 4, to: 7 },
+      { type: EventType.GAME_END, winner: null, reason: 'abandoned', turns: 0 },
+    ]);
+  });
+});
@@ -10,6 +10,10 @@ describe('Mechanics Index Module', () => {
     expect(typeof mechanics.setAreaLine).toBe('function');
     expect(typeof mechanics.makeMap).toBe('function');
     expect(typeof mechanics.setAreaTc).toBe('function');
+    expect(typeof mechanics.measureMapFairness).toBe('function');
+    expect(typeof mechanics.checkMapFairness).toBe('function');
+    expect(typeof mechanics.getSymmetry).toBe('function');
+    expect(typeof mechanics.validateSymmetry).toBe('function');
 
     // Battle resolution exports
     expect(typeof mechanics.rollDice).toBe('function');
@@ -0,0 +1,169 @@
+/**
+ * Tests for Map Fairness Module
+ */
+import { Game } from '../../src/Game.js';
+import { gameEvents } from '../../src/mechanics/eventSystem.js';
+import {
+  DEFAULT_FAIRNESS_TOLERANCES,
+  checkMapFairness,
+  measureMapFairness,
+} from '../../src/mechanics/mapFairness.js';
+import { makeMap } from '../../src/mechanics/mapGenerator.js';
+import { AreaData, PlayerData } from '../../src/models/index.js';
+
+/*
+ * Four territories in a row: 1 - 2 - 3 - 4
+ * Player 0 holds 1 and 2 with 2 and 3 dice, player 1 holds 3 and 4 with 1 and 5 dice
+ */
+const createRow = () => {
+  const adat = Array.from({ length: 5 }, () => new AreaData(5));
+  [
+    [1, 0, 2],
+    [2, 0, 3],
+    [3, 1, 1],
+    [4, 1, 5],
+  ].forEach(([area, arm, dice]) => Object.assign(adat[area], { size: 6, arm, dice }));
+  [1, 2, 3].forEach(area => {
+    adat[area].join[area + 1] = 1;
+    adat[area + 1].join[area] = 1;
+  });
+
+  const player = [new PlayerData(), new PlayerData()];
+  player[0].area_tc = 2;
+  player[1].area_tc = 2;
+
+  return { adat, AREA_MAX: 5, pmax: 2, player };
+};
+
+// The reports makeMap() emitted
+const reportsOf = emit =>
+  emit.mock.calls
+    .map(([, data]) => data)
+    .filter(data => data.type === 'map_fairness_report')
+    .map(data => data.report);
+
+describe('Map Fairness', () => {
+  describe('measureMapFairness', () => {
+    test('measures each player', () => {
+      const { players } = measureMapFairness(createRow());
+
+      expect(players).toEqual([
+        {
+          player: 0,
+          territories: 2,
+          largestGroup: 2,
+          dice: 5,
+          borderTerritories: 1,
+          exposure: 0.5,
+          neighborStrength: 1,
+        },
+        {
+          player: 1,
+          territories: 2,
+          largestGroup: 2,
+          dice: 6,
+          borderTerritories: 1,
+          exposure: 0.5,
+          neighborStrength: 3,
+        },
+      ]);
+    });
+
+    test('measures the spread between the players', () => {
+      expect(measureMapFairness(createRow()).spread).toEqual({
+        territories: 0,
+        largestGroup: 0,
+        dice: 1,
+        exposure: 0,
+        neighborStrength: 2,
+      });
+    });
+  });
+
+  describe('checkMapFairness', () => {
+    test('finds spreads beyond the default tolerances', () => {
+      const verdict = checkMapFairness(measureMapFairness(createRow()));
+
+      expect(verdict).toMatchObject({ fair: false, exceeded: ['neighborStrength'] });
+      expect(verdict.score).toBeCloseTo(2 / DEFAULT_FAIRNESS_TOLERANCES.neighborStrength);
+      expect(verdict.tolerances).toEqual(DEFAULT_FAIRNESS_TOLERANCES);
+    });
+
+    test('uses the given tolerances', () => {
+      const metrics = measureMapFairness(createRow());
+
+      expect(checkMapFairness(metrics, { neighborStrength: 2 })).toMatchObject({
+        fair: true,
+        score: 1,
+        exceeded: [],
+      });
+      expect(checkMapFairness(metrics, { neighborStrength: 4, dice: 0 })).toMatchObject({
+        fair: false,
+        score: Infinity,
+        exceeded: ['dice'],
+      });
+    });
+  });
+
+  describe('makeMap', () => {
+    let emit;
+
+    beforeEach(() => {
+      emit = jest.spyOn(gameEvents, 'emit');
+    });
+
+    afterEach(() => {
+      emit.mockRestore();
+    });
+
+    test('emits a fairness report', () => {
+      const game = new Game({ seed: 'report', playerCount: 2 });
+      makeMap(game);
+      const [report] = reportsOf(emit);
+
+      expect(report).toMatchObject({
+        rebalanced: false,
+        attempts: { layouts: 1, deals: 1 },
+        spread: measureMapFairness(game).spread,
+      });
+      expect(report.players).toHaveLength(2);
+      expect(report.fair).toBe(report.exceeded.length === 0);
+      expect(emit).toHaveBeenCalledWith(
+        'custom',
+        expect.objectContaining({ type: 'map_generation_complete', report })
+      );
+    });
+
+    test('only measures maps unless rebalancing is asked for', () => {
+      const plain = new Game({ seed: 'measure' });
+      plain.make_map();
+      const measured = makeMap(new Game({ seed: 'measure' }), { fairness: null });
+
+      expect(measured.cel).toEqual(plain.cel);
+      expect(measured.adat.map(area => area.dice)).toEqual(plain.adat.map(area => area.dice));
+    });
+
+    test('rebalances until the map is within the tolerances', () => {
+      const tolerances = { largestGroup: 1, dice: 1 };
+      const game = makeMap(new Game({ seed: 'rebalance', playerCount: 3 }), {
+        fairness: { tolerances, maxDeals: 50 },
+      });
+      const [report] = reportsOf(emit);
+
+      expect(report).toMatchObject({ fair: true, rebalanced: true, tolerances: { dice: 1 } });
+      expect(report.attempts.deals).toBeGreaterThan(1);
+      expect(checkMapFairness(measureMapFairness(game), tolerances).fair).toBe(true);
+    });
+
+    test('keeps the fairest map when none is fair', () => {
+      const game = makeMap(new Game({ seed: 'fairest' }), {
+        fairness: { tolerances: { dice: 0, largestGroup: 0 }, maxDeals: 3, maxLayouts: 2 },
+      });
+      const [report] = reportsOf(emit);
+
+      expect(report.fair).toBe(false);
+      expect(report.attempts).toEqual({ layouts: 2, deals: 6 });
+      expect(measureMapFairness(game).spread).toEqual(report.spread);
+    });
+  });
+});
@@ -4,8 +4,10 @@
 
 import { percolate, setAreaLine, makeMap, setAreaTc } from '../../src/mechanics/mapGenerator.js';
 
-import { AreaData } from '../../src/models/index.js';
+import { AreaData, PlayerData } from '../../src/models/index.js';
 import { gameEvents, EventType } from '../../src/mechanics/eventSystem.js';
+import { setMapSize } from '../../src/utils/grid.js';
+import { createRandom } from '../../src/utils/random.js';
 
 // Mock modules
 jest.mock('../../src/mechanics/errorHandling.js', () => ({
@@ -28,6 +30,43 @@ jest.mock('../../src/mechanics/errors/index.js', () => ({
   TerritoryError: Error,
 }));
 
+// A seeded four player game state on a grid of the given size
+const createGrid = (xmax, ymax, areaMax, seed) =>
+  setMapSize(
+    {
+      pmax: 4,
+      put_dice: 3,
+      player: Array.from({ length: 8 }, () => new PlayerData()),
+      rng: createRandom(seed),
+    },
+    xmax,
+    ymax,
+    areaMax
+  );
+
+// Number of separate land masses on a map
+const countLandMasses = ({ cel, join }) => {
+  const seen = new Set();
+  let masses = 0;
+  cel.forEach((area, start) => {
+    if (area === 0 || seen.has(start)) return;
+    masses++;
+    const stack = [start];
+    seen.add(start);
+    while (stack.length > 0) {
+      join[stack.pop()].dir
+        .filter(pos => pos >= 0 && cel[pos] > 0 && !seen.has(pos))
+        .forEach(pos => {
+          seen.add(pos);
+          stack.push(pos);
+        });
+    }
+  });
+  return masses;
+};
+
+const waterShare = ({ cel }) => cel.filter(area => area === 0).length / cel.length;
+
 // Add global mock for next_cel
 global.next_cel = jest.fn((pos, dir) => {
   // Simple mock implementation
@@ -287,6 +326,50 @@ describe('Map Generator', () => {
     });
   });
 
+  describe('makeMap options', () => {
+    test.each([
+      [16, 16, 12],
+      [48, 48, 64],
+    ])('fills a %ix%i grid with up to %i territories', (xmax, ymax, areaMax) => {
+      const gameState = makeMap(createGrid(xmax, ymax, areaMax, 'grid'));
+      const areas = gameState.adat.filter(area => area.size > 0);
+
+      expect(gameState.cel).toHaveLength(xmax * ymax);
+      expect(gameState.adat).toHaveLength(areaMax);
+      expect(areas.length).toBeGreaterThan(areaMax * 0.75);
+      expect(areas.every(area => area.join.length === areaMax)).toBe(true);
+      expect(countLandMasses(gameState)).toBe(1);
+    });
+
+    test('leaves the requested share of the grid as water', () => {
+      [0.2, 0.5].forEach(waterPercentage => {
+        const gameState = makeMap(createGrid(28, 32, 32, 'water'), { waterPercentage });
+
+        expect(waterShare(gameState)).toBeCloseTo(waterPercentage, 1);
+      });
+    });
+
+    test('keeps the classic territory size without a water share', () => {
+      const gameState = makeMap(createGrid(28, 32, 32, 'classic'));
+
+      expect(waterShare(gameState)).toBeGreaterThan(0.25);
+      expect(waterShare(gameState)).toBeLessThan(0.5);
+    });
+
+    test('makes islands only when they are allowed', () => {
+      const seeds = ['a', 'b', 'c', 'd', 'e'];
+      const masses = allowIslands =>
+        seeds.map(seed =>
+          countLandMasses(
+            makeMap(createGrid(28, 32, 32, seed), { waterPercentage: 0.6, allowIslands })
+          )
+        );
+
+      expect(masses(false)).toEqual([1, 1, 1, 1, 1]);
+      expect(Math.max(...masses(true))).toBeGreaterThan(1);
+    });
+  });
+
   describe('setAreaTc', () => {
     beforeEach(() => {
       // Clear any previous mock calls
@@ -0,0 +1,146 @@
+/**
+ * Tests for Map Symmetry Module
+ */
+import { Game } from '../../src/Game.js';
+import { MapError } from '../../src/mechanics/errors/index.js';
+import { makeMap } from '../../src/mechanics/mapGenerator.js';
+import {
+  SYMMETRY_PLAYERS,
+  composeSymmetry,
+  countLandMasses,
+  createSymmetryOrbits,
+  getSymmetry,
+  symmetricAreaId,
+  validateSymmetry,
+} from '../../src/mechanics/mapSymmetry.js';
+
+// Every supported mode and player count
+const SYMMETRIES = Object.entries(SYMMETRY_PLAYERS).flatMap(([mode, counts]) =>
+  counts.map(players => [mode, players])
+);
+
+// A symmetric map for a new game
+const createMap = (mode, players, options = {}) =>
+  makeMap(new Game({ seed: `${mode}-${players}`, playerCount: players }), {
+    symmetry: mode,
+    ...options,
+  });
+
+describe('Map Symmetry', () => {
+  describe('getSymmetry', () => {
+    test.each(SYMMETRIES)('%s symmetry for %i players is a group', (mode, players) => {
+      const symmetry = getSymmetry(mode, players);
+      const copies = [...Array(players).keys()];
+
+      // Every copy combines with each other copy into a different copy
+      copies.forEach(a => {
+        expect(new Set(copies.map(b => composeSymmetry(symmetry, a, b))).size).toBe(players);
+        expect(composeSymmetry(symmetry, 0, a)).toBe(a);
+      });
+    });
+
+    test('rejects player counts the symmetry cannot share out', () => {
+      expect(() => getSymmetry('rotational', 4)).toThrow(MapError);
+      expect(() => getSymmetry('mirror', 3)).toThrow(
+        'mirror symmetry needs 2, 4, 6 players, not 3'
+      );
+      expect(() => getSymmetry('spiral', 2)).toThrow('Unknown map symmetry: spiral');
+    });
+  });
+
+  describe('createSymmetryOrbits', () => {
+    test('copies cells around the center', () => {
+      const game = new Game({ playerCount: 6 });
+      const orbits = createSymmetryOrbits(game, getSymmetry('rotational', 6));
+      const center = 15 * game.XMAX + 13;
+
+      // The center is sea; the six cells around it are one another's copies
+      expect(orbits[center]).toBeNull();
+      expect(new Set(orbits[center + 1].cells)).toEqual(
+        new Set(game.join[center].dir.filter(cell => cell >= 0))
+      );
+      expect(orbits[center + 1].distance).toBe(1);
+    });
+
+    test('mirrors cells left to right', () => {
+      const game = new Game({ playerCount: 2 });
+      const orbits = createSymmetryOrbits(game, getSymmetry('mirror', 2));
+
+      // The axis runs through the middle cell of odd rows and between cells on even rows
+      expect(orbits[3 * game.XMAX + 10].cells).toEqual([3 * game.XMAX + 10, 3 * game.XMAX + 16]);
+      expect(orbits[3 * game.XMAX + 13]).toBeNull();
+      expect(orbits[2 * game.XMAX + 13].cells).toEqual([2 * game.XMAX + 13, 2 * game.XMAX + 14]);
+    });
+  });
+
+  describe('makeMap', () => {
+    test.each(SYMMETRIES)('makes %s maps for %i players', (mode, players) => {
+      const game = createMap(mode, players);
+      const territories = game.adat.filter(area => area.size > 0);
+      const holdings = [...Array(players).keys()].map(p =>
+        territories.filter(area => area.arm === p)
+      );
+
+      expect(validateSymmetry(game, getSymmetry(mode, players))).toEqual([]);
+      expect(countLandMasses(game)).toBe(1);
+      expect(territories.length).toBeGreaterThan(game.AREA_MAX * 0.75);
+      expect(new Set(holdings.map(owned => owned.length)).size).toBe(1);
+      expect(new Set(holdings.map(owned => owned.reduce((sum, a) => sum + a.dice, 0))).size).toBe(
+        1
+      );
+      expect(new Set(game.player.slice(0, players).map(player => player.area_tc)).size).toBe(1);
+    });
+
+    test('copies every cell of the base layout', () => {
+      const game = createMap('rotational', 3);
+      const orbits = createSymmetryOrbits(game, getSymmetry('rotational', 3));
+
+      // Cells of the base layout (copy 0) and their copies
+      orbits.forEach((orbit, cell) => {
+        if (!orbit || game.cel[cell] === 0 || (game.cel[cell] - 1) % 3 !== 0) return;
+        const base = (game.cel[cell] - 1) / 3;
+        orbit.cells.forEach((copy, i) => {
+          expect(game.cel[copy]).toBe(symmetricAreaId(base, i, 3));
+        });
+      });
+    });
+
+    test('follows the grid size and water share', () => {
+      const game = new Game({ seed: 'large', playerCount: 4, mapWidth: 40, mapHeight: 40 });
+      makeMap(game, { symmetry: 'mirror', waterPercentage: 0.5 });
+      const water = game.cel.filter(area => area === 0).length / game.cel_max;
+
+      expect(validateSymmetry(game, getSymmetry('mirror', 4))).toEqual([]);
+      expect(water).toBeGreaterThan(0.4);
+      expect(water).toBeLessThan(0.6);
+    });
+
+    test('fails for player counts the symmetry cannot share out', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(() => createMap('rotational', 5)).toThrow('rotational symmetry needs 2, 3, 6 players');
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('validateSymmetry', () => {
+    test('finds copies that do not match', () => {
+      const game = createMap('mirror', 2);
+      const symmetry = getSymmetry('mirror', 2);
+      game.adat[1].dice = game.adat[2].dice === 1 ? 2 : 1;
+
+      expect(validateSymmetry(game, symmetry)).toContain('Territory 1 does not match its copy 2');
+    });
+
+    test('finds adjacency that is not copied', () => {
+      const game = createMap('rotational', 2);
+      const symmetry = getSymmetry('rotational', 2);
+      const far = game.adat.findIndex((area, id) => id > 2 && area.size > 0 && !area.join[1]);
+      game.adat[1].join[far] = 1;
+      game.adat[far].join[1] = 1;
+
+      expect(validateSymmetry(game, symmetry).join()).toMatch(/are adjacent, but their copies/);
+    });
+  });
+});
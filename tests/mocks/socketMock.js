@@ -0,0 +1,112 @@
+/**
+ * Socket Mock Helper
+ *
+ * In-process sockets for network tests: a fake client connected to a
+ * GameServer, and a socket factory for GameClient.
+ */
+import { MessageType, decodeMessage, encodeMessage } from '../../src/network/protocol.js';
+
+/**
+ * Create a pair of linked sockets
+ *
+ * The server end has the `ws` API (`on`), the client end the browser
+ * WebSocket API (`addEventListener`). Messages are delivered synchronously.
+ *
+ * @returns {{serverSocket: Object, clientSocket: Object}} The two ends
+ */
+export const createSocketPair = () => {
+  const serverListeners = { message: [], close: [] };
+  const clientListeners = { open: [], message: [], close: [] };
+  let open = true;
+
+  const closeBoth = () => {
+    if (!open) return;
+    open = false;
+    serverListeners.close.forEach(listener => listener());
+    clientListeners.close.forEach(listener => listener({}));
+  };
+
+  const serverSocket = {
+    on: (event, listener) => serverListeners[event].push(listener),
+    send: text => {
+      if (open) clientListeners.message.forEach(listener => listener({ data: text }));
+    },
+    close: closeBoth,
+  };
+
+  const clientSocket = {
+    addEventListener: (event, listener) => clientListeners[event].push(listener),
+    send: text => {
+      if (open) serverListeners.message.forEach(listener => listener(text));
+    },
+    close: closeBoth,
+    open: () => clientListeners.open.forEach(listener => listener({})),
+  };
+
+  return { serverSocket, clientSocket };
+};
+
+/**
+ * Create a socket factory for GameClient that connects to a server in-process
+ *
+ * @param {Object} server - GameServer
+ * @returns {Function} createSocket option; its `sockets` property lists the client ends
+ */
+export const createSocketFactory = server => {
+  const sockets = [];
+  const createSocket = () => {
+    const { serverSocket, clientSocket } = createSocketPair();
+    server.connect(serverSocket);
+    sockets.push(clientSocket);
+    // Open after GameClient has added its listeners
+    setTimeout(() => clientSocket.open(), 0);
+    return clientSocket;
+  };
+  createSocket.sockets = sockets;
+  return createSocket;
+};
+
+/**
+ * A fake client: sends messages to a server and records what it receives
+ */
+export class FakeClient {
+  constructor(server) {
+    const { serverSocket, clientSocket } = createSocketPair();
+    this.server = server;
+    this.socket = clientSocket;
+    this.received = [];
+    clientSocket.addEventListener('message', ({ data }) => this.received.push(decodeMessage(data)));
+    server.connect(serverSocket);
+  }
+
+  /**
+   * Send a message and wait until the server has handled it
+   */
+  async send(type, payload = {}) {
+    this.socket.send(encodeMessage(type, payload));
+    await this.server.idle();
+  }
+
+  join(name, token = null) {
+    return this.send(MessageType.JOIN, { name, token });
+  }
+
+  async close() {
+    this.socket.close();
+    await this.server.idle();
+  }
+
+  /**
+   * Messages of a type, oldest first
+   */
+  messages(type) {
+    return this.received.filter(message => message.type === type);
+  }
+
+  /**
+   * The newest message of a type
+   */
+  last(type) {
+    return this.messages(type).at(-1);
+  }
+}
@@ -21,6 +21,15 @@ describe('HistoryData', () => {
       expect(historyData.to).toBe(0);
       expect(historyData.res).toBe(0);
     });
+
+    test('leaves the action details unrecorded', () => {
+      expect(historyData.player).toBeNull();
+      expect(historyData.turn).toBeNull();
+      expect(historyData.rolls).toBeNull();
+      expect(historyData.from_dice).toBeNull();
+      expect(historyData.to_dice).toBeNull();
+      expect(historyData.supply).toBeNull();
+    });
   });
 
   describe('Attack History', () => {
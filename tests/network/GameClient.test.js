@@ -0,0 +1,179 @@
+/**
+ * Tests for the Network Game Client
+ */
+import { Game } from '../../src/Game.js';
+import { EventType, gameEvents } from '../../src/mechanics/eventSystem.js';
+import { GameClient, TOKEN_KEY } from '../../src/network/GameClient.js';
+import { GameServer } from '../../src/network/GameServer.js';
+import { MessageType, captureState } from '../../src/network/protocol.js';
+import { FakeClient, createSocketFactory } from '../mocks/socketMock.js';
+
+// Let sockets open and the server handle what it has received
+const settle = async server => {
+  await new Promise(resolve => {
+    setTimeout(resolve, 0);
+  });
+  await server.idle();
+};
+
+// A client connected to a new server, seated first so it hosts
+const connectClient = async (options = {}) => {
+  const server = new GameServer({ seed: 'client', playerCount: 3 });
+  const createSocket = createSocketFactory(server);
+  const callbacks = {
+    onLobby: jest.fn(),
+    onState: jest.fn(),
+    onUpdate: jest.fn(),
+    onGameOver: jest.fn(),
+    onError: jest.fn(),
+    onDisconnect: jest.fn(),
+  };
+  const client = new GameClient(new Game(), {
+    url: 'ws://test',
+    name: 'Ann',
+    createSocket,
+    reconnectDelay: 0,
+    ...callbacks,
+    ...options,
+  }).connect();
+  await settle(server);
+  return { server, client, createSocket, callbacks };
+};
+
+describe('GameClient', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('joins the lobby and keeps its token', async () => {
+    const { client, callbacks } = await connectClient();
+
+    expect(client.seat).toBe(0);
+    expect(sessionStorage.getItem(TOKEN_KEY)).toBeTruthy();
+    expect(callbacks.onLobby).toHaveBeenLastCalledWith(
+      expect.objectContaining({ host: 0, started: false })
+    );
+  });
+
+  test('mirrors the server game and plays its own seat', async () => {
+    const { server, client, callbacks } = await connectClient();
+    client.start();
+    await settle(server);
+
+    expect(callbacks.onState).toHaveBeenCalledWith(client.game);
+    expect(client.game.user).toBe(0);
+    expect(client.game.cel).toEqual(server.game.cel);
+    expect(captureState(client.game)).toEqual(captureState(server.game));
+    expect(client.isMyTurn).toBe(true);
+  });
+
+  test('sends moves to the server and applies the diffs', async () => {
+    const { server, client, callbacks } = await connectClient();
+    client.start();
+    await settle(server);
+
+    const { adat, AREA_MAX } = client.game;
+    const from = adat.findIndex((area, i) => i < AREA_MAX && area.arm === 0 && area.dice > 1);
+    const to = adat[from].join.findIndex((joined, i) => joined && adat[i].arm !== 0);
+    client.attack(from, to);
+    await settle(server);
+
+    expect(callbacks.onUpdate).toHaveBeenCalled();
+    expect(client.game.his[client.game.his_c - 1]).toMatchObject({ from, to });
+    expect(captureState(client.game)).toEqual(captureState(server.game));
+
+    client.endTurn();
+    await settle(server);
+
+    expect(client.version).toBe(server.version);
+    expect(captureState(client.game)).toEqual(captureState(server.game));
+  });
+
+  test('emits the events of the hosted game locally', async () => {
+    const { server, client } = await connectClient();
+    const handler = jest.fn();
+    const id = gameEvents.on(EventType.DICE_ADDED, handler);
+    client.start();
+    await settle(server);
+    client.endTurn();
+    await settle(server);
+    await settle(server);
+    gameEvents.off(id);
+
+    expect(handler).toHaveBeenCalledWith(
+      expect.objectContaining({ gameState: client.game, remote: true })
+    );
+  });
+
+  test('reports rejected moves', async () => {
+    const { server, client, callbacks } = await connectClient();
+    client.endTurn();
+    await settle(server);
+
+    expect(callbacks.onError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'ERR_NOT_RUNNING' })
+    );
+  });
+
+  test('reports malformed messages from the server and keeps going', async () => {
+    const { server, client, callbacks } = await connectClient();
+    const [{ socket }] = server.connections;
+
+    expect(() => socket.send('{not json')).not.toThrow();
+    expect(() => socket.send(JSON.stringify({ type: 'bogus' }))).not.toThrow();
+    expect(callbacks.onError).toHaveBeenCalledTimes(2);
+    expect(callbacks.onError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'ERR_PROTOCOL' })
+    );
+
+    client.start();
+    await settle(server);
+    expect(callbacks.onState).toHaveBeenCalled();
+  });
+
+  test('asks for the whole game after missing a diff', async () => {
+    const { server, client } = await connectClient();
+    client.start();
+    await settle(server);
+    const send = jest.spyOn(client, 'send');
+
+    client.handleMessage(JSON.stringify({ type: MessageType.DIFF, version: client.version + 2 }));
+    client.handleMessage(JSON.stringify({ type: MessageType.DIFF, version: client.version + 3 }));
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(MessageType.SYNC);
+  });
+
+  test('reconnects to its seat after losing the connection', async () => {
+    const { server, client, createSocket, callbacks } = await connectClient();
+    const guest = new FakeClient(server);
+    await guest.join('Bob');
+    client.start();
+    await settle(server);
+
+    createSocket.sockets[0].close();
+    await settle(server);
+    await settle(server);
+
+    expect(callbacks.onDisconnect).toHaveBeenCalledWith(false);
+    expect(createSocket.sockets).toHaveLength(2);
+    expect(client.seat).toBe(0);
+    expect(server.seats[0].connection).not.toBeNull();
+    expect(client.version).toBe(server.version);
+    expect(captureState(client.game)).toEqual(captureState(server.game));
+  });
+
+  test('does not reconnect after closing', async () => {
+    const { server, client, createSocket, callbacks } = await connectClient();
+    client.close();
+    await settle(server);
+
+    expect(callbacks.onDisconnect).not.toHaveBeenCalled();
+    expect(createSocket.sockets).toHaveLength(1);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for the Network Game Server
+ */
+import { EventType } from '../../src/mechanics/eventSystem.js';
+import { GameServer } from '../../src/network/GameServer.js';
+import { MessageType } from '../../src/network/protocol.js';
+import { FakeClient } from '../mocks/socketMock.js';
+
+// An attack the player can make: from a territory with enough dice to a neighbor
+const findAttack = (game, player) => {
+  for (let from = 1; from < game.AREA_MAX; from++) {
+    const area = game.adat[from];
+    if (area.size === 0 || area.arm !== player || area.dice < 2) continue;
+    for (let to = 1; to < game.AREA_MAX; to++) {
+      if (area.join[to] && game.adat[to].arm !== player) return { from, to };
+    }
+  }
+  return null;
+};
+
+// A server with two human seats, started by the host
+const startGame = async (options = {}) => {
+  const server = new GameServer({ seed: 'lan', playerCount: 4, ...options });
+  const host = new FakeClient(server);
+  const guest = new FakeClient(server);
+  await host.join('Ann');
+  await guest.join('Bob');
+  await host.send(MessageType.START);
+  return { server, host, guest };
+};
+
+// Let the event system deliver what has been emitted
+const flushEvents = () =>
+  new Promise(resolve => {
+    setTimeout(resolve, 0);
+  });
+
+// The client whose turn it is, and the other one
+const byTurn = ({ server, host, guest }) => {
+  const current = server.game.jun[server.game.ban];
+  return current === 0 ? [host, guest] : [guest, host];
+};
+
+describe('GameServer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('lobby', () => {
+    test('seats clients in order and makes the first one host', async () => {
+      const server = new GameServer({ playerCount: 2 });
+      const [ann, bob, cy] = [0, 1, 2].map(() => new FakeClient(server));
+      await ann.join('Ann');
+      await bob.join('Bob');
+      await cy.join('Cy');
+
+      expect(ann.last(MessageType.WELCOME)).toMatchObject({ seat: 0, clientId: 1 });
+      expect(bob.last(MessageType.WELCOME).seat).toBe(1);
+      expect(cy.last(MessageType.WELCOME)).toMatchObject({ seat: null, token: null });
+      expect(ann.last(MessageType.LOBBY)).toEqual({
+        type: MessageType.LOBBY,
+        seats: [
+          { seat: 0, name: 'Ann', connected: true, ai: false },
+          { seat: 1, name: 'Bob', connected: true, ai: false },
+        ],
+        host: 0,
+        started: false,
+      });
+    });
+
+    test('frees the seat of a client that leaves before the start', async () => {
+      const server = new GameServer({ playerCount: 2 });
+      const ann = new FakeClient(server);
+      const bob = new FakeClient(server);
+      await ann.join('Ann');
+      await bob.join('Bob');
+      await ann.close();
+
+      expect(bob.last(MessageType.LOBBY)).toMatchObject({
+        seats: [{ name: null, connected: false }, { name: 'Bob' }],
+        host: 1,
+      });
+    });
+
+    test('only lets the host start', async () => {
+      const server = new GameServer({ playerCount: 2 });
+      const ann = new FakeClient(server);
+      const bob = new FakeClient(server);
+      await ann.join('Ann');
+      await bob.join('Bob');
+      await bob.send(MessageType.START);
+
+      expect(bob.last(MessageType.ERROR)).toMatchObject({ code: 'ERR_NOT_HOST' });
+      expect(server.started).toBe(false);
+    });
+
+    test('rejects messages that are not part of the protocol', async () => {
+      const server = new GameServer();
+      const ann = new FakeClient(server);
+      ann.socket.send('{"type":"cheat"}');
+      await server.idle();
+      await ann.send(MessageType.JOIN, { name: 'Ann', protocol: 99 });
+
+      expect(ann.messages(MessageType.ERROR).map(error => error.code)).toEqual([
+        'ERR_PROTOCOL',
+        'ERR_PROTOCOL_VERSION',
+      ]);
+    });
+  });
+
+  describe('game', () => {
+    test('fills empty seats with AIs and sends everyone the game', async () => {
+      const { server, host, guest } = await startGame();
+
+      expect(host.last(MessageType.LOBBY)).toMatchObject({
+        started: true,
+        seats: [{ ai: false }, { ai: false }, { ai: true }, { ai: true }],
+      });
+      expect(guest.last(MessageType.STATE).snapshot.settings.pmax).toBe(4);
+
+      // AIs have played until a human's turn
+      expect([0, 1]).toContain(server.game.jun[server.game.ban]);
+    });
+
+    test('rejects moves out of turn', async () => {
+      const game = await startGame();
+      const [, waiting] = byTurn(game);
+      await waiting.send(MessageType.END_TURN);
+
+      expect(waiting.last(MessageType.ERROR)).toMatchObject({ code: 'ERR_INVALID_TURN' });
+    });
+
+    test('rejects illegal attacks', async () => {
+      const game = await startGame();
+      const [current] = byTurn(game);
+      const { adat, AREA_MAX } = game.server.game;
+      const seat = current.last(MessageType.WELCOME).seat;
+      const enemy = adat.findIndex(
+        (area, i) => i > 0 && i < AREA_MAX && area.size > 0 && area.arm !== seat
+      );
+      const version = game.server.version;
+
+      await current.send(MessageType.ATTACK, { from: enemy, to: enemy });
+
+      expect(current.last(MessageType.ERROR)).toMatchObject({ code: 'ERR_TERRITORY_NOT_OWNED' });
+      expect(game.server.version).toBe(version);
+    });
+
+    test('rejects territories that are not board indices', async () => {
+      const game = await startGame();
+      const [current] = byTurn(game);
+      const seat = current.last(MessageType.WELCOME).seat;
+      const { from, to } = findAttack(game.server.game, seat);
+      const version = game.server.version;
+      const invalid = [
+        { from: String(from), to },
+        { from, to: `${to}` },
+        { from: from + 0.5, to },
+        { from, to: null },
+        { from: null, to: null },
+        { from: 0, to },
+        { from, to: game.server.game.AREA_MAX },
+      ];
+
+      for (const move of invalid) {
+        await current.send(MessageType.ATTACK, move);
+        expect(current.last(MessageType.ERROR)).toMatchObject({ code: 'ERR_INVALID_ATTACK' });
+      }
+      expect(game.server.version).toBe(version);
+    });
+
+    test('plays attacks and sends the events and the diff to everyone', async () => {
+      const game = await startGame();
+      const [current, other] = byTurn(game);
+      const seat = current.last(MessageType.WELCOME).seat;
+      const { from, to } = findAttack(game.server.game, seat);
+      const sent = other.received.length;
+
+      await current.send(MessageType.ATTACK, { from, to });
+      const received = other.received.slice(sent);
+      const diff = received.find(message => message.type === MessageType.DIFF);
+
+      expect(received.map(message => message.event ?? message.type)).toContain(
+        EventType.TERRITORY_ATTACK
+      );
+      expect(received.at(-1)).toBe(diff);
+      expect(diff.history).toEqual([expect.objectContaining({ from, to, player: seat })]);
+      expect(diff.areas[from]).toEqual([seat, game.server.game.adat[from].dice]);
+      expect(diff.version).toBe(game.server.version);
+    });
+
+    test('forwards the game events but not the UI events', async () => {
+      const game = await startGame();
+      await flushEvents();
+      const events = game.guest.messages(MessageType.EVENT).map(message => message.event);
+
+      expect(events).toEqual(expect.arrayContaining([EventType.GAME_START, EventType.TURN_START]));
+      expect(events).not.toContain(EventType.MAP_UPDATED);
+    });
+
+    test('plays the AI turns after a player ends their turn', async () => {
+      const game = await startGame();
+      const [current] = byTurn(game);
+      const turns = game.server.runner.turns;
+
+      await current.send(MessageType.END_TURN);
+
+      expect(game.server.runner.turns).toBeGreaterThan(turns);
+      expect(current.last(MessageType.DIFF).turn).not.toBeNull();
+    });
+  });
+
+  describe('reconnection', () => {
+    test('lets the AI play for a player who left and gives the seat back', async () => {
+      const game = await startGame();
+      const [current, other] = byTurn(game);
+      const { seat, token } = current.last(MessageType.WELCOME);
+      await current.close();
+
+      expect(other.last(MessageType.LOBBY).seats[seat]).toMatchObject({
+        connected: false,
+        ai: true,
+      });
+      expect(game.server.game.jun[game.server.game.ban]).not.toBe(seat);
+
+      const returning = new FakeClient(game.server);
+      await returning.join('Again', token);
+
+      expect(returning.last(MessageType.WELCOME)).toMatchObject({ seat, token });
+      expect(returning.last(MessageType.STATE).version).toBe(game.server.version);
+    });
+
+    test('plays the game to the end when every player has left', async () => {
+      const game = await startGame({ playerCount: 2, maxTurns: 400 });
+      const watcher = new FakeClient(game.server);
+      await watcher.join('Watcher');
+      await game.host.close();
+      await game.guest.close();
+
+      expect(game.server.finished).toBe(true);
+      expect(watcher.messages(MessageType.EVENT).at(-1)).toMatchObject({
+        event: EventType.GAME_END,
+        data: { winner: game.server.runner.getWinner() },
+      });
+      expect(watcher.last(MessageType.GAME_OVER)).toEqual({
+        type: MessageType.GAME_OVER,
+        winner: game.server.runner.getWinner(),
+      });
+    });
+  });
+});
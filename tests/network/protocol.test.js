@@ -0,0 +1,100 @@
+/**
+ * Tests for the Network Protocol
+ */
+import { GameStateError } from '../../src/mechanics/errors/index.js';
+import { Game } from '../../src/Game.js';
+import {
+  MessageType,
+  PROTOCOL_VERSION,
+  applyStateDiff,
+  captureState,
+  decodeMessage,
+  diffState,
+  encodeMessage,
+} from '../../src/network/protocol.js';
+
+const createGame = () => {
+  const game = new Game({ seed: 'protocol', humanPlayerIndex: null });
+  game.make_map();
+  game.start_game();
+  return game;
+};
+
+// Code of the error thrown for a message
+const errorCode = text => {
+  try {
+    decodeMessage(text);
+    return null;
+  } catch (error) {
+    return error.data.code;
+  }
+};
+
+describe('Network Protocol', () => {
+  describe('messages', () => {
+    test('round-trips a message', () => {
+      const text = encodeMessage(MessageType.ATTACK, { from: 3, to: 7 });
+
+      expect(decodeMessage(text)).toEqual({ type: MessageType.ATTACK, from: 3, to: 7 });
+    });
+
+    test('decodes buffers', () => {
+      const text = encodeMessage(MessageType.JOIN, { protocol: PROTOCOL_VERSION });
+
+      expect(decodeMessage(Buffer.from(text)).protocol).toBe(PROTOCOL_VERSION);
+    });
+
+    test.each([['not json'], ['null'], ['{"type":"cheat"}'], ['{}']])(
+      'rejects %s with ERR_PROTOCOL',
+      text => {
+        expect(() => decodeMessage(text)).toThrow(GameStateError);
+        expect(errorCode(text)).toBe('ERR_PROTOCOL');
+      }
+    );
+  });
+
+  describe('state diffs', () => {
+    test('finds no changes in an unchanged game', () => {
+      const game = createGame();
+
+      expect(diffState(captureState(game), captureState(game), game)).toBeNull();
+    });
+
+    test('records changed territories, players, turn and history', () => {
+      const game = createGame();
+      const before = captureState(game);
+
+      game.adat[2].arm = 5;
+      game.adat[2].dice = 1;
+      game.player[5].dice_c = 42;
+      game.ban = (game.ban + 1) % game.pmax;
+      game.set_his(1, 2, 0);
+
+      const diff = diffState(before, captureState(game), game);
+
+      expect(diff.areas).toEqual({ 2: [5, 1] });
+      expect(diff.players[5].dice_c).toBe(42);
+      expect(diff.turn).toEqual({ ban: game.ban, turn_c: game.turn_c ?? 0 });
+      expect(diff.history).toEqual([expect.objectContaining({ from: 1, to: 2, res: 0 })]);
+    });
+
+    test('brings a copy of the game up to date', () => {
+      const game = createGame();
+      const copy = createGame();
+      const before = captureState(game);
+
+      game.adat[4].arm = 6;
+      game.adat[4].dice = 8;
+      game.player[6].area_c = 9;
+      game.ban = (game.ban + 2) % game.pmax;
+      game.set_his(3, 4, 1);
+
+      // The wire format is JSON
+      const diff = JSON.parse(JSON.stringify(diffState(before, captureState(game), game)));
+      applyStateDiff(copy, diff);
+
+      expect(captureState(copy)).toEqual(captureState(game));
+      expect(copy.his[copy.his_c - 1]).toMatchObject({ from: 3, to: 4, res: 1 });
+    });
+  });
+});
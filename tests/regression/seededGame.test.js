@@ -0,0 +1,79 @@
+import { Game } from '../../src/Game.js';
+
+/*
+ * Plays a short scripted game: every attack a player can make from each of
+ * its territories with more than one die, followed by reinforcements.
+ */
+const playScriptedTurns = (game, turns) => {
+  const outcomes = [];
+
+  for (let t = 0; t < turns; t++) {
+    const pn = game.jun[game.ban];
+
+    for (let from = 1; from < game.AREA_MAX; from++) {
+      if (game.adat[from].size === 0 || game.adat[from].arm !== pn || game.adat[from].dice <= 1) {
+        continue;
+      }
+      for (let to = 1; to < game.AREA_MAX; to++) {
+        if (game.adat[to].size > 0 && game.adat[to].arm !== pn && game.adat[from].join[to]) {
+          const result = game.attack(from, to);
+          outcomes.push([from, to, result.success]);
+          break;
+        }
+      }
+    }
+
+    game.distributeReinforcements(pn);
+    game.ban = (game.ban + 1) % game.pmax;
+  }
+
+  return outcomes;
+};
+
+const snapshotGame = game => ({
+  cel: [...game.cel],
+  jun: [...game.jun],
+  ban: game.ban,
+  areas: game.adat.map(area => [area.arm, area.dice, area.size]),
+});
+
+describe('Regression: seeded games', () => {
+  test('the same seed reproduces map, turn order and battle outcomes', () => {
+    const games = [new Game({ seed: 'regression' }), new Game({ seed: 'regression' })];
+
+    const results = games.map(game => {
+      game.make_map();
+      game.start_game();
+      const start = snapshotGame(game);
+      const outcomes = playScriptedTurns(game, 5);
+      return { start, outcomes, end: snapshotGame(game) };
+    });
+
+    expect(results[0].outcomes.length).toBeGreaterThan(0);
+    expect(results[1]).toEqual(results[0]);
+  });
+
+  test('different seeds produce different maps', () => {
+    const first = new Game({ seed: 1 });
+    const second = new Game({ seed: 2 });
+    first.make_map();
+    second.make_map();
+
+    expect(second.cel).not.toEqual(first.cel);
+  });
+
+  test('setSeed restarts the sequence and null restores the default source', () => {
+    const game = new Game();
+    game.setSeed(42);
+    game.make_map();
+    const firstMap = [...game.cel];
+
+    game.setSeed(42);
+    game.make_map();
+    expect(game.cel).toEqual(firstMap);
+
+    game.setSeed(null);
+    expect(game.seed).toBeNull();
+    expect(game.rng()).toBeGreaterThanOrEqual(0);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the headless Game Runner
+ */
+import { jest } from '@jest/globals';
+import { GameRunner, runGame } from '../../src/runner/index.js';
+import { GameStateError } from '../../src/mechanics/errors/index.js';
+
+// Ends every turn immediately
+const passiveAI = () => 0;
+
+describe('GameRunner', () => {
+  test('plays a complete game to a single winner', async () => {
+    const result = await runGame({
+      seed: 'headless',
+      playerCount: 4,
+      ai: Array(4).fill('ai_default'),
+    });
+
+    expect(result.finished).toBe(true);
+    expect(result.winner).toBeGreaterThanOrEqual(0);
+    expect(result.winner).toBeLessThan(4);
+    expect(result.turns).toBeGreaterThan(0);
+    expect(result.history.length).toBe(result.game.his_c);
+    expect(result.eliminations).toHaveLength(3);
+
+    // The winner owns every territory on the map
+    result.game.adat
+      .filter((area, i) => i > 0 && area.size > 0)
+      .forEach(area => expect(area.arm).toBe(result.winner));
+  });
+
+  test('records attacks and reinforcements in the history', async () => {
+    const { history } = await runGame({ seed: 7, playerCount: 3, ai: Array(3).fill('ai_default') });
+
+    expect(history.some(entry => entry.to > 0)).toBe(true);
+    expect(history.some(entry => entry.to === 0)).toBe(true);
+  });
+
+  test('numbers the turns of the history entries', async () => {
+    const { history, turns } = await runGame({
+      seed: 7,
+      playerCount: 3,
+      ai: Array(3).fill('ai_default'),
+    });
+
+    expect(history[0].turn).toBe(0);
+    expect(history[history.length - 1].turn).toBeLessThan(turns);
+    history.slice(1).forEach((entry, i) => {
+      expect(entry.turn).toBeGreaterThanOrEqual(history[i].turn);
+    });
+  });
+
+  test('plays by house rules', async () => {
+    const runner = new GameRunner({
+      seed: 'house-rules',
+      playerCount: 3,
+      ai: Array(3).fill('ai_default'),
+      rules: { maxDice: 5, minAttackDice: 3, stockMax: 10 },
+    });
+    await runner.setup();
+
+    for (let i = 0; i < 12; i++) {
+      await runner.playTurn();
+      runner.game.adat.forEach(area => expect(area.dice).toBeLessThanOrEqual(5));
+      runner.game.player.forEach(player => expect(player.stock).toBeLessThanOrEqual(10));
+    }
+
+    const attacks = runner.game.his.slice(0, runner.game.his_c).filter(entry => entry.to > 0);
+    expect(attacks.length).toBeGreaterThan(0);
+    attacks.forEach(entry => expect(entry.from_dice[0]).toBeGreaterThanOrEqual(3));
+  });
+
+  test('reproduces the same game for the same seed', async () => {
+    const options = { seed: 'rematch', playerCount: 3, ai: Array(3).fill('ai_default') };
+    const first = await runGame(options);
+    const second = await runGame(options);
+
+    expect(second.winner).toBe(first.winner);
+    expect(second.turns).toBe(first.turns);
+    expect(second.history).toEqual(first.history);
+  });
+
+  test('accepts AI functions as well as strategy IDs', async () => {
+    const spy = jest.fn(passiveAI);
+    const runner = new GameRunner({ seed: 1, playerCount: 2, ai: [spy, 'ai_default'] });
+    const result = await runner.run();
+
+    expect(spy).toHaveBeenCalled();
+    expect(result.winner).toBe(1);
+  });
+
+  test('stops after maxTurns when nobody can win', async () => {
+    const result = await runGame({
+      seed: 1,
+      playerCount: 2,
+      ai: [passiveAI, passiveAI],
+      maxTurns: 10,
+    });
+
+    expect(result.finished).toBe(false);
+    expect(result.winner).toBeNull();
+    expect(result.turns).toBe(10);
+  });
+
+  test('plays the fallback AI when the AI chooses an illegal move', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const illegalAI = game => {
+      game.area_from = 0;
+      game.area_to = 0;
+      return 1;
+    };
+    const illegal = new GameRunner({ seed: 1, playerCount: 2, ai: [illegalAI, passiveAI] });
+    const fallback = new GameRunner({ seed: 1, playerCount: 2, ai: ['ai_default', passiveAI] });
+    await illegal.setup();
+    await fallback.setup();
+
+    // Play both players' first turns
+    const turns = [await illegal.playTurn(), await illegal.playTurn()];
+    expect(turns).toEqual([await fallback.playTurn(), await fallback.playTurn()]);
+    expect(turns[0].attacks + turns[1].attacks).toBeGreaterThan(0);
+    expect(illegal.getResult().history).toEqual(fallback.getResult().history);
+    warnSpy.mockRestore();
+  });
+
+  test('rejects games with a player that has no AI', async () => {
+    const runner = new GameRunner({ playerCount: 3, ai: ['ai_default', null, 'ai_default'] });
+
+    await expect(runner.run()).rejects.toThrow(GameStateError);
+  });
+
+  test('skips eliminated players when advancing turns', async () => {
+    const runner = new GameRunner({ seed: 3, playerCount: 3, ai: Array(3).fill(passiveAI) });
+    const game = await runner.setup();
+    const eliminated = game.jun[1];
+    game.player[eliminated].area_c = 0;
+    game.ban = 0;
+
+    runner.nextPlayer();
+
+    expect(game.jun[game.ban]).not.toBe(eliminated);
+  });
+});
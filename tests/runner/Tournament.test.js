@@ -0,0 +1,142 @@
+/**
+ * Tests for the AI Tournament Harness
+ */
+import {
+  Tournament,
+  createRoundRobinSchedule,
+  createSwissRound,
+  expectedScore,
+  getPlacements,
+  runTournament,
+  wilsonInterval,
+} from '../../src/runner/index.js';
+
+// Minimal stand-in for a GameRunner result
+const createResult = (areaCounts, eliminations = []) => ({
+  game: { player: areaCounts.map(area_c => ({ area_c })) },
+  eliminations: eliminations.map(player => ({ player })),
+});
+
+describe('Tournament', () => {
+  describe('createRoundRobinSchedule', () => {
+    test('seats every group in every rotation', () => {
+      const schedule = createRoundRobinSchedule(['a', 'b', 'c'], [2]);
+
+      expect(schedule).toEqual([
+        ['a', 'b'],
+        ['b', 'a'],
+        ['a', 'c'],
+        ['c', 'a'],
+        ['b', 'c'],
+        ['c', 'b'],
+      ]);
+    });
+
+    test('covers every table size', () => {
+      const schedule = createRoundRobinSchedule(['a', 'b', 'c', 'd'], [2, 3, 4]);
+
+      // 6 pairs x 2 seats + 4 triples x 3 seats + 1 group x 4 seats
+      expect(schedule).toHaveLength(12 + 12 + 4);
+      ['a', 'b', 'c', 'd'].forEach(id => {
+        [0, 1, 2, 3].forEach(seat => {
+          expect(schedule.some(lineup => lineup.length === 4 && lineup[seat] === id)).toBe(true);
+        });
+      });
+    });
+  });
+
+  describe('createSwissRound', () => {
+    test('seats strategies of similar rating together and gives byes', () => {
+      const ratings = { a: 1400, b: 1600, c: 1500, d: 1550, e: 1300 };
+      const tables = createSwissRound(Object.keys(ratings), ratings, 2, 0);
+
+      expect(tables).toEqual([
+        ['b', 'd'],
+        ['c', 'a'],
+      ]);
+    });
+
+    test('rotates seats between rounds', () => {
+      const ratings = { a: 1500, b: 1400 };
+
+      expect(createSwissRound(['a', 'b'], ratings, 2, 1)).toEqual([['b', 'a']]);
+    });
+  });
+
+  describe('getPlacements', () => {
+    test('ranks the winner first and eliminated players by survival', () => {
+      // Player 2 won, player 0 went out first and player 1 second
+      expect(getPlacements(createResult([0, 0, 30], [0, 1]), 3)).toEqual([3, 2, 1]);
+    });
+
+    test('ranks survivors of unfinished games by territory count', () => {
+      expect(getPlacements(createResult([10, 10, 5, 0], [3]), 4)).toEqual([1, 1, 3, 4]);
+    });
+  });
+
+  describe('rating helpers', () => {
+    test('expectedScore follows the Elo curve', () => {
+      expect(expectedScore(1500, 1500)).toBeCloseTo(0.5);
+      expect(expectedScore(1900, 1500)).toBeCloseTo(10 / 11);
+    });
+
+    test('wilsonInterval brackets the observed rate', () => {
+      const [low, high] = wilsonInterval(30, 100);
+
+      expect(low).toBeLessThan(0.3);
+      expect(high).toBeGreaterThan(0.3);
+      expect(wilsonInterval(0, 0)).toEqual([0, 1]);
+    });
+  });
+
+  describe('recordGame', () => {
+    test('moves ratings towards the winner and tracks records', () => {
+      const tournament = new Tournament({ strategies: ['a', 'b', 'c'], playerCounts: [3] });
+      tournament.recordGame({ lineup: ['a', 'b', 'c'], placements: [1, 2, 3], winner: 'a' });
+
+      const standings = tournament.getStandings();
+      expect(standings.map(row => row.strategy)).toEqual(['a', 'b', 'c']);
+      expect(standings[0].elo).toBeGreaterThan(1500);
+      expect(standings[1].elo).toBeCloseTo(1500);
+      expect(standings[2].elo).toBeLessThan(1500);
+
+      // Ratings are zero-sum
+      const total = standings.reduce((sum, row) => sum + row.elo, 0);
+      expect(total).toBeCloseTo(4500);
+
+      expect(standings[0]).toMatchObject({ games: 1, wins: 1, winRate: 1, averagePlacement: 0 });
+      expect(standings[0].bySeat[0]).toEqual({ games: 1, wins: 1 });
+      expect(standings[2].byPlayerCount[3]).toEqual({ games: 1, wins: 0 });
+    });
+  });
+
+  test('rejects unknown formats and impossible table sizes', () => {
+    expect(() => new Tournament({ format: 'knockout' })).toThrow('Unknown tournament format');
+    expect(() => new Tournament({ strategies: ['a', 'b'], playerCounts: [3] })).toThrow(
+      'Table size 3'
+    );
+  });
+
+  test('plays a small round-robin and exports the results', async () => {
+    const onGameEnd = jest.fn();
+    const tournament = await runTournament({
+      strategies: ['ai_default', 'ai_defensive'],
+      playerCounts: [2],
+      seed: 'test-cup',
+      onGameEnd,
+    });
+
+    expect(onGameEnd).toHaveBeenCalledTimes(2);
+
+    const report = JSON.parse(JSON.stringify(tournament));
+    expect(report.settings.strategies).toEqual(['ai_default', 'ai_defensive']);
+    expect(report.games).toHaveLength(2);
+    expect(report.games[0].seed).toBe('test-cup:0');
+    expect(report.standings).toHaveLength(2);
+    report.standings.forEach(row => expect(row.games).toBe(2));
+
+    const table = tournament.toTable();
+    expect(table).toHaveLength(2);
+    expect(Object.keys(table[0])).toEqual(['strategy', 'games', 'win rate', 'placement', 'elo']);
+  });
+});
@@ -7,7 +7,12 @@
  */
 import {
   DEFAULT_CONFIG,
+  DEFAULT_RULES,
   getConfig,
+  getRules,
+  MAP_LIMITS,
+  normalizeMapSettings,
+  normalizeRules,
   updateConfig,
   resetConfig,
   applyConfigToGame,
@@ -152,6 +157,140 @@ describe('Configuration Management', () => {
     });
   });
 
+  describe('rules', () => {
+    afterEach(() => {
+      resetConfig();
+    });
+
+    test('defaults to the original Dice Wars rules', () => {
+      expect(DEFAULT_CONFIG.rules).toEqual(DEFAULT_RULES);
+      expect(DEFAULT_RULES).toEqual({
+        maxDice: 8,
+        stockMax: 64,
+        minAttackDice: 2,
+        reinforcement: 'largestGroup',
+        regionBonus: 1,
+        battle: 'sum',
+      });
+    });
+
+    test('fills in and corrects rules', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(normalizeRules({ maxDice: 12 })).toEqual({ ...DEFAULT_RULES, maxDice: 12 });
+      expect(normalizeRules({ minAttackDice: 1 }).minAttackDice).toBe(2);
+      expect(normalizeRules({ reinforcement: 'unknown' }).reinforcement).toBe('largestGroup');
+      expect(normalizeRules({ battle: 'unknown' }).battle).toBe('sum');
+      expect(normalizeRules({ battle: 'risk' }).battle).toBe('risk');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    test('merges rule updates', () => {
+      updateConfig({ rules: { maxDice: 10 } });
+      updateConfig({ rules: { stockMax: 32 } });
+
+      expect(getConfig().rules).toEqual({ ...DEFAULT_RULES, maxDice: 10, stockMax: 32 });
+    });
+
+    test('reads the rules of a game, or the configured ones', () => {
+      updateConfig({ rules: { minAttackDice: 3 } });
+
+      expect(getRules().minAttackDice).toBe(3);
+      expect(getRules({}).minAttackDice).toBe(3);
+      expect(getRules({ rules: { maxDice: 6 } })).toEqual({ ...DEFAULT_RULES, maxDice: 6 });
+    });
+
+    test('returns the stored rules without completing them again', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const game = {};
+      await applyConfigToGame(game);
+      updateConfig({ rules: { battle: 'unknown' } });
+      const state = { rules: { reinforcement: 'unknown' } };
+
+      expect(getRules(game)).toBe(game.rules);
+      expect(getRules()).toBe(getRules());
+      expect(getRules().battle).toBe('sum');
+      expect(getRules(state)).toBe(getRules(state));
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    test('are applied to games', async () => {
+      const game = {};
+      await applyConfigToGame(game, { rules: { stockMax: 40, reinforcement: 'totalTerritories' } });
+
+      expect(game.rules).toEqual({
+        ...DEFAULT_RULES,
+        stockMax: 40,
+        reinforcement: 'totalTerritories',
+      });
+      expect(game.STOCK_MAX).toBe(40);
+    });
+  });
+
+  describe('map settings', () => {
+    test('default to the classic map', () => {
+      expect(normalizeMapSettings()).toEqual({
+        mapWidth: 28,
+        mapHeight: 32,
+        territoriesCount: 32,
+        mapOptions: {
+          territorySizeVariance: 0.2,
+          waterPercentage: null,
+          allowIslands: false,
+          fairness: null,
+          symmetry: null,
+        },
+      });
+    });
+
+    test('keep grids and territory counts within the limits', () => {
+      const settings = normalizeMapSettings({
+        mapWidth: 4,
+        mapHeight: 200,
+        territoriesCount: 500,
+        waterPercentage: 1,
+        allowIslands: 1,
+      });
+
+      expect(settings).toMatchObject({
+        mapWidth: MAP_LIMITS.minSize,
+        mapHeight: MAP_LIMITS.maxSize,
+        territoriesCount: MAP_LIMITS.maxTerritories,
+      });
+      expect(settings.mapOptions.waterPercentage).toBe(MAP_LIMITS.maxWaterPercentage);
+      expect(settings.mapOptions.allowIslands).toBe(true);
+    });
+
+    test('size the grid of games', async () => {
+      const game = {};
+      await applyConfigToGame(game, {
+        mapWidth: 48,
+        mapHeight: 48,
+        territoriesCount: 64,
+        waterPercentage: 0.3,
+      });
+
+      expect(game).toMatchObject({ XMAX: 48, YMAX: 48, AREA_MAX: 64, cel_max: 2304 });
+      expect(game.join).toHaveLength(2304);
+      expect(game.adat).toHaveLength(64);
+      expect(game.adat[1].join).toHaveLength(64);
+      expect(game.mapOptions.waterPercentage).toBe(0.3);
+    });
+
+    test('pass map fairness options to the generator', () => {
+      const fairness = { tolerances: { dice: 2 }, maxDeals: 5 };
+
+      expect(normalizeMapSettings({ mapFairness: fairness }).mapOptions.fairness).toEqual(fairness);
+    });
+
+    test('accept only known map symmetries', () => {
+      expect(normalizeMapSettings({ mapSymmetry: 'mirror' }).mapOptions.symmetry).toBe('mirror');
+      expect(normalizeMapSettings({ mapSymmetry: 'spiral' }).mapOptions.symmetry).toBeNull();
+    });
+  });
+
   describe('applyConfigToGame', () => {
     test('applies config values to game object', async () => {
       // Mock AI functions for testing
@@ -213,6 +352,7 @@ describe('Configuration Management', () => {
 
       expect(game.pmax).toBe(5);
       expect(game.user).toBe(2);
+      expect(game.humans).toEqual([0, 2]);
       expect(game.put_dice).toBe(4);
       expect(game.XMAX).toBe(30);
       expect(game.YMAX).toBe(34);
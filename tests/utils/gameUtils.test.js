@@ -1,38 +1,25 @@
 /**
  * Tests for Game Utilities Module
  */
-import { calculateAttackProbability, rollDice, simulateAttack } from '../../src/utils/gameUtils.js';
+import { getAttackPreview, rollDice, simulateAttack } from '../../src/utils/gameUtils.js';
+import { getAttackOdds } from '../../src/utils/probability.js';
 
-describe('Game Utilities', () => {
-  describe('calculateAttackProbability', () => {
-    test('returns 0 if attacker has 1 or fewer dice', () => {
-      expect(calculateAttackProbability(1, 3)).toBe(0);
-      expect(calculateAttackProbability(0, 3)).toBe(0);
-    });
-
-    test('returns 0 if defender has 0 dice', () => {
-      expect(calculateAttackProbability(3, 0)).toBe(0);
-    });
-
-    test('returns higher probability when attacker has more dice', () => {
-      const lowAdvantage = calculateAttackProbability(3, 2);
-      const highAdvantage = calculateAttackProbability(8, 2);
-      /*
-       * Since highAdvantage is capped at 0.95, we should check that it's
-       * greater than or equal to lowAdvantage, not strictly greater
-       */
-      expect(highAdvantage).toBeGreaterThanOrEqual(lowAdvantage);
-    });
-
-    test('returns approximately 0.45 for equal dice counts', () => {
-      expect(calculateAttackProbability(3, 3)).toBeCloseTo(0.45, 2);
-    });
-
-    test('caps probability at 0.95 for overwhelming advantage', () => {
-      expect(calculateAttackProbability(20, 1)).toBeLessThanOrEqual(0.95);
-    });
-  });
+// Four territories: player 0 holds 1 (4 dice), next to 2 (player 1, 3 dice) and 3 (player 2, 6 dice)
+const createGame = () => {
+  const area = (arm, dice, join) => ({ size: 5, arm, dice, join });
+  return {
+    AREA_MAX: 5,
+    adat: [
+      { size: 0, arm: 0, dice: 0, join: [0, 0, 0, 0, 0] },
+      area(0, 4, [0, 0, 1, 1, 0]),
+      area(1, 3, [0, 1, 0, 1, 0]),
+      area(2, 6, [0, 1, 1, 0, 1]),
+      area(2, 2, [0, 0, 0, 1, 0]),
+    ],
+  };
+};
 
+describe('Game Utilities', () => {
   describe('rollDice', () => {
     test('returns an array of the correct length', () => {
       expect(rollDice(3).length).toBe(3);
@@ -99,4 +86,36 @@ describe('Game Utilities', () => {
       expect(result.success).toBe(result.attackerSum > result.defenderSum);
     });
   });
+
+  describe('getAttackPreview', () => {
+    test('gives the odds against every enemy neighbour', () => {
+      const preview = getAttackPreview(createGame(), 1);
+
+      expect(preview.from).toBe(1);
+      expect(preview.dice).toBe(4);
+      expect(preview.targets.map(({ to }) => to)).toEqual([2, 3]);
+      expect(preview.targets[0]).toMatchObject({ ...getAttackOdds(4, 3), dice: 3 });
+      expect(preview.targets[1]).toMatchObject({ ...getAttackOdds(4, 6), dice: 6 });
+    });
+
+    test('marks the recommended attack', () => {
+      const preview = getAttackPreview(createGame(), 1);
+
+      expect(preview.targets.map(({ recommended }) => recommended)).toEqual([true, false]);
+    });
+
+    test('rates how exposed the territory is with one die left', () => {
+      const game = createGame();
+
+      expect(getAttackPreview(game, 1).exposure).toBe(getAttackOdds(6, 1).probability);
+
+      game.adat[3].dice = 1;
+      game.adat[2].dice = 1;
+      expect(getAttackPreview(game, 1).exposure).toBe(0);
+    });
+
+    test('returns null for an empty territory', () => {
+      expect(getAttackPreview(createGame(), 0)).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,65 @@
+/**
+ * Tests for Map Grid Module
+ */
+import { Game } from '../../src/Game.js';
+import { nextCell, setMapSize } from '../../src/utils/grid.js';
+
+describe('Map Grid', () => {
+  describe('nextCell', () => {
+    test('follows the hex layout of the game', () => {
+      const game = new Game();
+
+      for (let cell = 0; cell < game.cel_max; cell += 37) {
+        for (let dir = 0; dir < 6; dir++) {
+          expect(nextCell(cell, dir, game.XMAX, game.YMAX)).toBe(game.next_cel(cell, dir));
+        }
+      }
+    });
+
+    test('shifts odd rows half a cell to the right', () => {
+      // Cell 5 is in row 0, cell 15 in row 1 of a 10 cell wide grid
+      expect(nextCell(5, 2, 10, 10)).toBe(15);
+      expect(nextCell(15, 0, 10, 10)).toBe(6);
+      expect(nextCell(15, 5, 10, 10)).toBe(5);
+      expect(nextCell(0, 4, 10, 10)).toBe(-1);
+      expect(nextCell(99, 2, 10, 10)).toBe(-1);
+    });
+  });
+
+  describe('setMapSize', () => {
+    test('sizes the cell and territory arrays', () => {
+      const game = setMapSize(new Game(), 16, 12, 20);
+
+      expect(game).toMatchObject({ XMAX: 16, YMAX: 12, AREA_MAX: 20, cel_max: 192 });
+      ['cel', 'join', 'num', 'rcel', 'next_f'].forEach(field => {
+        expect(game[field]).toHaveLength(192);
+      });
+      ['adat', 'chk', 'tc', 'alist', 'his_arm', 'his_dice'].forEach(field => {
+        expect(game[field]).toHaveLength(20);
+      });
+      expect(game.list_from).toHaveLength(400);
+      expect(game.adat[1].join).toHaveLength(20);
+      expect(game.join[17].dir).toEqual([2, 18, 34, 33, 16, 1]);
+    });
+
+    test('rebuilds the adjacency of a grid with the same number of cells', () => {
+      const game = setMapSize(new Game(), 32, 28);
+
+      expect(game.join[32].dir[1]).toBe(33);
+      expect(game.join[32].dir).toEqual([0, 1, 2, 3, 4, 5].map(dir => nextCell(32, dir, 32, 28)));
+    });
+
+    test('keeps the board when the sizes do not change', () => {
+      const game = new Game();
+      game.setSeed('grid');
+      game.make_map();
+      const cel = [...game.cel];
+      const { adat } = game;
+
+      setMapSize(game, game.XMAX, game.YMAX, game.AREA_MAX);
+
+      expect(game.cel).toEqual(cel);
+      expect(game.adat).toBe(adat);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for Hot-Seat Module
+ */
+import { Game } from '../../src/Game.js';
+import {
+  PLAYER_COLORS,
+  getHumanPlayers,
+  getPlayerColor,
+  getPlayerLabel,
+  getPlayerName,
+  isHotSeat,
+  isHumanPlayer,
+  needsHandoff,
+} from '../../src/utils/hotSeat.js';
+
+// A game where players 0 and 2 of 4 share the device
+const createHotSeatGame = () =>
+  new Game({ playerCount: 4, aiAssignments: [null, 'ai_default', null, 'ai_defensive'] });
+
+describe('Hot-Seat', () => {
+  describe('getHumanPlayers', () => {
+    test('seats every player without an AI', () => {
+      expect(
+        getHumanPlayers({
+          playerCount: 4,
+          humanPlayerIndex: 0,
+          aiAssignments: [null, 'ai_default', null, null, null],
+        })
+      ).toEqual([0, 2, 3]);
+    });
+
+    test('always seats the human player', () => {
+      expect(
+        getHumanPlayers({
+          playerCount: 3,
+          humanPlayerIndex: 1,
+          aiAssignments: ['ai_default', 'ai_default', 'ai_default'],
+        })
+      ).toEqual([1]);
+    });
+
+    test('seats nobody when spectating', () => {
+      expect(
+        getHumanPlayers({ playerCount: 2, humanPlayerIndex: null, aiAssignments: [null, null] })
+      ).toEqual([]);
+    });
+  });
+
+  describe('games', () => {
+    test('take their human seats from the configuration', () => {
+      const game = createHotSeatGame();
+
+      expect(game.humans).toEqual([0, 2]);
+      expect(isHotSeat(game)).toBe(true);
+      expect(isHumanPlayer(game, 2)).toBe(true);
+      expect(isHumanPlayer(game, 3)).toBe(false);
+    });
+
+    test('have one human seat by default', () => {
+      const game = new Game({ playerCount: 4 });
+
+      expect(game.humans).toEqual([0]);
+      expect(isHotSeat(game)).toBe(false);
+    });
+  });
+
+  describe('needsHandoff', () => {
+    test('hands the device over between different human players', () => {
+      const game = createHotSeatGame();
+
+      expect(needsHandoff(game, 0, null)).toBe(true);
+      expect(needsHandoff(game, 2, 0)).toBe(true);
+      expect(needsHandoff(game, 1, 0)).toBe(false);
+    });
+
+    test('keeps the device with the last human player left', () => {
+      expect(needsHandoff(createHotSeatGame(), 2, 2)).toBe(false);
+    });
+
+    test('never hands over with a single human player', () => {
+      expect(needsHandoff(new Game({ playerCount: 4 }), 0, null)).toBe(false);
+    });
+  });
+
+  describe('labels and colors', () => {
+    test('label every player of hot-seat games', () => {
+      const game = createHotSeatGame();
+
+      expect([0, 1, 2, 3].map(p => getPlayerLabel(game, p))).toEqual(['P1', 'COM', 'P3', 'COM']);
+      expect(getPlayerName(2)).toBe('Player 3');
+    });
+
+    test('keep the classic display for a single human player', () => {
+      expect(getPlayerLabel(new Game({ playerCount: 4 }), 0)).toBe('');
+    });
+
+    test('give each player a color', () => {
+      expect(new Set(PLAYER_COLORS.map((_, p) => getPlayerColor(p))).size).toBe(8);
+    });
+  });
+});
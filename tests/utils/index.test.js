@@ -11,6 +11,8 @@ describe('Utils Index Module', () => {
     expect(typeof utils.updateConfig).toBe('function');
     expect(typeof utils.resetConfig).toBe('function');
     expect(typeof utils.applyConfigToGame).toBe('function');
+    expect(typeof utils.DEFAULT_RULES).toBe('object');
+    expect(typeof utils.getRules).toBe('function');
 
     // Render exports
     expect(typeof utils.COLORS).toBe('object');
@@ -29,8 +31,46 @@ describe('Utils Index Module', () => {
     expect(typeof utils.setSoundEnabled).toBe('function');
 
     // Game utils exports
-    expect(typeof utils.calculateAttackProbability).toBe('function');
     expect(typeof utils.rollDice).toBe('function');
     expect(typeof utils.simulateAttack).toBe('function');
+
+    // Probability exports
+    expect(typeof utils.getAttackOdds).toBe('function');
+    expect(typeof utils.getOddsTable).toBe('function');
+    expect(typeof utils.sumDistribution).toBe('function');
+
+    // Random exports
+    expect(typeof utils.createRandom).toBe('function');
+    expect(typeof utils.getRandom).toBe('function');
+    expect(typeof utils.randomPick).toBe('function');
+
+    // Save game exports
+    expect(typeof utils.serializeGame).toBe('function');
+    expect(typeof utils.deserializeGame).toBe('function');
+    expect(typeof utils.saveGame).toBe('function');
+    expect(typeof utils.loadSavedGame).toBe('function');
+
+    // Replay exports
+    expect(typeof utils.createReplay).toBe('function');
+    expect(typeof utils.encodeReplay).toBe('function');
+    expect(typeof utils.decodeReplay).toBe('function');
+    expect(typeof utils.loadReplay).toBe('function');
+
+    // Replay controller exports
+    expect(Array.isArray(utils.REPLAY_SPEEDS)).toBe(true);
+    expect(typeof utils.ReplayController).toBe('function');
+    expect(typeof utils.getTurnStarts).toBe('function');
+
+    // Map loader, editor and scenario exports
+    expect(typeof utils.loadMap).toBe('function');
+    expect(typeof utils.validateMap).toBe('function');
+    expect(typeof utils.MapEditor).toBe('function');
+    expect(Array.isArray(utils.SCENARIOS)).toBe(true);
+    expect(typeof utils.loadScenario).toBe('function');
+
+    // Hot-seat exports
+    expect(typeof utils.getHumanPlayers).toBe('function');
+    expect(typeof utils.needsHandoff).toBe('function');
+    expect(typeof utils.getPlayerLabel).toBe('function');
   });
 });
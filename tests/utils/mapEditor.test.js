@@ -0,0 +1,119 @@
+/**
+ * Tests for Map Editor Module
+ */
+import { Game } from '../../src/Game.js';
+import { MapError, PlayerError, TerritoryError } from '../../src/mechanics/errors/index.js';
+import { MapEditor } from '../../src/utils/mapEditor.js';
+
+// Two players on a blank sea
+const createGame = () => {
+  const game = new Game();
+  game.pmax = 2;
+  return game;
+};
+
+// Paint a run of cells in one row
+const paintRow = (editor, area, y, fromX, toX) => {
+  for (let x = fromX; x <= toX; x++) editor.paint(editor.cellAt(x, y), area);
+  return editor;
+};
+
+// Two neighboring territories, one for each player
+const createBoard = () => {
+  const editor = new MapEditor(createGame(), { blank: true });
+  paintRow(editor, 1, 2, 2, 5);
+  paintRow(editor, 2, 2, 6, 9);
+  return editor;
+};
+
+describe('Map Editor', () => {
+  describe('MapEditor', () => {
+    test('starts from the game map or an empty sea', () => {
+      const game = createGame();
+      game.make_map();
+
+      expect(new MapEditor(game).cel).toEqual(game.cel.slice(0, game.XMAX * game.YMAX));
+      expect(new MapEditor(game, { blank: true }).getAreas()).toEqual([]);
+    });
+
+    test('paints territories with a starting owner and one die', () => {
+      const editor = createBoard();
+
+      expect(editor.getAreas()).toEqual([1, 2]);
+      expect(editor.arm.slice(1, 3)).toEqual([0, 1]);
+      expect(editor.dice.slice(1, 3)).toEqual([1, 1]);
+      expect(editor.nextArea()).toBe(3);
+    });
+
+    test('erases cells to sea', () => {
+      const editor = createBoard();
+      for (let x = 6; x <= 9; x++) editor.erase(editor.cellAt(x, 2));
+
+      expect(editor.getAreas()).toEqual([1]);
+      expect(editor.nextArea()).toBe(2);
+    });
+
+    test('sets owners and dice', () => {
+      const editor = createBoard().setOwner(2, 0).setDice(1, 5).setDice(2, 99);
+
+      expect(editor.arm[2]).toBe(0);
+      expect(editor.dice[1]).toBe(5);
+      expect(editor.dice[2]).toBe(8);
+    });
+
+    test('rejects cells, territories and players that do not exist', () => {
+      const editor = createBoard();
+
+      expect(() => editor.paint(-1, 1)).toThrow(TerritoryError);
+      expect(() => editor.paint(0, 32)).toThrow(TerritoryError);
+      expect(() => editor.erase(editor.cel.length)).toThrow(TerritoryError);
+      expect(() => editor.setDice(3, 2)).toThrow(TerritoryError);
+      expect(() => editor.setOwner(1, 2)).toThrow(PlayerError);
+    });
+
+    test('previews unfinished boards in the game', () => {
+      const editor = createBoard();
+      paintRow(editor, 3, 10, 2, 4);
+      const game = editor.preview();
+
+      expect(editor.validate()).not.toEqual([]);
+      expect(game.adat[3].size).toBe(3);
+      expect(game.adat[1].join[2]).toBe(1);
+    });
+
+    test('loads a valid board into the game', () => {
+      const editor = createBoard().setDice(2, 3);
+      const game = editor.apply();
+
+      expect(game.adat[1]).toMatchObject({ size: 4, arm: 0, dice: 1 });
+      expect(game.adat[2]).toMatchObject({ size: 4, arm: 1, dice: 3 });
+      expect(game.player[0].area_tc).toBe(1);
+    });
+
+    test('reopens saved maps', () => {
+      const editor = createBoard().setDice(1, 4);
+      const reopened = MapEditor.fromMap(createGame(), JSON.stringify(editor.toJSON('Duel')));
+
+      expect(reopened.toJSON()).toEqual(editor.toJSON());
+      expect(() => MapEditor.fromMap(createGame(), { format: 'other' })).toThrow(MapError);
+    });
+  });
+
+  describe('validate', () => {
+    test('accepts a playable board', () => {
+      expect(createBoard().validate()).toEqual([]);
+    });
+
+    test('finds split territories', () => {
+      const editor = paintRow(createBoard(), 1, 6, 2, 3);
+
+      expect(editor.validate()).toContain('Territory 1 is split into 2 parts');
+    });
+
+    test('finds islands', () => {
+      const editor = paintRow(createBoard(), 3, 10, 2, 4).setOwner(3, 0);
+
+      expect(editor.validate()).toEqual(['The territories form 2 separate islands']);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for Map Loader Module
+ */
+import { Game } from '../../src/Game.js';
+import { GameError, MapError } from '../../src/mechanics/errors/index.js';
+import {
+  MAP_FORMAT,
+  MAP_VERSION,
+  exportMap,
+  loadMap,
+  parseMap,
+  validateMap,
+} from '../../src/utils/mapLoader.js';
+
+// Territory shape fields rebuilt from the cells on load
+const GEOMETRY_FIELDS = [
+  'size',
+  'cpos',
+  'cx',
+  'cy',
+  'len_min',
+  'left',
+  'right',
+  'top',
+  'bottom',
+  'line_cel',
+  'line_dir',
+];
+
+const geometryOf = game =>
+  game.adat.map(area => ({
+    ...Object.fromEntries(GEOMETRY_FIELDS.map(field => [field, area[field]])),
+    join: area.join,
+  }));
+
+// Two territories side by side on a small grid
+const createDuel = () => ({
+  format: MAP_FORMAT,
+  version: MAP_VERSION,
+  name: 'Small duel',
+  settings: { XMAX: 6, YMAX: 4, AREA_MAX: 4, pmax: 2 },
+  // prettier-ignore
+  cel: [
+    0, 1, 1, 2, 2, 0,
+    1, 1, 1, 2, 2, 2,
+    0, 1, 1, 2, 2, 0,
+    0, 0, 0, 0, 0, 0,
+  ],
+  start: { arm: [-1, 0, 1, -1], dice: [0, 3, 2, 0] },
+});
+
+describe('Map Loader', () => {
+  describe('validateMap', () => {
+    test('accepts a playable map', () => {
+      expect(validateMap(createDuel())).toEqual([]);
+    });
+
+    test('checks owners and dice', () => {
+      const map = createDuel();
+      map.start.arm[2] = 0;
+      map.start.dice[1] = 0;
+
+      expect(validateMap(map)).toEqual([
+        'Territory 1 needs 1 to 8 dice',
+        'Player 2 has no territory',
+      ]);
+    });
+
+    test('checks the cells', () => {
+      const map = createDuel();
+
+      expect(validateMap({ ...map, cel: map.cel.slice(1) })).toHaveLength(1);
+      expect(validateMap({ ...map, cel: map.cel.map(area => area * 2) })).toEqual([
+        'Cells must hold territory ids from 0 (sea) to 3',
+      ]);
+      expect(validateMap({ ...map, cel: map.cel.map(area => Math.min(area, 1)) })).toEqual([
+        'The map needs at least two territories',
+      ]);
+    });
+
+    test('follows the dice limit of the rules', () => {
+      expect(validateMap(createDuel(), { maxDice: 2 })).toEqual(['Territory 1 needs 1 to 2 dice']);
+    });
+  });
+
+  describe('parseMap', () => {
+    test('reads map definitions and their JSON', () => {
+      const map = createDuel();
+
+      expect(parseMap(map)).toBe(map);
+      expect(parseMap(JSON.stringify(map))).toEqual(map);
+    });
+
+    test.each([
+      ['unreadable JSON', () => '{"format":', 'Map JSON cannot be read'],
+      ['another format', map => ({ ...map, format: 'other' }), 'Not a Dice Wars map'],
+      ['a newer version', map => ({ ...map, version: 2 }), 'Map version 2 is newer'],
+      ['missing settings', map => ({ ...map, settings: null }), 'Map settings are missing'],
+      [
+        'a bad grid size',
+        map => ({ ...map, settings: { ...map.settings, XMAX: 'six' } }),
+        'Map setting XMAX must be an integer',
+      ],
+      [
+        'too many players',
+        map => ({ ...map, settings: { ...map.settings, pmax: 9 } }),
+        'Maps need 2 to 8 players',
+      ],
+      ['missing cells', map => ({ ...map, cel: undefined }), 'Map cells must be a list of 24'],
+      [
+        'an unknown territory',
+        map => ({ ...map, cel: [...map.cel.slice(0, 5), 7, ...map.cel.slice(6)] }),
+        'Cell 5 must hold a territory id from 0 (sea) to 3',
+      ],
+      ['missing owners', map => ({ ...map, start: { dice: [] } }), 'Map start.arm must list'],
+    ])('rejects %s', (_, change, message) => {
+      const attempt = () => parseMap(change(createDuel()));
+
+      expect(attempt).toThrow(MapError);
+      expect(attempt).toThrow(message);
+    });
+  });
+
+  describe('loadMap', () => {
+    let game;
+
+    beforeAll(() => {
+      game = new Game();
+      game.setSeed('map-loader');
+      game.make_map();
+    });
+
+    test('exports the board as a map definition', () => {
+      const map = exportMap(game, 'Seeded');
+
+      expect(map).toMatchObject({ format: MAP_FORMAT, name: 'Seeded' });
+      expect(map.cel).toHaveLength(game.XMAX * game.YMAX);
+      expect(JSON.parse(JSON.stringify(map))).toEqual(map);
+      expect(validateMap(map, game.rules)).toEqual([]);
+    });
+
+    test('loads in place of a generated map', () => {
+      const loaded = loadMap(new Game(), JSON.stringify(exportMap(game)));
+
+      expect(loaded.pmax).toBe(game.pmax);
+      expect(geometryOf(loaded)).toEqual(geometryOf(game));
+      expect(loaded.adat.map(({ arm, dice }) => [arm, dice])).toEqual(
+        game.adat.map(({ arm, dice, size }) => (size > 0 ? [arm, dice] : [-1, 0]))
+      );
+      expect(loaded.player.map(({ area_tc }) => area_tc)).toEqual(
+        game.player.map(({ area_tc }) => area_tc)
+      );
+    });
+
+    test('loads maps on other grids', () => {
+      const loaded = loadMap(new Game(), createDuel());
+
+      expect(loaded).toMatchObject({ XMAX: 6, YMAX: 4, AREA_MAX: 4, cel_max: 24, pmax: 2 });
+      expect(loaded.adat[1]).toMatchObject({ size: 7, arm: 0, dice: 3 });
+      expect(loaded.adat[2]).toMatchObject({ size: 7, arm: 1, dice: 2 });
+      expect(loaded.adat[1].join[2]).toBe(1);
+      expect(loaded.adat[2].join[1]).toBe(1);
+    });
+
+    test('Game exposes export and load', () => {
+      const loaded = new Game().loadMap(game.exportMap());
+
+      expect(loaded.cel).toEqual(game.cel.slice(0, game.XMAX * game.YMAX));
+      loaded.start_game();
+      expect(loaded.his_arm).toEqual(loaded.adat.map(area => area.arm));
+    });
+
+    test('reports every problem of an unplayable map', () => {
+      const map = createDuel();
+      map.cel[22] = 1;
+      map.start.dice[2] = 0;
+      const attempt = () => loadMap(new Game(), map);
+
+      expect(attempt).toThrow(GameError);
+      expect(attempt).toThrow(
+        'Invalid map: Territory 1 is split into 2 parts; Territory 2 needs 1 to 8 dice'
+      );
+    });
+
+    test('rejects definitions that are not maps', () => {
+      expect(() => loadMap(new Game(), { format: 'other' })).toThrow('Not a Dice Wars map');
+    });
+  });
+});
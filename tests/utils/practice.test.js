@@ -0,0 +1,140 @@
+/**
+ * Tests for Practice Module
+ */
+import { GameRunner } from '../../src/runner/index.js';
+import {
+  PracticeUndo,
+  createPracticeUndo,
+  createUndoSnapshot,
+  normalizePractice,
+} from '../../src/utils/practice.js';
+
+// A seeded game at the start of the first player's turn
+const createGame = async () => {
+  const runner = new GameRunner({
+    seed: 'practice-test',
+    playerCount: 4,
+    ai: Array(4).fill('ai_default'),
+  });
+  await runner.setup();
+  return runner;
+};
+
+// Attacks the current player can make
+const findAttacks = game => {
+  const player = game.jun[game.ban];
+  const attacks = [];
+  for (let from = 1; from < game.AREA_MAX; from++) {
+    const area = game.adat[from];
+    if (area.size === 0 || area.arm !== player || area.dice < 2) continue;
+    for (let to = 1; to < game.AREA_MAX; to++) {
+      if (area.join[to] && game.adat[to].arm !== player) attacks.push({ from, to });
+    }
+  }
+  return attacks;
+};
+
+// Owner and dice of every territory, and the player totals
+const boardOf = game => ({
+  areas: game.adat.map(({ arm, dice }) => [arm, dice]),
+  players: game.player.map(player => ({ ...player })),
+});
+
+describe('Practice', () => {
+  describe('normalizePractice', () => {
+    test('is off without settings', () => {
+      expect(normalizePractice(null)).toBeNull();
+      expect(createPracticeUndo({}, null)).toBeNull();
+    });
+
+    test('completes the settings', () => {
+      expect(normalizePractice(true)).toEqual({ sameDice: false });
+      expect(normalizePractice({ sameDice: 1 })).toEqual({ sameDice: true });
+    });
+  });
+
+  test('takes back an attack', async () => {
+    const runner = await createGame();
+    const { game } = runner;
+    const practice = new PracticeUndo(game);
+    const before = boardOf(game);
+    const { his_c } = game;
+    const { from, to } = findAttacks(game)[0];
+
+    practice.push();
+    runner.attack(from, to);
+    expect(game.his_c).toBe(his_c + 1);
+
+    const undone = practice.undo();
+
+    expect(undone).toMatchObject({ from, to });
+    expect(boardOf(game)).toEqual(before);
+    expect(game.his_c).toBe(his_c);
+    expect(game.his).toHaveLength(his_c);
+    expect(practice.canUndo).toBe(false);
+  });
+
+  test('records every undo in the game', async () => {
+    const runner = await createGame();
+    const { game } = runner;
+    const practice = createPracticeUndo(game, true);
+    const [first, ...others] = findAttacks(game);
+    const second = others.find(attack => attack.from !== first.from);
+    const { his_c } = game;
+
+    practice.push();
+    runner.attack(first.from, first.to);
+    practice.push();
+    runner.attack(second.from, second.to);
+    practice.undo();
+    practice.undo();
+
+    expect(game.undos).toEqual([
+      expect.objectContaining({ at: his_c + 1, from: second.from, to: second.to }),
+      expect.objectContaining({ at: his_c, from: first.from, to: first.to }),
+    ]);
+    expect(practice.undo()).toBeNull();
+  });
+
+  test('rolls the same dice again on request', async () => {
+    const runner = await createGame();
+    const { game } = runner;
+    const practice = new PracticeUndo(game, { sameDice: true });
+    const { from, to } = findAttacks(game)[0];
+
+    practice.push();
+    runner.attack(from, to);
+    const { rolls } = game.his[game.his_c - 1];
+    practice.undo();
+    runner.attack(from, to);
+
+    expect(game.his[game.his_c - 1].rolls).toEqual(rolls);
+  });
+
+  test('keeps rolling new dice by default', async () => {
+    const runner = await createGame();
+    const { game } = runner;
+    const practice = new PracticeUndo(game);
+    const { from, to } = findAttacks(game)[0];
+    const { random } = createUndoSnapshot(game);
+
+    practice.push();
+    runner.attack(from, to);
+    practice.undo();
+
+    expect(game.rng.getState()).not.toBe(random);
+  });
+
+  test('forgets the attacks of a finished turn', async () => {
+    const runner = await createGame();
+    const practice = new PracticeUndo(runner.game);
+    const { from, to } = findAttacks(runner.game)[0];
+
+    practice.push();
+    runner.attack(from, to);
+    practice.clear();
+
+    expect(practice.canUndo).toBe(false);
+    expect(practice.undo()).toBeNull();
+  });
+});
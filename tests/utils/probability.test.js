@@ -0,0 +1,125 @@
+/**
+ * Tests for Attack Probability Module
+ */
+import {
+  BALANCED_DECK_SIZE,
+  balancedDeckWins,
+  getAttackOdds,
+  getOddsTable,
+  sumDistribution,
+  sumWinProbability,
+} from '../../src/utils/probability.js';
+
+// Chance of winning by comparing every pair of totals
+const bruteForce = (attackerDice, defenderDice) => {
+  const attacker = sumDistribution(attackerDice);
+  const defender = sumDistribution(defenderDice);
+  let probability = 0;
+  attacker.forEach((a, attackerTotal) =>
+    defender.forEach((d, defenderTotal) => {
+      if (attackerTotal > defenderTotal) probability += a * d;
+    })
+  );
+  return probability;
+};
+
+describe('Attack Probability', () => {
+  describe('sumDistribution', () => {
+    test('gives the distribution of dice totals', () => {
+      const twoDice = sumDistribution(2);
+
+      expect(twoDice).toHaveLength(13);
+      expect(twoDice[7]).toBeCloseTo(6 / 36, 12);
+      expect(twoDice[2]).toBeCloseTo(1 / 36, 12);
+      expect(sumDistribution(0)).toEqual([1]);
+    });
+
+    test('sums to one for every supported dice count', () => {
+      for (let count = 1; count <= 8; count++) {
+        const total = sumDistribution(count).reduce((sum, p) => sum + p, 0);
+        expect(total).toBeCloseTo(1, 12);
+      }
+    });
+  });
+
+  describe('sumWinProbability', () => {
+    test('matches known odds', () => {
+      expect(sumWinProbability(1, 1)).toBeCloseTo(15 / 36, 12);
+      expect(sumWinProbability(1, 1, true)).toBeCloseTo(21 / 36, 12);
+      expect(sumWinProbability(2, 1)).toBeCloseTo(181 / 216, 12);
+    });
+
+    test('matches comparing every pair of totals', () => {
+      for (let attackerDice = 1; attackerDice <= 8; attackerDice++) {
+        for (let defenderDice = 1; defenderDice <= 8; defenderDice++) {
+          expect(sumWinProbability(attackerDice, defenderDice)).toBeCloseTo(
+            bruteForce(attackerDice, defenderDice),
+            12
+          );
+        }
+      }
+    });
+  });
+
+  describe('getAttackOdds', () => {
+    test('favors the attacker exactly when it has more dice', () => {
+      for (let attackerDice = 1; attackerDice <= 8; attackerDice++) {
+        for (let defenderDice = 1; defenderDice <= 8; defenderDice++) {
+          const { probability } = getAttackOdds(attackerDice, defenderDice);
+          expect(probability > 0.5).toBe(attackerDice > defenderDice);
+        }
+      }
+    });
+
+    test('gives the expected surviving dice', () => {
+      const odds = getAttackOdds(4, 3);
+
+      expect(odds.attackerDice).toBeCloseTo(1 + 3 * odds.probability, 12);
+      expect(odds.defenderDice).toBeCloseTo(3 * (1 - odds.probability), 12);
+    });
+
+    test('memoizes each matchup', () => {
+      expect(getAttackOdds(5, 4)).toBe(getAttackOdds(5, 4));
+      expect(Object.isFrozen(getAttackOdds(5, 4))).toBe(true);
+    });
+
+    test('uses the game battle mode', () => {
+      const game = { rules: { battle: 'attackerTies' } };
+
+      expect(getAttackOdds(3, 3, game).probability).toBeGreaterThan(0.5);
+      expect(getAttackOdds(3, 3).probability).toBeLessThan(0.5);
+    });
+
+    test('follows the remaining balanced-luck deck', () => {
+      const game = { rules: { battle: 'balanced' }, battle_deck: { '3:3': [true, false, false] } };
+
+      expect(getAttackOdds(3, 3, game).probability).toBeCloseTo(1 / 3, 12);
+      expect(getAttackOdds(4, 3, game).probability).toBe(
+        balancedDeckWins(4, 3) / BALANCED_DECK_SIZE
+      );
+    });
+
+    test('has no chance without dice', () => {
+      expect(getAttackOdds(0, 3)).toEqual({ probability: 0, attackerDice: 0, defenderDice: 3 });
+      expect(getAttackOdds(3, 0).probability).toBe(0);
+    });
+  });
+
+  describe('getOddsTable', () => {
+    test('covers every matchup up to the dice limit', () => {
+      const table = getOddsTable();
+
+      expect(table).toHaveLength(9);
+      table.forEach(row => expect(row).toHaveLength(9));
+      expect(table[6][2]).toBe(getAttackOdds(6, 2));
+    });
+
+    test('follows the game rules', () => {
+      const game = { rules: { maxDice: 12, battle: 'risk' } };
+      const table = getOddsTable(game);
+
+      expect(table).toHaveLength(13);
+      expect(table[12][12]).toBe(getAttackOdds(12, 12, game));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for Random Number Utilities Module
+ */
+import {
+  createRandom,
+  defaultRandom,
+  getRandom,
+  normalizeSeed,
+  randomInt,
+  randomPick,
+  shuffle,
+} from '../../src/utils/random.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('Random Utilities', () => {
+  describe('normalizeSeed', () => {
+    test('truncates numbers to 32-bit unsigned integers', () => {
+      expect(normalizeSeed(42)).toBe(42);
+      expect(normalizeSeed(42.9)).toBe(42);
+      expect(normalizeSeed(-1)).toBe(0xffffffff);
+    });
+
+    test('hashes strings consistently', () => {
+      expect(normalizeSeed('lunch-match')).toBe(normalizeSeed('lunch-match'));
+      expect(normalizeSeed('lunch-match')).not.toBe(normalizeSeed('dinner-match'));
+    });
+
+    test('rejects seeds that are not numbers or strings', () => {
+      expect(() => normalizeSeed(NaN)).toThrow();
+      expect(() => normalizeSeed({})).toThrow();
+    });
+  });
+
+  describe('createRandom', () => {
+    test('produces floats in [0, 1)', () => {
+      draw(createRandom(7), 1000).forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+
+    test('produces the same sequence for the same seed', () => {
+      expect(draw(createRandom(1234), 20)).toEqual(draw(createRandom(1234), 20));
+      expect(draw(createRandom('abc'), 20)).toEqual(draw(createRandom('abc'), 20));
+    });
+
+    test('produces different sequences for different seeds', () => {
+      expect(draw(createRandom(1), 20)).not.toEqual(draw(createRandom(2), 20));
+    });
+
+    test('can snapshot and restore its state', () => {
+      const random = createRandom(99);
+      draw(random, 5);
+      const state = random.getState();
+      const expected = draw(random, 10);
+
+      random.setState(state);
+      expect(draw(random, 10)).toEqual(expected);
+    });
+
+    test('remembers its seed', () => {
+      expect(createRandom('seed-a').seed).toBe('seed-a');
+    });
+  });
+
+  describe('getRandom', () => {
+    test('returns the game state random source when present', () => {
+      const rng = createRandom(5);
+      expect(getRandom({ rng })).toBe(rng);
+    });
+
+    test('falls back to the default source', () => {
+      expect(getRandom({})).toBe(defaultRandom);
+      expect(getRandom(null)).toBe(defaultRandom);
+    });
+
+    test('default source follows Math.random stubs', () => {
+      const spy = jest.spyOn(Math, 'random').mockReturnValue(0.25);
+      expect(defaultRandom()).toBe(0.25);
+      spy.mockRestore();
+    });
+  });
+
+  describe('randomInt and randomPick', () => {
+    test('randomInt stays within bounds', () => {
+      const random = createRandom(3);
+      for (let i = 0; i < 200; i++) {
+        const value = randomInt(6, random);
+        expect(Number.isInteger(value)).toBe(true);
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(6);
+      }
+    });
+
+    test('randomPick selects using the given source', () => {
+      expect(randomPick(['a', 'b', 'c', 'd'], () => 0.6)).toBe('c');
+      expect(randomPick([], () => 0.6)).toBeUndefined();
+    });
+  });
+
+  describe('shuffle', () => {
+    test('reorders in place, repeatably for a seed', () => {
+      const items = [1, 2, 3, 4, 5, 6, 7, 8];
+      const shuffled = shuffle([...items], createRandom(5));
+
+      expect([...shuffled].sort()).toEqual(items);
+      expect(shuffle([...items], createRandom(5))).toEqual(shuffled);
+      expect(shuffle(items, () => 0.99)).toBe(items);
+    });
+  });
+});
@@ -7,6 +7,10 @@ import {
   createText,
   createButtonShape,
   createButton,
+  createOddsOverlay,
+  formatAttackPreview,
+  formatPercent,
+  getOddsColor,
 } from '../../src/utils/render.js';
 
 // Mock the config module
@@ -93,4 +97,55 @@ describe('Rendering Utilities', () => {
       expect(button.children[1].text).toBe('Click Me');
     });
   });
+
+  describe('attack odds overlay', () => {
+    const preview = {
+      from: 1,
+      dice: 4,
+      exposure: 0.8,
+      targets: [
+        {
+          to: 2,
+          dice: 3,
+          probability: 0.74,
+          attackerDice: 3.2,
+          defenderDice: 0.8,
+          recommended: true,
+        },
+        {
+          to: 3,
+          dice: 6,
+          probability: 0.1,
+          attackerDice: 1.3,
+          defenderDice: 5.4,
+          recommended: false,
+        },
+      ],
+    };
+    const positions = { 1: { x: 10, y: 20 }, 2: { x: 30, y: 40 }, 3: { x: 50, y: 60 } };
+
+    test('colors odds from good to poor', () => {
+      expect(getOddsColor(0.9)).toBe(COLORS.ODDS.GOOD);
+      expect(getOddsColor(0.45)).toBe(COLORS.ODDS.EVEN);
+      expect(getOddsColor(0.1)).toBe(COLORS.ODDS.POOR);
+    });
+
+    test('formats the odds of an attack', () => {
+      expect(formatPercent(0.744)).toBe('74%');
+      expect(formatAttackPreview(preview.targets[0])).toBe('74% to win, expected dice 3.2 : 0.8');
+    });
+
+    test('labels every target and the source', () => {
+      const overlay = createOddsOverlay(preview, positions, 2);
+      const [good, poor, risk] = overlay.children;
+
+      expect(overlay).toBeInstanceOf(createjs.Container);
+      expect(overlay.children.map(({ name }) => name)).toEqual(['odds2', 'odds3', 'risk']);
+      expect(good).toMatchObject({ x: 30, y: 40, scaleX: 1.25 });
+      expect(good.children.slice(1).map(({ text }) => text)).toEqual(['74%', '3.2:0.8']);
+      expect(poor.scaleX).toBeUndefined();
+      expect(risk).toMatchObject({ x: 10, y: 20 });
+      expect(risk.children.slice(1).map(({ text }) => text)).toEqual(['RISK', '80%']);
+    });
+  });
 });
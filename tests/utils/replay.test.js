@@ -0,0 +1,196 @@
+/**
+ * Tests for Replay Module
+ */
+import { Game } from '../../src/Game.js';
+import { GameRunner } from '../../src/runner/index.js';
+import { GameStateError } from '../../src/mechanics/errors/index.js';
+import {
+  REPLAY_FORMAT,
+  createReplay,
+  decodeReplay,
+  encodeReplay,
+  exportReplay,
+  importReplay,
+  loadReplay,
+} from '../../src/utils/replay.js';
+import { ReplayController } from '../../src/utils/replayController.js';
+
+// Territory shape fields rebuilt from the cells on import
+const GEOMETRY_FIELDS = ['size', 'cpos', 'left', 'right', 'top', 'bottom', 'line_cel', 'line_dir'];
+
+const geometryOf = game =>
+  game.adat.map(area => ({
+    ...Object.fromEntries(GEOMETRY_FIELDS.map(field => [field, area[field]])),
+    join: area.join,
+  }));
+
+// Apply the history the same way play_history does
+const playBack = game => {
+  game.his.slice(0, game.his_c).forEach(({ from, to, res }) => {
+    if (to === 0) {
+      game.adat[from].dice++;
+    } else if (res > 0) {
+      game.adat[to].dice = game.adat[from].dice - 1;
+      game.adat[from].dice = 1;
+      game.adat[to].arm = game.adat[from].arm;
+    } else {
+      game.adat[from].dice = 1;
+    }
+  });
+  return game.adat.map(({ arm, dice }) => ({ arm, dice }));
+};
+
+describe('Replay', () => {
+  let game;
+
+  beforeAll(async () => {
+    const runner = new GameRunner({
+      seed: 'replay-test',
+      playerCount: 4,
+      ai: Array(4).fill('ai_default'),
+    });
+    await runner.setup();
+    for (let i = 0; i < 8; i++) await runner.playTurn();
+    game = runner.game;
+  });
+
+  test('bundles the map, initial state and actions', () => {
+    const replay = createReplay(game);
+
+    expect(replay.format).toBe(REPLAY_FORMAT);
+    expect(replay.cel).toHaveLength(game.XMAX * game.YMAX);
+    expect(replay.start.arm).toEqual(game.his_arm);
+    expect(replay.start.dice).toEqual(game.his_dice);
+    expect(replay.actions).toHaveLength(game.his_c);
+    expect(replay.rolls).toEqual(game.his.slice(0, game.his_c).map(entry => entry.rolls));
+    expect(replay.turns).toEqual(game.his.slice(0, game.his_c).map(entry => entry.turn));
+  });
+
+  test('encodes to a compact URL-safe code', () => {
+    const code = exportReplay(game);
+
+    expect(code).toMatch(/^dwr2\.[A-Za-z0-9_-]+$/);
+    expect(code.length).toBeLessThan(JSON.stringify(createReplay(game)).length / 4);
+    expect(encodeURIComponent(code)).toBe(code);
+  });
+
+  test('decodes what it encodes', () => {
+    const replay = createReplay(game);
+
+    expect(decodeReplay(encodeReplay(replay))).toEqual(replay);
+  });
+
+  test('leaves out the dice values on request', () => {
+    const replay = createReplay(game, { rolls: false });
+
+    expect(replay.rolls).toBeNull();
+    expect(decodeReplay(encodeReplay(replay))).toEqual(replay);
+    expect(encodeReplay(replay).length).toBeLessThan(exportReplay(game).length);
+  });
+
+  test('keeps attacks whose dice values were not recorded', () => {
+    const replay = createReplay(game);
+    replay.rolls[replay.actions.findIndex(({ to }) => to > 0)] = null;
+
+    expect(decodeReplay(encodeReplay(replay)).rolls).toEqual(replay.rolls);
+  });
+
+  test('decodes codes without turn numbers', () => {
+    const replay = { ...createReplay(game), turns: null };
+
+    expect(decodeReplay(encodeReplay(replay)).turns).toBeNull();
+  });
+
+  test('keeps the dice counts and reinforcement summaries', () => {
+    const entries = game.his.slice(0, game.his_c);
+    const replay = createReplay(game);
+    const restored = importReplay(new Game(), exportReplay(game));
+
+    expect(replay.dice).toHaveLength(game.his_c);
+    expect(replay.supply.some(Boolean)).toBe(true);
+    restored.his.slice(0, restored.his_c).forEach((entry, i) => {
+      const { from_dice, to_dice, supply } = entries[i];
+      expect(entry).toMatchObject({ from_dice, to_dice, supply });
+    });
+  });
+
+  test('plays an imported replay back with the recorded dice counts', () => {
+    const replay = createReplay(game);
+    const reinforcement = replay.actions.findIndex(({ to }) => to === 0);
+    const { from } = replay.actions[reinforcement];
+    // A count the standard rules would not guess
+    replay.dice[reinforcement] = { from_dice: [1, 7], to_dice: null };
+
+    const restored = importReplay(new Game(), encodeReplay(replay));
+    const controller = new ReplayController(restored);
+    controller.seek(reinforcement + 1);
+
+    expect(restored.adat[from].dice).toBe(7);
+    controller.seek(restored.his_c);
+    expect(restored.adat.map(({ arm, dice }) => ({ arm, dice }))).toEqual(
+      game.adat.map(({ arm, dice }) => ({ arm, dice }))
+    );
+  });
+
+  test('decodes dwr1 codes without dice counts or reinforcement summaries', () => {
+    const replay = { ...createReplay(game), dice: null, supply: null };
+    const code = encodeReplay(replay).replace('dwr2.', 'dwr1.');
+
+    expect(decodeReplay(code)).toEqual({ ...replay, version: 1 });
+    expect(importReplay(new Game(), code).his[0].from_dice).toBeNull();
+    expect(() => decodeReplay(exportReplay(game).replace('dwr2.', 'dwr1.'))).toThrow(
+      'unknown data'
+    );
+  });
+
+  test('keeps the undo positions of practice games', () => {
+    const replay = { ...createReplay(game), undos: [5, 3, 3] };
+    const decoded = decodeReplay(encodeReplay(replay));
+
+    expect(createReplay(game).undos).toBeNull();
+    expect(decoded.undos).toEqual([5, 3, 3]);
+    expect(loadReplay(new Game(), decoded).undos).toEqual([{ at: 5 }, { at: 3 }, { at: 3 }]);
+  });
+
+  test('loads into a new game ready for playback', () => {
+    const restored = importReplay(new Game(), exportReplay(game));
+
+    expect(restored.cel).toEqual(game.cel.slice(0, game.XMAX * game.YMAX));
+    expect(geometryOf(restored)).toEqual(geometryOf(game));
+    expect(restored.his_arm).toEqual(game.his_arm);
+    expect(restored.his_dice).toEqual(game.his_dice);
+    restored.his.slice(0, restored.his_c).forEach((entry, i) => {
+      const { from, to, res, rolls, turn } = game.his[i];
+      expect(entry).toMatchObject({ from, to, res, rolls, turn });
+    });
+
+    // Territories start in their initial state
+    restored.adat.forEach((area, i) => {
+      expect(area.arm).toBe(game.his_arm[i]);
+      expect(area.dice).toBe(game.his_dice[i]);
+    });
+  });
+
+  test('plays back to the same ownership as the original game', () => {
+    const restored = loadReplay(new Game(), createReplay(game));
+    const ownership = playBack(restored).map(({ arm }) => arm);
+
+    expect(ownership).toEqual(game.adat.map(({ arm }) => arm));
+  });
+
+  test('Game exposes export and import', () => {
+    const restored = new Game().importReplay(game.exportReplay());
+
+    expect(restored.his_c).toBe(game.his_c);
+  });
+
+  test('rejects invalid codes', () => {
+    const code = exportReplay(game);
+
+    expect(() => decodeReplay('hello')).toThrow(GameStateError);
+    expect(() => decodeReplay('dwr1.not+base64')).toThrow('invalid characters');
+    expect(() => decodeReplay(code.slice(0, 40))).toThrow('truncated');
+    expect(() => decodeReplay(code.replace('dwr2.', 'dwr9.'))).toThrow('newer than supported');
+    expect(() => loadReplay(new Game(), { format: 'other' })).toThrow('Not a Dice Wars replay');
+  });
+});
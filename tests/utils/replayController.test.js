@@ -0,0 +1,153 @@
+/**
+ * Tests for Replay Controller Module
+ */
+import { GameRunner } from '../../src/runner/index.js';
+import {
+  REPLAY_SPEEDS,
+  ReplayController,
+  applyHistoryEntry,
+  getTurnStarts,
+} from '../../src/utils/replayController.js';
+
+const boardOf = game => game.adat.map(({ arm, dice }) => ({ arm, dice }));
+
+describe('Replay Controller', () => {
+  let game;
+  let finalBoard;
+
+  beforeAll(async () => {
+    const runner = new GameRunner({
+      seed: 'replay-controller-test',
+      playerCount: 4,
+      ai: Array(4).fill('ai_default'),
+    });
+    await runner.setup();
+    for (let i = 0; i < 8; i++) await runner.playTurn();
+    game = runner.game;
+    finalBoard = boardOf(game);
+  });
+
+  afterEach(() => {
+    new ReplayController(game).seek(game.his_c);
+  });
+
+  test('starts from the initial state', () => {
+    const replay = new ReplayController(game);
+
+    expect(replay.position).toBe(0);
+    expect(replay.playing).toBe(true);
+    game.adat.forEach((area, i) => {
+      if (area.size === 0) return;
+      expect(area.arm).toBe(game.his_arm[i]);
+      expect(area.dice).toBe(game.his_dice[i]);
+    });
+  });
+
+  test('stepping through the history reaches the final board', () => {
+    const replay = new ReplayController(game);
+    let steps = 0;
+    while (replay.stepForward()) steps++;
+
+    expect(steps).toBe(game.his_c);
+    expect(replay.atEnd).toBe(true);
+    expect(replay.stepForward()).toBeNull();
+    expect(boardOf(game)).toEqual(finalBoard);
+  });
+
+  test('seeking matches stepping to the same position', () => {
+    const replay = new ReplayController(game);
+    const middle = Math.floor(game.his_c / 2);
+    for (let i = 0; i < middle; i++) replay.stepForward();
+    const stepped = boardOf(game);
+
+    replay.seek(game.his_c);
+    expect(boardOf(game)).toEqual(finalBoard);
+
+    replay.seek(middle);
+    expect(boardOf(game)).toEqual(stepped);
+  });
+
+  test('steps back one action at a time', () => {
+    const replay = new ReplayController(game).seek(5);
+    const before = boardOf(game);
+
+    replay.stepForward();
+    replay.stepBack();
+
+    expect(replay.position).toBe(5);
+    expect(boardOf(game)).toEqual(before);
+    expect(new ReplayController(game).stepBack().position).toBe(0);
+  });
+
+  test('clamps seeks to the history', () => {
+    const replay = new ReplayController(game);
+
+    expect(replay.seek(-3).position).toBe(0);
+    expect(replay.seek(game.his_c + 10).position).toBe(game.his_c);
+  });
+
+  test('jumps between turns', () => {
+    const replay = new ReplayController(game);
+    const [, second, third] = replay.turnStarts;
+
+    replay.jumpToTurn(second.turn);
+    expect(replay.position).toBe(second.index);
+    expect(replay.getTurn()).toBe(second.turn);
+    expect(game.his[replay.position].turn).toBe(second.turn);
+
+    replay.nextTurn();
+    expect(replay.position).toBe(third.index);
+
+    // Back to the start of the current turn, then to the previous one
+    replay.stepForward();
+    replay.previousTurn();
+    expect(replay.position).toBe(third.index);
+    replay.previousTurn();
+    expect(replay.position).toBe(second.index);
+
+    expect(replay.jumpToTurn(1000).atEnd).toBe(true);
+  });
+
+  test('finds turn starts in histories without turn numbers', () => {
+    const recorded = getTurnStarts(game);
+    const legacy = {
+      ...game,
+      his: game.his.map(({ from, to, res }) => ({ from, to, res })),
+    };
+
+    expect(getTurnStarts(legacy).map(({ index }) => index)).toEqual(
+      recorded.map(({ index }) => index)
+    );
+  });
+
+  test('pauses, resumes and restarts at the end', () => {
+    const replay = new ReplayController(game);
+
+    expect(replay.togglePause().playing).toBe(false);
+    expect(replay.togglePause().playing).toBe(true);
+
+    replay.seek(game.his_c).pause().play();
+    expect(replay.position).toBe(0);
+    expect(replay.playing).toBe(true);
+  });
+
+  test('limits and cycles the playback speed', () => {
+    const replay = new ReplayController(game, { speed: 2 });
+
+    expect(replay.speed).toBe(2);
+    expect(replay.setSpeed(20).speed).toBe(8);
+    expect(replay.setSpeed(0.1).speed).toBe(0.5);
+    expect(REPLAY_SPEEDS.map(() => replay.cycleSpeed().speed)).toEqual([1, 2, 4, 8, 0.5]);
+  });
+
+  test('applies entries by the rules when dice counts were not recorded', () => {
+    const adat = [{}, { arm: 0, dice: 5 }, { arm: 1, dice: 2 }];
+
+    applyHistoryEntry(adat, { from: 1, to: 0, res: 0 });
+    expect(adat[1].dice).toBe(6);
+
+    applyHistoryEntry(adat, { from: 1, to: 2, res: 1 });
+    expect(adat[1]).toEqual({ arm: 0, dice: 1 });
+    expect(adat[2]).toEqual({ arm: 0, dice: 5 });
+  });
+});
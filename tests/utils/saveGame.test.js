@@ -0,0 +1,217 @@
+/**
+ * Tests for Save Game Module
+ */
+import { Game } from '../../src/Game.js';
+import { GameRunner } from '../../src/runner/index.js';
+import { GameStateError } from '../../src/mechanics/errors/index.js';
+import {
+  SAVE_FORMAT,
+  SAVE_VERSION,
+  deleteSavedGame,
+  deserializeGame,
+  hasSavedGame,
+  loadSavedGame,
+  migrateSave,
+  saveGame,
+  serializeGame,
+} from '../../src/utils/saveGame.js';
+
+// Play a few turns so the snapshot has history, stocks and conquered areas
+const createGameInProgress = async () => {
+  const runner = new GameRunner({
+    seed: 'save-test',
+    playerCount: 4,
+    ai: Array(4).fill('ai_default'),
+  });
+  await runner.setup();
+  for (let i = 0; i < 6; i++) await runner.playTurn();
+  return runner.game;
+};
+
+// Snapshot without its timestamp, for comparisons
+const stateOf = game => {
+  const state = serializeGame(game);
+  delete state.savedAt;
+  return state;
+};
+
+describe('Save Game', () => {
+  let game;
+
+  beforeAll(async () => {
+    game = await createGameInProgress();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('serialize / deserialize', () => {
+    test('produces a versioned snapshot', () => {
+      const snapshot = game.serialize();
+
+      expect(snapshot.format).toBe(SAVE_FORMAT);
+      expect(snapshot.version).toBe(SAVE_VERSION);
+      expect(snapshot.map.cel).toHaveLength(game.XMAX * game.YMAX);
+      expect(snapshot.map.areas).toHaveLength(game.AREA_MAX);
+      expect(snapshot.history.entries).toHaveLength(game.his_c);
+    });
+
+    test('round-trips the whole game through JSON', () => {
+      const json = JSON.stringify(game.serialize());
+      const restored = new Game().deserialize(json);
+
+      expect(restored.cel).toEqual(game.cel.slice(0, game.XMAX * game.YMAX));
+      expect(restored.adat).toEqual(game.adat);
+      expect(restored.player).toEqual(game.player);
+      expect(restored.jun).toEqual(game.jun);
+      expect(restored.ban).toBe(game.ban);
+      expect(restored.his_c).toBe(game.his_c);
+      expect(restored.his.slice(0, restored.his_c)).toEqual(game.his.slice(0, game.his_c));
+      expect(restored.his_arm).toEqual(game.his_arm);
+      expect(restored.his_dice).toEqual(game.his_dice);
+      expect(stateOf(restored)).toEqual(stateOf(game));
+    });
+
+    test('resumes the random source where it left off', () => {
+      const original = new Game({ seed: 99 });
+      original.make_map();
+      original.start_game();
+      original.rng();
+
+      const restored = new Game().deserialize(JSON.stringify(original.serialize()));
+
+      expect(restored.seed).toBe(99);
+      expect([restored.rng(), restored.rng()]).toEqual([original.rng(), original.rng()]);
+    });
+
+    test('keeps the balanced-luck decks', () => {
+      const original = new Game({ seed: 7 });
+      original.battle_deck = { '3:2': [true, false, true] };
+
+      const restored = new Game().deserialize(JSON.stringify(original.serialize()));
+
+      expect(restored.battle_deck).toEqual(original.battle_deck);
+      expect(restored.battle_deck['3:2']).not.toBe(original.battle_deck['3:2']);
+    });
+
+    test('keeps the human seats of hot-seat games', () => {
+      const original = new Game({ playerCount: 4, aiAssignments: [null, 'ai_default', null] });
+      const snapshot = JSON.parse(JSON.stringify(original.serialize()));
+
+      expect(new Game().deserialize(snapshot).humans).toEqual([0, 2]);
+
+      delete snapshot.settings.humans;
+      expect(new Game().deserialize({ ...snapshot, version: 2 }).humans).toEqual([0]);
+    });
+
+    test('keeps the attacks taken back in practice games', () => {
+      const original = new Game();
+      original.undos = [{ at: 4, player: 0, turn: 1, from: 3, to: 7, res: 1 }];
+      const snapshot = JSON.parse(JSON.stringify(original.serialize()));
+
+      expect(new Game().deserialize(snapshot).undos).toEqual(original.undos);
+
+      delete snapshot.history.undos;
+      expect(new Game().deserialize({ ...snapshot, version: 3 }).undos).toEqual([]);
+    });
+
+    test('rebuilds cell adjacency for a different map size', () => {
+      const snapshot = game.serialize();
+      snapshot.settings.XMAX = 10;
+      snapshot.settings.YMAX = 12;
+      snapshot.map.cel = snapshot.map.cel.slice(0, 120);
+
+      const restored = deserializeGame(new Game(), snapshot);
+
+      expect(restored.cel_max).toBe(120);
+      expect(restored.join).toHaveLength(120);
+      expect(restored.join[15].dir).toEqual(
+        [0, 1, 2, 3, 4, 5].map(dir => restored.next_cel(15, dir))
+      );
+    });
+  });
+
+  describe('migrateSave', () => {
+    test('upgrades older snapshots through the migration hooks', () => {
+      const current = game.serialize();
+      const { history, ...rest } = current;
+      const legacy = { ...rest, version: SAVE_VERSION - 1, his: history };
+      const migrations = {
+        [SAVE_VERSION - 1]: ({ his, ...data }) => ({ ...data, history: his }),
+      };
+
+      const migrated = migrateSave(legacy, migrations);
+
+      expect(migrated.version).toBe(SAVE_VERSION);
+      expect(migrated.history).toEqual(current.history);
+    });
+
+    test('gives version 1 saves the default rules with their stock cap', () => {
+      const { rules, ...settings } = game.serialize().settings;
+      const legacy = { ...game.serialize(), version: 1, settings: { ...settings, STOCK_MAX: 20 } };
+
+      const restored = new Game().deserialize(JSON.stringify(legacy));
+
+      expect(restored.rules).toEqual({ ...rules, stockMax: 20 });
+      expect(restored.STOCK_MAX).toBe(20);
+    });
+
+    test('loads version 1 saves through the whole migration chain', () => {
+      const { settings, history, ...current } = game.serialize();
+      const { rules, humans, ...settingsV1 } = settings;
+      const legacy = { ...current, version: 1, settings: settingsV1, history: { ...history } };
+      delete legacy.history.undos;
+
+      const restored = new Game().deserialize(JSON.stringify(legacy));
+
+      expect(restored.rules).toEqual(rules);
+      expect(restored.humans).toEqual(humans);
+      expect(restored.undos).toEqual([]);
+      expect(stateOf(restored)).toEqual(stateOf(game));
+    });
+
+    test('rejects snapshots that cannot be loaded', () => {
+      const snapshot = game.serialize();
+
+      expect(() => migrateSave({ format: 'other', version: 1 })).toThrow(GameStateError);
+      expect(() => migrateSave({ ...snapshot, version: SAVE_VERSION + 1 })).toThrow(
+        'newer than supported'
+      );
+      expect(() => migrateSave({ ...snapshot, version: SAVE_VERSION - 1 }, {})).toThrow(
+        'No migration'
+      );
+    });
+  });
+
+  describe('localStorage', () => {
+    test('saves, loads and deletes a game', () => {
+      expect(hasSavedGame()).toBe(false);
+      expect(saveGame(game)).toBe(true);
+      expect(hasSavedGame()).toBe(true);
+
+      const restored = loadSavedGame(new Game());
+      expect(stateOf(restored)).toEqual(stateOf(game));
+
+      deleteSavedGame();
+      expect(hasSavedGame()).toBe(false);
+      expect(loadSavedGame(new Game())).toBeNull();
+    });
+
+    test('keeps separate slots', () => {
+      saveGame(game, 'slot-a');
+
+      expect(hasSavedGame('slot-a')).toBe(true);
+      expect(hasSavedGame('slot-b')).toBe(false);
+    });
+
+    test('returns null for a corrupt save', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      localStorage.setItem('dicewarsSave:default', '{"format":"nope"}');
+
+      expect(loadSavedGame(new Game())).toBeNull();
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
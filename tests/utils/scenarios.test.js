@@ -0,0 +1,56 @@
+/**
+ * Tests for Scenario Maps Module
+ */
+import { Game } from '../../src/Game.js';
+import { MapError } from '../../src/mechanics/errors/index.js';
+import { validateMap } from '../../src/utils/mapLoader.js';
+import {
+  SCENARIOS,
+  createScenarioMap,
+  getScenario,
+  loadScenario,
+} from '../../src/utils/scenarios.js';
+
+describe('Scenario Maps', () => {
+  test.each(SCENARIOS.map(scenario => [scenario.id, scenario]))(
+    '%s is a playable map',
+    (_, scenario) => {
+      const map = createScenarioMap(scenario);
+      const owners = new Set(scenario.territories.map(([owner]) => owner));
+
+      expect(validateMap(map)).toEqual([]);
+      expect(map.settings.pmax).toBe(owners.size);
+      expect(new Set(map.cel.filter(area => area > 0)).size).toBe(scenario.territories.length);
+    }
+  );
+
+  test('centers the board on the grid', () => {
+    const map = createScenarioMap(getScenario('first-steps'));
+    const rows = map.cel
+      .map((area, cell) => (area > 0 ? Math.floor(cell / 28) : -1))
+      .filter(row => row >= 0);
+
+    // 8 rows on a 32 row grid; the top row stays even to keep the hex layout
+    expect(Math.min(...rows)).toBe(12);
+    expect(Math.max(...rows)).toBe(19);
+  });
+
+  test('loads into a game', () => {
+    const game = new Game().loadScenario('four-corners');
+
+    expect(game.pmax).toBe(4);
+    expect(game.adat.filter(area => area.size > 0)).toHaveLength(12);
+    expect(game.player.slice(0, 4).map(player => player.area_tc)).toEqual([3, 3, 3, 3]);
+  });
+
+  test('rejects unknown scenarios', () => {
+    expect(() => getScenario('nowhere')).toThrow(MapError);
+    expect(() => loadScenario(new Game(), 'nowhere')).toThrow('Unknown scenario: nowhere');
+  });
+
+  test('rejects grids the scenario does not fit on', () => {
+    expect(() => createScenarioMap(getScenario('duel'), { XMAX: 16, YMAX: 16 })).toThrow(
+      'does not fit on a 16x16 grid'
+    );
+  });
+});
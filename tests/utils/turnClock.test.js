@@ -0,0 +1,159 @@
+/**
+ * Tests for Turn Clock Module
+ */
+import {
+  DEFAULT_CLOCK_SECONDS,
+  TurnClock,
+  createTurnClock,
+  formatClock,
+  normalizeClock,
+} from '../../src/utils/turnClock.js';
+
+// A clock whose time only moves when the test says so
+const createClock = (settings, players = [0, 2]) => {
+  const time = { now: 0 };
+  const clock = new TurnClock(settings, { players, now: () => time.now });
+  const advance = seconds => {
+    time.now += seconds * 1000;
+  };
+  return { clock, advance };
+};
+
+describe('Turn Clock', () => {
+  describe('normalizeClock', () => {
+    test('leaves turns untimed without settings', () => {
+      expect(normalizeClock(null)).toBeNull();
+      expect(createTurnClock(null)).toBeNull();
+    });
+
+    test("uses the mode's default time", () => {
+      expect(normalizeClock({ mode: 'chess' })).toEqual({
+        mode: 'chess',
+        seconds: DEFAULT_CLOCK_SECONDS.chess,
+        increment: 0,
+      });
+      expect(normalizeClock({ mode: 'fischer', seconds: 60 })).toEqual({
+        mode: 'fischer',
+        seconds: 60,
+        increment: 5,
+      });
+    });
+
+    test('ignores unknown modes', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(normalizeClock({ mode: 'hourglass' })).toBeNull();
+      expect(warn).toHaveBeenCalled();
+
+      warn.mockRestore();
+    });
+  });
+
+  test('formats minutes and seconds, rounding up', () => {
+    expect(formatClock(0)).toBe('0:00');
+    expect(formatClock(4100)).toBe('0:05');
+    expect(formatClock(245000)).toBe('4:05');
+  });
+
+  describe('fixed mode', () => {
+    test('gives every turn the same time', () => {
+      const { clock, advance } = createClock({ mode: 'fixed', seconds: 20 });
+
+      clock.start(0);
+      advance(15);
+      expect(clock.remaining()).toBe(5000);
+      expect(clock.stop()).toMatchObject({ used: 15000, remaining: 5000, timedOut: false });
+
+      clock.start(0);
+      expect(clock.remaining()).toBe(20000);
+    });
+
+    test('runs out', () => {
+      const { clock, advance } = createClock({ mode: 'fixed', seconds: 20 });
+
+      clock.start(2);
+      advance(25);
+
+      expect(clock.expired).toBe(true);
+      expect(clock.stop()).toMatchObject({ used: 20000, remaining: 0, timedOut: true });
+    });
+
+    test('only shows the time of the player to move', () => {
+      const { clock, advance } = createClock({ mode: 'fixed', seconds: 20 });
+      clock.start(0);
+      advance(3);
+
+      expect(clock.getText(0)).toBe('0:17');
+      expect(clock.getText(2)).toBe('');
+    });
+  });
+
+  describe('chess mode', () => {
+    test("charges each turn to the player's game time", () => {
+      const { clock, advance } = createClock({ mode: 'chess', seconds: 60 });
+
+      clock.start(0);
+      advance(40);
+      clock.stop();
+      clock.start(2);
+      advance(10);
+      clock.stop();
+      clock.start(0);
+
+      expect(clock.remaining()).toBe(20000);
+      expect(clock.remaining(2)).toBe(50000);
+      expect(clock.getText(2)).toBe('0:50');
+    });
+
+    test('has no time left for a player who used it up', () => {
+      const { clock, advance } = createClock({ mode: 'chess', seconds: 60 });
+
+      clock.start(0);
+      advance(90);
+      clock.stop();
+      clock.start(0);
+
+      expect(clock.expired).toBe(true);
+    });
+  });
+
+  test('fischer mode adds the increment after every turn', () => {
+    const { clock, advance } = createClock({ mode: 'fischer', seconds: 60, increment: 10 });
+
+    clock.start(0);
+    advance(30);
+
+    expect(clock.stop()).toMatchObject({ used: 30000, remaining: 40000 });
+    expect(clock.remaining(0)).toBe(40000);
+  });
+
+  test('does not time players who are not given to it', () => {
+    const { clock } = createClock({ mode: 'fixed' });
+
+    expect(clock.start(1)).toBeNull();
+    expect(clock.running).toBe(false);
+    expect(clock.getText(1)).toBe('');
+  });
+
+  test('describes the turn it times', () => {
+    const { clock, advance } = createClock({ mode: 'chess', seconds: 60 });
+
+    expect(clock.start(0)).toEqual({
+      mode: 'chess',
+      player: 0,
+      remaining: 60000,
+      limit: 60000,
+      increment: 0,
+    });
+    advance(5);
+    expect(clock.stop()).toEqual({
+      mode: 'chess',
+      player: 0,
+      remaining: 55000,
+      limit: 60000,
+      increment: 0,
+      used: 5000,
+      timedOut: false,
+    });
+  });
+});